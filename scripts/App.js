@@ -4,9 +4,18 @@ import { refreshSidebarMenu } from './components/ComponentMenu.js';
 import { setupFileActions, setupFilenameEditor } from './Fileio.js';
 import { loadUserComponents } from './components/UserComponentStore.js';
 import { openSaveCompositeDialog } from './components/SaveCompositeDialog.js';
+import { openComponentEditorDialog } from './components/ComponentEditorDialog.js';
+import { setupCompositeEditBanner } from './components/CompositeEditSession.js';
+import { setupAutosave } from './Autosave.js';
+import { setupCommandPalette } from './events/CommandPalette.js';
+import { setupKeymap } from './events/Keymap.js';
 import { componentManager } from './components/index.js';
 import { initDebugLayer } from './utils/DebugLayer.js';
 import { setupRayMenu } from './rays/RayMenu.js';
+import { setupPropertyInspector } from './components/PropertyInspector.js';
+import { setupLayersPanel } from './components/LayersPanel.js';
+import { setupMinimap } from './Minimap.js';
+import { setupAnnotationInteractions } from './annotations/AnnotationInteractions.js';
 import './components/CompositeLibrary.js';
 
 export function initializeApp() {
@@ -31,15 +40,27 @@ export function initializeApp() {
   updateToolbarButtons();
   initDebugLayer();
   setupRayMenu();              // Initialize ray panel (Phase 3)
+  setupPropertyInspector();    // Numeric transform fields above the ray panel
+  setupLayersPanel();          // Component outline: visibility, lock, rename, z-order
+  setupMinimap();              // Scene overview in the canvas corner; drag it to pan
+  setupAnnotationInteractions(); // Text labels, leader labels, dimension arrows
+  setupCompositeEditBanner();  // Save / discard while a user composite is being edited
+  setupCommandPalette();       // Ctrl+K: search and run any action or component
+  setupKeymap();               // Keyboard shortcuts (rebindable, "?" lists them)
 
   // Wire Save as Composite button
   document.getElementById('save-as-composite-btn')?.addEventListener('click', () => {
     openSaveCompositeDialog(componentManager);
   });
 
+  // Wire New Component button (File menu)
+  document.getElementById('new-user-component-btn')?.addEventListener('click', openComponentEditorDialog);
+
   // Sidebar resize handle
   _setupSidebarResize();
 
+  setupAutosave();             // Last: tracks changes from here on, may offer to restore the previous session
+
   console.log('Application initialized');
   
   return { canvas };
@@ -61,28 +82,31 @@ function _setupSidebarResize() {
   let startX   = 0;
   let startW   = 0;
 
-  handle.addEventListener('mousedown', (e) => {
+  handle.addEventListener('pointerdown', (e) => {
     dragging = true;
     startX   = e.clientX;
     startW   = sidebar.offsetWidth;
     handle.classList.add('dragging');
     document.body.style.cursor    = 'col-resize';
     document.body.style.userSelect = 'none';
+    handle.setPointerCapture(e.pointerId);
     e.preventDefault();
   });
 
-  document.addEventListener('mousemove', (e) => {
+  handle.addEventListener('pointermove', (e) => {
     if (!dragging) return;
     const delta    = e.clientX - startX;
     const newWidth = Math.min(MAX_WIDTH, Math.max(MIN_WIDTH, startW + delta));
     sidebar.style.width = `${newWidth}px`;
   });
 
-  document.addEventListener('mouseup', () => {
+  const endResize = () => {
     if (!dragging) return;
     dragging = false;
     handle.classList.remove('dragging');
     document.body.style.cursor    = '';
     document.body.style.userSelect = '';
-  });
+  };
+  handle.addEventListener('pointerup', endResize);
+  handle.addEventListener('pointercancel', endResize);
 }
@@ -0,0 +1,306 @@
+import { buildSchematicPayload, loadSchematicPayload, buildThumbnailDataURL, importExampleSchematic } from './Fileio.js';
+import { actionHistory } from './history/ActionHistory.js';
+import { isCompositeEditActive } from './components/CompositeEditSession.js';
+import { openAutosaveDialog } from './AutosaveDialog.js';
+import { AUTOSAVE } from './config.js';
+
+/**
+ * Autosave and crash recovery.
+ *
+ * Every AUTOSAVE.INTERVAL_MS, if the scene changed, the schematic payload
+ * (the same JSON as File → Export JSON) is written to localStorage together
+ * with a small PNG thumbnail. Each browser session owns one entry, updated
+ * in place; the AUTOSAVE.MAX_ENTRIES most recent sessions are kept, as long
+ * as they fit in AUTOSAVE.MAX_STORAGE_CHARS. That is well below the
+ * localStorage quota, which user components share, so autosaves never leave
+ * them without room. Closing
+ * the page writes pending changes immediately (reusing the last thumbnail).
+ *
+ * "Unsaved" means changed since the last JSON export or import; it is shown
+ * next to the filename and stored with each entry. File → Recent Autosaves…
+ * lists all entries.
+ *
+ * Startup picks one scene, in this order: a gallery example requested by
+ * gallery/index.html (sessionStorage "importExample"), the scene handed over
+ * by saveCanvasAndNavigate() when the user went to the gallery or help page
+ * in this tab, else an offer to restore the previous session if it ended
+ * unsaved.
+ */
+
+const STORAGE_KEY = 'schematicAutosaves';
+const EXAMPLE_KEY = 'importExample';
+const HANDOFF_KEY = 'savedCanvas';
+const sessionId = Date.now();
+
+let dirty = false;      // changed since the last export / import
+let pending = false;    // changed since the last autosave
+let changeCount = 0;    // tells an autosave whether the scene changed while it ran
+let saving = false;
+let lastAutosave = null;
+let indicator = null;
+
+// ─── Store ──────────────────────────────────────────────────────────────────
+
+/**
+ * Autosave entries, newest first:
+ * { id, savedAt, filename, componentCount, dirty, thumbnail, payload }.
+ * @returns {object[]}
+ */
+function readEntries() {
+  try {
+    const raw = localStorage.getItem(STORAGE_KEY);
+    const entries = raw ? JSON.parse(raw) : [];
+    return Array.isArray(entries) ? entries.filter(entry => entry && entry.payload) : [];
+  } catch (error) {
+    console.error('[Autosave] Could not read autosaves:', error);
+    return [];
+  }
+}
+
+/**
+ * Write entries, newest first, leaving out those beyond the size cap and
+ * dropping the oldest ones while storage is full.
+ * @returns {object[]|null} the entries written, null if nothing could be
+ */
+function writeEntries(entries) {
+  let kept = fitEntries(entries.slice(0, AUTOSAVE.MAX_ENTRIES));
+  while (kept.length > 0) {
+    try {
+      localStorage.setItem(STORAGE_KEY, JSON.stringify(kept));
+      return kept;
+    } catch (error) {
+      if (kept.length === 1) {
+        console.error('[Autosave] Could not write autosave:', error);
+        return null;
+      }
+      kept = kept.slice(0, -1);
+    }
+  }
+  localStorage.removeItem(STORAGE_KEY);
+  return kept;
+}
+
+/** Entries, newest first, that fit in AUTOSAVE.MAX_STORAGE_CHARS together. */
+function fitEntries(entries) {
+  const kept = [];
+  let size = 2; // '[]'
+  for (const entry of entries) {
+    const entrySize = JSON.stringify(entry).length + 1;
+    if (size + entrySize > AUTOSAVE.MAX_STORAGE_CHARS) continue;
+    kept.push(entry);
+    size += entrySize;
+  }
+  return kept;
+}
+
+/** @returns {boolean} false if storage could not be written */
+function storeEntry(payload, thumbnail) {
+  const entries = readEntries().filter(entry => entry.id !== sessionId);
+  const entry = {
+    id: sessionId,
+    savedAt: new Date().toISOString(),
+    filename: payload.metadata.filename,
+    componentCount: payload.snapshot.components.length,
+    dirty,
+    thumbnail,
+    payload
+  };
+  const written = writeEntries([entry, ...entries].sort((a, b) => b.savedAt.localeCompare(a.savedAt)));
+  if (written && written.includes(entry)) {
+    lastAutosave = new Date(entry.savedAt);
+  } else if (written) {
+    console.warn(`[Autosave] The scene is too large to autosave (limit ${AUTOSAVE.MAX_STORAGE_CHARS} characters).`);
+  }
+  return written !== null;
+}
+
+function getSessionEntry() {
+  return readEntries().find(entry => entry.id === sessionId) || null;
+}
+
+// ─── Saving ─────────────────────────────────────────────────────────────────
+
+/**
+ * Write the current scene now.
+ * @param {object} [options]
+ * @param {boolean} [options.thumbnail=true] - render a new thumbnail (async);
+ *   false keeps the previous one so the write happens synchronously
+ */
+async function autosaveNow({ thumbnail = true } = {}) {
+  // The scene on the canvas is a composite definition, not the schematic
+  if (isCompositeEditActive()) return;
+
+  const payload = buildSchematicPayload();
+  const previous = getSessionEntry();
+  const savedChange = changeCount;
+  // Nothing worth keeping yet
+  if (!previous && payload.snapshot.components.length === 0) {
+    pending = false;
+    return;
+  }
+
+  let stored;
+  if (!thumbnail) {
+    stored = storeEntry(payload, previous?.thumbnail ?? null);
+  } else {
+    saving = true;
+    try {
+      stored = storeEntry(payload, await buildThumbnailDataURL(AUTOSAVE.THUMBNAIL_SIZE));
+    } finally {
+      saving = false;
+    }
+  }
+  // A failed write, or changes made while the thumbnail rendered, wait for the next tick
+  if (stored && changeCount === savedChange) pending = false;
+  updateIndicator();
+}
+
+function markPending() {
+  pending = true;
+  changeCount++;
+}
+
+function markChanged() {
+  dirty = true;
+  markPending();
+  updateIndicator();
+}
+
+// ─── Restore ────────────────────────────────────────────────────────────────
+
+async function restoreEntry(id) {
+  const entry = readEntries().find(candidate => candidate.id === id);
+  if (!entry) return;
+  if (pending) await autosaveNow({ thumbnail: false }); // Keep the current scene restorable
+  try {
+    const loaded = await loadSchematicPayload(entry.payload);
+    if (loaded) {
+      markChanged();
+      console.log(`[Autosave] Restored autosave from ${entry.savedAt}`);
+    }
+  } catch (error) {
+    console.error('[Autosave] Failed to restore autosave:', error);
+    alert(`Failed to restore autosave: ${error.message}`);
+  }
+}
+
+function deleteEntry(id) {
+  writeEntries(readEntries().filter(entry => entry.id !== id));
+  return readEntries();
+}
+
+function openList(recovery) {
+  if (isCompositeEditActive()) {
+    alert('Save or discard the composite you are editing before restoring an autosave.');
+    return;
+  }
+  openAutosaveDialog({
+    entries: readEntries(),
+    currentId: sessionId,
+    recovery,
+    onRestore: restoreEntry,
+    onDelete: deleteEntry
+  });
+}
+
+// ─── Leaving for the gallery / help ─────────────────────────────────────────
+
+/**
+ * Go to another page of the site and get the current scene back on return
+ * (through sessionStorage, so only in this tab).
+ * @param {string} url
+ */
+export function saveCanvasAndNavigate(url) {
+  if (!isCompositeEditActive()) {
+    try {
+      sessionStorage.setItem(HANDOFF_KEY, JSON.stringify({ dirty, payload: buildSchematicPayload() }));
+    } catch (error) {
+      console.error('[Autosave] Could not keep the canvas for the return:', error);
+    }
+  }
+  window.location.href = url;
+}
+
+function takeSessionItem(key) {
+  const value = sessionStorage.getItem(key);
+  sessionStorage.removeItem(key);
+  return value;
+}
+
+async function restoreHandOff(json) {
+  try {
+    const { dirty: wasDirty, payload } = JSON.parse(json);
+    const loaded = await loadSchematicPayload(payload);
+    // Loading counts as a change (units-changed)
+    if (loaded && !wasDirty) document.dispatchEvent(new CustomEvent('schematic-saved'));
+  } catch (error) {
+    console.error('[Autosave] Failed to restore the canvas:', error);
+  }
+}
+
+function openStartupScene() {
+  const example = takeSessionItem(EXAMPLE_KEY);
+  const handOff = takeSessionItem(HANDOFF_KEY);
+  if (example) {
+    importExampleSchematic(example);
+  } else if (handOff) {
+    restoreHandOff(handOff);
+  } else {
+    const previous = readEntries().find(entry => entry.id !== sessionId);
+    if (previous && previous.dirty) openList(true);
+  }
+}
+
+// ─── Indicator ──────────────────────────────────────────────────────────────
+
+function updateIndicator() {
+  if (!indicator) return;
+  indicator.hidden = !dirty;
+  if (!dirty) return;
+  const time = lastAutosave && !pending
+    ? lastAutosave.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })
+    : null;
+  indicator.textContent = time ? `Unsaved changes · autosaved ${time}` : 'Unsaved changes';
+  indicator.title = 'Changed since the last JSON export or import. Autosaves are listed under File → Recent Autosaves…';
+}
+
+// ─── Public API ─────────────────────────────────────────────────────────────
+
+/**
+ * Call once at the end of app init: starts tracking changes and the
+ * autosave timer, wires the Gallery / Help links, and opens the startup
+ * scene (see above).
+ */
+export function setupAutosave() {
+  indicator = document.getElementById('unsaved-indicator');
+
+  // Clearing, suspending or resuming the history leaves the scene as it is
+  actionHistory.subscribe((history, reason) => {
+    if (reason === 'push' || reason === 'undo' || reason === 'redo') markChanged();
+  });
+  document.addEventListener('units-changed', markChanged);
+  document.addEventListener('schematic-saved', () => {
+    dirty = false;
+    markPending(); // Record that the entry is saved
+    updateIndicator();
+  });
+
+  const autosave = options => autosaveNow(options).catch(error => {
+    console.error('[Autosave] Autosave failed:', error);
+  });
+  setInterval(() => {
+    if (pending && !saving) autosave();
+  }, AUTOSAVE.INTERVAL_MS);
+  window.addEventListener('pagehide', () => {
+    if (pending) autosave({ thumbnail: false });
+  });
+
+  document.getElementById('autosaves-btn')?.addEventListener('click', () => openList(false));
+  ['gallery-link', 'help-link'].forEach(id => {
+    const link = document.getElementById(id);
+    link?.addEventListener('click', () => saveCanvasAndNavigate(link.dataset.href));
+  });
+  updateIndicator();
+
+  openStartupScene();
+}
@@ -0,0 +1,139 @@
+/**
+ * AutosaveDialog.js
+ * -----------------
+ * <dialog> listing the autosaves kept by Autosave.js, newest first, with a
+ * thumbnail, the filename, the time and the component count. Each entry can
+ * be restored (replaces the current scene) or deleted.
+ *
+ * Opened from File → Recent Autosaves…, and on startup when the previous
+ * session ended with unsaved changes ("recovery"). The dialog only shows the
+ * entries; Autosave.js restores and deletes them.
+ */
+
+/** @type {HTMLDialogElement|null} */
+let dialog = null;
+
+// ---------------------------------------------------------------------------
+// Public API
+// ---------------------------------------------------------------------------
+
+/**
+ * Open the autosave list.
+ *
+ * @param {object} options
+ * @param {object[]} options.entries - autosave entries, newest first
+ * @param {number} options.currentId - id of this session's entry
+ * @param {boolean} [options.recovery=false] - opened on startup to offer
+ *   restoring the previous session
+ * @param {(id: number) => void} options.onRestore
+ * @param {(id: number) => object[]} options.onDelete - returns the remaining entries
+ */
+export function openAutosaveDialog({ entries, currentId, recovery = false, onRestore, onDelete }) {
+    if (!dialog) {
+        dialog = document.getElementById('autosave-dialog');
+    }
+    if (!dialog) {
+        console.error('[AutosaveDialog] #autosave-dialog not found in DOM');
+        return;
+    }
+
+    _render({ entries, currentId, recovery, onRestore, onDelete });
+    if (!dialog.open) dialog.showModal();
+}
+
+// ---------------------------------------------------------------------------
+// Rendering
+// ---------------------------------------------------------------------------
+
+function _render(options) {
+    const { entries, currentId, recovery, onRestore, onDelete } = options;
+    while (dialog.firstChild) dialog.removeChild(dialog.firstChild);
+
+    const wrap = _el('div', { className: 'scd-phase' });
+
+    const header = _el('div', { className: 'scd-header-row' });
+    header.appendChild(_el('h3', {
+        className: 'scd-title',
+        textContent: recovery ? 'Restore Unsaved Work?' : 'Recent Autosaves'
+    }));
+    wrap.appendChild(header);
+
+    wrap.appendChild(_el('div', {
+        className: 'ud-note',
+        textContent: recovery
+            ? 'The last session ended with changes that were not exported. Restore it, or start fresh and keep it in File → Recent Autosaves…'
+            : 'Autosaves are kept in this browser, one per session. Export JSON to keep a schematic for good.'
+    }));
+
+    const list = _el('div', { className: 'asd-list' });
+    if (entries.length === 0) {
+        list.appendChild(_el('div', { className: 'ud-note', textContent: 'No autosaves yet.' }));
+    }
+    entries.forEach(entry => {
+        const isCurrent = entry.id === currentId;
+        const row = _el('div', { className: 'asd-entry' });
+
+        if (entry.thumbnail) {
+            row.appendChild(_el('img', { className: 'asd-thumb', src: entry.thumbnail, alt: '' }));
+        } else {
+            row.appendChild(_el('div', { className: 'asd-thumb' }));
+        }
+
+        const info = _el('div', { className: 'asd-info' });
+        info.appendChild(_el('div', { className: 'asd-name', textContent: entry.filename || 'Untitled Schematic' }));
+        const details = [
+            new Date(entry.savedAt).toLocaleString(),
+            `${entry.componentCount} component${entry.componentCount === 1 ? '' : 's'}`
+        ];
+        if (entry.dirty) details.push('unsaved');
+        if (isCurrent) details.push('this session');
+        info.appendChild(_el('div', { className: 'ud-note', textContent: details.join(' · ') }));
+        row.appendChild(info);
+
+        const actions = _el('div', { className: 'asd-actions' });
+        if (!isCurrent) {
+            const restoreBtn = _el('button', { className: 'scd-btn scd-btn-primary', textContent: 'Restore' });
+            restoreBtn.addEventListener('click', () => {
+                dialog.close();
+                onRestore(entry.id);
+            });
+            actions.appendChild(restoreBtn);
+        }
+        const deleteBtn = _el('button', { className: 'scd-btn scd-btn-secondary', textContent: 'Delete' });
+        deleteBtn.addEventListener('click', () => {
+            if (!confirm(`Delete the autosave of "${entry.filename || 'Untitled Schematic'}"?`)) return;
+            _render({ ...options, entries: onDelete(entry.id) });
+        });
+        actions.appendChild(deleteBtn);
+        row.appendChild(actions);
+
+        list.appendChild(row);
+    });
+    wrap.appendChild(list);
+
+    // ── Buttons ─────────────────────────────────────────────────────────────
+    const btnRow = _el('div', { className: 'scd-btn-row' });
+    const closeBtn = _el('button', {
+        className: 'scd-btn scd-btn-secondary',
+        textContent: recovery ? 'Start Fresh' : 'Close'
+    });
+    closeBtn.addEventListener('click', () => dialog.close());
+    btnRow.appendChild(closeBtn);
+    wrap.appendChild(btnRow);
+
+    dialog.appendChild(wrap);
+}
+
+// ---------------------------------------------------------------------------
+// Helpers
+// ---------------------------------------------------------------------------
+
+function _el(tag, props = {}) {
+    const el = document.createElement(tag);
+    for (const [k, v] of Object.entries(props)) {
+        if (k === 'textContent') el.textContent = v;
+        else if (k === 'className') el.className = v;
+        else el.setAttribute(k, v);
+    }
+    return el;
+}
@@ -1,4 +1,5 @@
 import { componentManager } from './components/ComponentManager.js';
+import { units } from './Units.js';
 import {
   MIN_CANVAS_WIDTH,
   MIN_CANVAS_HEIGHT,
@@ -10,9 +11,16 @@ import {
   MIN_VIEWBOX_HEIGHT,
   MAX_VIEWBOX_WIDTH,
   MAX_VIEWBOX_HEIGHT,
-  INITIAL_ZOOM
+  INITIAL_ZOOM,
+  GRID_LABEL_COLOR,
+  GRID_LABEL_FONT_RATIO,
+  GRID_LABEL_MIN_SPACING,
+  ZOOM_ANIMATION_MS
 } from './config.js';
 
+// Grid-line multiples tried (smallest first) when spacing out grid labels
+const GRID_LABEL_MULTIPLES = [1, 2, 5, 10, 20, 50, 100];
+
 export class CanvasManager {
   constructor() {
     this.canvas = document.getElementById('canvas');
@@ -26,6 +34,9 @@ export class CanvasManager {
     }
     
     this.gridVisible = true;
+
+    // requestAnimationFrame id of a running viewBox animation
+    this.animationFrame = null;
     
     // Apply initial zoom to default viewBox
     const defaultWidth = 400;
@@ -41,6 +52,9 @@ export class CanvasManager {
     };
     this.updateViewBox();
     this.drawGrid();
+
+    // Resizing the canvas changes the visible area and zoom level too
+    new ResizeObserver(() => document.dispatchEvent(new CustomEvent('view-changed'))).observe(this.canvas);
   }
 
   calculateComponentsBounds() {
@@ -76,14 +90,13 @@ export class CanvasManager {
     };
   }
 
-  centerAllComponents() {
-    const bounds = this.calculateComponentsBounds();
-    
+  /**
+   * viewBox framing the given bounds with padding, or the default view when
+   * bounds is null.
+   */
+  getViewBoxForBounds(bounds) {
     if (!bounds) {
-      // No components, set to default view
-      this.currentViewBox = { x: -200, y: -150, width: 400, height: 300 };
-      this.updateViewBox();
-      return;
+      return { x: -200, y: -150, width: 400, height: 300 };
     }
 
     // Calculate padding
@@ -94,17 +107,21 @@ export class CanvasManager {
     const viewBoxWidth = Math.max(bounds.width + 2 * paddingX, MIN_CANVAS_WIDTH);
     const viewBoxHeight = Math.max(bounds.height + 2 * paddingY, MIN_CANVAS_HEIGHT);
 
-    // Center the viewBox on the components
+    // Center the viewBox on the bounds
     const centerX = bounds.x + bounds.width / 2;
     const centerY = bounds.y + bounds.height / 2;
 
-    this.currentViewBox = {
+    return {
       x: centerX - viewBoxWidth / 2,
       y: centerY - viewBoxHeight / 2,
       width: viewBoxWidth,
       height: viewBoxHeight
     };
+  }
 
+  centerAllComponents() {
+    this.stopAnimation();
+    this.currentViewBox = this.getViewBoxForBounds(this.calculateComponentsBounds());
     this.updateViewBox();
   }
 
@@ -116,6 +133,9 @@ export class CanvasManager {
     this.drawGrid();
     
     console.log(`Canvas: Updated viewBox to ${viewBox}`);
+
+    // Zoom indicator and minimap follow the view
+    document.dispatchEvent(new CustomEvent('view-changed'));
   }
 
   getCurrentViewBox() {
@@ -123,21 +143,120 @@ export class CanvasManager {
   }
 
   setViewBox(viewBox) {
+    this.stopAnimation();
     this.currentViewBox = { ...viewBox };
     this.updateViewBox();
   }
 
+  /**
+   * Move to a viewBox, easing over ZOOM_ANIMATION_MS unless animate is false
+   * or the user prefers reduced motion. Panning or zooming meanwhile stops
+   * the animation where it is.
+   */
+  animateViewBox(target, animate = true) {
+    const reduceMotion = window.matchMedia?.('(prefers-reduced-motion: reduce)').matches;
+    if (!animate || reduceMotion) {
+      this.setViewBox(target);
+      return;
+    }
+
+    this.stopAnimation();
+    const start = { ...this.currentViewBox };
+    const startTime = performance.now();
+    const step = (now) => {
+      const t = Math.min(1, (now - startTime) / ZOOM_ANIMATION_MS);
+      const eased = t < 0.5 ? 2 * t * t : 1 - Math.pow(-2 * t + 2, 2) / 2;
+      ['x', 'y', 'width', 'height'].forEach(key => {
+        this.currentViewBox[key] = start[key] + (target[key] - start[key]) * eased;
+      });
+      this.updateViewBox();
+      this.animationFrame = t < 1 ? requestAnimationFrame(step) : null;
+    };
+    this.animationFrame = requestAnimationFrame(step);
+  }
+
+  stopAnimation() {
+    if (this.animationFrame === null) return;
+    cancelAnimationFrame(this.animationFrame);
+    this.animationFrame = null;
+  }
+
   fitToComponents(animate = false) {
-    this.centerAllComponents();
+    this.animateViewBox(this.getViewBoxForBounds(this.calculateComponentsBounds()), animate);
+  }
+
+  /**
+   * Frame the selected components.
+   * @returns {boolean} false if nothing is selected
+   */
+  zoomToSelection(animate = false) {
+    const boxes = Array.from(componentManager.selectedIds)
+      .map(id => componentManager.getComponent(id))
+      .filter(Boolean)
+      .map(component => component.getBoundingBox());
+    if (boxes.length === 0) return false;
+
+    const minX = Math.min(...boxes.map(box => box.minX));
+    const minY = Math.min(...boxes.map(box => box.minY));
+    const bounds = {
+      x: minX,
+      y: minY,
+      width: Math.max(...boxes.map(box => box.maxX)) - minX,
+      height: Math.max(...boxes.map(box => box.maxY)) - minY
+    };
+    this.animateViewBox(this.getViewBoxForBounds(bounds), animate);
+    return true;
+  }
+
+  /**
+   * Screen pixels per canvas unit (1 = 100 %). The SVG keeps the viewBox
+   * aspect ratio, so the tighter of the two axes sets the scale.
+   */
+  getZoomLevel() {
+    const { clientWidth, clientHeight } = this.canvas;
+    if (!clientWidth || !clientHeight) return 1;
+    return Math.min(clientWidth / this.currentViewBox.width, clientHeight / this.currentViewBox.height);
+  }
+
+  /**
+   * The canvas area actually on screen: the viewBox, widened on one axis when
+   * its aspect ratio differs from the canvas element's.
+   */
+  getVisibleArea() {
+    const zoom = this.getZoomLevel();
+    const { x, y, width, height } = this.currentViewBox;
+    const visibleWidth = (this.canvas.clientWidth || width * zoom) / zoom;
+    const visibleHeight = (this.canvas.clientHeight || height * zoom) / zoom;
+    return {
+      x: x + (width - visibleWidth) / 2,
+      y: y + (height - visibleHeight) / 2,
+      width: visibleWidth,
+      height: visibleHeight
+    };
+  }
+
+  /** Zoom to 100 % (one canvas unit per screen pixel) around the view center. */
+  resetZoom(animate = false) {
+    const { clientWidth, clientHeight } = this.canvas;
+    if (!clientWidth || !clientHeight) return;
+    const { x, y, width, height } = this.currentViewBox;
+    this.animateViewBox({
+      x: x + (width - clientWidth) / 2,
+      y: y + (height - clientHeight) / 2,
+      width: clientWidth,
+      height: clientHeight
+    }, animate);
   }
 
   pan(deltaX, deltaY) {
+    this.stopAnimation();
     this.currentViewBox.x += deltaX;
     this.currentViewBox.y += deltaY;
     this.updateViewBox();
   }
 
   zoom(zoomFactor, center = null) {
+    this.stopAnimation();
     const centerX = center ? center.x : this.currentViewBox.x + this.currentViewBox.width / 2;
     const centerY = center ? center.y : this.currentViewBox.y + this.currentViewBox.height / 2;
 
@@ -220,6 +339,46 @@ export class CanvasManager {
       line.setAttribute('stroke-width', '1');
       this.gridGroup.appendChild(line);
     }
+
+    this.drawGridLabels();
+  }
+
+  // Label grid lines in physical units along the top and left viewBox edges
+  drawGridLabels() {
+    const { x: vbX, y: vbY, width: vbWidth, height: vbHeight } = this.currentViewBox;
+    const fontSize = vbWidth * GRID_LABEL_FONT_RATIO;
+    const minSpacing = fontSize * GRID_LABEL_MIN_SPACING;
+
+    let labelStep = GRID_SIZE;
+    for (const multiple of GRID_LABEL_MULTIPLES) {
+      labelStep = GRID_SIZE * multiple;
+      if (labelStep >= minSpacing) break;
+    }
+
+    const ns = 'http://www.w3.org/2000/svg';
+    const addLabel = (x, y, text, anchor) => {
+      const label = document.createElementNS(ns, 'text');
+      label.setAttribute('x', x);
+      label.setAttribute('y', y);
+      label.setAttribute('text-anchor', anchor);
+      label.setAttribute('font-family', 'Arial, sans-serif');
+      label.setAttribute('font-size', fontSize);
+      label.setAttribute('fill', GRID_LABEL_COLOR);
+      label.textContent = text;
+      this.gridGroup.appendChild(label);
+    };
+
+    const padding = fontSize * 0.3;
+
+    // Column labels (x) along the top edge
+    for (let x = Math.ceil(vbX / labelStep) * labelStep; x <= vbX + vbWidth; x += labelStep) {
+      addLabel(x + padding, vbY + fontSize, units.formatCompact(x), 'start');
+    }
+
+    // Row labels (y) along the left edge, skipping the row under the column labels
+    for (let y = Math.ceil((vbY + fontSize * 2) / labelStep) * labelStep; y <= vbY + vbHeight; y += labelStep) {
+      addLabel(vbX + padding, y - padding, units.formatCompact(y), 'start');
+    }
   }
 
   toggleGrid() {
@@ -0,0 +1,145 @@
+/**
+ * EmbeddedComponentsDialog.js
+ * ---------------------------
+ * <dialog> shown by File → Import JSON when the schematic file carries user
+ * component definitions (see Fileio.js) that are not installed as-is in this
+ * browser. Each definition gets one choice:
+ *
+ *   new        → Install / Skip
+ *   conflict   → Keep mine / Replace mine / Keep both (a local definition
+ *                with the same key exists but differs; "keep both"
+ *                installs the file's version under a new key)
+ *
+ * The dialog only collects the choices; Fileio.js applies them.
+ */
+
+/** @type {HTMLDialogElement|null} */
+let dialog = null;
+
+const NEW_CHOICES = [
+    ['install', 'Install'],
+    ['skip', 'Skip'],
+];
+
+const CONFLICT_CHOICES = [
+    ['keep', 'Keep mine'],
+    ['replace', 'Replace mine'],
+    ['copy', 'Keep both'],
+];
+
+// ---------------------------------------------------------------------------
+// Public API
+// ---------------------------------------------------------------------------
+
+/**
+ * Ask what to do with the definitions embedded in a schematic file.
+ *
+ * @param {{ def: object, status: 'new'|'conflict' }[]} entries
+ * @returns {Promise<Map<string, string>|null>} choice per definition key,
+ *   or null if the import was cancelled
+ */
+export function openEmbeddedComponentsDialog(entries) {
+    if (!dialog) {
+        dialog = document.getElementById('embedded-components-dialog');
+    }
+    if (!dialog) {
+        console.error('[EmbeddedComponentsDialog] #embedded-components-dialog not found in DOM');
+        return Promise.resolve(null);
+    }
+
+    return new Promise(resolve => {
+        const finish = (choices) => {
+            dialog.removeEventListener('cancel', onCancel);
+            if (dialog.open) dialog.close();
+            resolve(choices);
+        };
+        const onCancel = () => finish(null);   // Escape key
+        dialog.addEventListener('cancel', onCancel);
+
+        _render(entries, finish);
+        dialog.showModal();
+    });
+}
+
+// ---------------------------------------------------------------------------
+// Rendering
+// ---------------------------------------------------------------------------
+
+function _render(entries, finish) {
+    while (dialog.firstChild) dialog.removeChild(dialog.firstChild);
+
+    const wrap = _el('div', { className: 'scd-phase' });
+
+    const header = _el('div', { className: 'scd-header-row' });
+    header.appendChild(_el('h3', { className: 'scd-title', textContent: 'Components in this File' }));
+    wrap.appendChild(header);
+
+    const conflicts = entries.filter(entry => entry.status === 'conflict').length;
+    wrap.appendChild(_el('div', {
+        className: 'ud-note',
+        textContent: conflicts > 0
+            ? 'The schematic uses user components. Some differ from the ones with the same name in this browser.'
+            : 'The schematic uses user components that are not installed in this browser.'
+    }));
+
+    const selects = new Map();
+    entries.forEach(({ def, status }) => {
+        const choices = status === 'conflict' ? CONFLICT_CHOICES : NEW_CHOICES;
+        const select = _select(`ecd-${selects.size}`, choices, choices[0][0]);
+        const label = `${def.label || def.key}${status === 'conflict' ? ' (differs)' : ''}`;
+        const row = _row(label, select);
+        row.title = def.key;
+        wrap.appendChild(row);
+        selects.set(def.key, select);
+    });
+
+    // ── Buttons ─────────────────────────────────────────────────────────────
+    const btnRow = _el('div', { className: 'scd-btn-row' });
+
+    const cancelBtn = _el('button', { className: 'scd-btn scd-btn-secondary', textContent: 'Cancel Import' });
+    cancelBtn.addEventListener('click', () => finish(null));
+
+    const continueBtn = _el('button', { className: 'scd-btn scd-btn-primary', textContent: 'Continue' });
+    continueBtn.addEventListener('click', () => {
+        const choices = new Map();
+        selects.forEach((select, key) => choices.set(key, select.value));
+        finish(choices);
+    });
+
+    btnRow.appendChild(cancelBtn);
+    btnRow.appendChild(continueBtn);
+    wrap.appendChild(btnRow);
+
+    dialog.appendChild(wrap);
+}
+
+// ---------------------------------------------------------------------------
+// Helpers
+// ---------------------------------------------------------------------------
+
+function _select(id, options, selectedValue) {
+    const select = _el('select', { className: 'scd-input', id });
+    options.forEach(([value, label]) => {
+        const option = _el('option', { value, textContent: label });
+        if (value === selectedValue) option.selected = true;
+        select.appendChild(option);
+    });
+    return select;
+}
+
+function _row(labelText, control) {
+    const row = _el('div', { className: 'ud-row' });
+    row.appendChild(_el('label', { textContent: labelText, htmlFor: control.id }));
+    row.appendChild(control);
+    return row;
+}
+
+function _el(tag, props = {}) {
+    const el = document.createElement(tag);
+    for (const [k, v] of Object.entries(props)) {
+        if (k === 'textContent') el.textContent = v;
+        else if (k === 'className') el.className = v;
+        else el.setAttribute(k === 'htmlFor' ? 'for' : k, v);
+    }
+    return el;
+}
@@ -0,0 +1,150 @@
+/**
+ * ExportImageDialog.js
+ * --------------------
+ * <dialog> for File → Export Image / PDF: picks the format (PNG, JPEG, TIFF
+ * or vector PDF), the resolution for raster formats and the background, then
+ * hands off to Fileio.js. All formats reuse the tight-bounds export SVG.
+ *
+ * The last choices are remembered for the session.
+ */
+
+import { exportCanvasRaster, exportCanvasPDF } from './Fileio.js';
+import { EXPORT_DPI_OPTIONS, DEFAULT_EXPORT_DPI } from './config.js';
+
+/** @type {HTMLDialogElement|null} */
+let dialog = null;
+
+/** Choices carried over between openings. */
+const state = {
+    format: 'png',          // 'png' | 'jpeg' | 'tiff' | 'pdf'
+    dpi: DEFAULT_EXPORT_DPI,
+    background: 'white',    // 'white' | 'transparent'
+};
+
+// ---------------------------------------------------------------------------
+// Public API
+// ---------------------------------------------------------------------------
+
+/**
+ * Open the export image / PDF dialog.
+ */
+export function openExportImageDialog() {
+    if (!dialog) {
+        dialog = document.getElementById('export-image-dialog');
+    }
+    if (!dialog) {
+        console.error('[ExportImageDialog] #export-image-dialog not found in DOM');
+        return;
+    }
+
+    _render();
+    dialog.showModal();
+}
+
+// ---------------------------------------------------------------------------
+// Rendering
+// ---------------------------------------------------------------------------
+
+function _render() {
+    while (dialog.firstChild) dialog.removeChild(dialog.firstChild);
+
+    const wrap = _el('div', { className: 'scd-phase' });
+
+    const header = _el('div', { className: 'scd-header-row' });
+    header.appendChild(_el('h3', { className: 'scd-title', textContent: 'Export Image / PDF' }));
+    wrap.appendChild(header);
+
+    // ── Format ──────────────────────────────────────────────────────────────
+    const formatSelect = _select('ed-format', [
+        ['png', 'PNG'],
+        ['jpeg', 'JPEG'],
+        ['tiff', 'TIFF (uncompressed)'],
+        ['pdf', 'PDF (vector, via print dialog)']
+    ], state.format);
+    wrap.appendChild(_row('Format', formatSelect));
+
+    // ── Resolution ──────────────────────────────────────────────────────────
+    const dpiSelect = _select('ed-dpi', EXPORT_DPI_OPTIONS.map(dpi => [String(dpi), `${dpi} DPI`]), String(state.dpi));
+    const dpiRow = _row('Resolution', dpiSelect);
+    wrap.appendChild(dpiRow);
+
+    // ── Background ──────────────────────────────────────────────────────────
+    const backgroundSelect = _select('ed-background', [
+        ['white', 'White'],
+        ['transparent', 'Transparent']
+    ], state.background);
+    wrap.appendChild(_row('Background', backgroundSelect));
+
+    const note = _el('div', { className: 'ud-note' });
+    wrap.appendChild(note);
+
+    // Resolution only applies to raster formats; JPEG cannot be transparent
+    const syncControls = () => {
+        const format = formatSelect.value;
+        dpiRow.style.display = format === 'pdf' ? 'none' : '';
+        backgroundSelect.disabled = format === 'jpeg';
+        if (format === 'jpeg') backgroundSelect.value = 'white';
+        note.textContent = format === 'pdf'
+            ? 'Choose "Save as PDF" as the printer in the print dialog.'
+            : '';
+    };
+    formatSelect.addEventListener('change', syncControls);
+    syncControls();
+
+    // ── Buttons ─────────────────────────────────────────────────────────────
+    const btnRow = _el('div', { className: 'scd-btn-row' });
+
+    const cancelBtn = _el('button', { className: 'scd-btn scd-btn-secondary', textContent: 'Cancel' });
+    cancelBtn.addEventListener('click', () => dialog.close());
+
+    const exportBtn = _el('button', { className: 'scd-btn scd-btn-primary', textContent: 'Export' });
+    exportBtn.addEventListener('click', () => {
+        state.format = formatSelect.value;
+        state.dpi = parseInt(dpiSelect.value, 10);
+        state.background = backgroundSelect.value;
+        dialog.close();
+
+        if (state.format === 'pdf') {
+            exportCanvasPDF({ background: state.background });
+        } else {
+            exportCanvasRaster({ format: state.format, dpi: state.dpi, background: state.background });
+        }
+    });
+
+    btnRow.appendChild(cancelBtn);
+    btnRow.appendChild(exportBtn);
+    wrap.appendChild(btnRow);
+
+    dialog.appendChild(wrap);
+}
+
+// ---------------------------------------------------------------------------
+// Helpers
+// ---------------------------------------------------------------------------
+
+function _select(id, options, selectedValue) {
+    const select = _el('select', { className: 'scd-input', id });
+    options.forEach(([value, label]) => {
+        const option = _el('option', { value, textContent: label });
+        if (value === selectedValue) option.selected = true;
+        select.appendChild(option);
+    });
+    return select;
+}
+
+function _row(labelText, control) {
+    const row = _el('div', { className: 'ud-row' });
+    row.appendChild(_el('label', { textContent: labelText, htmlFor: control.id }));
+    row.appendChild(control);
+    return row;
+}
+
+function _el(tag, props = {}) {
+    const el = document.createElement(tag);
+    for (const [k, v] of Object.entries(props)) {
+        if (k === 'textContent') el.textContent = v;
+        else if (k === 'className') el.className = v;
+        else el.setAttribute(k === 'htmlFor' ? 'for' : k, v);
+    }
+    return el;
+}
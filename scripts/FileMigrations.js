@@ -0,0 +1,265 @@
+/**
+ * FileMigrations.js - Upgrades older schematic and user-component files
+ *
+ * Every file format change bumps FILE_VERSION and adds a step to the
+ * matching MIGRATIONS table that turns a version N payload into version N+1.
+ * Loading runs the steps in order until the payload is current, so files
+ * from any earlier version keep opening. Each step records what it changed
+ * in plain words for the user, and flags the notes where the upgraded file
+ * differs from the original (renamed types, dropped settings) so they are
+ * shown even when routine notes are not. Files from a newer version are
+ * refused.
+ *
+ * Version 0 is the format before versioned files: a bare
+ * `{ components, actions, nextPosition }` object for schematics (the files in
+ * examples/), and a bare array of definitions for user components.
+ *
+ * Pure data transforms (no DOM; only the built-in definitions of
+ * ComponentLibrary.js are read), so they also run under Node.
+ */
+
+import { components as componentLibrary } from './components/ComponentLibrary.js';
+
+export const SCHEMATIC_SCHEMA = 'schematics-builder.schematic';
+export const USER_COMPONENTS_SCHEMA = 'schematics-builder.user-components';
+export const FILE_VERSION = 1;
+
+/**
+ * Component types of version 0 files that were renamed or merged into
+ * another type since.
+ */
+const LEGACY_TYPE_NAMES = {
+  'lens2': 'lens',
+  'lens3': 'lens',
+  'objective3': 'objective',
+  'wedge-prism2': 'wedge-prism',
+  'voice-coil-mirror2': 'galvo-mirror',
+  'photo-diode': 'detector',
+  'plate': 'waveplate'
+};
+
+// Sizes within this fraction of the current artwork are kept at scale 1
+const LEGACY_SCALE_TOLERANCE = 0.02;
+
+/**
+ * Scale that draws a renamed type's current artwork at the size the version 0
+ * file had the old one. Only the height counts: it runs along the aperture
+ * (upVector) for every built-in type, while legacy widths and the sizes of
+ * types that kept their name are hit areas rather than artwork (a lens is
+ * 10 wide in some files and 60 in others, a 60 cube is 84 × 84).
+ */
+function getLegacyScale(type, dimensions) {
+  const bounds = componentLibrary[type]?.localBounds;
+  const height = bounds ? bounds.maxY - bounds.minY : 0;
+  if (!Number.isFinite(dimensions.height) || dimensions.height <= 0 || height <= 0) return 1;
+  const scale = Math.round(dimensions.height / height * 100) / 100;
+  return Math.abs(scale - 1) <= LEGACY_SCALE_TOLERANCE ? 1 : scale;
+}
+
+// ─── Schematic steps ────────────────────────────────────────────────────────
+
+/** Version 0 → 1: legacy component list to a scene snapshot. */
+function migrateSchematicV0(data, note) {
+  const legacy = data.components.filter(item => item && Number.isInteger(item.id));
+  const ids = new Set(legacy.map(item => item.id));
+  const renamed = new Map(); // "legacy→type@scale" → { legacyType, type, scale }
+  let droppedLinks = 0;
+  let multiColor = 0;
+  let diffractive = 0;
+
+  const components = legacy.map(item => {
+    const dimensions = item.dimensions || {};
+    const type = LEGACY_TYPE_NAMES[item.type] ?? item.type;
+    const scale = type !== item.type ? getLegacyScale(type, dimensions) : 1;
+    if (type !== item.type) {
+      renamed.set(`${item.type}→${type}@${scale}`, { legacyType: item.type, type, scale });
+    }
+
+    const parent = item.parentId !== null && item.parentId !== undefined && ids.has(item.parentId)
+      ? item.parentId
+      : null;
+    if (parent === null && item.parentId !== null && item.parentId !== undefined) droppedLinks++;
+    const children = (item.children || []).filter(childId => ids.has(childId));
+
+    droppedLinks += (item.children || []).length - children.length;
+
+    // Ray settings were kept per outgoing beam; the first one is the component's own
+    const first = value => (Array.isArray(value) ? value[0] : value);
+    if (Array.isArray(item.rayPolygonColor) && item.rayPolygonColor.length > 1) multiColor++;
+    const rayPolygonColor = first(item.rayPolygonColor) || '#00ffff';
+
+    // Diffraction orders did not exist: the file drew one beam per child from
+    // the main aperture, so keep order 0 only (no stubs for unbound orders)
+    const diffraction = componentLibrary[type]?.diffraction;
+    if (diffraction) diffractive++;
+
+    return {
+      mapId: item.id,
+      type,
+      x: item.posX ?? 0,
+      y: item.posY ?? 0,
+      rotation: item.rotation ?? 0,
+      scale,
+      visible: item.visible ?? true,
+      flipX: !!item.flipX,
+      flipY: !!item.flipY,
+      // Legacy arrows were stored as the world position of the tip
+      arrowVector: Number.isFinite(item.arrowX) && Number.isFinite(item.arrowY)
+        ? { x: item.arrowX - (item.posX ?? 0), y: item.arrowY - (item.posY ?? 0) }
+        : null,
+      upVector: dimensions.upVector ? { x: dimensions.upVector.x, y: dimensions.upVector.y } : null,
+      parent,
+      parentPort: null,
+      extraLinks: [],
+      children,
+      isGrouped: false,
+      groupMembers: [],
+      rayShape: first(item.rayShape) || dimensions.rayShape || 'collimated',
+      rayPolygonColor,
+      rayColorInheritFromParent: false,
+      rayGradientEnabled: !!first(item.gradientEnabled),
+      rayPolygonColor2: first(item.rayPolygonColor2) || rayPolygonColor,
+      apertureRadius: dimensions.apertureRadius ?? 15,
+      coneAngle: dimensions.coneAngle ?? 0,
+      diffraction: diffraction ? { maxOrder: 0, angle: diffraction.angle } : null
+    };
+  });
+
+  const maxId = components.reduce((max, component) => Math.max(max, component.mapId), -1);
+  const nextPosition = data.nextPosition && Number.isFinite(data.nextPosition.x) && Number.isFinite(data.nextPosition.y)
+    ? { x: data.nextPosition.x, y: data.nextPosition.y }
+    : { x: 0, y: 0 };
+
+  note(`Converted ${components.length} component(s) from the original file format.`);
+  renamed.forEach(({ legacyType, type, scale }) => {
+    const size = scale !== 1 ? `, drawn at ${scale}× to keep its original height` : '';
+    note(`Component type "${legacyType}" is now "${type}" (different artwork${size}).`, { approximate: true });
+  });
+  if (diffractive > 0) {
+    note(`${diffractive} grating(s) / DOE(s) emit order 0 only, as in the original file; raise Highest Order in the ray panel to fan out.`);
+  }
+  if (multiColor > 0) {
+    note(`${multiColor} component(s) had several ray colors; each keeps its first color.`, { approximate: true });
+  }
+  if (droppedLinks > 0) {
+    note(`Removed ${droppedLinks} link(s) to components missing from the file.`, { approximate: true });
+  }
+  if (Array.isArray(data.actions) && data.actions.length > 0) {
+    note('The saved action log is not kept; undo history starts with the opened file.');
+  }
+
+  return {
+    schema: SCHEMATIC_SCHEMA,
+    version: 1,
+    metadata: {},
+    snapshot: {
+      idCounter: maxId + 1,
+      compositeInstanceCounter: 0,
+      currentId: null,
+      selectedIds: [],
+      nextPosition,
+      components
+    }
+  };
+}
+
+/** MIGRATIONS[n] upgrades a version n payload to version n + 1. */
+const SCHEMATIC_MIGRATIONS = {
+  0: migrateSchematicV0
+};
+
+// ─── User component steps ───────────────────────────────────────────────────
+
+/** Version 0 → 1: bare definition array to a user components file. */
+function migrateUserComponentsV0(data, note) {
+  const components = data.map(def => {
+    if (!def || typeof def !== 'object' || def.isComposite !== undefined) return def;
+    return Array.isArray(def.members) ? { ...def, isComposite: true } : def;
+  });
+  note(`Converted ${components.length} definition(s) from the original file format.`);
+  return {
+    schema: USER_COMPONENTS_SCHEMA,
+    version: 1,
+    metadata: {},
+    components
+  };
+}
+
+const USER_COMPONENTS_MIGRATIONS = {
+  0: migrateUserComponentsV0
+};
+
+// ─── Pipeline ───────────────────────────────────────────────────────────────
+
+/**
+ * Steps report through note(text, { approximate }): approximate marks a
+ * change after which the file no longer looks or behaves exactly as saved.
+ */
+function runMigrations(data, version, migrations, kind) {
+  const changes = [];
+  let approximated = false;
+  const note = (text, { approximate = false } = {}) => {
+    changes.push(text);
+    if (approximate) approximated = true;
+  };
+
+  let payload = data;
+  for (let current = version; current < FILE_VERSION; current++) {
+    const step = migrations[current];
+    if (!step) throw new Error(`No upgrade from ${kind} version ${current} to ${current + 1}.`);
+    payload = step(payload, note);
+    payload.version = current + 1;
+  }
+  return { data: payload, changes, approximated, fromVersion: version };
+}
+
+function checkVersion(version, kind) {
+  if (!Number.isInteger(version) || version < 1) {
+    throw new Error(`Unsupported ${kind} version: ${version ?? 'missing'}.`);
+  }
+  if (version > FILE_VERSION) {
+    throw new Error(`This ${kind} file was saved by a newer version of the app (file version ${version}, this app reads up to ${FILE_VERSION}). Reload the app to update it.`);
+  }
+}
+
+/**
+ * Bring a parsed schematic file up to FILE_VERSION.
+ * @param {*} data - parsed JSON
+ * @returns {{ data: object, changes: string[], approximated: boolean, fromVersion: number }}
+ *   upgraded payload (a new object when steps ran), what the steps changed,
+ *   and whether any change is an approximation of the original
+ * @throws {Error} for other files, unknown or newer versions
+ */
+export function migrateSchematicPayload(data) {
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    throw new Error('Schematic file must contain a JSON object.');
+  }
+  if (data.schema === undefined && data.version === undefined && Array.isArray(data.components)) {
+    return runMigrations(data, 0, SCHEMATIC_MIGRATIONS, 'schematic');
+  }
+  if (data.schema !== SCHEMATIC_SCHEMA) {
+    throw new Error(`Unsupported schematic schema: ${data.schema || 'missing'}.`);
+  }
+  checkVersion(data.version, 'schematic');
+  return runMigrations(data, data.version, SCHEMATIC_MIGRATIONS, 'schematic');
+}
+
+/**
+ * Bring a parsed user components file up to FILE_VERSION.
+ * @param {*} data - parsed JSON
+ * @returns {{ data: object, changes: string[], approximated: boolean, fromVersion: number }}
+ * @throws {Error} for other files, unknown or newer versions
+ */
+export function migrateUserComponentsPayload(data) {
+  if (Array.isArray(data)) {
+    return runMigrations(data, 0, USER_COMPONENTS_MIGRATIONS, 'user components');
+  }
+  if (!data || typeof data !== 'object') {
+    throw new Error('User components file must contain a JSON object.');
+  }
+  if (data.schema !== USER_COMPONENTS_SCHEMA) {
+    throw new Error(`Unsupported user components schema: ${data.schema || 'missing'}.`);
+  }
+  checkVersion(data.version, 'user components');
+  return runMigrations(data, data.version, USER_COMPONENTS_MIGRATIONS, 'user components');
+}
@@ -1,15 +1,26 @@
 import { canvas } from './Canvas.js';
 import { components as componentRegistry } from './components/ComponentLibrary.js';
 import { componentManager } from './components/index.js';
-import { exportUserComponents, importUserComponents } from './components/UserComponentStore.js';
+import { exportUserComponents, importUserComponents, getUserComponents } from './components/UserComponentStore.js';
+import { isCompositeEditActive } from './components/CompositeEditSession.js';
+import { getNestedCompositeKeys } from './components/CompositeNesting.js';
+import { openEmbeddedComponentsDialog } from './EmbeddedComponentsDialog.js';
 import { actionHistory } from './history/ActionHistory.js';
 import { captureSceneSnapshot, restoreSceneSnapshot } from './history/HistorySnapshots.js';
-import { showApertureRays } from './rays/ApertureRays.js';
+import { showApertureRays, rayTracingMode, setRayTracingMode } from './rays/ApertureRays.js';
 import { showTraceLines } from './rays/TraceLines.js';
+import { units } from './Units.js';
+import { showScaleBar, getScaleBarState, setScaleBarState } from './ScaleBar.js';
+import { setImageDpi, encodeTiff } from './utils/rasterUtils.js';
+import { CSS_PX_PER_INCH, MAX_RASTER_DIMENSION, MAX_RASTER_AREA, MAX_RASTER_AREA_IOS, JPEG_EXPORT_QUALITY } from './config.js';
+import {
+  SCHEMATIC_SCHEMA,
+  USER_COMPONENTS_SCHEMA,
+  FILE_VERSION,
+  migrateSchematicPayload,
+  migrateUserComponentsPayload
+} from './FileMigrations.js';
 
-const SCHEMATIC_SCHEMA = 'schematics-builder.schematic';
-const USER_COMPONENTS_SCHEMA = 'schematics-builder.user-components';
-const FILE_VERSION = 1;
 const SVG_NS = 'http://www.w3.org/2000/svg';
 
 // Setup filename editor to work like Google Docs/Slides
@@ -46,12 +57,16 @@ export function setupFilenameEditor() {
 
 export function setupFileActions() {
   const exportSchematicBtn = document.getElementById('export-schematic-btn');
+  const exportSchematicBundleBtn = document.getElementById('export-schematic-bundle-btn');
   const importSchematicBtn = document.getElementById('import-schematic-btn');
   const exportUserComponentsBtn = document.getElementById('export-user-components-btn');
   const importUserComponentsBtn = document.getElementById('import-user-components-btn');
   const exportSvgBtn = document.getElementById('export-svg-btn');
 
-  if (exportSchematicBtn) exportSchematicBtn.addEventListener('click', exportSchematicJSON);
+  if (exportSchematicBtn) exportSchematicBtn.addEventListener('click', () => exportSchematicJSON());
+  if (exportSchematicBundleBtn) {
+    exportSchematicBundleBtn.addEventListener('click', () => exportSchematicJSON({ embedComponents: true }));
+  }
   if (importSchematicBtn) importSchematicBtn.addEventListener('click', importSchematicJSON);
   if (exportUserComponentsBtn) exportUserComponentsBtn.addEventListener('click', exportUserComponentsJSON);
   if (importUserComponentsBtn) importUserComponentsBtn.addEventListener('click', importUserComponentsJSON);
@@ -71,8 +86,15 @@ export function setFilename(filename) {
   }
 }
 
-export function buildSchematicPayload() {
-  return {
+/**
+ * @param {object} [options]
+ * @param {boolean} [options.embedComponents=false] - include the user component
+ *   definitions the scene uses (`userComponents`), so the file opens in a
+ *   browser that does not have them
+ */
+export function buildSchematicPayload({ embedComponents = false } = {}) {
+  const snapshot = captureSceneSnapshot();
+  const payload = {
     schema: SCHEMATIC_SCHEMA,
     version: FILE_VERSION,
     metadata: {
@@ -82,41 +104,134 @@ export function buildSchematicPayload() {
     canvas: {
       viewBox: canvas.getCurrentViewBox()
     },
-    snapshot: captureSceneSnapshot()
+    rays: {
+      tracingMode: rayTracingMode
+    },
+    units: {
+      ...units.toJSON(),
+      scaleBar: getScaleBarState()
+    },
+    snapshot
   };
+  if (embedComponents) payload.userComponents = collectUsedUserComponents(snapshot);
+  return payload;
 }
 
-export function exportSchematicJSON() {
-  const payload = buildSchematicPayload();
+export function exportSchematicJSON({ embedComponents = false } = {}) {
+  if (isCompositeEditActive()) {
+    alert('Save or discard the composite you are editing before exporting the schematic.');
+    return;
+  }
+  const payload = buildSchematicPayload({ embedComponents });
   downloadTextFile(
     `${sanitizeFilename(payload.metadata.filename)}.json`,
     JSON.stringify(payload, null, 2),
     'application/json'
   );
+  document.dispatchEvent(new CustomEvent('schematic-saved'));
 }
 
 export async function importSchematicJSON() {
+  if (isCompositeEditActive()) {
+    alert('Save or discard the composite you are editing before importing a schematic.');
+    return;
+  }
   try {
     const file = await pickFile('.json,application/json');
     if (!file) return;
 
-    const data = JSON.parse(await file.text());
-    validateSchematicPayload(data);
-    validateCompositeDependencies(data.snapshot);
+    const loaded = await loadSchematicPayload(JSON.parse(await file.text()));
+    // The scene now matches a file on disk
+    if (loaded) document.dispatchEvent(new CustomEvent('schematic-saved'));
+  } catch (error) {
+    console.error('[Fileio] Failed to import schematic:', error);
+    alert(`Failed to import schematic: ${error.message}`);
+  }
+}
 
-    if (data.metadata && data.metadata.filename) {
-      setFilename(data.metadata.filename);
-    }
+/**
+ * Replace the scene with a parsed schematic file: upgrades older versions,
+ * offers to install embedded user components, checks dependencies, then
+ * restores canvas, rays, units and the snapshot and clears the undo history.
+ * Used by Import JSON, gallery examples and autosave recovery.
+ *
+ * @param {object} raw - parsed schematic JSON
+ * @param {object} [options]
+ * @param {boolean} [options.reportChanges=true] - show the upgrade notes in
+ *   an alert even if nothing was approximated (they are always logged, and
+ *   always shown when a type was renamed or a setting dropped)
+ * @returns {Promise<boolean>} false if the user cancelled
+ * @throws {Error} if the file cannot be loaded (the scene is left unchanged)
+ */
+export async function loadSchematicPayload(raw, { reportChanges = true } = {}) {
+  const { data, changes, approximated } = validateSchematicPayload(raw);
+  let toImport = [];
+  if (Array.isArray(data.userComponents) && data.userComponents.length > 0) {
+    toImport = await chooseEmbeddedComponents(data);
+    if (!toImport) return false;
+  }
+  // Check against the chosen definitions before any of them reaches localStorage
+  const lookup = { ...componentRegistry };
+  toImport.forEach(def => { lookup[def.key] = def; });
+  validateCompositeDependencies(data.snapshot, lookup);
+  if (toImport.length > 0) {
+    const count = importUserComponents(toImport);
+    console.log(`[Fileio] Installed ${count} user component(s) from the schematic.`);
+  }
 
-    if (data.canvas && isValidViewBox(data.canvas.viewBox)) {
-      canvas.setViewBox(data.canvas.viewBox);
-    }
+  if (data.metadata && data.metadata.filename) {
+    setFilename(data.metadata.filename);
+  }
+
+  const hasViewBox = data.canvas && isValidViewBox(data.canvas.viewBox);
+  if (hasViewBox) {
+    canvas.setViewBox(data.canvas.viewBox);
+  }
 
-    restoreSceneSnapshot(data.snapshot);
-    actionHistory.clear();
+  // Files saved before paraxial tracing existed have no rays section → illustrative
+  setRayTracingMode(data.rays?.tracingMode);
+
+  // Files saved before physical units existed have no units section → 1 px per mm, no scale bar
+  units.fromJSON(data.units);
+  setScaleBarState(data.units?.scaleBar);
+  canvas.drawGrid();
+  document.dispatchEvent(new CustomEvent('units-changed'));
+
+  restoreSceneSnapshot(data.snapshot);
+  // Legacy files (the examples) carry no view: frame the components
+  if (!hasViewBox) canvas.centerAllComponents();
+  actionHistory.clear();
+  reportMigration('schematic', changes, { alertUser: reportChanges || approximated });
+  return true;
+}
+
+/**
+ * Load one of the files in examples/ (the gallery's Import buttons). The
+ * examples are in the original file format and are upgraded on the way in
+ * (the notes are shown only if the upgrade had to approximate something);
+ * the filename comes from the example's name.
+ * @param {string} filename - file name inside examples/, e.g. "Bohm_et_al_nc2024.json"
+ * @returns {Promise<boolean>} true if the example was loaded
+ */
+export async function importExampleSchematic(filename) {
+  if (typeof filename !== 'string' || !/^[\w.-]+\.json$/.test(filename)) {
+    console.error(`[Fileio] Invalid example name: ${filename}`);
+    return false;
+  }
+  try {
+    const response = await fetch(`examples/${filename}`);
+    if (!response.ok) throw new Error(`examples/${filename} could not be fetched (HTTP ${response.status}).`);
+    const raw = await response.json();
+    const loaded = await loadSchematicPayload(raw, { reportChanges: false });
+    if (!loaded) return false;
+    if (!raw.metadata?.filename) setFilename(filename.replace(/\.json$/, '').replace(/_/g, ' '));
+    document.dispatchEvent(new CustomEvent('schematic-saved'));
+    console.log(`[Fileio] Loaded example ${filename}`);
+    return true;
   } catch (error) {
-    console.error('[Fileio] Failed to import schematic:', error);
-    alert(`Failed to import schematic: ${error.message}`);
+    console.error(`[Fileio] Failed to load example ${filename}:`, error);
+    alert(`Failed to load example: ${error.message}`);
+    return false;
   }
 }
 
@@ -145,10 +260,10 @@ export async function importUserComponentsJSON() {
     const file = await pickFile('.json,application/json');
     if (!file) return;
 
-    const data = JSON.parse(await file.text());
-    validateUserComponentsPayload(data);
+    const { data, changes } = validateUserComponentsPayload(JSON.parse(await file.text()));
     const count = importUserComponents(data.components);
     console.log(`[Fileio] Imported ${count} user component(s).`);
+    reportMigration('user components', changes);
   } catch (error) {
     console.error('[Fileio] Failed to import user components:', error);
     alert(`Failed to import user components: ${error.message}`);
@@ -165,27 +280,151 @@ export function exportCanvasSVG() {
   }
 }
 
-function validateSchematicPayload(data) {
-  if (!data || typeof data !== 'object') {
-    throw new Error('Schematic file must contain a JSON object.');
+/**
+ * Render the export SVG to PNG, JPEG or TIFF at `dpi` (SVG px are CSS px,
+ * 96 per inch).
+ * @param {{ format: 'png'|'jpeg'|'tiff', dpi: number, background: 'transparent'|'white' }} options
+ */
+export async function exportCanvasRaster({ format, dpi, background }) {
+  try {
+    // JPEG has no alpha channel; transparent areas would turn black
+    const fill = background === 'white' || format === 'jpeg' ? '#ffffff' : null;
+    const { svgText, viewBox } = buildExportSVGDocument({ background: fill });
+
+    const scale = dpi / CSS_PX_PER_INCH;
+    const width = Math.round(viewBox.width * scale);
+    const height = Math.round(viewBox.height * scale);
+    if (width > MAX_RASTER_DIMENSION || height > MAX_RASTER_DIMENSION) {
+      throw new Error(`${width} × ${height} px is larger than the browser can render (max ${MAX_RASTER_DIMENSION} px per side). Choose a lower DPI.`);
+    }
+    const maxArea = getMaxRasterArea();
+    if (width * height > maxArea) {
+      const megapixels = value => Math.round(value / 1e6 * 10) / 10;
+      throw new Error(`${width} × ${height} px (${megapixels(width * height)} megapixels) is larger than this browser can render (max ${megapixels(maxArea)} megapixels). Choose a lower DPI.`);
+    }
+
+    const rasterCanvas = await renderSVGToCanvas(svgText, width, height);
+    const filename = sanitizeFilename(getFilename());
+    if (format === 'tiff') {
+      const { data } = rasterCanvas.getContext('2d').getImageData(0, 0, width, height);
+      const bytes = encodeTiff(data, width, height, dpi, { alpha: fill === null });
+      downloadBlob(`${filename}.tif`, new Blob([bytes], { type: 'image/tiff' }));
+      return;
+    }
+
+    const mimeType = format === 'jpeg' ? 'image/jpeg' : 'image/png';
+    const blob = await new Promise(resolve => rasterCanvas.toBlob(resolve, mimeType, JPEG_EXPORT_QUALITY));
+    if (!blob) throw new Error('The browser could not encode the image.');
+
+    const bytes = setImageDpi(new Uint8Array(await blob.arrayBuffer()), mimeType, dpi);
+    const extension = mimeType === 'image/jpeg' ? 'jpg' : 'png';
+    downloadBlob(`${filename}.${extension}`, new Blob([bytes], { type: mimeType }));
+  } catch (error) {
+    console.error('[Fileio] Failed to export image:', error);
+    alert(`Failed to export image: ${error.message}`);
   }
-  if (data.schema !== SCHEMATIC_SCHEMA) {
-    throw new Error(`Unsupported schematic schema: ${data.schema || 'missing'}.`);
+}
+
+/**
+ * Canvas pixel limit for this browser. Safari on iPhone and iPad allocates
+ * far smaller canvases than desktop browsers; iPadOS reports itself as a Mac.
+ */
+function getMaxRasterArea() {
+  const isIOS = /iPhone|iPad|iPod/.test(navigator.userAgent) ||
+    (navigator.platform === 'MacIntel' && navigator.maxTouchPoints > 1);
+  return isIOS ? MAX_RASTER_AREA_IOS : MAX_RASTER_AREA;
+}
+
+/**
+ * Small PNG preview of the schematic (same crop as the image export) for
+ * the autosave list.
+ * @param {number} maxSize - longer side in pixels
+ * @returns {Promise<string|null>} data URL, or null if it cannot be rendered
+ */
+export async function buildThumbnailDataURL(maxSize) {
+  try {
+    const { svgText, viewBox } = buildExportSVGDocument({ background: '#ffffff' });
+    const scale = maxSize / Math.max(viewBox.width, viewBox.height, 1);
+    const width = Math.max(1, Math.round(viewBox.width * scale));
+    const height = Math.max(1, Math.round(viewBox.height * scale));
+    const rasterCanvas = await renderSVGToCanvas(svgText, width, height);
+    return rasterCanvas.toDataURL('image/png');
+  } catch (error) {
+    console.error('[Fileio] Failed to render thumbnail:', error);
+    return null;
   }
-  if (data.version !== FILE_VERSION) {
-    throw new Error(`Unsupported schematic version: ${data.version || 'missing'}.`);
+}
+
+/**
+ * Vector PDF via the browser's print dialog ("Save as PDF"): the export SVG
+ * is placed on a page sized to its tight bounds, so no PDF library is needed.
+ * @param {{ background: 'transparent'|'white' }} options
+ */
+export function exportCanvasPDF({ background }) {
+  try {
+    const fill = background === 'white' ? '#ffffff' : null;
+    const { svgText, viewBox } = buildExportSVGDocument({ background: fill });
+    const widthIn = viewBox.width / CSS_PX_PER_INCH;
+    const heightIn = viewBox.height / CSS_PX_PER_INCH;
+
+    const printWindow = window.open('', '_blank');
+    if (!printWindow) throw new Error('The print window was blocked. Allow pop-ups for this page and try again.');
+
+    const title = getFilename().replace(/[<>&]/g, '_');
+    printWindow.document.write(`<!DOCTYPE html>
+<html>
+<head>
+<title>${title}</title>
+<style>
+  @page { size: ${widthIn}in ${heightIn}in; margin: 0; }
+  html, body { margin: 0; padding: 0; }
+  svg { display: block; width: ${widthIn}in; height: ${heightIn}in; }
+</style>
+</head>
+<body>${svgText.replace(/^<\?xml[^>]*>\s*/, '')}</body>
+</html>`);
+    printWindow.document.close();
+    printWindow.addEventListener('afterprint', () => printWindow.close());
+    printWindow.focus();
+    printWindow.print();
+  } catch (error) {
+    console.error('[Fileio] Failed to export PDF:', error);
+    alert(`Failed to export PDF: ${error.message}`);
   }
+}
+
+/** Upgrade an older file (FileMigrations.js) and check the result. */
+function validateSchematicPayload(raw) {
+  const migration = migrateSchematicPayload(raw);
+  const data = migration.data;
   if (!data.snapshot || typeof data.snapshot !== 'object' || !Array.isArray(data.snapshot.components)) {
     throw new Error('Schematic file is missing a valid snapshot.components array.');
   }
+  return migration;
 }
 
-function validateCompositeDependencies(snapshot) {
+/**
+ * Throw unless every user component the snapshot uses, and every composite
+ * nested in those, is defined in `lookup`.
+ */
+function validateCompositeDependencies(snapshot, lookup = componentRegistry) {
   const missingKeys = new Set();
+  const checkedKeys = new Set();
 
   for (const component of snapshot.components || []) {
-    if (component && component.isCompositeInstance && component.compositeKey && !componentRegistry[component.compositeKey]) {
-      missingKeys.add(component.compositeKey);
+    if (!component) continue;
+    // Drawn (user) basic components
+    if (component.type && !lookup[component.type]) missingKeys.add(component.type);
+    if (!component.isCompositeInstance || !component.compositeKey) continue;
+    // Composites nested in this one are needed to edit or update it
+    for (const key of [component.compositeKey, ...(component.compositePath || [])]) {
+      if (checkedKeys.has(key)) continue;
+      checkedKeys.add(key);
+      if (!lookup[key]) {
+        missingKeys.add(key);
+        continue;
+      }
+      getNestedCompositeKeys(lookup[key], lookup).missing.forEach(missing => missingKeys.add(missing));
     }
   }
 
@@ -195,19 +434,123 @@ function validateCompositeDependencies(snapshot) {
   }
 }
 
-function validateUserComponentsPayload(data) {
-  if (!data || typeof data !== 'object') {
-    throw new Error('User components file must contain a JSON object.');
+/**
+ * Definitions (in export format) of the user components a snapshot uses:
+ * drawn basic types, composites, and whatever those composites contain.
+ */
+function collectUsedUserComponents(snapshot) {
+  const keys = new Set();
+  const pending = [];
+  for (const component of snapshot.components || []) {
+    pending.push(component.type);
+    if (component.compositeKey) pending.push(component.compositeKey, ...(component.compositePath || []));
   }
-  if (data.schema !== USER_COMPONENTS_SCHEMA) {
-    throw new Error(`Unsupported user components schema: ${data.schema || 'missing'}.`);
+
+  while (pending.length > 0) {
+    const key = pending.pop();
+    const def = componentRegistry[key];
+    if (!def || def.isBuiltIn !== false || keys.has(key)) continue;
+    keys.add(key);
+    if (def.isComposite) (def.members || []).forEach(member => pending.push(member.type));
   }
-  if (data.version !== FILE_VERSION) {
-    throw new Error(`Unsupported user components version: ${data.version || 'missing'}.`);
+
+  return exportUserComponents().filter(def => keys.has(def.key));
+}
+
+/**
+ * Ask which definitions embedded in a schematic file to install. Definitions
+ * identical to the local ones (and built-in keys) are passed over silently;
+ * the rest are listed with a choice each (EmbeddedComponentsDialog.js).
+ * "Keep both" installs the file's version under a new key and renames it in
+ * the other embedded definitions and in data.snapshot. Nothing is written:
+ * the caller installs the result once the snapshot has been checked.
+ *
+ * @returns {Promise<Object[]|null>} definitions to install, null if the user
+ *   cancelled the import
+ */
+async function chooseEmbeddedComponents(data) {
+  const localDefs = new Map(getUserComponents().map(def => [def.key, def]));
+  const entries = [];
+
+  for (const def of data.userComponents) {
+    if (!def || typeof def.key !== 'string' || !def.key) {
+      throw new Error('Embedded user components must be objects with a non-empty key.');
+    }
+    const existing = componentRegistry[def.key];
+    if (existing && existing.isBuiltIn !== false) {
+      console.warn(`[Fileio] Ignoring embedded component "${def.key}": the key belongs to a built-in component.`);
+      continue;
+    }
+    const local = existing ? localDefs.get(def.key) : null;
+    if (local && isSameDefinition(local, def)) continue;
+    entries.push({ def, status: local ? 'conflict' : 'new' });
   }
-  if (!Array.isArray(data.components)) {
+  if (entries.length === 0) return [];
+
+  const choices = await openEmbeddedComponentsDialog(entries);
+  if (!choices) return null;
+
+  const renames = new Map();
+  const toImport = [];
+  const takenKeys = new Set([...localDefs.keys(), ...data.userComponents.map(def => def.key)]);
+  entries.forEach(({ def }) => {
+    const choice = choices.get(def.key);
+    if (choice === 'install' || choice === 'replace') {
+      toImport.push(def);
+    } else if (choice === 'copy') {
+      const key = getUnusedKey(def.key, takenKeys);
+      takenKeys.add(key);
+      renames.set(def.key, key);
+      toImport.push({ ...def, key, label: `${def.label || def.key} (imported)` });
+    }
+  });
+
+  if (renames.size > 0) {
+    const rename = key => renames.get(key) ?? key;
+    toImport.forEach(def => {
+      if (Array.isArray(def.members)) def.members = def.members.map(member => ({ ...member, type: rename(member.type) }));
+    });
+    for (const component of data.snapshot.components) {
+      if (!component) continue;
+      component.type = rename(component.type);
+      if (component.compositeKey) component.compositeKey = rename(component.compositeKey);
+      if (Array.isArray(component.compositePath)) component.compositePath = component.compositePath.map(rename);
+    }
+  }
+
+  return toImport;
+}
+
+/** Compare two stored definitions regardless of property order. */
+function isSameDefinition(a, b) {
+  const canonical = def => JSON.stringify({ ...def, isBuiltIn: false }, (_key, value) =>
+    value && typeof value === 'object' && !Array.isArray(value)
+      ? Object.fromEntries(Object.keys(value).sort().map(key => [key, value[key]]))
+      : value);
+  return canonical(a) === canonical(b);
+}
+
+function getUnusedKey(key, takenKeys) {
+  let candidate = `${key}_copy`;
+  for (let n = 2; componentRegistry[candidate] || takenKeys.has(candidate); n++) {
+    candidate = `${key}_copy${n}`;
+  }
+  return candidate;
+}
+
+function validateUserComponentsPayload(raw) {
+  const migration = migrateUserComponentsPayload(raw);
+  if (!Array.isArray(migration.data.components)) {
     throw new Error('User components file is missing a components array.');
   }
+  return migration;
+}
+
+/** Tell the user what upgrading an older file changed. */
+function reportMigration(kind, changes, { alertUser = true } = {}) {
+  if (changes.length === 0) return;
+  changes.forEach(change => console.log(`[Fileio] Upgraded ${kind} file: ${change}`));
+  if (alertUser) alert(`This ${kind} file was saved by an older version and has been upgraded:\n\n- ${changes.join('\n- ')}\n\nExport it again to save it in the current format.`);
 }
 
 function isValidViewBox(viewBox) {
@@ -221,6 +564,15 @@ function isValidViewBox(viewBox) {
 }
 
 function buildExportSVG() {
+  return buildExportSVGDocument().svgText;
+}
+
+/**
+ * Build the presentation-only SVG with a tight viewBox.
+ * @param {{ background?: string|null }} options - Fill colour painted behind everything
+ * @returns {{ svgText: string, viewBox: {x, y, width, height} }}
+ */
+function buildExportSVGDocument({ background = null } = {}) {
   const sourceSvg = document.getElementById('canvas');
   if (!sourceSvg) throw new Error('Canvas SVG not found.');
 
@@ -237,12 +589,12 @@ function buildExportSVG() {
 
   if (showApertureRays) {
     clonePresentationGroup(sourceSvg, exportSvg, 'aperture-rays');
-    addElementBounds(bounds, document.getElementById('aperture-rays'));
+    addPresentationBounds(bounds, document.getElementById('aperture-rays'));
   }
 
   if (showTraceLines) {
     clonePresentationGroup(sourceSvg, exportSvg, 'trace-lines-group');
-    addElementBounds(bounds, document.getElementById('trace-lines-group'));
+    addPresentationBounds(bounds, document.getElementById('trace-lines-group'));
   }
 
   const schematicsClone = clonePresentationGroup(sourceSvg, exportSvg, 'schematics');
@@ -254,13 +606,66 @@ function buildExportSVG() {
   schematicsClone.querySelectorAll('.selected').forEach(el => el.classList.remove('selected'));
   addVisibleComponentBounds(bounds);
 
+  const annotationsClone = clonePresentationGroup(sourceSvg, exportSvg, 'annotations');
+  if (annotationsClone && annotationsClone.childElementCount > 0) {
+    annotationsClone.querySelectorAll('.selected').forEach(el => el.classList.remove('selected'));
+    addPresentationBounds(bounds, document.getElementById('annotations'));
+  }
+
+  if (showScaleBar) {
+    clonePresentationGroup(sourceSvg, exportSvg, 'scale-bar');
+    // The bar is positioned by its own transform, which getBBox() ignores
+    const { x, y } = getScaleBarState();
+    addPresentationBounds(bounds, document.getElementById('scale-bar'), { x, y });
+  }
+
   const viewBox = boundsToViewBox(bounds, canvas.getCurrentViewBox());
   exportSvg.setAttribute('viewBox', `${viewBox.x} ${viewBox.y} ${viewBox.width} ${viewBox.height}`);
   exportSvg.setAttribute('width', String(viewBox.width));
   exportSvg.setAttribute('height', String(viewBox.height));
 
+  if (background) {
+    const backgroundRect = document.createElementNS(SVG_NS, 'rect');
+    backgroundRect.setAttribute('x', String(viewBox.x));
+    backgroundRect.setAttribute('y', String(viewBox.y));
+    backgroundRect.setAttribute('width', String(viewBox.width));
+    backgroundRect.setAttribute('height', String(viewBox.height));
+    backgroundRect.setAttribute('fill', background);
+    const firstContent = exportSvg.querySelector(':scope > :not(defs)');
+    exportSvg.insertBefore(backgroundRect, firstContent);
+  }
+
   const serialized = new XMLSerializer().serializeToString(exportSvg);
-  return `<?xml version="1.0" encoding="UTF-8"?>\n${serialized}\n`;
+  return {
+    svgText: `<?xml version="1.0" encoding="UTF-8"?>\n${serialized}\n`,
+    viewBox
+  };
+}
+
+function renderSVGToCanvas(svgText, width, height) {
+  const url = URL.createObjectURL(new Blob([svgText], { type: 'image/svg+xml' }));
+  return new Promise((resolve, reject) => {
+    const image = new Image();
+    image.onload = () => {
+      URL.revokeObjectURL(url);
+      const rasterCanvas = document.createElement('canvas');
+      rasterCanvas.width = width;
+      rasterCanvas.height = height;
+      const context = rasterCanvas.getContext('2d');
+      if (!context) {
+        reject(new Error(`The browser could not allocate a ${width} × ${height} px canvas. Choose a lower DPI.`));
+        return;
+      }
+      // Drawing the SVG at the target size rasterizes it at full resolution
+      context.drawImage(image, 0, 0, width, height);
+      resolve(rasterCanvas);
+    };
+    image.onerror = () => {
+      URL.revokeObjectURL(url);
+      reject(new Error('The browser could not render the exported SVG.'));
+    };
+    image.src = url;
+  });
 }
 
 function clonePresentationGroup(sourceSvg, exportSvg, id) {
@@ -273,24 +678,31 @@ function clonePresentationGroup(sourceSvg, exportSvg, id) {
   return clone;
 }
 
+// Editing overlays and grid: on screen only, never exported
+const EXPORT_ONLY_SELECTOR = [
+  '#grid',
+  '#debug-overlay',
+  '#unified-bounding-box',
+  '#hover-box',
+  '#value-display',
+  '#relink-indicator',
+  '#relink-text',
+  '#ray-highlight-overlay',
+  '.selection-hover-box',
+  '.relink-hover-box',
+  '.arrow-handle',
+  '[id^="rotation-handle-"]',
+  '[id^="scale-handle-"]',
+  '#rotation-handle-group',
+  '#scale-handle-group',
+  '.scale-bar-hit-area',
+  '.annotation-hit-area',
+  '.annotation-handle',
+  '.annotation-selection-box'
+].join(',');
+
 function stripExportOnlyElements(root) {
-  root.querySelectorAll([
-    '#grid',
-    '#debug-overlay',
-    '#unified-bounding-box',
-    '#hover-box',
-    '#value-display',
-    '#relink-indicator',
-    '#relink-text',
-    '#ray-highlight-overlay',
-    '.selection-hover-box',
-    '.relink-hover-box',
-    '.arrow-handle',
-    '[id^="rotation-handle-"]',
-    '[id^="scale-handle-"]',
-    '#rotation-handle-group',
-    '#scale-handle-group'
-  ].join(',')).forEach(el => el.remove());
+  root.querySelectorAll(EXPORT_ONLY_SELECTOR).forEach(el => el.remove());
 }
 
 function addVisibleComponentBounds(bounds) {
@@ -308,16 +720,33 @@ function addVisibleComponentBounds(bounds) {
   });
 }
 
-function addElementBounds(bounds, element) {
+/**
+ * Bounds of a live layer as exported: editing overlays (selection handles
+ * and boxes, hit areas) are hidden while it is measured, since
+ * stripExportOnlyElements() removes them from the clone.
+ */
+function addPresentationBounds(bounds, element, offset) {
+  if (!element) return;
+  const overlays = [...element.querySelectorAll(EXPORT_ONLY_SELECTOR)];
+  const displays = overlays.map(el => el.style.display);
+  overlays.forEach(el => { el.style.display = 'none'; });
+  try {
+    addElementBounds(bounds, element, offset);
+  } finally {
+    overlays.forEach((el, index) => { el.style.display = displays[index]; });
+  }
+}
+
+function addElementBounds(bounds, element, offset = { x: 0, y: 0 }) {
   if (!element) return;
   try {
     const bbox = element.getBBox();
     if (bbox.width > 0 || bbox.height > 0) {
       bounds.push({
-        minX: bbox.x,
-        minY: bbox.y,
-        maxX: bbox.x + bbox.width,
-        maxY: bbox.y + bbox.height
+        minX: offset.x + bbox.x,
+        minY: offset.y + bbox.y,
+        maxX: offset.x + bbox.x + bbox.width,
+        maxY: offset.y + bbox.y + bbox.height
       });
     }
   } catch {
@@ -355,7 +784,10 @@ function pickFile(accept) {
 }
 
 function downloadTextFile(filename, text, type) {
-  const blob = new Blob([text], { type });
+  downloadBlob(filename, new Blob([text], { type }));
+}
+
+function downloadBlob(filename, blob) {
   const url = URL.createObjectURL(blob);
   const link = document.createElement('a');
   link.href = url;
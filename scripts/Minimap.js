@@ -0,0 +1,142 @@
+import { canvas } from './Canvas.js';
+import { actionHistory } from './history/ActionHistory.js';
+import { MINIMAP_MARGIN } from './config.js';
+
+/**
+ * Minimap: an overview of the whole scene in the corner of the canvas.
+ *
+ * The overview shows the live #schematics and #annotations groups through
+ * <use> elements, so it never needs redrawing; only its viewBox (the scene
+ * plus the visible area, with MINIMAP_MARGIN around) and the viewport
+ * rectangle follow the canvas. Dragging the rectangle pans the canvas;
+ * pressing elsewhere centers the view there first. The extent stays fixed
+ * while dragging so the rectangle does not run away from the pointer.
+ *
+ * Collapsed / expanded is kept in localStorage "minimapCollapsed".
+ */
+
+const STORAGE_KEY = 'minimapCollapsed';
+
+let root = null;
+let svg = null;
+let viewport = null;
+let collapsed = false;
+
+// Pointer offset from the viewport corner while dragging, else null
+let drag = null;
+
+function computeExtent() {
+  const view = canvas.getVisibleArea();
+  const scene = canvas.calculateComponentsBounds();
+  let minX = view.x;
+  let minY = view.y;
+  let maxX = view.x + view.width;
+  let maxY = view.y + view.height;
+  if (scene) {
+    minX = Math.min(minX, scene.x);
+    minY = Math.min(minY, scene.y);
+    maxX = Math.max(maxX, scene.x + scene.width);
+    maxY = Math.max(maxY, scene.y + scene.height);
+  }
+  const margin = Math.max(maxX - minX, maxY - minY) * MINIMAP_MARGIN;
+  return `${minX - margin} ${minY - margin} ${maxX - minX + 2 * margin} ${maxY - minY + 2 * margin}`;
+}
+
+function updateMinimap() {
+  if (!root || collapsed) return;
+  if (!drag) svg.setAttribute('viewBox', computeExtent());
+
+  const view = canvas.getVisibleArea();
+  viewport.setAttribute('x', view.x);
+  viewport.setAttribute('y', view.y);
+  viewport.setAttribute('width', view.width);
+  viewport.setAttribute('height', view.height);
+}
+
+function applyCollapsed() {
+  root.classList.toggle('collapsed', collapsed);
+  document.getElementById('minimap-toggle-btn')?.setAttribute('aria-expanded', String(!collapsed));
+  updateMinimap();
+}
+
+function toggleCollapsed() {
+  collapsed = !collapsed;
+  applyCollapsed();
+  try {
+    localStorage.setItem(STORAGE_KEY, collapsed ? '1' : '0');
+  } catch (error) {
+    console.error('[Minimap] Could not store the minimap state:', error);
+  }
+}
+
+// ─── Dragging ───────────────────────────────────────────────────────────────
+
+function clientToMinimap(clientX, clientY) {
+  const pt = svg.createSVGPoint();
+  pt.x = clientX;
+  pt.y = clientY;
+  return pt.matrixTransform(svg.getScreenCTM().inverse());
+}
+
+/** Pan the canvas so the visible area's corner lands at (x, y). */
+function moveViewTo(x, y) {
+  const viewBox = canvas.getCurrentViewBox();
+  const view = canvas.getVisibleArea();
+  canvas.setViewBox({ ...viewBox, x: x + (viewBox.x - view.x), y: y + (viewBox.y - view.y) });
+}
+
+function onPointerDown(e) {
+  if (e.button !== 0) return;
+  const point = clientToMinimap(e.clientX, e.clientY);
+  const view = canvas.getVisibleArea();
+  if (e.target === viewport) {
+    drag = { x: point.x - view.x, y: point.y - view.y };
+  } else {
+    drag = { x: view.width / 2, y: view.height / 2 };
+    moveViewTo(point.x - drag.x, point.y - drag.y);
+  }
+  svg.setPointerCapture(e.pointerId);
+  e.preventDefault();
+}
+
+function onPointerMove(e) {
+  if (!drag) return;
+  const point = clientToMinimap(e.clientX, e.clientY);
+  moveViewTo(point.x - drag.x, point.y - drag.y);
+}
+
+function onPointerUp() {
+  if (!drag) return;
+  drag = null;
+  updateMinimap();
+}
+
+// ─── Setup ──────────────────────────────────────────────────────────────────
+
+export function setupMinimap() {
+  root = document.getElementById('minimap');
+  svg = document.getElementById('minimap-canvas');
+  viewport = document.getElementById('minimap-viewport');
+  if (!root || !svg || !viewport) {
+    console.error('[Minimap] #minimap elements not found in DOM');
+    root = null;
+    return;
+  }
+
+  svg.addEventListener('pointerdown', onPointerDown);
+  svg.addEventListener('pointermove', onPointerMove);
+  svg.addEventListener('pointerup', onPointerUp);
+  svg.addEventListener('pointercancel', onPointerUp);
+
+  document.getElementById('minimap-toggle-btn')?.addEventListener('click', toggleCollapsed);
+  document.addEventListener('view-changed', updateMinimap);
+  // Moved, added or removed components change the scene extent
+  actionHistory.subscribe(updateMinimap);
+
+  try {
+    collapsed = localStorage.getItem(STORAGE_KEY) === '1';
+  } catch (error) {
+    console.error('[Minimap] Could not read the minimap state:', error);
+  }
+  applyCollapsed();
+}
@@ -0,0 +1,183 @@
+import { componentManager } from './components/ComponentManager.js';
+import { canvas } from './Canvas.js';
+import { units, niceFloor } from './Units.js';
+import {
+  DEFAULT_SCALE_BAR_VISIBLE,
+  SCALE_BAR_TARGET_LENGTH,
+  SCALE_BAR_COLOR,
+  SCALE_BAR_STROKE_WIDTH,
+  SCALE_BAR_TICK_SIZE,
+  SCALE_BAR_FONT_SIZE,
+  DRAGGING_SNAP_INCREMENT
+} from './config.js';
+import { trackPointer } from './events/PointerTracking.js';
+import { actionHistory } from './history/ActionHistory.js';
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+
+export let showScaleBar = DEFAULT_SCALE_BAR_VISIBLE;
+
+// Left end of the bar in canvas coordinates; null until first shown
+let position = null;
+
+let dragOffset = null;
+
+/**
+ * Draws the scale bar (g#scale-bar) at its stored position.
+ * The bar lives in canvas coordinates, so it zooms with the schematic and
+ * is exported as-is. Its length is the 1-2-5 physical length closest to
+ * SCALE_BAR_TARGET_LENGTH px in the current unit.
+ */
+export function drawScaleBar() {
+  removeScaleBar();
+  if (!showScaleBar) return;
+
+  const svg = document.getElementById('canvas');
+  if (!svg) return;
+
+  if (!position) position = getDefaultPosition();
+
+  const length = units.toPx(niceFloor(units.toUnits(SCALE_BAR_TARGET_LENGTH)));
+  if (!(length > 0)) return;
+
+  const group = document.createElementNS(SVG_NS, 'g');
+  group.setAttribute('id', 'scale-bar');
+  group.setAttribute('transform', `translate(${position.x}, ${position.y})`);
+  group.setAttribute('cursor', 'move');
+
+  // Transparent hit area so the thin bar is easy to grab (stripped on export)
+  const hitArea = document.createElementNS(SVG_NS, 'rect');
+  hitArea.classList.add('scale-bar-hit-area');
+  hitArea.setAttribute('x', -SCALE_BAR_TICK_SIZE);
+  hitArea.setAttribute('y', -SCALE_BAR_FONT_SIZE - SCALE_BAR_TICK_SIZE * 2);
+  hitArea.setAttribute('width', length + SCALE_BAR_TICK_SIZE * 2);
+  hitArea.setAttribute('height', SCALE_BAR_FONT_SIZE + SCALE_BAR_TICK_SIZE * 4);
+  hitArea.setAttribute('fill', 'transparent');
+  group.appendChild(hitArea);
+
+  const addLine = (x1, y1, x2, y2) => {
+    const line = document.createElementNS(SVG_NS, 'line');
+    line.setAttribute('x1', x1);
+    line.setAttribute('y1', y1);
+    line.setAttribute('x2', x2);
+    line.setAttribute('y2', y2);
+    line.setAttribute('stroke', SCALE_BAR_COLOR);
+    line.setAttribute('stroke-width', SCALE_BAR_STROKE_WIDTH);
+    group.appendChild(line);
+  };
+
+  addLine(0, 0, length, 0);
+  addLine(0, -SCALE_BAR_TICK_SIZE, 0, SCALE_BAR_TICK_SIZE);
+  addLine(length, -SCALE_BAR_TICK_SIZE, length, SCALE_BAR_TICK_SIZE);
+
+  const label = document.createElementNS(SVG_NS, 'text');
+  label.setAttribute('x', length / 2);
+  label.setAttribute('y', -SCALE_BAR_TICK_SIZE - 2);
+  label.setAttribute('text-anchor', 'middle');
+  label.setAttribute('font-family', 'Arial, sans-serif');
+  label.setAttribute('font-size', SCALE_BAR_FONT_SIZE);
+  label.setAttribute('fill', SCALE_BAR_COLOR);
+  label.textContent = units.formatCompact(length);
+  group.appendChild(label);
+
+  group.addEventListener('pointerdown', startScaleBarDrag);
+
+  // Above the schematics, below handles and overlays
+  const debugOverlay = svg.querySelector('#debug-overlay');
+  svg.insertBefore(group, debugOverlay);
+}
+
+/**
+ * Removes the scale bar from the canvas
+ */
+export function removeScaleBar() {
+  const existing = document.getElementById('scale-bar');
+  if (existing) existing.remove();
+}
+
+export function setScaleBarVisible(visible) {
+  showScaleBar = !!visible;
+  drawScaleBar();
+}
+
+/**
+ * Scale bar state for the schematic file ({ visible, x, y }).
+ */
+export function getScaleBarState() {
+  return {
+    visible: showScaleBar,
+    x: position ? position.x : null,
+    y: position ? position.y : null
+  };
+}
+
+// Files saved before the scale bar existed have no state → hidden, default position
+export function setScaleBarState(state) {
+  showScaleBar = state && typeof state.visible === 'boolean' ? state.visible : DEFAULT_SCALE_BAR_VISIBLE;
+  position = state && Number.isFinite(state.x) && Number.isFinite(state.y)
+    ? { x: state.x, y: state.y }
+    : null;
+  drawScaleBar();
+}
+
+// Position only, for undo snapshots: showing / hiding the bar is a view setting
+export function getScaleBarPosition() {
+  return position ? { x: position.x, y: position.y } : null;
+}
+
+export function setScaleBarPosition(point) {
+  position = point ? { x: point.x, y: point.y } : null;
+  drawScaleBar();
+}
+
+function onScaleBarDrag(e) {
+  const svgPt = clientToSvg(e.clientX, e.clientY);
+  if (!svgPt) return;
+
+  position = {
+    x: Math.round((svgPt.x - dragOffset.x) / DRAGGING_SNAP_INCREMENT) * DRAGGING_SNAP_INCREMENT,
+    y: Math.round((svgPt.y - dragOffset.y) / DRAGGING_SNAP_INCREMENT) * DRAGGING_SNAP_INCREMENT
+  };
+
+  const group = document.getElementById('scale-bar');
+  if (group) group.setAttribute('transform', `translate(${position.x}, ${position.y})`);
+  e.preventDefault();
+}
+
+function endScaleBarDrag() {
+  dragOffset = null;
+  componentManager.ignoreNextCanvasClick = true;
+  actionHistory.commit();
+}
+
+function startScaleBarDrag(e) {
+  if (e.button !== 0) return;
+
+  const svgPt = clientToSvg(e.clientX, e.clientY);
+  if (!svgPt) return;
+
+  dragOffset = { x: svgPt.x - position.x, y: svgPt.y - position.y };
+  actionHistory.begin('Move scale bar', 'move-scale-bar');
+  componentManager.ignoreNextCanvasClick = true;
+  e.stopPropagation(); // Prevent selection box / component dragging
+  e.preventDefault();
+  trackPointer(e, onScaleBarDrag, endScaleBarDrag);
+}
+
+function clientToSvg(clientX, clientY) {
+  const svg = document.getElementById('canvas');
+  if (!svg) return null;
+  const pt = svg.createSVGPoint();
+  pt.x = clientX;
+  pt.y = clientY;
+  return pt.matrixTransform(svg.getScreenCTM().inverse());
+}
+
+// Bottom-left corner of the current view
+function getDefaultPosition() {
+  const viewBox = canvas.getCurrentViewBox();
+  return {
+    x: Math.round(viewBox.x + viewBox.width * 0.05),
+    y: Math.round(viewBox.y + viewBox.height * 0.9)
+  };
+}
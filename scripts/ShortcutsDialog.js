@@ -0,0 +1,195 @@
+/**
+ * ShortcutsDialog.js
+ * ------------------
+ * <dialog> opened with "?" (or Edit → Keyboard Shortcuts…): lists every
+ * keyboard action of Keymap.js with its current keys, grouped like the
+ * menus. Keys can be removed (×), added (click Add, then press the keys)
+ * and reset to the defaults, per action or all at once.
+ *
+ * The dialog only edits through the callbacks it is given; Keymap.js owns
+ * the bindings and stores them.
+ */
+
+/** @type {HTMLDialogElement|null} */
+let dialog = null;
+
+/** Callbacks of the current opening. */
+let api = null;
+
+/** Action id waiting for a key press, or null. */
+let recordingId = null;
+
+/** Message about the last change (e.g. a key taken from another action). */
+let notice = '';
+
+// ---------------------------------------------------------------------------
+// Public API
+// ---------------------------------------------------------------------------
+
+/**
+ * Open the shortcut overlay.
+ *
+ * @param {object} options
+ * @param {() => { id: string, label: string, group: string, keys: string[], isDefault: boolean }[]} options.getEntries
+ * @param {(id: string, keys: string[]) => string[]} options.setKeys - returns
+ *   the labels of actions that lost one of the keys
+ * @param {(id?: string|null) => void} options.reset - one action, or all
+ * @param {(e: KeyboardEvent) => string|null} options.comboFromEvent
+ * @param {(combo: string) => string} options.formatCombo
+ */
+export function openShortcutsDialog(options) {
+    if (!dialog) {
+        dialog = document.getElementById('shortcuts-dialog');
+        if (dialog) {
+            // Capture phase: a key pressed while recording must not reach the editor
+            dialog.addEventListener('keydown', _onRecordKey, true);
+            dialog.addEventListener('close', () => { recordingId = null; });
+        }
+    }
+    if (!dialog) {
+        console.error('[ShortcutsDialog] #shortcuts-dialog not found in DOM');
+        return;
+    }
+
+    api = options;
+    recordingId = null;
+    notice = '';
+    _render();
+    if (!dialog.open) dialog.showModal();
+}
+
+// ---------------------------------------------------------------------------
+// Recording
+// ---------------------------------------------------------------------------
+
+function _onRecordKey(e) {
+    if (recordingId === null) return;
+    e.preventDefault();
+    e.stopPropagation();
+
+    if (e.key === 'Escape') {
+        recordingId = null;
+        _render();
+        return;
+    }
+    const combo = api.comboFromEvent(e);
+    if (!combo) return;   // lone modifier, wait for the key
+
+    const entry = api.getEntries().find(candidate => candidate.id === recordingId);
+    const displaced = api.setKeys(recordingId, [...entry.keys, combo]);
+    notice = displaced.length > 0
+        ? `${api.formatCombo(combo)} was removed from: ${displaced.join(', ')}.`
+        : '';
+    recordingId = null;
+    _render();
+}
+
+// ---------------------------------------------------------------------------
+// Rendering
+// ---------------------------------------------------------------------------
+
+function _render() {
+    while (dialog.firstChild) dialog.removeChild(dialog.firstChild);
+
+    const wrap = _el('div', { className: 'scd-phase' });
+
+    const header = _el('div', { className: 'scd-header-row' });
+    header.appendChild(_el('h3', { className: 'scd-title', textContent: 'Keyboard Shortcuts' }));
+    wrap.appendChild(header);
+
+    wrap.appendChild(_el('div', {
+        className: 'ud-note',
+        textContent: 'Click Add, then press the new keys. Changes are kept in this browser. Ctrl stands for ⌘ on a Mac.'
+    }));
+
+    const list = _el('div', { className: 'ksd-list' });
+    let group = null;
+    api.getEntries().forEach(entry => {
+        if (entry.group !== group) {
+            group = entry.group;
+            list.appendChild(_el('div', { className: 'ksd-group', textContent: group }));
+        }
+        list.appendChild(_renderRow(entry));
+    });
+    wrap.appendChild(list);
+
+    wrap.appendChild(_el('div', { className: 'ud-note ksd-notice', textContent: notice }));
+
+    // ── Buttons ─────────────────────────────────────────────────────────────
+    const btnRow = _el('div', { className: 'scd-btn-row' });
+
+    const resetAllBtn = _el('button', { className: 'scd-btn scd-btn-secondary', textContent: 'Reset All' });
+    resetAllBtn.addEventListener('click', () => {
+        if (!confirm('Restore the default keys for all shortcuts?')) return;
+        api.reset(null);
+        notice = '';
+        _render();
+    });
+
+    const closeBtn = _el('button', { className: 'scd-btn scd-btn-primary', textContent: 'Close' });
+    closeBtn.addEventListener('click', () => dialog.close());
+
+    btnRow.appendChild(resetAllBtn);
+    btnRow.appendChild(closeBtn);
+    wrap.appendChild(btnRow);
+
+    dialog.appendChild(wrap);
+    // Keep focus inside the dialog so the next key press reaches _onRecordKey
+    dialog.querySelector('.ksd-recording')?.focus();
+}
+
+function _renderRow(entry) {
+    const row = _el('div', { className: 'ksd-row' });
+    row.appendChild(_el('span', { className: 'ksd-label', textContent: entry.label }));
+
+    const keys = _el('span', { className: 'ksd-keys' });
+    entry.keys.forEach(combo => {
+        const chip = _el('kbd', { className: 'ksd-key', textContent: api.formatCombo(combo) });
+        const removeBtn = _el('button', { className: 'ksd-key-remove', title: 'Remove this key', textContent: '×' });
+        removeBtn.addEventListener('click', () => {
+            api.setKeys(entry.id, entry.keys.filter(key => key !== combo));
+            notice = '';
+            _render();
+        });
+        chip.appendChild(removeBtn);
+        keys.appendChild(chip);
+    });
+
+    if (recordingId === entry.id) {
+        keys.appendChild(_el('span', { className: 'ksd-recording', tabindex: '-1', textContent: 'Press keys… (Esc cancels)' }));
+    } else {
+        const addBtn = _el('button', { className: 'ksd-link-btn', textContent: 'Add' });
+        addBtn.addEventListener('click', () => {
+            recordingId = entry.id;
+            _render();
+        });
+        keys.appendChild(addBtn);
+    }
+
+    if (!entry.isDefault) {
+        const resetBtn = _el('button', { className: 'ksd-link-btn', textContent: 'Reset' });
+        resetBtn.addEventListener('click', () => {
+            api.reset(entry.id);
+            notice = '';
+            _render();
+        });
+        keys.appendChild(resetBtn);
+    }
+
+    row.appendChild(keys);
+    return row;
+}
+
+// ---------------------------------------------------------------------------
+// Helpers
+// ---------------------------------------------------------------------------
+
+function _el(tag, props = {}) {
+    const el = document.createElement(tag);
+    for (const [k, v] of Object.entries(props)) {
+        if (k === 'textContent') el.textContent = v;
+        else if (k === 'className') el.className = v;
+        else el.setAttribute(k, v);
+    }
+    return el;
+}
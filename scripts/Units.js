@@ -0,0 +1,84 @@
+import {
+  UNIT_SYSTEMS,
+  DEFAULT_UNIT,
+  DEFAULT_PX_PER_UNIT
+} from './config.js';
+
+/**
+ * Schematic-level physical unit system.
+ * All geometry stays in SVG px; this only converts px to a physical length
+ * for grid labels, the scale bar and value readouts.
+ */
+export class UnitsManager {
+  constructor() {
+    this.unit = DEFAULT_UNIT;
+    this.pxPerUnit = DEFAULT_PX_PER_UNIT;
+  }
+
+  getUnitNames() {
+    return Object.keys(UNIT_SYSTEMS);
+  }
+
+  toUnits(px) {
+    return px / this.pxPerUnit;
+  }
+
+  toPx(value) {
+    return value * this.pxPerUnit;
+  }
+
+  // Fixed precision, for live readouts ("12.5 mm")
+  format(px, digits = 1) {
+    return `${this.toUnits(px).toFixed(digits)} ${this.unit}`;
+  }
+
+  // Trailing zeros stripped, for grid and scale-bar labels ("250 mm", "0.5 cm")
+  formatCompact(px) {
+    return `${formatNumber(this.toUnits(px))} ${this.unit}`;
+  }
+
+  // Switching unit keeps the physical scale: 1 px/mm becomes 10 px/cm
+  setUnit(unit) {
+    if (!UNIT_SYSTEMS[unit] || unit === this.unit) return false;
+    this.pxPerUnit *= UNIT_SYSTEMS[unit] / UNIT_SYSTEMS[this.unit];
+    this.unit = unit;
+    return true;
+  }
+
+  setPxPerUnit(pxPerUnit) {
+    const value = Number(pxPerUnit);
+    if (!Number.isFinite(value) || value <= 0) return false;
+    this.pxPerUnit = value;
+    return true;
+  }
+
+  toJSON() {
+    return { unit: this.unit, pxPerUnit: this.pxPerUnit };
+  }
+
+  // Files saved before units existed have no units section → defaults
+  fromJSON(data) {
+    this.unit = data && UNIT_SYSTEMS[data.unit] ? data.unit : DEFAULT_UNIT;
+    if (!this.setPxPerUnit(data?.pxPerUnit)) {
+      this.pxPerUnit = DEFAULT_PX_PER_UNIT * UNIT_SYSTEMS[this.unit] / UNIT_SYSTEMS[DEFAULT_UNIT];
+    }
+  }
+}
+
+/**
+ * Largest 1-2-5 value not greater than `value` (e.g. 730 → 500).
+ */
+export function niceFloor(value) {
+  if (!(value > 0)) return 0;
+  const magnitude = Math.pow(10, Math.floor(Math.log10(value)));
+  const fraction = value / magnitude;
+  const step = fraction >= 5 ? 5 : fraction >= 2 ? 2 : 1;
+  return step * magnitude;
+}
+
+function formatNumber(value) {
+  return String(Number(value.toPrecision(6)));
+}
+
+// Create singleton instance
+export const units = new UnitsManager();
@@ -0,0 +1,142 @@
+/**
+ * UnitsDialog.js
+ * --------------
+ * Small <dialog> for the schematic's physical unit system: the unit used by
+ * grid labels, readouts and the scale bar, how many canvas px make one unit,
+ * and whether the scale bar is shown.
+ *
+ * Unit settings are view state (like the grid and ray tracing mode), so
+ * changes are not recorded in the undo history. Applying fires a
+ * 'units-changed' CustomEvent on document for panels that show lengths.
+ */
+
+import { canvas } from './Canvas.js';
+import { units, UnitsManager } from './Units.js';
+import { showScaleBar, setScaleBarVisible } from './ScaleBar.js';
+
+/** @type {HTMLDialogElement|null} */
+let dialog = null;
+
+// ---------------------------------------------------------------------------
+// Public API
+// ---------------------------------------------------------------------------
+
+/**
+ * Open the units & scale dialog.
+ */
+export function openUnitsDialog() {
+    if (!dialog) {
+        dialog = document.getElementById('units-dialog');
+    }
+    if (!dialog) {
+        console.error('[UnitsDialog] #units-dialog not found in DOM');
+        return;
+    }
+
+    _render();
+    dialog.showModal();
+}
+
+// ---------------------------------------------------------------------------
+// Rendering
+// ---------------------------------------------------------------------------
+
+function _render() {
+    while (dialog.firstChild) dialog.removeChild(dialog.firstChild);
+
+    const wrap = _el('div', { className: 'scd-phase' });
+
+    const header = _el('div', { className: 'scd-header-row' });
+    header.appendChild(_el('h3', { className: 'scd-title', textContent: 'Units & Scale' }));
+    wrap.appendChild(header);
+
+    // ── Unit ────────────────────────────────────────────────────────────────
+    const unitSelect = _el('select', { className: 'scd-input', id: 'ud-unit' });
+    units.getUnitNames().forEach(name => {
+        const option = _el('option', { value: name, textContent: name });
+        if (name === units.unit) option.selected = true;
+        unitSelect.appendChild(option);
+    });
+    wrap.appendChild(_row('Unit', unitSelect));
+
+    // ── Pixels per unit ─────────────────────────────────────────────────────
+    const pxInput = _el('input', {
+        className: 'scd-input',
+        id: 'ud-px-per-unit',
+        type: 'number',
+        min: '0',
+        step: 'any',
+        value: String(units.pxPerUnit)
+    });
+    const pxLabel = _row(`Canvas px per ${units.unit}`, pxInput);
+    wrap.appendChild(pxLabel);
+
+    // Switching unit converts the factor so the physical scale is unchanged
+    let shownUnit = units.unit;
+    unitSelect.addEventListener('change', () => {
+        const preview = new UnitsManager();
+        preview.unit = shownUnit;
+        preview.setPxPerUnit(pxInput.value);
+        preview.setUnit(unitSelect.value);
+        shownUnit = unitSelect.value;
+        pxInput.value = String(Number(preview.pxPerUnit.toPrecision(6)));
+        pxLabel.querySelector('label').textContent = `Canvas px per ${shownUnit}`;
+    });
+
+    // ── Scale bar ───────────────────────────────────────────────────────────
+    const scaleBarCheckbox = _el('input', { type: 'checkbox', id: 'ud-scale-bar' });
+    scaleBarCheckbox.checked = showScaleBar;
+    wrap.appendChild(_row('Show scale bar', scaleBarCheckbox));
+
+    // ── Buttons ─────────────────────────────────────────────────────────────
+    const btnRow = _el('div', { className: 'scd-btn-row' });
+
+    const cancelBtn = _el('button', { className: 'scd-btn scd-btn-secondary', textContent: 'Cancel' });
+    cancelBtn.addEventListener('click', () => dialog.close());
+
+    const applyBtn = _el('button', { className: 'scd-btn scd-btn-primary', textContent: 'Apply' });
+    applyBtn.addEventListener('click', () => {
+        const pxPerUnit = Number(pxInput.value);
+        if (!Number.isFinite(pxPerUnit) || pxPerUnit <= 0) {
+            pxInput.focus();
+            pxInput.classList.add('scd-input-error');
+            return;
+        }
+
+        units.setUnit(unitSelect.value);
+        units.setPxPerUnit(pxPerUnit);
+        setScaleBarVisible(scaleBarCheckbox.checked);
+        canvas.drawGrid();
+        document.dispatchEvent(new CustomEvent('units-changed'));
+        dialog.close();
+        console.log(`[UnitsDialog] ${units.pxPerUnit} px per ${units.unit}`);
+    });
+    pxInput.addEventListener('input', () => pxInput.classList.remove('scd-input-error'));
+
+    btnRow.appendChild(cancelBtn);
+    btnRow.appendChild(applyBtn);
+    wrap.appendChild(btnRow);
+
+    dialog.appendChild(wrap);
+}
+
+// ---------------------------------------------------------------------------
+// Helpers
+// ---------------------------------------------------------------------------
+
+function _row(labelText, control) {
+    const row = _el('div', { className: 'ud-row' });
+    row.appendChild(_el('label', { textContent: labelText, htmlFor: control.id }));
+    row.appendChild(control);
+    return row;
+}
+
+function _el(tag, props = {}) {
+    const el = document.createElement(tag);
+    for (const [k, v] of Object.entries(props)) {
+        if (k === 'textContent') el.textContent = v;
+        else if (k === 'className') el.className = v;
+        else el.setAttribute(k === 'htmlFor' ? 'for' : k, v);
+    }
+    return el;
+}
@@ -0,0 +1,208 @@
+import { annotationManager } from './AnnotationManager.js';
+import { componentManager } from '../components/index.js';
+import { canvas } from '../Canvas.js';
+import { removeRotationHandle } from '../events/RotationHandle.js';
+import { removeScaleHandle } from '../events/ScaleHandle.js';
+import { removeArrowHandle } from '../events/ArrowHandle.js';
+import { removeUnifiedBoundingBox } from '../events/InteractionHandlers.js';
+import { actionHistory } from '../history/ActionHistory.js';
+import { trackPointer } from '../events/PointerTracking.js';
+import { DRAGGING_SNAP_INCREMENT, DEFAULT_DIMENSION_LENGTH } from '../config.js';
+
+/**
+ * Pointer handling for annotations: click to select, drag the body to move,
+ * drag an endpoint handle to re-aim it. Dropping an endpoint on a component
+ * attaches it, so it follows that component from then on.
+ *
+ * Annotation and component selection are mutually exclusive. Changes to the
+ * selected annotation fire 'annotation:selectionChanged' on document.
+ */
+
+let drag = null; // { id, handle, startX, startY, appliedX, appliedY, hasMoved }
+
+/**
+ * Select an annotation (or clear with null), deselecting any components.
+ */
+export function selectAnnotation(id) {
+  if (id !== null && componentManager.selectedIds.size > 0) {
+    componentManager.deselectComponent();
+    removeRotationHandle();
+    removeScaleHandle();
+    removeArrowHandle();
+    removeUnifiedBoundingBox();
+  }
+
+  const previous = annotationManager.selectedId;
+  annotationManager.select(id);
+  if (annotationManager.selectedId !== previous) {
+    document.dispatchEvent(new CustomEvent('annotation:selectionChanged'));
+  }
+}
+
+/**
+ * Insert a new annotation in the middle of the view.
+ * A leader label points at the focused component; a dimension arrow spans
+ * the two selected components when exactly two are selected.
+ * @param {'text'|'leader'|'dimension'} type
+ */
+export function insertAnnotation(type) {
+  const viewBox = canvas.getCurrentViewBox();
+  const center = {
+    x: Math.round(viewBox.x + viewBox.width / 2),
+    y: Math.round(viewBox.y + viewBox.height / 2)
+  };
+  const selected = Array.from(componentManager.selectedIds);
+  const focusId = componentManager.currentId;
+
+  let created = null;
+  actionHistory.run(`Add ${type} annotation`, 'add-annotation', () => {
+    if (type === 'leader') {
+      const target = focusId !== null ? componentManager.getComponent(focusId) : null;
+      const end = target ? target.getCenterPointWorld() : center;
+      created = annotationManager.create('leader', {
+        x: end.x + 80,
+        y: end.y - 60,
+        end: annotationManager.makeAnchor(end, target ? focusId : null)
+      });
+    } else if (type === 'dimension') {
+      const [a, b] = selected.length === 2
+        ? selected.map(id => componentManager.getComponent(id))
+        : [null, null];
+      created = annotationManager.create('dimension', {
+        start: a
+          ? annotationManager.makeAnchor(a.getCenterPointWorld(), selected[0])
+          : annotationManager.makeAnchor({ x: center.x - DEFAULT_DIMENSION_LENGTH / 2, y: center.y }),
+        end: b
+          ? annotationManager.makeAnchor(b.getCenterPointWorld(), selected[1])
+          : annotationManager.makeAnchor({ x: center.x + DEFAULT_DIMENSION_LENGTH / 2, y: center.y })
+      });
+    } else {
+      created = annotationManager.create('text', { x: center.x, y: center.y });
+    }
+    selectAnnotation(created.id);
+  });
+}
+
+/**
+ * Delete the selected annotation. Returns false if none was selected.
+ */
+export function deleteSelectedAnnotation() {
+  const id = annotationManager.selectedId;
+  if (id === null) return false;
+
+  actionHistory.run('Delete annotation', 'delete-annotation', () => {
+    annotationManager.remove(id);
+    annotationManager.render();
+  });
+  document.dispatchEvent(new CustomEvent('annotation:selectionChanged'));
+  return true;
+}
+
+function onAnnotationDrag(e) {
+  const point = clientToSvg(e.clientX, e.clientY);
+  if (!point) return;
+
+  if (drag.handle) {
+    annotationManager.setAnchor(drag.id, drag.handle, snap(point));
+  } else {
+    // Snap the total offset, then apply only what has not been applied yet
+    const snappedX = Math.round((point.x - drag.startX) / DRAGGING_SNAP_INCREMENT) * DRAGGING_SNAP_INCREMENT;
+    const snappedY = Math.round((point.y - drag.startY) / DRAGGING_SNAP_INCREMENT) * DRAGGING_SNAP_INCREMENT;
+    if (snappedX === drag.appliedX && snappedY === drag.appliedY) return;
+    annotationManager.move(drag.id, snappedX - drag.appliedX, snappedY - drag.appliedY);
+    drag.appliedX = snappedX;
+    drag.appliedY = snappedY;
+  }
+
+  drag.hasMoved = true;
+  annotationManager.render();
+  e.preventDefault();
+}
+
+// A cancelled drag (two-finger gesture) keeps what moved but attaches nothing
+function endAnnotationDrag(cancelled, e) {
+  if (drag.handle && drag.hasMoved && !cancelled) {
+    const point = clientToSvg(e.clientX, e.clientY);
+    const componentId = point ? annotationManager.findComponentAt(point) : null;
+    if (point && componentId !== null) {
+      annotationManager.setAnchor(drag.id, drag.handle, snap(point), componentId);
+      console.log(`Attached annotation ${drag.id} to component ${componentId}`);
+    }
+    annotationManager.render();
+  }
+
+  if (drag.hasMoved) {
+    actionHistory.commit();
+  } else {
+    actionHistory.cancel();
+  }
+  drag = null;
+}
+
+export function setupAnnotationInteractions() {
+  const svg = document.getElementById('canvas');
+  const layer = document.getElementById('annotations');
+  if (!svg || !layer) return;
+
+  layer.addEventListener('pointerdown', (e) => {
+    if (e.button !== 0) return;
+
+    const group = e.target.closest('[data-annotation-id]');
+    if (!group) return;
+
+    const id = parseInt(group.getAttribute('data-annotation-id'));
+    const point = clientToSvg(e.clientX, e.clientY);
+    if (!point) return;
+
+    selectAnnotation(id);
+    actionHistory.begin('Move annotation', 'move-annotation');
+    drag = {
+      id,
+      handle: e.target.getAttribute('data-handle'),
+      startX: point.x,
+      startY: point.y,
+      appliedX: 0,
+      appliedY: 0,
+      hasMoved: false
+    };
+
+    componentManager.ignoreNextCanvasClick = true;
+    e.stopPropagation(); // Prevent selection box / group drag
+    e.preventDefault();
+    trackPointer(e, onAnnotationDrag, endAnnotationDrag);
+  });
+
+  // Clicking anywhere else on the canvas clears the annotation selection
+  svg.addEventListener('pointerdown', (e) => {
+    if (e.button !== 0 || layer.contains(e.target)) return;
+    if (annotationManager.selectedId !== null) selectAnnotation(null);
+  });
+
+  // Selecting components clears the annotation selection
+  document.addEventListener('ray:selectionChanged', () => {
+    if (componentManager.selectedIds.size > 0 && annotationManager.selectedId !== null) {
+      selectAnnotation(null);
+    }
+  });
+
+  // Auto-measured dimension labels are shown in the current unit
+  document.addEventListener('units-changed', () => annotationManager.render());
+
+  console.log('Annotation interactions initialized');
+}
+
+function snap(point) {
+  return {
+    x: Math.round(point.x / DRAGGING_SNAP_INCREMENT) * DRAGGING_SNAP_INCREMENT,
+    y: Math.round(point.y / DRAGGING_SNAP_INCREMENT) * DRAGGING_SNAP_INCREMENT
+  };
+}
+
+function clientToSvg(clientX, clientY) {
+  const svg = document.getElementById('canvas');
+  if (!svg) return null;
+  const pt = svg.createSVGPoint();
+  pt.x = clientX;
+  pt.y = clientY;
+  return pt.matrixTransform(svg.getScreenCTM().inverse());
+}
@@ -0,0 +1,412 @@
+import { componentManager } from '../components/ComponentManager.js';
+import { units } from '../Units.js';
+import {
+  DEFAULT_ANNOTATION_FONT_FAMILY,
+  DEFAULT_ANNOTATION_FONT_SIZE,
+  DEFAULT_ANNOTATION_COLOR,
+  DEFAULT_ANNOTATION_TEXT,
+  ANNOTATION_LINE_WIDTH,
+  ANNOTATION_ARROWHEAD_SIZE,
+  ANNOTATION_LEADER_DOT_RADIUS,
+  ANNOTATION_LEADER_GAP,
+  ANNOTATION_HIT_WIDTH,
+  ANNOTATION_HANDLE_RADIUS,
+  ANNOTATION_SELECTION_COLOR
+} from '../config.js';
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+
+/**
+ * Text labels, leader labels and dimension arrows, drawn into g#annotations.
+ *
+ * Annotations are plain data objects, not Components: no optics, no links,
+ * no rays. Types:
+ *   text      { x, y, text, fontFamily, fontSize, color }
+ *   leader    { x, y, text, ..., end: Anchor }        label at (x, y), line to end
+ *   dimension { start: Anchor, end: Anchor, text, ... } empty text → measured length
+ *
+ * An Anchor is { x, y, componentId, dx, dy }. With a componentId it follows
+ * that component: (dx, dy) is the offset in the component's rotated and
+ * scaled frame, and (x, y) caches the last resolved world position (kept if
+ * the component is deleted).
+ */
+export class AnnotationManager {
+  constructor() {
+    this.annotations = new Map();
+    this.idCounter = 0;
+    this.selectedId = null;
+  }
+
+  create(type, props = {}) {
+    const id = this.idCounter++;
+    const annotation = {
+      id,
+      type,
+      text: type === 'dimension' ? '' : DEFAULT_ANNOTATION_TEXT,
+      fontFamily: DEFAULT_ANNOTATION_FONT_FAMILY,
+      fontSize: DEFAULT_ANNOTATION_FONT_SIZE,
+      color: DEFAULT_ANNOTATION_COLOR,
+      ...props
+    };
+    this.annotations.set(id, annotation);
+
+    console.log(`Added ${type} annotation [ID: ${id}]`);
+
+    return annotation;
+  }
+
+  get(id) {
+    return this.annotations.get(id);
+  }
+
+  update(id, props) {
+    const annotation = this.annotations.get(id);
+    if (!annotation) return false;
+
+    ['text', 'fontFamily', 'fontSize', 'color'].forEach(key => {
+      if (props[key] !== undefined) annotation[key] = props[key];
+    });
+    return true;
+  }
+
+  remove(id) {
+    if (!this.annotations.delete(id)) return false;
+    if (this.selectedId === id) this.selectedId = null;
+
+    console.log(`Deleted annotation [ID: ${id}]`);
+
+    return true;
+  }
+
+  select(id) {
+    this.selectedId = id !== null && this.annotations.has(id) ? id : null;
+    this.render();
+  }
+
+  /**
+   * Move an annotation by a delta. Labels move on their own (a leader keeps
+   * its end); a dimension moves both endpoints, detaching them.
+   */
+  move(id, deltaX, deltaY) {
+    const annotation = this.annotations.get(id);
+    if (!annotation) return false;
+
+    if (annotation.type === 'dimension') {
+      ['start', 'end'].forEach(key => {
+        const p = this.resolveAnchor(annotation[key]);
+        annotation[key] = this.makeAnchor({ x: p.x + deltaX, y: p.y + deltaY }, null);
+      });
+    } else {
+      annotation.x += deltaX;
+      annotation.y += deltaY;
+    }
+    return true;
+  }
+
+  /**
+   * Set a leader end / dimension endpoint ('start' | 'end'), optionally
+   * attaching it to a component.
+   */
+  setAnchor(id, key, point, componentId = null) {
+    const annotation = this.annotations.get(id);
+    if (!annotation || !annotation[key]) return false;
+    annotation[key] = this.makeAnchor(point, componentId);
+    return true;
+  }
+
+  makeAnchor(point, componentId = null) {
+    const component = componentId !== null ? componentManager.getComponent(componentId) : null;
+    if (!component) {
+      return { x: point.x, y: point.y, componentId: null, dx: 0, dy: 0 };
+    }
+
+    // World offset → component frame (undo rotation, then scale)
+    const rad = -component.rotation * Math.PI / 180;
+    const wx = point.x - component.x;
+    const wy = point.y - component.y;
+    const scale = component.scale || 1;
+    return {
+      x: point.x,
+      y: point.y,
+      componentId,
+      dx: (wx * Math.cos(rad) - wy * Math.sin(rad)) / scale,
+      dy: (wx * Math.sin(rad) + wy * Math.cos(rad)) / scale
+    };
+  }
+
+  resolveAnchor(anchor) {
+    const component = anchor.componentId !== null ? componentManager.getComponent(anchor.componentId) : null;
+    if (!component) return { x: anchor.x, y: anchor.y };
+
+    const rad = component.rotation * Math.PI / 180;
+    const lx = anchor.dx * component.scale;
+    const ly = anchor.dy * component.scale;
+    anchor.x = component.x + lx * Math.cos(rad) - ly * Math.sin(rad);
+    anchor.y = component.y + lx * Math.sin(rad) + ly * Math.cos(rad);
+    return { x: anchor.x, y: anchor.y };
+  }
+
+  /**
+   * Topmost visible component whose bounding box contains the point.
+   */
+  findComponentAt(point) {
+    let found = null;
+    componentManager.components.forEach((component, id) => {
+      if (!component.visible) return;
+      const bbox = component.getBoundingBox();
+      if (point.x >= bbox.minX && point.x <= bbox.maxX && point.y >= bbox.minY && point.y <= bbox.maxY) {
+        found = id;
+      }
+    });
+    return found;
+  }
+
+  clear() {
+    this.annotations.clear();
+    this.idCounter = 0;
+    this.selectedId = null;
+  }
+
+  toJSON() {
+    return {
+      idCounter: this.idCounter,
+      items: [...this.annotations.values()]
+        .sort((a, b) => a.id - b.id)
+        .map(annotation => JSON.parse(JSON.stringify(annotation)))
+    };
+  }
+
+  // Snapshots and files from before annotations existed have none
+  fromJSON(data) {
+    const selectedId = this.selectedId;
+    this.annotations.clear();
+    (data?.items || []).forEach(item => {
+      this.annotations.set(item.id, JSON.parse(JSON.stringify(item)));
+    });
+    this.idCounter = data?.idCounter ?? 0;
+    this.selectedId = this.annotations.has(selectedId) ? selectedId : null;
+  }
+
+  // ─── Rendering ──────────────────────────────────────────────────────────
+
+  render() {
+    const layer = document.getElementById('annotations');
+    if (!layer) return;
+
+    layer.replaceChildren();
+    [...this.annotations.values()]
+      .sort((a, b) => a.id - b.id)
+      .forEach(annotation => layer.appendChild(this._renderAnnotation(annotation)));
+  }
+
+  _renderAnnotation(annotation) {
+    const group = createElement('g', { class: 'annotation', 'data-annotation-id': annotation.id });
+    const selected = annotation.id === this.selectedId;
+
+    if (annotation.type === 'dimension') {
+      this._renderDimension(group, annotation, selected);
+    } else {
+      const label = createLabel(annotation, annotation.x, annotation.y);
+      group.appendChild(label);
+      if (annotation.type === 'leader') {
+        this._renderLeader(group, annotation, label, selected);
+      }
+      if (selected) appendSelectionBox(group, label);
+    }
+
+    if (selected) group.classList.add('selected');
+    return group;
+  }
+
+  _renderLeader(group, annotation, label, selected) {
+    const end = this.resolveAnchor(annotation.end);
+
+    // Start the line at the edge of the label's box, not at its centre
+    const box = safeBBox(label);
+    const halfW = box ? box.width / 2 + ANNOTATION_LEADER_GAP : 0;
+    const halfH = box ? box.height / 2 + ANNOTATION_LEADER_GAP : 0;
+    const cx = box ? box.x + box.width / 2 : annotation.x;
+    const cy = box ? box.y + box.height / 2 : annotation.y;
+    const dx = end.x - cx;
+    const dy = end.y - cy;
+    const t = Math.min(
+      Math.abs(dx) > 1e-9 ? halfW / Math.abs(dx) : Infinity,
+      Math.abs(dy) > 1e-9 ? halfH / Math.abs(dy) : Infinity
+    );
+
+    if (t < 1) {
+      const start = { x: cx + dx * t, y: cy + dy * t };
+      group.insertBefore(createLine(start, end, annotation.color), label);
+      group.insertBefore(createHitLine(start, end), label);
+    }
+    group.insertBefore(createElement('circle', {
+      cx: end.x,
+      cy: end.y,
+      r: ANNOTATION_LEADER_DOT_RADIUS,
+      fill: annotation.color
+    }), label);
+
+    if (selected) group.appendChild(createHandle(end, 'end'));
+  }
+
+  _renderDimension(group, annotation, selected) {
+    const start = this.resolveAnchor(annotation.start);
+    const end = this.resolveAnchor(annotation.end);
+    const dx = end.x - start.x;
+    const dy = end.y - start.y;
+    const length = Math.hypot(dx, dy);
+
+    group.appendChild(createHitLine(start, end));
+    group.appendChild(createLine(start, end, annotation.color));
+
+    if (length > 1e-6) {
+      const ux = dx / length;
+      const uy = dy / length;
+      group.appendChild(createArrowhead(start, -ux, -uy, annotation.color));
+      group.appendChild(createArrowhead(end, ux, uy, annotation.color));
+
+      // Label above the middle of the line, kept upright
+      let angle = Math.atan2(dy, dx) * 180 / Math.PI;
+      if (angle > 90) angle -= 180;
+      if (angle <= -90) angle += 180;
+      const normalRad = (angle - 90) * Math.PI / 180;
+      const offset = annotation.fontSize * 0.8;
+      const mx = (start.x + end.x) / 2 + Math.cos(normalRad) * offset;
+      const my = (start.y + end.y) / 2 + Math.sin(normalRad) * offset;
+
+      const label = createLabel(
+        { ...annotation, text: annotation.text || units.format(length) },
+        mx,
+        my
+      );
+      label.setAttribute('transform', `rotate(${angle}, ${mx}, ${my})`);
+      group.appendChild(label);
+    }
+
+    if (selected) {
+      group.appendChild(createHandle(start, 'start'));
+      group.appendChild(createHandle(end, 'end'));
+    }
+  }
+}
+
+// ─── SVG helpers ────────────────────────────────────────────────────────────
+
+function createElement(tag, attributes) {
+  const element = document.createElementNS(SVG_NS, tag);
+  Object.entries(attributes).forEach(([key, value]) => element.setAttribute(key, value));
+  return element;
+}
+
+// Multi-line text centred on (x, y)
+function createLabel(annotation, x, y) {
+  const text = createElement('text', {
+    x,
+    y,
+    'text-anchor': 'middle',
+    'dominant-baseline': 'middle',
+    'font-family': annotation.fontFamily,
+    'font-size': annotation.fontSize,
+    fill: annotation.color
+  });
+
+  const lines = String(annotation.text).split('\n');
+  lines.forEach((line, index) => {
+    const tspan = createElement('tspan', {
+      x,
+      dy: index === 0 ? `${-(lines.length - 1) * 0.6}em` : '1.2em'
+    });
+    tspan.textContent = line || ' ';
+    text.appendChild(tspan);
+  });
+  return text;
+}
+
+function createLine(start, end, color) {
+  return createElement('line', {
+    x1: start.x,
+    y1: start.y,
+    x2: end.x,
+    y2: end.y,
+    stroke: color,
+    'stroke-width': ANNOTATION_LINE_WIDTH
+  });
+}
+
+// Wide transparent stroke so thin lines are easy to grab (stripped on export)
+function createHitLine(start, end) {
+  const line = createLine(start, end, 'transparent');
+  line.setAttribute('stroke-width', ANNOTATION_HIT_WIDTH);
+  line.classList.add('annotation-hit-area');
+  return line;
+}
+
+function createArrowhead(tip, ux, uy, color) {
+  const size = ANNOTATION_ARROWHEAD_SIZE;
+  const baseX = tip.x - ux * size;
+  const baseY = tip.y - uy * size;
+  const halfWidth = size * 0.4;
+  const points = [
+    [tip.x, tip.y],
+    [baseX - uy * halfWidth, baseY + ux * halfWidth],
+    [baseX + uy * halfWidth, baseY - ux * halfWidth]
+  ].map(([px, py]) => `${px},${py}`).join(' ');
+  return createElement('polygon', { points, fill: color });
+}
+
+function createHandle(point, key) {
+  const handle = createElement('circle', {
+    cx: point.x,
+    cy: point.y,
+    r: ANNOTATION_HANDLE_RADIUS,
+    fill: '#fff',
+    stroke: ANNOTATION_SELECTION_COLOR,
+    'stroke-width': 2,
+    cursor: 'crosshair',
+    'data-handle': key
+  });
+  handle.classList.add('annotation-handle');
+  return handle;
+}
+
+function appendSelectionBox(group, label) {
+  const box = safeBBox(label);
+  if (!box) return;
+  const padding = ANNOTATION_LEADER_GAP;
+  const rect = createElement('rect', {
+    x: box.x - padding,
+    y: box.y - padding,
+    width: box.width + padding * 2,
+    height: box.height + padding * 2,
+    fill: 'none',
+    stroke: ANNOTATION_SELECTION_COLOR,
+    'stroke-width': 1,
+    'stroke-dasharray': '4,3',
+    'pointer-events': 'none'
+  });
+  rect.classList.add('annotation-selection-box');
+  group.appendChild(rect);
+}
+
+// getBBox needs the element in the document; render() builds groups detached
+function safeBBox(element) {
+  const layer = document.getElementById('annotations');
+  if (!layer) return null;
+  const parent = element.parentNode;
+  const probe = !element.isConnected;
+  if (probe) layer.appendChild(element);
+  try {
+    const box = element.getBBox();
+    return box.width > 0 || box.height > 0 ? box : null;
+  } catch {
+    return null;
+  } finally {
+    if (probe) {
+      if (parent) parent.appendChild(element);
+      else element.remove();
+    }
+  }
+}
+
+// Create singleton instance
+export const annotationManager = new AnnotationManager();
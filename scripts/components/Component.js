@@ -12,6 +12,53 @@ import {
   DEFAULT_RAY_GRADIENT_COLOR2
 } from '../config.js';
 
+/**
+ * Output ports of a diffractive component, one per order m = -maxOrder…maxOrder.
+ * Order m leaves at θm with sin θm = m · sin(angle) (grating equation, normal
+ * incidence); positive orders turn towards the component's up side. Orders
+ * with |sin θm| > 1 do not propagate and get no port.
+ * @param {{maxOrder: number, angle: number}} diffraction - angle of order ±1 in degrees
+ * @returns {object} outputPorts keyed 'order-1', 'order0', 'order1', …
+ */
+export function buildDiffractionPorts(diffraction) {
+  const ports = {};
+  const sin1 = Math.sin(diffraction.angle * Math.PI / 180);
+  for (let m = -diffraction.maxOrder; m <= diffraction.maxOrder; m++) {
+    const s = m * sin1;
+    if (Math.abs(s) > 1) continue;
+    const c = Math.sqrt(1 - s * s);
+    ports[`order${m}`] = {
+      label: m > 0 ? `Order +${m}` : `Order ${m}`,
+      order: m,
+      upVector: { x: -s, y: -c },
+      forwardVector: { x: c, y: -s }
+    };
+  }
+  return ports;
+}
+
+/**
+ * Ray settings that belong to an incoming link rather than to the component.
+ * The primary link (`parent`) keeps them on the component itself; each extra
+ * incoming link (see `extraLinks`) carries its own copy.
+ */
+export const LINK_RAY_FIELDS = [
+  'rayShape',
+  'rayPolygonColor',
+  'rayPolygonOpacity',
+  'rayColorInheritFromParent',
+  'rayGradientEnabled',
+  'rayPolygonColor2',
+  'apertureRadius',
+  'apertureCenterOffset',
+  'coneAngle',
+  'arraySegments',
+  'arraySizeRatio',
+  'arrayPositionRatio',
+  'wavelength',
+  'wavelengthBandwidth'
+];
+
 export class Component {
   /**
    * Optional callback invoked whenever a component's transform changes.
@@ -39,6 +86,10 @@ export class Component {
         apertureRadius: definition.apertureRadius,
         coneAngle: definition.coneAngle,
         rayShape: definition.rayShape,
+        focalLength: definition.focalLength,
+        outputPorts: definition.outputPorts,
+        spectralFilter: definition.spectralFilter,
+        diffraction: definition.diffraction,
         drawFunction: definition.draw
       };
       
@@ -68,12 +119,23 @@ export class Component {
     this.apertureRadius = config.apertureRadius ?? 15;
     this.coneAngle = config.coneAngle ?? 0;
     this.rayShape = config.rayShape || 'collimated';
+    // Paraxial focal length (canvas units). null = no optical power (flat / pass-through).
+    this.focalLength = config.focalLength ?? null;
     this.rayPolygonColor = config.rayPolygonColor || DEFAULT_SOLID_RAY_COLOR;
     this.rayPolygonOpacity = config.rayPolygonOpacity ?? DEFAULT_RAY_POLYGON_OPACITY;
     this.rayColorInheritFromParent = config.rayColorInheritFromParent ?? true;
     this.rayGradientEnabled = config.rayGradientEnabled ?? DEFAULT_RAY_GRADIENT_ENABLED;
     this.rayPolygonColor2 = config.rayPolygonColor2 || config.rayPolygonColor || DEFAULT_RAY_GRADIENT_COLOR2;
 
+    // Wavelength of the incoming ray in nm (null = plain hue color) and its
+    // band width (0 = single line). When set, the ray colors are derived from
+    // it, see Spectrum.js. spectrumBlocked is recomputed on every redraw.
+    this.wavelength = config.wavelength ?? null;
+    this.wavelengthBandwidth = config.wavelengthBandwidth ?? 0;
+    this.spectrumBlocked = false;
+    // Wavelength selectivity of this component (dichroics, filters), or null
+    this.spectralFilter = config.spectralFilter ? { ...config.spectralFilter } : null;
+
     // Manual / Array aperture properties
     // apertureCenterOffset: signed displacement along upVector from the definition's
     // apertureCenter. The original apertureCenter is preserved for easy reset/undo.
@@ -82,6 +144,16 @@ export class Component {
     this.arraySizeRatio = config.arraySizeRatio ?? DEFAULT_ARRAY_SIZE_RATIO;
     this.arrayPositionRatio = config.arrayPositionRatio ?? DEFAULT_ARRAY_POSITION_RATIO;
 
+    // Named output ports (e.g. beamsplitter transmitted / reflected faces).
+    // null = a single output through the main aperture.
+    this.outputPorts = config.outputPorts || null;
+    this._outputPortViews = new Map();
+
+    // Diffraction orders (gratings, DOEs): { maxOrder, angle }. Each order is
+    // an output port, see buildDiffractionPorts().
+    this.diffraction = null;
+    if (config.diffraction) this.setDiffraction(config.diffraction);
+
     // Compute aperture points (depends on rayShape, radius, offset, array params)
     this.aperturePoints = this._getAperturePoints();
 
@@ -97,6 +169,7 @@ export class Component {
     this.scale = 1;
 
     this.visible = true;
+    this.locked = false;   // Locked components ignore clicks, dragging and box selection
     this.flipX = false;
     this.flipY = false;
 
@@ -106,7 +179,9 @@ export class Component {
     
     // Parent-child relationships
     this.parent = null;
-    this.children = [];
+    this.parentPort = null;            // output port of the parent this link leaves from (null = main aperture)
+    this.children = [];                // ids linked from this component (primary and extra links)
+    this.extraLinks = [];              // additional incoming links (beam combining), see addExtraLink()
     
     // Group relationships for multi-selection grouping
     this.isGrouped = false;
@@ -116,6 +191,7 @@ export class Component {
     this.isCompositeInstance = false;  // true if this is part of a spawned composite
     this.compositeKey = null;          // back-reference to composite definition key
     this.compositeInstanceId = null;   // unique ID per composite expansion (distinguishes instances)
+    this.compositePath = [];           // keys of the nested composites this member comes from, outermost first
     this.isExitPort = false;           // true if this is the designated exit port of a composite
     this.isEntryPort = false;          // true if this is the designated entry port of a composite
     this.rayLocked = false;            // true = ray/aperture config UI is frozen
@@ -177,6 +253,10 @@ export class Component {
     ];
   }
 
+  setName(name) {
+    this.name = name || this.type;
+  }
+
   setPosition(x, y) {
     this.x = x;
     this.y = y;
@@ -222,6 +302,13 @@ export class Component {
     return this.visible;
   }
 
+  setLocked(locked) {
+    this.locked = locked;
+    if (this.element) {
+      this.element.classList.toggle('locked', locked);
+    }
+  }
+
   flipHorizontal() {
     this.flipX = !this.flipX;
     if (this.element) {
@@ -249,6 +336,10 @@ export class Component {
     this.coneAngle = angle;
   }
 
+  setFocalLength(focalLength) {
+    this.focalLength = Number.isFinite(focalLength) && focalLength !== 0 ? focalLength : null;
+  }
+
   setRayShape(shape) {
     this.rayShape = shape;
     this.aperturePoints = this._getAperturePoints();
@@ -392,6 +483,148 @@ export class Component {
     ];
   }
 
+  /**
+   * Set the diffraction orders and rebuild the order ports. Links bound to an
+   * order that no longer exists fall back to the main aperture.
+   * @param {{maxOrder: number, angle: number}} diffraction
+   */
+  setDiffraction(diffraction) {
+    this.diffraction = { maxOrder: diffraction.maxOrder, angle: diffraction.angle };
+    this.outputPorts = buildDiffractionPorts(this.diffraction);
+    this._outputPortViews.clear();
+  }
+
+  /**
+   * Names of the output ports declared by the definition ([] if none).
+   */
+  getOutputPortNames() {
+    return this.outputPorts ? Object.keys(this.outputPorts) : [];
+  }
+
+  /**
+   * Optical view of this component as seen from one of its output ports:
+   * the same component (live position, rotation, aperture radius, ray
+   * settings) with the port's apertureCenter, upVector and forwardVector.
+   * Ray code uses it in place of the parent of a link bound to that port.
+   *
+   * Returns the component itself for null / unknown ports.
+   * @param {string|null} name
+   */
+  getOutputPort(name) {
+    const base = this._portBase || this;
+    const port = name && base.outputPorts ? base.outputPorts[name] : null;
+    if (!port) return base;
+
+    let view = base._outputPortViews.get(name);
+    if (!view) {
+      view = Object.create(base);
+      view._portBase = base;
+      view.portName = name;
+      view.apertureCenter = port.apertureCenter || base.apertureCenter;
+      view.upVector = port.upVector || base.upVector;
+      view.forwardVector = port.forwardVector || base.forwardVector;
+      Object.defineProperty(view, 'aperturePoints', {
+        get() { return this._getAperturePoints(); },
+        set() { /* derived from the port geometry */ }
+      });
+      base._outputPortViews.set(name, view);
+    }
+    return view;
+  }
+
+  /**
+   * Output port whose forward direction best matches a world-space vector
+   * (e.g. the arrow handle, or parent → child). null if there are no ports.
+   * @param {{x:number, y:number}} vector
+   * @returns {string|null}
+   */
+  getPortForDirection(vector) {
+    const names = this.getOutputPortNames();
+    if (names.length === 0) return null;
+
+    const rad = this.rotation * Math.PI / 180;
+    const cos = Math.cos(rad);
+    const sin = Math.sin(rad);
+    let best = names[0];
+    let bestDot = -Infinity;
+    names.forEach(name => {
+      const f = this.outputPorts[name].forwardVector || this.forwardVector;
+      const dot = (f.x * cos - f.y * sin) * vector.x + (f.x * sin + f.y * cos) * vector.y;
+      if (dot > bestDot) {
+        bestDot = dot;
+        best = name;
+      }
+    });
+    return best;
+  }
+
+  // ─── Extra incoming links (beam combining) ──────────────────────────────────
+
+  /**
+   * Add an incoming link from a second (third, …) parent. The link is a view
+   * of this component — live position, rotation and aperture center — with
+   * its own `parent`, `parentPort` and LINK_RAY_FIELDS, so ray code treats it
+   * exactly like a child. Settings default to the component's current ones.
+   * @param {number} parentId
+   * @param {string|null} [parentPort]
+   * @param {object} [settings] - LINK_RAY_FIELDS values to override
+   * @returns {object} the link
+   */
+  addExtraLink(parentId, parentPort = null, settings = {}) {
+    const link = Object.create(this);
+    link.isExtraLink = true;
+    link.owner = this;
+    link.id = `${this.id}-in-${parentId}`;
+    link.parent = parentId;
+    link.parentPort = parentPort;
+    link.children = [];
+    LINK_RAY_FIELDS.forEach(field => {
+      link[field] = settings[field] ?? this[field];
+    });
+    Object.defineProperty(link, 'aperturePoints', {
+      get() { return this._getAperturePoints(); },
+      set() { /* derived from the link's own aperture settings */ }
+    });
+
+    this.extraLinks.push(link);
+    return link;
+  }
+
+  getExtraLink(parentId) {
+    return this.extraLinks.find(link => link.parent === parentId) || null;
+  }
+
+  removeExtraLink(parentId) {
+    const index = this.extraLinks.findIndex(link => link.parent === parentId);
+    if (index === -1) return null;
+    return this.extraLinks.splice(index, 1)[0];
+  }
+
+  /** Ids of every parent: the primary one first, then extra links. */
+  getParentIds() {
+    const ids = this.parent !== null ? [this.parent] : [];
+    this.extraLinks.forEach(link => ids.push(link.parent));
+    return ids;
+  }
+
+  /**
+   * Make the first extra link the primary one (after the primary parent was
+   * cut or deleted), taking over its ray settings.
+   * @returns {boolean} true if a link was promoted
+   */
+  promoteExtraLink() {
+    const link = this.extraLinks.shift();
+    if (!link) return false;
+
+    this.parent = link.parent;
+    this.parentPort = link.parentPort;
+    LINK_RAY_FIELDS.forEach(field => {
+      this[field] = link[field];
+    });
+    this.aperturePoints = this._getAperturePoints();
+    return true;
+  }
+
   getArrowEndpoint() {
     // Returns the absolute position of the arrow tip in world coordinates.
     // The arrow originates from the optical center (centerPoint in world space).
@@ -414,6 +647,7 @@ export class Component {
       aperturePoints: this._getAperturePoints(),
       coneAngle: this.coneAngle,
       rayShape: this.rayShape,
+      focalLength: this.focalLength,
       arraySegments: this.arraySegments,
       arraySizeRatio: this.arraySizeRatio,
       arrayPositionRatio: this.arrayPositionRatio
@@ -471,6 +705,7 @@ export class Component {
 
     // Set initial visibility
     this.shapeGroup.style.opacity = this.visible ? '1' : '0';
+    if (this.locked) group.classList.add('locked');
     
     // Store reference
     this.element = group;
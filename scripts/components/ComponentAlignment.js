@@ -0,0 +1,194 @@
+import { componentManager } from './ComponentManager.js';
+
+/**
+ * Align and distribute for multi-selections.
+ *
+ * The selection is split into units that move as one: a group (or a
+ * composite instance, whose members are grouped) is a single unit, every
+ * other component is a unit of its own. Callers wrap each operation in one
+ * actionHistory action and redraw the rays afterwards.
+ */
+
+/**
+ * Split component ids into units of grouped components.
+ * @param {Iterable<number>} ids
+ * @returns {number[][]}
+ */
+export function getArrangeUnits(ids = componentManager.selectedIds) {
+  const remaining = new Set([...ids].filter(id => componentManager.components.has(id)));
+  const units = [];
+
+  remaining.forEach(id => {
+    const unit = [];
+    const stack = [id];
+    remaining.delete(id);
+    while (stack.length > 0) {
+      const current = stack.pop();
+      unit.push(current);
+      const component = componentManager.getComponent(current);
+      if (!component.isGrouped) continue;
+      component.groupMembers.forEach(memberId => {
+        if (remaining.has(memberId)) {
+          remaining.delete(memberId);
+          stack.push(memberId);
+        }
+      });
+    }
+    units.push(unit.sort((a, b) => a - b));
+  });
+
+  return units;
+}
+
+/**
+ * Align the selected units on one edge or center line.
+ * With a focused component its unit is the reference and stays put;
+ * otherwise the units are aligned to the bounds of the whole selection.
+ * @param {'left'|'center'|'right'|'top'|'middle'|'bottom'} mode
+ * @returns {boolean} false if fewer than two units are selected
+ */
+export function alignSelection(mode) {
+  const units = getArrangeUnits();
+  if (units.length < 2) return false;
+
+  const referenceUnit = _getFocusedUnit(units);
+  const reference = componentManager.getGroupBounds(referenceUnit || units.flat());
+
+  units.forEach(unit => {
+    if (unit === referenceUnit) return;
+    const bounds = componentManager.getGroupBounds(unit);
+    let dx = 0;
+    let dy = 0;
+    switch (mode) {
+      case 'left':   dx = reference.minX - bounds.minX; break;
+      case 'right':  dx = reference.maxX - bounds.maxX; break;
+      case 'center': dx = (reference.minX + reference.maxX) / 2 - (bounds.minX + bounds.maxX) / 2; break;
+      case 'top':    dy = reference.minY - bounds.minY; break;
+      case 'bottom': dy = reference.maxY - bounds.maxY; break;
+      case 'middle': dy = (reference.minY + reference.maxY) / 2 - (bounds.minY + bounds.maxY) / 2; break;
+      default:
+        console.error(`[ComponentAlignment] Unknown align mode "${mode}"`);
+        return;
+    }
+    componentManager.updateGroupPositions(unit, dx, dy);
+  });
+
+  return true;
+}
+
+/**
+ * Move every other unit sideways onto the optical axis of the focused
+ * component: the line through its aperture center along its arrow (the
+ * direction its beam leaves in). Single components put their aperture
+ * center on the axis, groups their bounding-box center.
+ * @returns {boolean} false without a focused component or a second unit
+ */
+export function alignToOpticalAxis() {
+  const units = getArrangeUnits();
+  const referenceUnit = _getFocusedUnit(units);
+  if (!referenceUnit || units.length < 2) return false;
+
+  const reference = componentManager.getComponent(componentManager.currentId);
+  const origin = reference.localToWorld(reference.apertureCenter.x, reference.apertureCenter.y);
+  const arrow = reference.getArrowVector();
+  const length = Math.hypot(arrow.x, arrow.y);
+  if (length < 1e-9) return false;
+  const axis = { x: arrow.x / length, y: arrow.y / length };
+
+  units.forEach(unit => {
+    if (unit === referenceUnit) return;
+    const point = _getUnitAnchor(unit);
+    // Remove the component of (point - origin) perpendicular to the axis
+    const along = (point.x - origin.x) * axis.x + (point.y - origin.y) * axis.y;
+    const target = { x: origin.x + axis.x * along, y: origin.y + axis.y * along };
+    componentManager.updateGroupPositions(unit, target.x - point.x, target.y - point.y);
+  });
+
+  return true;
+}
+
+/**
+ * Space the units evenly. The two outermost units stay where they are.
+ *   'horizontal' / 'vertical': equal steps between bounding-box centers.
+ *   'path': equal steps along the straight line from the first to the last
+ *           unit in beam order (parents before children), so the units end
+ *           up on that line.
+ * @param {'horizontal'|'vertical'|'path'} mode
+ * @returns {boolean} false if fewer than three units are selected
+ */
+export function distributeSelection(mode) {
+  const units = getArrangeUnits();
+  if (units.length < 3) return false;
+
+  const centers = new Map(units.map(unit => [unit, componentManager.getGroupCentroid(unit)]));
+
+  if (mode === 'horizontal' || mode === 'vertical') {
+    const key = mode === 'horizontal' ? 'x' : 'y';
+    const sorted = [...units].sort((a, b) => centers.get(a)[key] - centers.get(b)[key]);
+    const first = centers.get(sorted[0])[key];
+    const step = (centers.get(sorted[sorted.length - 1])[key] - first) / (sorted.length - 1);
+    sorted.forEach((unit, index) => {
+      const offset = first + step * index - centers.get(unit)[key];
+      componentManager.updateGroupPositions(unit, key === 'x' ? offset : 0, key === 'y' ? offset : 0);
+    });
+    return true;
+  }
+
+  if (mode === 'path') {
+    const sorted = _sortByBeamOrder(units, centers);
+    const start = _getUnitAnchor(sorted[0]);
+    const end = _getUnitAnchor(sorted[sorted.length - 1]);
+    sorted.forEach((unit, index) => {
+      const t = index / (sorted.length - 1);
+      const point = _getUnitAnchor(unit);
+      componentManager.updateGroupPositions(
+        unit,
+        start.x + (end.x - start.x) * t - point.x,
+        start.y + (end.y - start.y) * t - point.y
+      );
+    });
+    return true;
+  }
+
+  console.error(`[ComponentAlignment] Unknown distribute mode "${mode}"`);
+  return false;
+}
+
+function _getFocusedUnit(units) {
+  const focusId = componentManager.currentId;
+  if (focusId === null) return null;
+  return units.find(unit => unit.includes(focusId)) || null;
+}
+
+/** Point of a unit that alignment puts on a line. */
+function _getUnitAnchor(unit) {
+  if (unit.length === 1) {
+    const component = componentManager.getComponent(unit[0]);
+    return component.localToWorld(component.apertureCenter.x, component.apertureCenter.y);
+  }
+  return componentManager.getGroupCentroid(unit);
+}
+
+/**
+ * Units ordered along the beam: by the depth of their shallowest member
+ * (number of parent links up to a root), then left to right, top to bottom.
+ */
+function _sortByBeamOrder(units, centers) {
+  const depthOf = (id) => {
+    let depth = 0;
+    const seen = new Set();
+    let component = componentManager.getComponent(id);
+    while (component && component.parent !== null && !seen.has(component.parent)) {
+      seen.add(component.parent);
+      component = componentManager.getComponent(component.parent);
+      depth++;
+    }
+    return depth;
+  };
+  const depths = new Map(units.map(unit => [unit, Math.min(...unit.map(depthOf))]));
+
+  return [...units].sort((a, b) =>
+    depths.get(a) - depths.get(b) ||
+    centers.get(a).x - centers.get(b).x ||
+    centers.get(a).y - centers.get(b).y);
+}
@@ -0,0 +1,908 @@
+/**
+ * ComponentEditorDialog.js
+ * ------------------------
+ * <dialog> for drawing a brand-new basic component and saving it as a user
+ * definition (see UserComponentStore.js).  The saved component appears in the
+ * "User Components" sidebar section and behaves like any library entry.
+ *
+ * The drawing area shows the component's local coordinate space, centered on
+ * (0, 0).  Tools:
+ *   Line / Rect / Ellipse — drag to add a primitive; colors and width for new
+ *                           shapes are set in the toolbar, existing shapes are
+ *                           edited in the shape list
+ *   Center                — click to place centerPoint (the point that sits on
+ *                           the canvas position and where trace lines meet)
+ *   Aperture              — click to place apertureCenter
+ *   Forward               — click a point the beam leaves towards; the forward
+ *                           vector points there from the aperture center and
+ *                           the up vector is 90° counter-clockwise of it
+ *   Bounds                — drag the localBounds box.  Until it is dragged the
+ *                           box follows the artwork ("Fit bounds to artwork" goes back)
+ * Pointer positions snap to COMPONENT_EDITOR.SNAP_STEP; hold Alt to place freely.
+ * An SVG file can be imported as artwork; it is centered and scaled to fit.
+ *
+ * The ray preview runs the real ray code on a laser → new component → lens
+ * chain laid out along the forward vector.
+ */
+
+import { Component } from './Component.js';
+import { saveUserComponent, parseArtwork } from './UserComponentStore.js';
+import { COMPONENT_EDITOR, DEFAULT_APERTURE_RADIUS, DEFAULT_CONE_ANGLE } from '../config.js';
+import { getPolygonsForConnection, createRayGradientForSvg } from '../rays/ApertureRays.js';
+
+// ---------------------------------------------------------------------------
+// Module-level dialog state
+// ---------------------------------------------------------------------------
+
+/** @type {HTMLDialogElement|null} */
+let dialog = null;
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+
+const TOOLS = [
+    { id: 'line',     label: 'Line',     title: 'Drag to draw a line' },
+    { id: 'rect',     label: 'Rect',     title: 'Drag to draw a rectangle' },
+    { id: 'ellipse',  label: 'Ellipse',  title: 'Drag to draw an ellipse' },
+    { id: 'center',   label: 'Center',   title: 'Click to place the center point' },
+    { id: 'aperture', label: 'Aperture', title: 'Click to place the aperture center' },
+    { id: 'forward',  label: 'Forward',  title: 'Click where the beam leaves towards' },
+    { id: 'bounds',   label: 'Bounds',   title: 'Drag the bounding box' }
+];
+
+const MARKER_COLORS = {
+    center:   '#e53935',
+    aperture: '#2196F3',
+    forward:  '#43a047',
+    bounds:   '#FF9800'
+};
+
+/** Mutable working state of the open editor. */
+const state = {
+    label: '',
+    tool: 'rect',
+    style: { fill: '#b0bec5', stroke: '#000000', strokeWidth: 1.5 },
+    shapes: [],            // { kind, x1, y1, x2, y2, fill, stroke, strokeWidth }
+    importedArtwork: '',   // sanitised markup of an imported SVG file
+    centerPoint: { x: 0, y: 0 },
+    apertureCenter: { x: 0, y: 0 },
+    forwardVector: { x: 1, y: 0 },
+    localBounds: null,
+    boundsEdited: false,
+    apertureRadius: DEFAULT_APERTURE_RADIUS,
+    rayShape: 'collimated',
+    coneAngle: DEFAULT_CONE_ANGLE,
+    drag: null             // shape or bounds box being dragged
+};
+
+/** Elements that are refreshed after every change. */
+const view = {
+    drawing: null,
+    artworkLayer: null,
+    overlayLayer: null,
+    shapeList: null,
+    readout: null,
+    preview: null,
+    warning: null
+};
+
+// ---------------------------------------------------------------------------
+// Public API
+// ---------------------------------------------------------------------------
+
+/**
+ * Open the component editor with an empty drawing.
+ */
+export function openComponentEditorDialog() {
+    if (!dialog) {
+        dialog = document.getElementById('component-editor-dialog');
+    }
+    if (!dialog) {
+        console.error('[ComponentEditorDialog] #component-editor-dialog not found in DOM');
+        return;
+    }
+
+    state.label = '';
+    state.tool = 'rect';
+    state.shapes = [];
+    state.importedArtwork = '';
+    state.centerPoint = { x: 0, y: 0 };
+    state.apertureCenter = { x: 0, y: 0 };
+    state.forwardVector = { x: 1, y: 0 };
+    state.localBounds = null;
+    state.boundsEdited = false;
+    state.apertureRadius = DEFAULT_APERTURE_RADIUS;
+    state.rayShape = 'collimated';
+    state.coneAngle = DEFAULT_CONE_ANGLE;
+    state.drag = null;
+
+    dialog.style.minWidth = COMPONENT_EDITOR.MIN_WIDTH + 'px';
+    dialog.style.maxWidth = COMPONENT_EDITOR.MAX_WIDTH + 'px';
+
+    _render();
+    dialog.showModal();
+    _refresh();
+}
+
+// ---------------------------------------------------------------------------
+// Rendering
+// ---------------------------------------------------------------------------
+
+function _render() {
+    while (dialog.firstChild) dialog.removeChild(dialog.firstChild);
+
+    const wrap = _el('div', { className: 'scd-phase' });
+
+    // ── Header + name ───────────────────────────────────────────────────────
+    const header = _el('div', { className: 'scd-header-row' });
+    header.appendChild(_el('h3', { className: 'scd-title', textContent: 'New Component' }));
+    wrap.appendChild(header);
+
+    const nameRow = _el('div', { className: 'scd-name-row' });
+    const nameInput = _el('input', {
+        className: 'scd-input',
+        type: 'text',
+        placeholder: 'Name your component, e.g. "Pockels Cell"'
+    });
+    nameInput.addEventListener('input', () => {
+        state.label = nameInput.value;
+        nameInput.classList.remove('scd-input-error');
+    });
+    nameRow.appendChild(nameInput);
+    wrap.appendChild(nameRow);
+
+    wrap.appendChild(_buildToolbar());
+
+    // ── Drawing area + properties ───────────────────────────────────────────
+    const body = _el('div', { className: 'ced-body' });
+
+    const drawingWrap = _el('div', { className: 'scd-spatial-preview ced-drawing' });
+    drawingWrap.appendChild(_buildDrawing());
+    body.appendChild(drawingWrap);
+
+    const side = _el('div', { className: 'ced-side' });
+    side.appendChild(_buildRayFields());
+    view.shapeList = _el('div', { className: 'ced-shape-list' });
+    side.appendChild(view.shapeList);
+    body.appendChild(side);
+    wrap.appendChild(body);
+
+    view.readout = _el('div', { className: 'ud-note ced-readout' });
+    wrap.appendChild(view.readout);
+
+    // ── Ray preview ─────────────────────────────────────────────────────────
+    view.preview = _el('div', { className: 'scd-spatial-preview ced-preview' });
+    wrap.appendChild(view.preview);
+
+    view.warning = _el('div', { className: 'scd-warning' });
+    view.warning.style.display = 'none';
+    wrap.appendChild(view.warning);
+
+    // ── Buttons ─────────────────────────────────────────────────────────────
+    const btnRow = _el('div', { className: 'scd-btn-row' });
+
+    const cancelBtn = _el('button', { className: 'scd-btn scd-btn-secondary', textContent: 'Cancel' });
+    cancelBtn.addEventListener('click', _close);
+
+    const saveBtn = _el('button', { className: 'scd-btn scd-btn-primary', textContent: 'Save' });
+    saveBtn.addEventListener('click', () => {
+        const name = state.label.trim();
+        if (!name) {
+            nameInput.focus();
+            nameInput.classList.add('scd-input-error');
+            return;
+        }
+        if (!_hasArtwork()) {
+            _showWarning('⚠ Draw or import some artwork first.');
+            return;
+        }
+        _save(name);
+    });
+
+    btnRow.appendChild(cancelBtn);
+    btnRow.appendChild(saveBtn);
+    wrap.appendChild(btnRow);
+
+    dialog.appendChild(wrap);
+    requestAnimationFrame(() => nameInput.focus());
+}
+
+function _buildToolbar() {
+    const bar = _el('div', { className: 'ced-toolbar' });
+
+    TOOLS.forEach(tool => {
+        const btn = _el('button', {
+            className: 'scd-btn scd-btn-secondary ced-tool-btn',
+            textContent: tool.label,
+            title: tool.title,
+            'data-tool': tool.id
+        });
+        btn.classList.toggle('active', tool.id === state.tool);
+        btn.addEventListener('click', () => {
+            state.tool = tool.id;
+            bar.querySelectorAll('.ced-tool-btn').forEach(b => {
+                b.classList.toggle('active', b.getAttribute('data-tool') === tool.id);
+            });
+        });
+        bar.appendChild(btn);
+    });
+
+    // Style for new shapes
+    const fillInput = _el('input', { type: 'color', title: 'Fill of new shapes', value: state.style.fill });
+    fillInput.addEventListener('input', () => { state.style.fill = fillInput.value; });
+    const strokeInput = _el('input', { type: 'color', title: 'Stroke of new shapes', value: state.style.stroke });
+    strokeInput.addEventListener('input', () => { state.style.stroke = strokeInput.value; });
+    const widthInput = _el('input', {
+        className: 'scd-input ced-number',
+        type: 'number',
+        min: '0',
+        step: '0.5',
+        title: 'Stroke width of new shapes',
+        value: String(state.style.strokeWidth)
+    });
+    widthInput.addEventListener('input', () => {
+        const width = Number(widthInput.value);
+        if (Number.isFinite(width) && width >= 0) state.style.strokeWidth = width;
+    });
+    bar.append(fillInput, strokeInput, widthInput);
+
+    // SVG file import
+    const importBtn = _el('button', {
+        className: 'scd-btn scd-btn-secondary',
+        textContent: 'Import SVG…',
+        title: 'Use an SVG file as artwork'
+    });
+    importBtn.addEventListener('click', _importSvgFile);
+    bar.appendChild(importBtn);
+
+    return bar;
+}
+
+function _buildDrawing() {
+    const size = COMPONENT_EDITOR.VIEW_SIZE;
+    const svg = document.createElementNS(SVG_NS, 'svg');
+    svg.setAttribute('class', 'scd-preview-svg ced-drawing-svg');
+    svg.setAttribute('viewBox', `${-size / 2} ${-size / 2} ${size} ${size}`);
+    svg.setAttribute('preserveAspectRatio', 'xMidYMid meet');
+
+    svg.appendChild(_buildGrid(size));
+    view.artworkLayer = document.createElementNS(SVG_NS, 'g');
+    svg.appendChild(view.artworkLayer);
+    view.overlayLayer = document.createElementNS(SVG_NS, 'g');
+    view.overlayLayer.setAttribute('pointer-events', 'none');
+    svg.appendChild(view.overlayLayer);
+
+    svg.addEventListener('pointerdown', (e) => {
+        if (e.button !== 0) return;
+        e.preventDefault();
+        _onPointerDown(_toLocal(svg, e));
+        if (state.drag) svg.setPointerCapture(e.pointerId);
+    });
+    svg.addEventListener('pointermove', (e) => {
+        if (!state.drag) return;
+        const p = _toLocal(svg, e);
+        state.drag.x2 = p.x;
+        state.drag.y2 = p.y;
+        _refreshDrawing();
+    });
+    svg.addEventListener('pointerup', () => {
+        if (state.drag) _finishDrag();
+    });
+
+    view.drawing = svg;
+    return svg;
+}
+
+function _buildGrid(size) {
+    const grid = document.createElementNS(SVG_NS, 'g');
+    grid.setAttribute('pointer-events', 'none');
+    const half = size / 2;
+    for (let v = -half; v <= half; v += COMPONENT_EDITOR.GRID_STEP) {
+        const isAxis = Math.abs(v) < 1e-9;
+        [[v, -half, v, half], [-half, v, half, v]].forEach(([x1, y1, x2, y2]) => {
+            const line = document.createElementNS(SVG_NS, 'line');
+            line.setAttribute('x1', x1);
+            line.setAttribute('y1', y1);
+            line.setAttribute('x2', x2);
+            line.setAttribute('y2', y2);
+            line.setAttribute('stroke', isAxis ? '#bbb' : '#e6e6e6');
+            line.setAttribute('stroke-width', isAxis ? 0.6 : 0.3);
+            grid.appendChild(line);
+        });
+    }
+    return grid;
+}
+
+function _buildRayFields() {
+    const fields = _el('div', { className: 'ced-fields' });
+
+    const radiusInput = _el('input', {
+        className: 'scd-input', id: 'ced-aperture-radius', type: 'number', min: '0', step: 'any',
+        value: String(state.apertureRadius)
+    });
+    radiusInput.addEventListener('input', () => {
+        const radius = Number(radiusInput.value);
+        if (!Number.isFinite(radius) || radius < 0) return;
+        state.apertureRadius = radius;
+        _refresh();
+    });
+    fields.appendChild(_row('Aperture radius', radiusInput));
+
+    const shapeSelect = _el('select', { className: 'scd-input', id: 'ced-ray-shape' });
+    ['collimated', 'divergent', 'convergent'].forEach(shape => {
+        const option = _el('option', { value: shape, textContent: shape });
+        if (shape === state.rayShape) option.selected = true;
+        shapeSelect.appendChild(option);
+    });
+    shapeSelect.addEventListener('change', () => {
+        state.rayShape = shapeSelect.value;
+        _refresh();
+    });
+    fields.appendChild(_row('Ray shape', shapeSelect));
+
+    const coneInput = _el('input', {
+        className: 'scd-input', id: 'ced-cone-angle', type: 'number', min: '0', max: '89', step: 'any',
+        value: String(state.coneAngle)
+    });
+    coneInput.addEventListener('input', () => {
+        const angle = Number(coneInput.value);
+        if (!Number.isFinite(angle)) return;
+        state.coneAngle = angle;
+        _refresh();
+    });
+    fields.appendChild(_row('Cone angle (°)', coneInput));
+
+    const fitBtn = _el('button', {
+        className: 'scd-btn scd-btn-secondary',
+        textContent: 'Fit bounds to artwork'
+    });
+    fitBtn.addEventListener('click', () => {
+        state.boundsEdited = false;
+        _refresh();
+    });
+    fields.appendChild(fitBtn);
+
+    return fields;
+}
+
+// ---------------------------------------------------------------------------
+// Refresh
+// ---------------------------------------------------------------------------
+
+function _refresh() {
+    _refreshDrawing();
+    // Measure the artwork just drawn, then redraw the bounds overlay
+    if (!state.boundsEdited) {
+        _fitBounds();
+        _refreshDrawing();
+    }
+    _refreshShapeList();
+    _refreshReadout();
+    _refreshPreview();
+}
+
+function _refreshDrawing() {
+    view.artworkLayer.replaceChildren(_buildArtworkElement());
+    if (state.drag && state.drag.kind !== 'bounds') {
+        view.artworkLayer.appendChild(_shapeElement(state.drag));
+    }
+
+    view.overlayLayer.replaceChildren();
+    const bounds = state.drag && state.drag.kind === 'bounds' ? _dragBox(state.drag) : state.localBounds;
+    if (bounds) view.overlayLayer.appendChild(_boundsElement(bounds));
+    _appendApertureMarker(view.overlayLayer);
+    _appendCenterMarker(view.overlayLayer);
+}
+
+function _refreshShapeList() {
+    view.shapeList.replaceChildren();
+
+    if (state.importedArtwork) {
+        const row = _el('div', { className: 'ced-shape-row' });
+        row.appendChild(_el('span', { className: 'ced-shape-name', textContent: 'Imported SVG' }));
+        row.appendChild(_deleteButton(() => { state.importedArtwork = ''; }));
+        view.shapeList.appendChild(row);
+    }
+
+    state.shapes.forEach((shape, index) => {
+        const row = _el('div', { className: 'ced-shape-row' });
+        row.appendChild(_el('span', { className: 'ced-shape-name', textContent: `${index + 1}. ${shape.kind}` }));
+
+        if (shape.kind !== 'line') {
+            const fill = _el('input', { type: 'color', title: 'Fill', value: shape.fill });
+            fill.addEventListener('input', () => { shape.fill = fill.value; _refreshDrawing(); });
+            fill.addEventListener('change', _refreshPreview);
+            row.appendChild(fill);
+        }
+        const stroke = _el('input', { type: 'color', title: 'Stroke', value: shape.stroke });
+        stroke.addEventListener('input', () => { shape.stroke = stroke.value; _refreshDrawing(); });
+        stroke.addEventListener('change', _refreshPreview);
+        row.appendChild(stroke);
+
+        row.appendChild(_deleteButton(() => { state.shapes.splice(index, 1); }));
+        view.shapeList.appendChild(row);
+    });
+
+    if (!view.shapeList.firstChild) {
+        view.shapeList.appendChild(_el('div', { className: 'ud-note', textContent: 'No shapes yet' }));
+    }
+}
+
+function _refreshReadout() {
+    const angle = Math.atan2(state.forwardVector.y, state.forwardVector.x) * 180 / Math.PI;
+    const lb = state.localBounds;
+    const parts = [
+        `center (${_fmt(state.centerPoint.x)}, ${_fmt(state.centerPoint.y)})`,
+        `aperture (${_fmt(state.apertureCenter.x)}, ${_fmt(state.apertureCenter.y)})`,
+        `forward ${_fmt(angle)}°`,
+        lb ? `bounds ${_fmt(lb.maxX - lb.minX)} × ${_fmt(lb.maxY - lb.minY)}` : 'no bounds'
+    ];
+    view.readout.textContent = parts.join(' · ');
+}
+
+/**
+ * Laser → new component → lens, all drawn with the same transform chain and
+ * ray code as the canvas.
+ */
+function _refreshPreview() {
+    view.preview.replaceChildren();
+    if (!_hasArtwork() || !state.localBounds) {
+        view.preview.appendChild(_el('div', { className: 'ud-note', textContent: 'Ray preview appears once there is artwork.' }));
+        return;
+    }
+
+    const svg = document.createElementNS(SVG_NS, 'svg');
+    svg.setAttribute('class', 'scd-preview-svg');
+    svg.setAttribute('preserveAspectRatio', 'xMidYMid meet');
+
+    const def = _buildDefinition('component-editor-preview', state.label.trim() || 'New component');
+    const draft = new Component({ ...def, type: def.key, name: def.label, drawFunction: def.draw });
+    const source = new Component('laser');
+    const target = new Component('lens');
+
+    const dir = state.forwardVector;
+    const angle = Math.atan2(dir.y, dir.x) * 180 / Math.PI;
+    const aperture = draft.localToWorld(state.apertureCenter.x, state.apertureCenter.y);
+    const distance = COMPONENT_EDITOR.PREVIEW_DISTANCE;
+    source.setPosition(aperture.x - dir.x * distance, aperture.y - dir.y * distance);
+    target.setPosition(aperture.x + dir.x * distance, aperture.y + dir.y * distance);
+    source.setRotation(angle);
+    target.setRotation(angle);
+
+    const members = [source, draft, target];
+    let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+    members.forEach(comp => {
+        const bb = comp.getBoundingBox();
+        minX = Math.min(minX, bb.minX);
+        maxX = Math.max(maxX, bb.maxX);
+        minY = Math.min(minY, bb.minY);
+        maxY = Math.max(maxY, bb.maxY);
+    });
+    const contentW = (maxX - minX) || 60;
+    const contentH = (maxY - minY) || 60;
+    const pad = Math.max(contentW, contentH) * 0.08;
+    svg.setAttribute('viewBox', `${minX - pad} ${minY - pad} ${contentW + pad * 2} ${contentH + pad * 2}`);
+
+    const rayGroup = document.createElementNS(SVG_NS, 'g');
+    [[source, draft], [draft, target]].forEach(([parent, child]) => {
+        const gradientId = createRayGradientForSvg(svg, parent, child);
+        getPolygonsForConnection(parent, child, gradientId).forEach(p => rayGroup.appendChild(p));
+    });
+    svg.appendChild(rayGroup);
+
+    members.forEach(comp => svg.appendChild(_componentElement(comp)));
+    view.preview.appendChild(svg);
+}
+
+// ---------------------------------------------------------------------------
+// Pointer handling
+// ---------------------------------------------------------------------------
+
+function _onPointerDown(p) {
+    _hideWarning();
+    switch (state.tool) {
+        case 'line':
+        case 'rect':
+        case 'ellipse':
+            state.drag = {
+                kind: state.tool,
+                x1: p.x, y1: p.y, x2: p.x, y2: p.y,
+                fill: state.style.fill,
+                stroke: state.style.stroke,
+                strokeWidth: state.style.strokeWidth
+            };
+            _refreshDrawing();
+            break;
+        case 'bounds':
+            state.drag = { kind: 'bounds', x1: p.x, y1: p.y, x2: p.x, y2: p.y };
+            _refreshDrawing();
+            break;
+        case 'center':
+            state.centerPoint = p;
+            _refresh();
+            break;
+        case 'aperture':
+            state.apertureCenter = p;
+            _refresh();
+            break;
+        case 'forward': {
+            const dx = p.x - state.apertureCenter.x;
+            const dy = p.y - state.apertureCenter.y;
+            const length = Math.hypot(dx, dy);
+            if (length < 1e-9) return;
+            state.forwardVector = { x: _round(dx / length), y: _round(dy / length) };
+            _refresh();
+            break;
+        }
+    }
+}
+
+function _finishDrag() {
+    const drag = state.drag;
+    state.drag = null;
+    const width = Math.abs(drag.x2 - drag.x1);
+    const height = Math.abs(drag.y2 - drag.y1);
+
+    if (drag.kind === 'bounds') {
+        if (width > 0 && height > 0) {
+            state.localBounds = _dragBox(drag);
+            state.boundsEdited = true;
+        }
+    } else if (drag.kind === 'line' ? width + height > 0 : width > 0 && height > 0) {
+        state.shapes.push(drag);
+    }
+    _refresh();
+}
+
+/** Pointer position in local units, snapped unless Alt is held. */
+function _toLocal(svg, e) {
+    const pt = svg.createSVGPoint();
+    pt.x = e.clientX;
+    pt.y = e.clientY;
+    const local = pt.matrixTransform(svg.getScreenCTM().inverse());
+    if (e.altKey) return { x: _round(local.x), y: _round(local.y) };
+    const step = COMPONENT_EDITOR.SNAP_STEP;
+    return { x: Math.round(local.x / step) * step, y: Math.round(local.y / step) * step };
+}
+
+function _dragBox(drag) {
+    return {
+        minX: Math.min(drag.x1, drag.x2),
+        maxX: Math.max(drag.x1, drag.x2),
+        minY: Math.min(drag.y1, drag.y2),
+        maxY: Math.max(drag.y1, drag.y2)
+    };
+}
+
+// ---------------------------------------------------------------------------
+// SVG import
+// ---------------------------------------------------------------------------
+
+function _importSvgFile() {
+    const input = _el('input', { type: 'file', accept: '.svg,image/svg+xml' });
+    input.addEventListener('change', async () => {
+        const file = input.files && input.files[0];
+        if (!file) return;
+        try {
+            state.importedArtwork = _fitImportedSvg(await file.text());
+            _hideWarning();
+        } catch (err) {
+            console.error('[ComponentEditorDialog] SVG import failed:', err);
+            _showWarning(`⚠ ${err.message}`);
+        }
+        _refresh();
+    });
+    input.click();
+}
+
+/**
+ * Artwork markup for an SVG file: its content, sanitised, centered on (0, 0)
+ * and scaled to COMPONENT_EDITOR.IMPORT_FIT_SIZE.
+ * @param {string} text  SVG file content
+ * @returns {string}
+ */
+function _fitImportedSvg(text) {
+    const doc = new DOMParser().parseFromString(text, 'image/svg+xml');
+    const root = doc.documentElement;
+    if (doc.querySelector('parsererror') || root.localName !== 'svg') {
+        throw new Error('The file is not a valid SVG document.');
+    }
+
+    let box = null;
+    const viewBox = (root.getAttribute('viewBox') || '').trim().split(/[\s,]+/).map(Number);
+    if (viewBox.length === 4 && viewBox.every(Number.isFinite) && viewBox[2] > 0 && viewBox[3] > 0) {
+        box = { x: viewBox[0], y: viewBox[1], width: viewBox[2], height: viewBox[3] };
+    } else {
+        const width = parseFloat(root.getAttribute('width'));
+        const height = parseFloat(root.getAttribute('height'));
+        if (width > 0 && height > 0) box = { x: 0, y: 0, width, height };
+    }
+    if (!box) {
+        const fit = COMPONENT_EDITOR.IMPORT_FIT_SIZE;
+        box = { x: 0, y: 0, width: fit, height: fit };
+    }
+
+    const serializer = new XMLSerializer();
+    const markup = Array.from(root.childNodes).map(node => serializer.serializeToString(node)).join('');
+    const content = parseArtwork(markup);
+    if (!content.firstChild) throw new Error('The SVG file has no drawable content.');
+
+    const scale = COMPONENT_EDITOR.IMPORT_FIT_SIZE / Math.max(box.width, box.height);
+    const tx = -(box.x + box.width / 2) * scale;
+    const ty = -(box.y + box.height / 2) * scale;
+    content.setAttribute('transform', `translate(${_round(tx)},${_round(ty)}) scale(${_round(scale)})`);
+    return serializer.serializeToString(content);
+}
+
+// ---------------------------------------------------------------------------
+// Artwork
+// ---------------------------------------------------------------------------
+
+function _hasArtwork() {
+    return state.shapes.length > 0 || !!state.importedArtwork;
+}
+
+/** The artwork as markup: the imported file first, drawn shapes on top. */
+function _buildArtworkMarkup() {
+    const serializer = new XMLSerializer();
+    return state.importedArtwork +
+        state.shapes.map(shape => serializer.serializeToString(_shapeElement(shape))).join('');
+}
+
+function _buildArtworkElement() {
+    return parseArtwork(_buildArtworkMarkup());
+}
+
+function _shapeElement(shape) {
+    const minX = Math.min(shape.x1, shape.x2);
+    const minY = Math.min(shape.y1, shape.y2);
+    const width = Math.abs(shape.x2 - shape.x1);
+    const height = Math.abs(shape.y2 - shape.y1);
+    let el;
+
+    switch (shape.kind) {
+        case 'line':
+            el = document.createElementNS(SVG_NS, 'line');
+            el.setAttribute('x1', shape.x1);
+            el.setAttribute('y1', shape.y1);
+            el.setAttribute('x2', shape.x2);
+            el.setAttribute('y2', shape.y2);
+            break;
+        case 'rect':
+            el = document.createElementNS(SVG_NS, 'rect');
+            el.setAttribute('x', minX);
+            el.setAttribute('y', minY);
+            el.setAttribute('width', width);
+            el.setAttribute('height', height);
+            break;
+        case 'ellipse':
+            el = document.createElementNS(SVG_NS, 'ellipse');
+            el.setAttribute('cx', minX + width / 2);
+            el.setAttribute('cy', minY + height / 2);
+            el.setAttribute('rx', width / 2);
+            el.setAttribute('ry', height / 2);
+            break;
+    }
+
+    el.setAttribute('fill', shape.kind === 'line' ? 'none' : shape.fill);
+    el.setAttribute('stroke', shape.stroke);
+    el.setAttribute('stroke-width', shape.strokeWidth);
+    return el;
+}
+
+/** Set localBounds to the drawn artwork's box, grown by half a stroke. */
+function _fitBounds() {
+    if (!_hasArtwork()) {
+        state.localBounds = null;
+        return;
+    }
+    let bbox;
+    try {
+        bbox = view.artworkLayer.getBBox();
+    } catch {
+        return;
+    }
+    if (bbox.width <= 0 && bbox.height <= 0) return;
+
+    const margin = Math.max(0, ...state.shapes.map(shape => shape.strokeWidth)) / 2;
+    state.localBounds = {
+        minX: Math.floor(bbox.x - margin),
+        maxX: Math.ceil(bbox.x + bbox.width + margin),
+        minY: Math.floor(bbox.y - margin),
+        maxY: Math.ceil(bbox.y + bbox.height + margin)
+    };
+}
+
+// ---------------------------------------------------------------------------
+// Overlays
+// ---------------------------------------------------------------------------
+
+function _boundsElement(bounds) {
+    const rect = document.createElementNS(SVG_NS, 'rect');
+    rect.setAttribute('x', bounds.minX);
+    rect.setAttribute('y', bounds.minY);
+    rect.setAttribute('width', bounds.maxX - bounds.minX);
+    rect.setAttribute('height', bounds.maxY - bounds.minY);
+    rect.setAttribute('fill', 'none');
+    rect.setAttribute('stroke', MARKER_COLORS.bounds);
+    rect.setAttribute('stroke-width', 0.8);
+    rect.setAttribute('stroke-dasharray', '3 2');
+    return rect;
+}
+
+/** Aperture line along the up vector, and the forward arrow from its center. */
+function _appendApertureMarker(layer) {
+    const { x, y } = state.apertureCenter;
+    const fwd = state.forwardVector;
+    const up = _upVector();
+    const r = state.apertureRadius;
+
+    const aperture = document.createElementNS(SVG_NS, 'line');
+    aperture.setAttribute('x1', x + up.x * r);
+    aperture.setAttribute('y1', y + up.y * r);
+    aperture.setAttribute('x2', x - up.x * r);
+    aperture.setAttribute('y2', y - up.y * r);
+    aperture.setAttribute('stroke', MARKER_COLORS.aperture);
+    aperture.setAttribute('stroke-width', 1.5);
+    layer.appendChild(aperture);
+
+    const length = 30;
+    const head = 5;
+    const tip = { x: x + fwd.x * length, y: y + fwd.y * length };
+    const shaft = document.createElementNS(SVG_NS, 'line');
+    shaft.setAttribute('x1', x);
+    shaft.setAttribute('y1', y);
+    shaft.setAttribute('x2', tip.x);
+    shaft.setAttribute('y2', tip.y);
+    shaft.setAttribute('stroke', MARKER_COLORS.forward);
+    shaft.setAttribute('stroke-width', 1.5);
+    layer.appendChild(shaft);
+
+    const arrowHead = document.createElementNS(SVG_NS, 'polygon');
+    const base = { x: tip.x - fwd.x * head, y: tip.y - fwd.y * head };
+    arrowHead.setAttribute('points', [
+        `${tip.x},${tip.y}`,
+        `${base.x + up.x * head / 2},${base.y + up.y * head / 2}`,
+        `${base.x - up.x * head / 2},${base.y - up.y * head / 2}`
+    ].join(' '));
+    arrowHead.setAttribute('fill', MARKER_COLORS.forward);
+    layer.appendChild(arrowHead);
+}
+
+function _appendCenterMarker(layer) {
+    const { x, y } = state.centerPoint;
+    const size = 5;
+    [[x - size, y, x + size, y], [x, y - size, x, y + size]].forEach(([x1, y1, x2, y2]) => {
+        const line = document.createElementNS(SVG_NS, 'line');
+        line.setAttribute('x1', x1);
+        line.setAttribute('y1', y1);
+        line.setAttribute('x2', x2);
+        line.setAttribute('y2', y2);
+        line.setAttribute('stroke', MARKER_COLORS.center);
+        line.setAttribute('stroke-width', 1.2);
+        layer.appendChild(line);
+    });
+}
+
+// ---------------------------------------------------------------------------
+// Build & save
+// ---------------------------------------------------------------------------
+
+/** Up vector: the forward vector turned 90° counter-clockwise on screen. */
+function _upVector() {
+    return { x: state.forwardVector.y, y: -state.forwardVector.x };
+}
+
+/**
+ * Definition in the ComponentLibrary.js schema, with the artwork as markup
+ * and a `draw` function built from it.
+ */
+function _buildDefinition(key, label) {
+    const artwork = _buildArtworkMarkup();
+    return {
+        key,
+        label,
+        name:           label,
+        category:       'User Components',
+        isComposite:    false,
+        isBuiltIn:      false,
+        localBounds:    { ...state.localBounds },
+        centerPoint:    { ...state.centerPoint },
+        apertureCenter: { ...state.apertureCenter },
+        upVector:       _upVector(),
+        forwardVector:  { ...state.forwardVector },
+        apertureRadius: state.apertureRadius,
+        coneAngle:      state.coneAngle,
+        rayShape:       state.rayShape,
+        artwork,
+        draw: (ns) => parseArtwork(artwork, ns)
+    };
+}
+
+function _save(name) {
+    const keyBase = name.toLowerCase().replace(/\s+/g, '_').replace(/[^a-z0-9_]/g, '');
+    const key = `user_${keyBase}_${Date.now()}`;
+
+    try {
+        saveUserComponent(_buildDefinition(key, name));
+        console.log(`[ComponentEditorDialog] Saved component "${name}" as key "${key}"`);
+    } catch (err) {
+        console.error('[ComponentEditorDialog] saveUserComponent failed:', err);
+        alert(`Failed to save component: ${err.message}`);
+        return;
+    }
+
+    _close();
+}
+
+// ---------------------------------------------------------------------------
+// Helpers
+// ---------------------------------------------------------------------------
+
+function _close() {
+    state.drag = null;
+    if (dialog) dialog.close();
+}
+
+function _showWarning(text) {
+    view.warning.textContent = text;
+    view.warning.style.display = 'block';
+}
+
+function _hideWarning() {
+    if (view.warning) view.warning.style.display = 'none';
+}
+
+/** Artwork of a component, placed with the same transform chain as Component._updateTransform. */
+function _componentElement(comp) {
+    const wrapper = document.createElementNS(SVG_NS, 'g');
+    const scale = comp.scale ?? 1;
+    const { a, b, c, d } = comp._getFlipMatrix();
+    wrapper.setAttribute('transform', [
+        `translate(${comp.x},${comp.y})`,
+        `rotate(${comp.rotation})`,
+        `matrix(${scale * a},${scale * b},${scale * c},${scale * d},0,0)`,
+        `translate(${-comp.centerPoint.x},${-comp.centerPoint.y})`
+    ].join(' '));
+    wrapper.appendChild(comp.drawFunction(SVG_NS));
+    return wrapper;
+}
+
+function _deleteButton(onDelete) {
+    const btn = _el('button', { className: 'ced-delete-btn', title: 'Remove', textContent: '×' });
+    btn.addEventListener('click', () => {
+        onDelete();
+        _refresh();
+    });
+    return btn;
+}
+
+function _row(labelText, control) {
+    const row = _el('div', { className: 'ud-row' });
+    row.appendChild(_el('label', { textContent: labelText, htmlFor: control.id }));
+    row.appendChild(control);
+    return row;
+}
+
+function _round(value) {
+    return Math.round(value * 1000) / 1000;
+}
+
+function _fmt(value) {
+    return String(Math.round(value * 10) / 10);
+}
+
+/**
+ * Minimal element factory.
+ * @param {string} tag
+ * @param {Object} [props]
+ * @returns {HTMLElement}
+ */
+function _el(tag, props = {}) {
+    const el = document.createElement(tag);
+    for (const [k, v] of Object.entries(props)) {
+        if (k === 'textContent') el.textContent = v;
+        else if (k === 'className') el.className = v;
+        else el.setAttribute(k === 'htmlFor' ? 'for' : k, v);
+    }
+    return el;
+}
@@ -1,4 +1,8 @@
-import { DEFAULT_APERTURE_RADIUS, DEFAULT_CONE_ANGLE } from '../config.js';
+import {
+    DEFAULT_APERTURE_RADIUS, DEFAULT_CONE_ANGLE, DEFAULT_LENS_FOCAL_LENGTH, DEFAULT_OBJECTIVE_FOCAL_LENGTH,
+    DEFAULT_TUBE_LENS_FOCAL_LENGTH, LASER_BEAM_RADIUS, LED_CONE_ANGLE, FIBER_CONE_ANGLE, FIBER_CORE_RADIUS,
+    IRIS_APERTURE_RADIUS, PINHOLE_APERTURE_RADIUS
+} from '../config.js';
 
 const SVG_NS = 'http://www.w3.org/2000/svg';
 
@@ -56,6 +60,33 @@ const SVG_NS = 'http://www.w3.org/2000/svg';
 //     // One of: 'collimated' | 'divergent' | 'convergent'
 //     rayShape: 'collimated',
 //
+//     // (Optional) Focal length used by the paraxial ray-tracing mode.
+//     // Omit for elements without optical power; null = flat (infinite f).
+//     focalLength: 100,
+//
+//     // (Optional) Named output ports for components that split the beam.
+//     // Each child link is bound to one port; its ray starts from that port's
+//     // aperture instead of the main one. Omitted fields fall back to the
+//     // component's own apertureCenter / upVector / forwardVector.
+//     outputPorts: {
+//         transmitted: { label: 'Transmitted', apertureCenter: { x: 30, y: 0 },
+//                        upVector: { x: 0, y: -1 }, forwardVector: { x: 1, y: 0 } },
+//         reflected:   { label: 'Reflected',   apertureCenter: { x: 0, y: -30 },
+//                        upVector: { x: -1, y: 0 }, forwardVector: { x: 0, y: -1 } }
+//     },
+//
+//     // (Optional) Wavelength selectivity (dichroics, filters). Light whose
+//     // wavelength passes goes through the main aperture / 'transmitted' port;
+//     // the rest goes to the other ports (or is absorbed if there are none).
+//     // mode: 'longpass' | 'shortpass' (wavelength = edge, nm) or
+//     //       'bandpass' (wavelength = center, width = full width, nm).
+//     spectralFilter: { mode: 'longpass', wavelength: 500 },
+//
+//     // (Optional) Diffraction orders (gratings, DOEs). Replaces outputPorts
+//     // with one port per order 'order-N' … 'orderN'; angle is the angle of
+//     // order ±1 in degrees, higher orders follow the grating equation.
+//     diffraction: { maxOrder: 1, angle: 20 },
+//
 //     // SVG drawing function — return a <g> element built with document.createElementNS.
 //     draw: (ns) => {
 //         const g = document.createElementNS(ns, 'g');
@@ -69,6 +100,102 @@ const SVG_NS = 'http://www.w3.org/2000/svg';
 
 export const components = {
 
+    // ── Sources ───────────────────────────────────────────────────────────────
+
+    laser: {
+        category: 'Sources',
+        label: 'Laser',
+        isComposite: false,
+        isBuiltIn: true,
+        // Housing 60×30 to the left of the output aperture at x = 0.
+        localBounds: { minX: -60, maxX: 0, minY: -15, maxY: 15 },
+        centerPoint: { x: 0, y: 0 },
+        apertureCenter: { x: 0, y: 0 },
+        upVector: { x: 0, y: -1 },
+        forwardVector: { x: 1, y: 0 },
+        // Narrow collimated output beam
+        apertureRadius: LASER_BEAM_RADIUS,
+        coneAngle: DEFAULT_CONE_ANGLE,
+        rayShape: 'collimated',
+
+        draw: (ns) => {
+            const g = document.createElementNS(ns, 'g');
+
+            const housing = document.createElementNS(ns, 'rect');
+            housing.setAttribute('x', '-60');
+            housing.setAttribute('y', '-15');
+            housing.setAttribute('width', '60');
+            housing.setAttribute('height', '30');
+            housing.setAttribute('fill', '#4a4a4a');
+            housing.setAttribute('stroke', 'black');
+            housing.setAttribute('stroke-width', '1.5');
+            g.appendChild(housing);
+
+            // Warning stripe
+            const stripe = document.createElementNS(ns, 'rect');
+            stripe.setAttribute('x', '-50');
+            stripe.setAttribute('y', '-15');
+            stripe.setAttribute('width', '8');
+            stripe.setAttribute('height', '30');
+            stripe.setAttribute('fill', '#f5c400');
+            g.appendChild(stripe);
+
+            // Output aperture
+            const output = document.createElementNS(ns, 'rect');
+            output.setAttribute('x', '-3');
+            output.setAttribute('y', '-6');
+            output.setAttribute('width', '3');
+            output.setAttribute('height', '12');
+            output.setAttribute('fill', '#e6e6e6');
+            output.setAttribute('stroke', 'black');
+            output.setAttribute('stroke-width', '1');
+            g.appendChild(output);
+
+            return g;
+        }
+    },
+
+    led: {
+        category: 'Sources',
+        label: 'LED',
+        isComposite: false,
+        isBuiltIn: true,
+        // Package body on the left, dome emitting to the right (apex at x = 0).
+        localBounds: { minX: -22, maxX: 0, minY: -12, maxY: 12 },
+        centerPoint: { x: 0, y: 0 },
+        apertureCenter: { x: 0, y: 0 },
+        upVector: { x: 0, y: -1 },
+        forwardVector: { x: 1, y: 0 },
+        apertureRadius: DEFAULT_APERTURE_RADIUS,
+        // Wide emission cone: divergent children take this cone angle
+        coneAngle: LED_CONE_ANGLE,
+        rayShape: 'divergent',
+
+        draw: (ns) => {
+            const g = document.createElementNS(ns, 'g');
+
+            const base = document.createElementNS(ns, 'rect');
+            base.setAttribute('x', '-22');
+            base.setAttribute('y', '-12');
+            base.setAttribute('width', '10');
+            base.setAttribute('height', '24');
+            base.setAttribute('fill', '#cccccc');
+            base.setAttribute('stroke', 'black');
+            base.setAttribute('stroke-width', '1.5');
+            g.appendChild(base);
+
+            const dome = document.createElementNS(ns, 'path');
+            dome.setAttribute('d', 'M -12 -10 L -6 -10 A 6 10 0 0 1 -6 10 L -12 10 Z');
+            dome.setAttribute('fill', '#ffe680');
+            dome.setAttribute('fill-opacity', '0.8');
+            dome.setAttribute('stroke', 'black');
+            dome.setAttribute('stroke-width', '1.5');
+            g.appendChild(dome);
+
+            return g;
+        }
+    },
+
     // ── Lens ─────────────────────────────────────────────────────────────────
 
     objective: {
@@ -84,6 +211,7 @@ export const components = {
         apertureRadius: DEFAULT_APERTURE_RADIUS,
         coneAngle: DEFAULT_CONE_ANGLE,
         rayShape: 'collimated',
+        focalLength: DEFAULT_OBJECTIVE_FOCAL_LENGTH,
 
         draw: (ns) => {
             const g = document.createElementNS(ns, "g");
@@ -173,6 +301,7 @@ export const components = {
         apertureRadius: DEFAULT_APERTURE_RADIUS,
         coneAngle: DEFAULT_CONE_ANGLE,
         rayShape: 'collimated',
+        focalLength: DEFAULT_LENS_FOCAL_LENGTH,
 
         draw: (ns) => {
             const g = document.createElementNS(ns, "g");
@@ -235,6 +364,99 @@ export const components = {
         }
     },
 
+    'cylindrical-lens': {
+        category: 'Lens',
+        label: 'Cylindrical Lens',
+        isComposite: false,
+        isBuiltIn: true,
+        // Plano-convex profile: flat face at x = -3, curved face bulging to x ≈ 5.
+        localBounds: { minX: -3, maxX: 5.5, minY: -30, maxY: 30 },
+        centerPoint: { x: 0, y: 0 },
+        apertureCenter: { x: 0, y: 0 },
+        upVector: { x: 0, y: -1 },
+        forwardVector: { x: 1, y: 0 },
+        apertureRadius: DEFAULT_APERTURE_RADIUS,
+        coneAngle: DEFAULT_CONE_ANGLE,
+        rayShape: 'collimated',
+        // Power in the drawing plane (the curved axis)
+        focalLength: DEFAULT_LENS_FOCAL_LENGTH,
+
+        draw: (ns) => {
+            const g = document.createElementNS(ns, 'g');
+
+            const lens = document.createElementNS(ns, 'path');
+            lens.setAttribute('d', 'M -3 -30 L 0 -30 C 7.3 -20 7.3 20 0 30 L -3 30 Z');
+            lens.setAttribute('stroke', 'black');
+            lens.setAttribute('stroke-width', '1.5');
+            lens.setAttribute('fill', '#145ec0');
+            lens.setAttribute('fill-opacity', '0.3');
+            g.appendChild(lens);
+
+            // Cylinder axis marker
+            const axis = document.createElementNS(ns, 'line');
+            axis.setAttribute('x1', '-3');
+            axis.setAttribute('y1', '0');
+            axis.setAttribute('x2', '5.5');
+            axis.setAttribute('y2', '0');
+            axis.setAttribute('stroke', 'black');
+            axis.setAttribute('stroke-width', '0.75');
+            axis.setAttribute('stroke-dasharray', '2,1.5');
+            g.appendChild(axis);
+
+            return g;
+        }
+    },
+
+    'tube-lens': {
+        category: 'Lens',
+        label: 'Tube Lens',
+        isComposite: false,
+        isBuiltIn: true,
+        // Lens barrel 28×76 with a large doublet inside.
+        localBounds: { minX: -14, maxX: 14, minY: -38, maxY: 38 },
+        centerPoint: { x: 0, y: 0 },
+        apertureCenter: { x: 0, y: 0 },
+        upVector: { x: 0, y: -1 },
+        forwardVector: { x: 1, y: 0 },
+        apertureRadius: DEFAULT_APERTURE_RADIUS,
+        coneAngle: DEFAULT_CONE_ANGLE,
+        rayShape: 'collimated',
+        focalLength: DEFAULT_TUBE_LENS_FOCAL_LENGTH,
+
+        draw: (ns) => {
+            const g = document.createElementNS(ns, 'g');
+
+            const barrel = document.createElementNS(ns, 'rect');
+            barrel.setAttribute('x', '-14');
+            barrel.setAttribute('y', '-38');
+            barrel.setAttribute('width', '28');
+            barrel.setAttribute('height', '76');
+            barrel.setAttribute('fill', '#e6e6e6');
+            barrel.setAttribute('stroke', 'black');
+            barrel.setAttribute('stroke-width', '1.5');
+            g.appendChild(barrel);
+
+            // Cemented doublet: convex crown element + meniscus flint element
+            const crown = document.createElementNS(ns, 'path');
+            crown.setAttribute('d', 'M 0 -32 C -9 -28 -9 28 0 32 C 3 20 3 -20 0 -32');
+            crown.setAttribute('fill', '#145ec0');
+            crown.setAttribute('fill-opacity', '0.3');
+            crown.setAttribute('stroke', 'black');
+            crown.setAttribute('stroke-width', '1');
+            g.appendChild(crown);
+
+            const flint = document.createElementNS(ns, 'path');
+            flint.setAttribute('d', 'M 0 -32 C 3 -20 3 20 0 32 L 6 32 L 6 -32 Z');
+            flint.setAttribute('fill', '#145ec0');
+            flint.setAttribute('fill-opacity', '0.55');
+            flint.setAttribute('stroke', 'black');
+            flint.setAttribute('stroke-width', '1');
+            g.appendChild(flint);
+
+            return g;
+        }
+    },
+
     // ── Mirrors ───────────────────────────────────────────────────────────────
 
     mirror: {
@@ -250,6 +472,7 @@ export const components = {
         apertureRadius: DEFAULT_APERTURE_RADIUS,
         coneAngle: DEFAULT_CONE_ANGLE,
         rayShape: 'collimated',
+        focalLength: null,
 
         draw: (ns) => {
             const g = document.createElementNS(ns, "g");
@@ -289,6 +512,22 @@ export const components = {
         apertureRadius: DEFAULT_APERTURE_RADIUS,
         coneAngle: DEFAULT_CONE_ANGLE,
         rayShape: 'collimated',
+        // Light enters from the left: the "/" surface transmits to the right
+        // face and reflects to the top face.
+        outputPorts: {
+            transmitted: {
+                label: 'Transmitted',
+                apertureCenter: { x: 30, y: 0 },
+                upVector: { x: 0, y: -1 },
+                forwardVector: { x: 1, y: 0 }
+            },
+            reflected: {
+                label: 'Reflected',
+                apertureCenter: { x: 0, y: -30 },
+                upVector: { x: -1, y: 0 },
+                forwardVector: { x: 0, y: -1 }
+            }
+        },
 
         draw: (ns) => {
             const g = document.createElementNS(ns, "g");
@@ -314,6 +553,351 @@ export const components = {
         }
     },
 
+    'galvo-mirror': {
+        category: 'Mirrors',
+        label: 'Galvo Mirror',
+        isComposite: false,
+        isBuiltIn: true,
+        // Flat mirror (x: -3..3) on a motor shaft extending behind it to x = 23.
+        localBounds: { minX: -3, maxX: 23, minY: -25, maxY: 25 },
+        centerPoint: { x: -3, y: 0 },
+        apertureCenter: { x: -3, y: 0 },
+        upVector: { x: 0, y: -1 },
+        forwardVector: { x: 1, y: 0 },
+        apertureRadius: DEFAULT_APERTURE_RADIUS,
+        coneAngle: DEFAULT_CONE_ANGLE,
+        rayShape: 'collimated',
+        focalLength: null,
+
+        draw: (ns) => {
+            const g = document.createElementNS(ns, 'g');
+
+            const motor = document.createElementNS(ns, 'rect');
+            motor.setAttribute('x', '3');
+            motor.setAttribute('y', '-8');
+            motor.setAttribute('width', '20');
+            motor.setAttribute('height', '16');
+            motor.setAttribute('fill', '#a8a8a8');
+            motor.setAttribute('stroke', 'black');
+            motor.setAttribute('stroke-width', '1.5');
+            g.appendChild(motor);
+
+            const mirror = document.createElementNS(ns, 'path');
+            mirror.setAttribute('d', 'M -3 -25 L 3 -25 L 3 25 L -3 25 Z');
+            mirror.setAttribute('stroke', 'black');
+            mirror.setAttribute('stroke-width', '1.5');
+            mirror.setAttribute('fill', '#8caed6');
+            g.appendChild(mirror);
+
+            // Scan direction indicator
+            const arc = document.createElementNS(ns, 'path');
+            arc.setAttribute('d', 'M -1 -19 A 20 20 0 0 1 -1 19');
+            arc.setAttribute('fill', 'none');
+            arc.setAttribute('stroke', 'black');
+            arc.setAttribute('stroke-width', '1');
+            arc.setAttribute('stroke-dasharray', '3,2');
+            g.appendChild(arc);
+
+            return g;
+        }
+    },
+
+    // ── Filters ───────────────────────────────────────────────────────────────
+
+    dichroic: {
+        category: 'Filters',
+        label: 'Dichroic Mirror',
+        isComposite: false,
+        isBuiltIn: true,
+        // Thin plate along the "/" diagonal, 60 units long.
+        localBounds: { minX: -23, maxX: 23, minY: -23, maxY: 23 },
+        centerPoint: { x: 0, y: 0 },
+        apertureCenter: { x: 0, y: 0 },
+        upVector: { x: 0.7071067811865476, y: -0.7071067811865476 },
+        forwardVector: { x: 1, y: 0 },
+        apertureRadius: DEFAULT_APERTURE_RADIUS,
+        coneAngle: DEFAULT_CONE_ANGLE,
+        rayShape: 'collimated',
+        // Light enters from the left: long wavelengths pass to the right,
+        // short ones are reflected upwards.
+        outputPorts: {
+            transmitted: {
+                label: 'Transmitted',
+                upVector: { x: 0, y: -1 },
+                forwardVector: { x: 1, y: 0 }
+            },
+            reflected: {
+                label: 'Reflected',
+                upVector: { x: -1, y: 0 },
+                forwardVector: { x: 0, y: -1 }
+            }
+        },
+        spectralFilter: { mode: 'longpass', wavelength: 500 },
+
+        draw: (ns) => {
+            const g = document.createElementNS(ns, 'g');
+
+            const plate = document.createElementNS(ns, 'path');
+            plate.setAttribute('d', 'M -22.6 19.8 L 19.8 -22.6 L 22.6 -19.8 L -19.8 22.6 Z');
+            plate.setAttribute('fill', '#f2b134');
+            plate.setAttribute('fill-opacity', '0.6');
+            plate.setAttribute('stroke', 'black');
+            plate.setAttribute('stroke-width', '1.5');
+            g.appendChild(plate);
+
+            return g;
+        }
+    },
+
+    'bandpass-filter': {
+        category: 'Filters',
+        label: 'Bandpass Filter',
+        isComposite: false,
+        isBuiltIn: true,
+        localBounds: { minX: -4, maxX: 4, minY: -30, maxY: 30 },
+        centerPoint: { x: 0, y: 0 },
+        apertureCenter: { x: 0, y: 0 },
+        upVector: { x: 0, y: -1 },
+        forwardVector: { x: 1, y: 0 },
+        apertureRadius: DEFAULT_APERTURE_RADIUS,
+        coneAngle: DEFAULT_CONE_ANGLE,
+        rayShape: 'collimated',
+        spectralFilter: { mode: 'bandpass', wavelength: 525, width: 50 },
+
+        draw: (ns) => {
+            const g = document.createElementNS(ns, 'g');
+
+            const glass = document.createElementNS(ns, 'rect');
+            glass.setAttribute('x', '-4');
+            glass.setAttribute('y', '-30');
+            glass.setAttribute('width', '8');
+            glass.setAttribute('height', '60');
+            glass.setAttribute('fill', '#3fb950');
+            glass.setAttribute('fill-opacity', '0.5');
+            glass.setAttribute('stroke', 'black');
+            glass.setAttribute('stroke-width', '1.5');
+            g.appendChild(glass);
+
+            // Coating on the input face
+            const coating = document.createElementNS(ns, 'line');
+            coating.setAttribute('x1', '-4');
+            coating.setAttribute('y1', '-30');
+            coating.setAttribute('x2', '-4');
+            coating.setAttribute('y2', '30');
+            coating.setAttribute('stroke', 'black');
+            coating.setAttribute('stroke-width', '2.5');
+            g.appendChild(coating);
+
+            return g;
+        }
+    },
+
+    // ── Polarization ──────────────────────────────────────────────────────────
+
+    waveplate: {
+        category: 'Polarization',
+        label: 'Waveplate',
+        isComposite: false,
+        isBuiltIn: true,
+        localBounds: { minX: -2.5, maxX: 2.5, minY: -30, maxY: 30 },
+        centerPoint: { x: 0, y: 0 },
+        apertureCenter: { x: 0, y: 0 },
+        upVector: { x: 0, y: -1 },
+        forwardVector: { x: 1, y: 0 },
+        apertureRadius: DEFAULT_APERTURE_RADIUS,
+        coneAngle: DEFAULT_CONE_ANGLE,
+        rayShape: 'collimated',
+
+        draw: (ns) => {
+            const g = document.createElementNS(ns, 'g');
+
+            const plate = document.createElementNS(ns, 'rect');
+            plate.setAttribute('x', '-2.5');
+            plate.setAttribute('y', '-30');
+            plate.setAttribute('width', '5');
+            plate.setAttribute('height', '60');
+            plate.setAttribute('fill', '#9c7fd1');
+            plate.setAttribute('fill-opacity', '0.5');
+            plate.setAttribute('stroke', 'black');
+            plate.setAttribute('stroke-width', '1.5');
+            g.appendChild(plate);
+
+            // Fast-axis marker
+            const axis = document.createElementNS(ns, 'line');
+            axis.setAttribute('x1', '-2.5');
+            axis.setAttribute('y1', '-6');
+            axis.setAttribute('x2', '2.5');
+            axis.setAttribute('y2', '6');
+            axis.setAttribute('stroke', 'black');
+            axis.setAttribute('stroke-width', '1');
+            g.appendChild(axis);
+
+            return g;
+        }
+    },
+
+    polarizer: {
+        category: 'Polarization',
+        label: 'Polarizer',
+        isComposite: false,
+        isBuiltIn: true,
+        localBounds: { minX: -2.5, maxX: 2.5, minY: -30, maxY: 30 },
+        centerPoint: { x: 0, y: 0 },
+        apertureCenter: { x: 0, y: 0 },
+        upVector: { x: 0, y: -1 },
+        forwardVector: { x: 1, y: 0 },
+        apertureRadius: DEFAULT_APERTURE_RADIUS,
+        coneAngle: DEFAULT_CONE_ANGLE,
+        rayShape: 'collimated',
+
+        draw: (ns) => {
+            const g = document.createElementNS(ns, 'g');
+
+            const plate = document.createElementNS(ns, 'rect');
+            plate.setAttribute('x', '-2.5');
+            plate.setAttribute('y', '-30');
+            plate.setAttribute('width', '5');
+            plate.setAttribute('height', '60');
+            plate.setAttribute('fill', '#6e6e6e');
+            plate.setAttribute('fill-opacity', '0.35');
+            plate.setAttribute('stroke', 'black');
+            plate.setAttribute('stroke-width', '1.5');
+            g.appendChild(plate);
+
+            // Wire-grid hatching
+            for (let y = -24; y <= 24; y += 8) {
+                const wire = document.createElementNS(ns, 'line');
+                wire.setAttribute('x1', '-2.5');
+                wire.setAttribute('y1', y);
+                wire.setAttribute('x2', '2.5');
+                wire.setAttribute('y2', y);
+                wire.setAttribute('stroke', 'black');
+                wire.setAttribute('stroke-width', '0.75');
+                g.appendChild(wire);
+            }
+
+            return g;
+        }
+    },
+
+    // ── Apertures ─────────────────────────────────────────────────────────────
+
+    aperture: {
+        category: 'Apertures',
+        label: 'Aperture / Slit',
+        isComposite: false,
+        isBuiltIn: true,
+        // Two blades leaving an opening of ±PINHOLE_APERTURE_RADIUS.
+        localBounds: { minX: -1.5, maxX: 1.5, minY: -30, maxY: 30 },
+        centerPoint: { x: 0, y: 0 },
+        apertureCenter: { x: 0, y: 0 },
+        upVector: { x: 0, y: -1 },
+        forwardVector: { x: 1, y: 0 },
+        apertureRadius: PINHOLE_APERTURE_RADIUS,
+        coneAngle: DEFAULT_CONE_ANGLE,
+        // Manual: the opening clips the beam instead of scaling to it
+        rayShape: 'manual',
+
+        draw: (ns) => {
+            const g = document.createElementNS(ns, 'g');
+            const r = PINHOLE_APERTURE_RADIUS;
+
+            [[-30, 30 - r], [r, 30 - r]].forEach(([y, height]) => {
+                const blade = document.createElementNS(ns, 'rect');
+                blade.setAttribute('x', '-1.5');
+                blade.setAttribute('y', y);
+                blade.setAttribute('width', '3');
+                blade.setAttribute('height', height);
+                blade.setAttribute('fill', '#2e2e2e');
+                blade.setAttribute('stroke', 'black');
+                blade.setAttribute('stroke-width', '1');
+                g.appendChild(blade);
+            });
+
+            return g;
+        }
+    },
+
+    iris: {
+        category: 'Apertures',
+        label: 'Iris',
+        isComposite: false,
+        isBuiltIn: true,
+        // Mount ring (x: -4..4) with blades closing to ±IRIS_APERTURE_RADIUS.
+        localBounds: { minX: -4, maxX: 4, minY: -36, maxY: 36 },
+        centerPoint: { x: 0, y: 0 },
+        apertureCenter: { x: 0, y: 0 },
+        upVector: { x: 0, y: -1 },
+        forwardVector: { x: 1, y: 0 },
+        apertureRadius: IRIS_APERTURE_RADIUS,
+        coneAngle: DEFAULT_CONE_ANGLE,
+        rayShape: 'manual',
+
+        draw: (ns) => {
+            const g = document.createElementNS(ns, 'g');
+            const r = IRIS_APERTURE_RADIUS;
+
+            // Mount
+            [[-36, 8], [28, 8]].forEach(([y, height]) => {
+                const mount = document.createElementNS(ns, 'rect');
+                mount.setAttribute('x', '-4');
+                mount.setAttribute('y', y);
+                mount.setAttribute('width', '8');
+                mount.setAttribute('height', height);
+                mount.setAttribute('fill', '#4a4a4a');
+                mount.setAttribute('stroke', 'black');
+                mount.setAttribute('stroke-width', '1.5');
+                g.appendChild(mount);
+            });
+
+            // Blades, tapered towards the opening
+            const blades = document.createElementNS(ns, 'path');
+            blades.setAttribute('d',
+                `M -1.5 -28 L 1.5 -28 L 1.5 ${-r - 2} L 0 ${-r} L -1.5 ${-r - 2} Z ` +
+                `M -1.5 28 L 1.5 28 L 1.5 ${r + 2} L 0 ${r} L -1.5 ${r + 2} Z`);
+            blades.setAttribute('fill', '#2e2e2e');
+            blades.setAttribute('stroke', 'black');
+            blades.setAttribute('stroke-width', '1');
+            g.appendChild(blades);
+
+            return g;
+        }
+    },
+
+    mask: {
+        category: 'Apertures',
+        label: 'Mask',
+        isComposite: false,
+        isBuiltIn: true,
+        // Opaque plate with three openings across the aperture.
+        localBounds: { minX: -1.5, maxX: 1.5, minY: -30, maxY: 30 },
+        centerPoint: { x: 0, y: 0 },
+        apertureCenter: { x: 0, y: 0 },
+        upVector: { x: 0, y: -1 },
+        forwardVector: { x: 1, y: 0 },
+        apertureRadius: DEFAULT_APERTURE_RADIUS,
+        coneAngle: DEFAULT_CONE_ANGLE,
+        rayShape: 'manual',
+
+        draw: (ns) => {
+            const g = document.createElementNS(ns, 'g');
+
+            const plate = document.createElementNS(ns, 'path');
+            // Solid bars between the openings at y ≈ -14, 0 and 14
+            plate.setAttribute('d',
+                'M -1.5 -30 H 1.5 V -17 H -1.5 Z ' +
+                'M -1.5 -11 H 1.5 V -3 H -1.5 Z ' +
+                'M -1.5 3 H 1.5 V 11 H -1.5 Z ' +
+                'M -1.5 17 H 1.5 V 30 H -1.5 Z');
+            plate.setAttribute('fill', '#2e2e2e');
+            plate.setAttribute('stroke', 'black');
+            plate.setAttribute('stroke-width', '1');
+            g.appendChild(plate);
+
+            return g;
+        }
+    },
+
     // ── Prisms ────────────────────────────────────────────────────────────────
 
     'right-angle-prism': {
@@ -350,6 +934,268 @@ export const components = {
         }
     },
 
+    'wedge-prism': {
+        category: 'Prisms',
+        label: 'Wedge Prism',
+        isComposite: false,
+        isBuiltIn: true,
+        // Thick at the top, thin at the bottom.
+        localBounds: { minX: -6, maxX: 6, minY: -30, maxY: 30 },
+        centerPoint: { x: 0, y: 0 },
+        apertureCenter: { x: 0, y: 0 },
+        upVector: { x: 0, y: -1 },
+        forwardVector: { x: 1, y: 0 },
+        apertureRadius: DEFAULT_APERTURE_RADIUS,
+        coneAngle: DEFAULT_CONE_ANGLE,
+        rayShape: 'collimated',
+
+        draw: (ns) => {
+            const g = document.createElementNS(ns, 'g');
+
+            const wedge = document.createElementNS(ns, 'path');
+            wedge.setAttribute('d', 'M -6 -30 L 6 -30 L 2 30 L -2 30 Z');
+            wedge.setAttribute('fill', '#145ec0');
+            wedge.setAttribute('fill-opacity', '0.3');
+            wedge.setAttribute('stroke', 'black');
+            wedge.setAttribute('stroke-width', '1.5');
+            g.appendChild(wedge);
+
+            return g;
+        }
+    },
+
+    // ── Diffractive ───────────────────────────────────────────────────────────
+
+    grating: {
+        category: 'Diffractive',
+        label: 'Diffraction Grating',
+        isComposite: false,
+        isBuiltIn: true,
+        // Transmission grating: substrate x: -3..3, sawtooth grooves to x = 6.
+        localBounds: { minX: -3, maxX: 6, minY: -30, maxY: 30 },
+        centerPoint: { x: 0, y: 0 },
+        apertureCenter: { x: 0, y: 0 },
+        upVector: { x: 0, y: -1 },
+        forwardVector: { x: 1, y: 0 },
+        apertureRadius: DEFAULT_APERTURE_RADIUS,
+        coneAngle: DEFAULT_CONE_ANGLE,
+        rayShape: 'collimated',
+        diffraction: { maxOrder: 1, angle: 20 },
+
+        draw: (ns) => {
+            const g = document.createElementNS(ns, 'g');
+
+            let d = 'M -3 -30 L 3 -30';
+            for (let y = -30; y < 30; y += 6) {
+                d += ` L 6 ${y + 6} L 3 ${y + 6}`;
+            }
+            d += ' L -3 30 Z';
+
+            const grating = document.createElementNS(ns, 'path');
+            grating.setAttribute('d', d);
+            grating.setAttribute('fill', '#145ec0');
+            grating.setAttribute('fill-opacity', '0.3');
+            grating.setAttribute('stroke', 'black');
+            grating.setAttribute('stroke-width', '1');
+            g.appendChild(grating);
+
+            return g;
+        }
+    },
+
+    doe: {
+        category: 'Diffractive',
+        label: 'DOE',
+        isComposite: false,
+        isBuiltIn: true,
+        // Substrate x: -3..3 with a binary relief up to x = 6.
+        localBounds: { minX: -3, maxX: 6, minY: -30, maxY: 30 },
+        centerPoint: { x: 0, y: 0 },
+        apertureCenter: { x: 0, y: 0 },
+        upVector: { x: 0, y: -1 },
+        forwardVector: { x: 1, y: 0 },
+        apertureRadius: DEFAULT_APERTURE_RADIUS,
+        coneAngle: DEFAULT_CONE_ANGLE,
+        rayShape: 'collimated',
+        diffraction: { maxOrder: 2, angle: 10 },
+
+        draw: (ns) => {
+            const g = document.createElementNS(ns, 'g');
+
+            // Binary relief: alternating 5-unit steps of height 0 and 3
+            let d = 'M -3 -30 L 3 -30';
+            for (let y = -30; y < 30; y += 10) {
+                d += ` L 3 ${y + 5} L 6 ${y + 5} L 6 ${y + 10} L 3 ${y + 10}`;
+            }
+            d += ' L -3 30 Z';
+
+            const doe = document.createElementNS(ns, 'path');
+            doe.setAttribute('d', d);
+            doe.setAttribute('fill', '#145ec0');
+            doe.setAttribute('fill-opacity', '0.3');
+            doe.setAttribute('stroke', 'black');
+            doe.setAttribute('stroke-width', '1');
+            g.appendChild(doe);
+
+            return g;
+        }
+    },
+
+    // ── Fiber ─────────────────────────────────────────────────────────────────
+
+    fiber: {
+        category: 'Fiber',
+        label: 'Fiber Tip',
+        isComposite: false,
+        isBuiltIn: true,
+        // Ferrule x: -24..0 with the fiber trailing to the left; core at x = 0.
+        localBounds: { minX: -50, maxX: 0, minY: -10, maxY: 4 },
+        centerPoint: { x: 0, y: 0 },
+        apertureCenter: { x: 0, y: 0 },
+        upVector: { x: 0, y: -1 },
+        forwardVector: { x: 1, y: 0 },
+        // Small core emitting at the fiber NA: divergent children take this cone angle
+        apertureRadius: FIBER_CORE_RADIUS,
+        coneAngle: FIBER_CONE_ANGLE,
+        rayShape: 'divergent',
+
+        draw: (ns) => {
+            const g = document.createElementNS(ns, 'g');
+
+            const cable = document.createElementNS(ns, 'path');
+            cable.setAttribute('d', 'M -24 0 C -34 0 -38 -8 -50 -8');
+            cable.setAttribute('fill', 'none');
+            cable.setAttribute('stroke', '#f5a623');
+            cable.setAttribute('stroke-width', '3');
+            g.appendChild(cable);
+
+            const ferrule = document.createElementNS(ns, 'rect');
+            ferrule.setAttribute('x', '-24');
+            ferrule.setAttribute('y', '-4');
+            ferrule.setAttribute('width', '24');
+            ferrule.setAttribute('height', '8');
+            ferrule.setAttribute('fill', '#cccccc');
+            ferrule.setAttribute('stroke', 'black');
+            ferrule.setAttribute('stroke-width', '1.5');
+            g.appendChild(ferrule);
+
+            return g;
+        }
+    },
+
+    'fiber-coupler': {
+        category: 'Fiber',
+        label: 'Fiber Coupler',
+        isComposite: false,
+        isBuiltIn: true,
+        // Lens housing (x: -10..10) focusing into a ferrule (10..24), fiber leaving to the right.
+        // Input face at x = -10.
+        localBounds: { minX: -10, maxX: 45, minY: -15, maxY: 15 },
+        centerPoint: { x: -10, y: 0 },
+        apertureCenter: { x: -10, y: 0 },
+        upVector: { x: 0, y: -1 },
+        forwardVector: { x: 1, y: 0 },
+        apertureRadius: DEFAULT_APERTURE_RADIUS,
+        coneAngle: DEFAULT_CONE_ANGLE,
+        // Light is focused into the fiber core
+        rayShape: 'convergent',
+
+        draw: (ns) => {
+            const g = document.createElementNS(ns, 'g');
+
+            const cable = document.createElementNS(ns, 'path');
+            cable.setAttribute('d', 'M 24 0 C 32 0 36 8 45 8');
+            cable.setAttribute('fill', 'none');
+            cable.setAttribute('stroke', '#f5a623');
+            cable.setAttribute('stroke-width', '3');
+            g.appendChild(cable);
+
+            const housing = document.createElementNS(ns, 'rect');
+            housing.setAttribute('x', '-10');
+            housing.setAttribute('y', '-15');
+            housing.setAttribute('width', '20');
+            housing.setAttribute('height', '30');
+            housing.setAttribute('fill', '#e6e6e6');
+            housing.setAttribute('stroke', 'black');
+            housing.setAttribute('stroke-width', '1.5');
+            g.appendChild(housing);
+
+            const lens = document.createElementNS(ns, 'path');
+            lens.setAttribute('d', 'M -4 -12 C 1 -9 1 9 -4 12 C -9 9 -9 -9 -4 -12');
+            lens.setAttribute('fill', '#145ec0');
+            lens.setAttribute('fill-opacity', '0.3');
+            lens.setAttribute('stroke', 'black');
+            lens.setAttribute('stroke-width', '1');
+            g.appendChild(lens);
+
+            const ferrule = document.createElementNS(ns, 'rect');
+            ferrule.setAttribute('x', '10');
+            ferrule.setAttribute('y', '-4');
+            ferrule.setAttribute('width', '14');
+            ferrule.setAttribute('height', '8');
+            ferrule.setAttribute('fill', '#cccccc');
+            ferrule.setAttribute('stroke', 'black');
+            ferrule.setAttribute('stroke-width', '1.5');
+            g.appendChild(ferrule);
+
+            return g;
+        }
+    },
+
+    // ── Samples ───────────────────────────────────────────────────────────────
+
+    sample: {
+        category: 'Samples',
+        label: 'Sample / Coverslip',
+        isComposite: false,
+        isBuiltIn: true,
+        // Slide (x: -3..3) with a coverslip on the input side; sample plane at x = -3.
+        localBounds: { minX: -5, maxX: 3, minY: -40, maxY: 40 },
+        centerPoint: { x: -3, y: 0 },
+        apertureCenter: { x: -3, y: 0 },
+        upVector: { x: 0, y: -1 },
+        forwardVector: { x: 1, y: 0 },
+        apertureRadius: DEFAULT_APERTURE_RADIUS,
+        coneAngle: DEFAULT_CONE_ANGLE,
+        // Illumination is usually focused onto the sample
+        rayShape: 'convergent',
+
+        draw: (ns) => {
+            const g = document.createElementNS(ns, 'g');
+
+            const slide = document.createElementNS(ns, 'rect');
+            slide.setAttribute('x', '-3');
+            slide.setAttribute('y', '-40');
+            slide.setAttribute('width', '6');
+            slide.setAttribute('height', '80');
+            slide.setAttribute('fill', '#bfe3f2');
+            slide.setAttribute('fill-opacity', '0.6');
+            slide.setAttribute('stroke', 'black');
+            slide.setAttribute('stroke-width', '1.5');
+            g.appendChild(slide);
+
+            const specimen = document.createElementNS(ns, 'ellipse');
+            specimen.setAttribute('cx', '-4');
+            specimen.setAttribute('cy', '0');
+            specimen.setAttribute('rx', '1');
+            specimen.setAttribute('ry', '10');
+            specimen.setAttribute('fill', '#3fb950');
+            g.appendChild(specimen);
+
+            const coverslip = document.createElementNS(ns, 'rect');
+            coverslip.setAttribute('x', '-5');
+            coverslip.setAttribute('y', '-22');
+            coverslip.setAttribute('width', '1.2');
+            coverslip.setAttribute('height', '44');
+            coverslip.setAttribute('fill', '#bfe3f2');
+            coverslip.setAttribute('stroke', 'black');
+            coverslip.setAttribute('stroke-width', '0.75');
+            g.appendChild(coverslip);
+
+            return g;
+        }
+    },
+
     // ── Detectors ─────────────────────────────────────────────────────────────
 
     detector: {
@@ -1,5 +1,6 @@
 import { Component } from './Component.js';
 import { components as componentRegistry } from './ComponentLibrary.js';
+import { flattenComposite, compositeDependsOn } from './CompositeNesting.js';
 import { autoCenter } from '../Canvas.js';
 import { showRotationHandle, removeRotationHandle } from '../events/RotationHandle.js';
 import { showScaleHandle, removeScaleHandle } from '../events/ScaleHandle.js';
@@ -31,7 +32,8 @@ export class ComponentManager {
     if (def && def.isComposite) {
       const spawnPos = position || this.nextPosition;
       const externalParentId = this.currentId;
-      this._expandComposite(def, spawnPos, externalParentId);
+      const spawnedIds = this._expandComposite(def, spawnPos, externalParentId);
+      if (spawnedIds.length === 0) alert(`Cannot place "${def.label ?? type}": see the console for details.`);
       return;
     }
 
@@ -60,8 +62,9 @@ export class ComponentManager {
         Math.sin(angleRad) * arrowLength
       );
       
-      // Set up parent-child relationship
+      // Set up parent-child relationship, leaving from the output port the arrow points through
       component.parent = previousId;
+      component.parentPort = previousComponent.getPortForDirection(arrowVector);
       previousComponent.children.push(id);
 
       // Inherit color from parent if the flag is set (default true)
@@ -269,6 +272,17 @@ export class ComponentManager {
     return true;
   }
 
+  updateComponentName(id, name) {
+    const component = this.components.get(id);
+    if (!component) return false;
+
+    component.setName(name);
+
+    console.log(`Renamed component [ID: ${id}] to "${component.name}"`);
+
+    return true;
+  }
+
   updateNextPositionFromComponent(id) {
     const component = this.components.get(id);
     if (!component) return false;
@@ -285,22 +299,27 @@ export class ComponentManager {
     const component = this.components.get(id);
     if (!component) return false;
 
-    // Remove from parent's children array
-    if (component.parent !== null) {
-      const parentComponent = this.components.get(component.parent);
+    // Remove from every parent's children array (primary and extra links)
+    component.getParentIds().forEach(parentId => {
+      const parentComponent = this.components.get(parentId);
       if (parentComponent) {
         const index = parentComponent.children.indexOf(id);
         if (index > -1) {
           parentComponent.children.splice(index, 1);
         }
       }
-    }
+    });
 
-    // Update children to have no parent
+    // Drop the links to children; a child keeps any other incoming link
     component.children.forEach(childId => {
       const childComponent = this.components.get(childId);
-      if (childComponent) {
+      if (!childComponent) return;
+      if (childComponent.parent === id) {
         childComponent.parent = null;
+        childComponent.parentPort = null;
+        childComponent.promoteExtraLink();
+      } else {
+        childComponent.removeExtraLink(id);
       }
     });
 
@@ -424,6 +443,69 @@ export class ComponentManager {
     return count;
   }
 
+  /**
+   * Lock or unlock a component together with its group (a group cannot be
+   * half locked). Locked components are taken out of the selection.
+   */
+  setComponentLocked(id, locked) {
+    const component = this.components.get(id);
+    if (!component) return false;
+
+    const ids = [id, ...(component.isGrouped ? component.groupMembers : [])];
+    ids.forEach(memberId => {
+      const member = this.components.get(memberId);
+      if (member) member.setLocked(locked);
+    });
+
+    if (locked && ids.some(memberId => this.selectedIds.has(memberId))) {
+      this.deselectComponent();
+    }
+
+    console.log(`${locked ? 'Locked' : 'Unlocked'} component(s): [${ids.join(', ')}]`);
+    return true;
+  }
+
+  // ─── Z-order ─────────────────────────────────────────────────────────────────
+  // Stacking follows the order of the component elements in #schematics.
+
+  /**
+   * Component ids from back to front.
+   */
+  getZOrder() {
+    const schematics = document.getElementById('schematics');
+    if (!schematics) return [...this.components.keys()];
+    return [...schematics.children]
+      .map(element => parseInt(element.getAttribute('data-id')))
+      .filter(id => this.components.has(id));
+  }
+
+  /**
+   * Restack the component elements, back to front. Ids not listed keep
+   * their relative order in front of the listed ones.
+   */
+  setZOrder(ids) {
+    const schematics = document.getElementById('schematics');
+    if (!schematics) return;
+    const listed = ids.filter(id => this.components.has(id));
+    const rest = this.getZOrder().filter(id => !listed.includes(id));
+    [...listed, ...rest].forEach(id => {
+      const element = this.components.get(id).element;
+      if (element) schematics.appendChild(element);
+    });
+  }
+
+  /**
+   * Move a component directly in front of (or behind) another one.
+   */
+  moveInZOrder(id, targetId, inFront = true) {
+    if (id === targetId || !this.components.has(id) || !this.components.has(targetId)) return false;
+    const order = this.getZOrder().filter(other => other !== id);
+    const index = order.indexOf(targetId);
+    order.splice(inFront ? index + 1 : index, 0, id);
+    this.setZOrder(order);
+    return true;
+  }
+
   // Multi-selection methods
   selectMultiple(ids) {
     // Clear previous selections
@@ -542,8 +624,18 @@ export class ComponentManager {
 
   // Multi-selection group transformation methods
   getGroupCentroid(ids) {
+    const bounds = this.getGroupBounds(ids);
+    return bounds ? { x: (bounds.minX + bounds.maxX) / 2, y: (bounds.minY + bounds.maxY) / 2 } : { x: 0, y: 0 };
+  }
+
+  /**
+   * World-space bounding box of the components' visual extent (localBounds),
+   * or null if none of the ids exist.
+   * @returns {{minX: number, maxX: number, minY: number, maxY: number}|null}
+   */
+  getGroupBounds(ids) {
     const idsArray = Array.isArray(ids) ? ids : Array.from(ids);
-    if (idsArray.length === 0) return { x: 0, y: 0 };
+    if (idsArray.length === 0) return null;
 
     let minX = Infinity;
     let maxX = -Infinity;
@@ -595,7 +687,7 @@ export class ComponentManager {
       }
     });
 
-    return count > 0 ? { x: (minX + maxX) / 2, y: (minY + maxY) / 2 } : { x: 0, y: 0 };
+    return count > 0 ? { minX, maxX, minY, maxY } : null;
   }
 
   /**
@@ -717,29 +809,48 @@ export class ComponentManager {
   /**
    * Expand a composite definition into individual Component instances,
    * group them together, wire parent-child relationships, and select them.
+   * Nested composites are flattened first (CompositeNesting.js), so the
+   * whole tree becomes one instance with one entry and one exit port.
    *
    * @param {object} def             - Composite definition from the registry
    * @param {{x:number,y:number}} spawnPos - World position of the composite origin
    * @param {number|null} externalParentId - ID of the component upstream of this composite
+   * @param {object} [options]
+   * @param {number|null} [options.entryRotation] - rotation of the entry port; by default
+   *   it follows the external parent's arrow
+   * @param {boolean} [options.select=true] - select the new members, show handles and re-center
+   * @returns {number[]} ids of the spawned members, in flattened definition order
+   *   (empty if the definition cannot be expanded)
    */
-  _expandComposite(def, spawnPos, externalParentId) {
+  _expandComposite(def, spawnPos, externalParentId, { entryRotation = null, select = true } = {}) {
     const schematics = document.getElementById('schematics');
     if (!schematics) {
       throw new Error('Components group (#schematics) not found in canvas');
     }
 
+    let flat;
+    try {
+      flat = flattenComposite(def);
+    } catch (err) {
+      console.error(`ComponentManager: Cannot expand composite "${def.key}": ${err.message}`);
+      return [];
+    }
+    const { members, entryMemberIndex, exitMemberIndex } = flat;
+
     const compositeInstId = ++this.compositeInstanceCounter;
-    const spawnedIds = [];   // parallel array matching def.members indices
+    const spawnedIds = [];   // parallel array matching flattened member indices
     const spawnedComponents = [];
 
     // Offset so the entry port member lands exactly on the spawn position
-    const entryMember = def.members[def.entryMemberIndex];
+    const entryMember = members[entryMemberIndex];
     const entryOffsetX = entryMember.relX ?? 0;
     const entryOffsetY = entryMember.relY ?? 0;
 
     // Compute delta rotation to align entry port's forward vector with the spawning arrow
     let deltaAngle = 0;
-    if (externalParentId !== null && externalParentId !== undefined) {
+    if (entryRotation !== null) {
+      deltaAngle = entryRotation - (entryMember.rotation ?? 0);
+    } else if (externalParentId !== null && externalParentId !== undefined) {
       const externalParent = this.components.get(externalParentId);
       if (externalParent) {
         const arrowVec = externalParent.getArrowVector();
@@ -753,7 +864,7 @@ export class ComponentManager {
     const sinDelta = Math.sin(deltaRad);
 
     // --- Pass 1: create and render all member components ---
-    def.members.forEach((member, index) => {
+    members.forEach((member, index) => {
       const id = this.idCounter++;
       const component = new Component(member.type);
 
@@ -778,6 +889,7 @@ export class ComponentManager {
       component.isCompositeInstance = true;
       component.compositeKey = def.key;
       component.compositeInstanceId = compositeInstId;
+      component.compositePath = [...(member.compositePath || [])];
 
       // Restore display properties
       component.rayPolygonColor    = member.rayPolygonColor   ?? '#00ffff';
@@ -786,6 +898,13 @@ export class ComponentManager {
       component.rayGradientEnabled = member.rayGradientEnabled ?? false;
       component.rayPolygonColor2   = member.rayPolygonColor2  ?? component.rayPolygonColor;
       component.coneAngle         = member.coneAngle         ?? 0;
+      if (member.focalLength !== undefined) component.setFocalLength(member.focalLength);
+      component.wavelength          = member.wavelength ?? null;
+      component.wavelengthBandwidth = member.wavelengthBandwidth ?? 0;
+      if (member.spectralFilter !== undefined) {
+        component.spectralFilter = member.spectralFilter ? { ...member.spectralFilter } : null;
+      }
+      if (member.diffraction && component.diffraction) component.setDiffraction(member.diffraction);
 
       // Restore upVector so aperturePoints orientation matches the saved layout.
       // upVector is in local space — the component's rotation handles world-space orientation,
@@ -794,6 +913,9 @@ export class ComponentManager {
       if (member.upVector) {
         component.upVector = { x: member.upVector.x, y: member.upVector.y };
       }
+      // Flips mirror about the upVector axes, so they follow it (applied on render)
+      component.flipX = !!member.flipX;
+      component.flipY = !!member.flipY;
 
       // Update arrowVector to point in the final forward direction.
       // Must always be set — not just when deltaAngle != 0 — because the default
@@ -848,7 +970,7 @@ export class ComponentManager {
     });
 
     // --- Pass 2: wire internal parent-child relationships ---
-    def.members.forEach((member, index) => {
+    members.forEach((member, index) => {
       if (member.internalParentIndex !== null && member.internalParentIndex !== undefined) {
         const parentId = spawnedIds[member.internalParentIndex];
         const parentComponent = spawnedComponents[member.internalParentIndex];
@@ -856,29 +978,48 @@ export class ComponentManager {
         const childComponent = spawnedComponents[index];
 
         childComponent.parent = parentId;
+        childComponent.parentPort = member.parentPort ?? null;
         parentComponent.children.push(childId);
       }
+
+      // Extra incoming links between members (beam combining)
+      (member.extraLinks || []).forEach(saved => {
+        const parentComponent = spawnedComponents[saved.parentIndex];
+        const childComponent = spawnedComponents[index];
+        if (!parentComponent || parentComponent === childComponent) return;
+        const link = childComponent.addExtraLink(spawnedIds[saved.parentIndex], saved.parentPort ?? null, saved);
+        if (saved.upVector) link.upVector = { x: saved.upVector.x, y: saved.upVector.y };
+        parentComponent.children.push(spawnedIds[index]);
+      });
     });
 
     // --- Wire entry port to external parent ---
     if (externalParentId !== null && externalParentId !== undefined) {
       const externalParent = this.components.get(externalParentId);
-      const entryComponent = spawnedComponents[def.entryMemberIndex];
-      const entryId = spawnedIds[def.entryMemberIndex];
+      const entryComponent = spawnedComponents[entryMemberIndex];
+      const entryId = spawnedIds[entryMemberIndex];
       if (externalParent && entryComponent) {
         entryComponent.parent = externalParentId;
+        entryComponent.parentPort = this.getCompositeExitPort(externalParent)
+          .getPortForDirection(externalParent.getArrowVector());
         externalParent.children.push(entryId);
       }
     }
 
+    // A member whose primary parent was outside the saved selection keeps
+    // its extra links: the first one becomes the primary link
+    spawnedComponents.forEach(component => {
+      if (component.parent === null) component.promoteExtraLink();
+    });
+
     // --- Mark entry / exit ports ---
-    spawnedComponents[def.entryMemberIndex].isEntryPort = true;
-    spawnedComponents[def.exitMemberIndex].isExitPort = true;
+    spawnedComponents[entryMemberIndex].isEntryPort = true;
+    spawnedComponents[exitMemberIndex].isExitPort = true;
 
     // --- Propagate external parent color into the composite at spawn time ---
     // If the entry port opts in to color inheritance and there is an external parent,
     // copy the parent's color/opacity into the entry port and cascade down the chain.
-    const entryComp = spawnedComponents[def.entryMemberIndex];
+    const entryComp = spawnedComponents[entryMemberIndex];
     if (entryComp.rayColorInheritFromParent && externalParentId != null) {
       const extParent = this.components.get(externalParentId);
       if (extParent) {
@@ -915,7 +1056,8 @@ export class ComponentManager {
     });
 
     // --- Select and set currentId to exit port ---
-    const exitPortId = spawnedIds[def.exitMemberIndex];
+    const exitPortId = spawnedIds[exitMemberIndex];
+    if (!select) return spawnedIds;
     this.selectMultiple(spawnedIds);
     this.currentId = exitPortId;
     this.updateNextPositionFromComponent(exitPortId);
@@ -931,6 +1073,108 @@ export class ComponentManager {
     refreshDebugLayer();
 
     console.log(`ComponentManager: Composite "${def.key}" expanded — ${spawnedIds.length} members, exit port ID: ${exitPortId}`);
+    return spawnedIds;
+  }
+
+  /**
+   * Placed instances of a composite: one array of member ids per instance.
+   * @param {string} key - compositeKey
+   * @returns {number[][]}
+   */
+  getCompositeInstances(key) {
+    const instances = new Map();
+    this.components.forEach((component, id) => {
+      if (!component.isCompositeInstance || component.compositeKey !== key) return;
+      if (!instances.has(component.compositeInstanceId)) instances.set(component.compositeInstanceId, []);
+      instances.get(component.compositeInstanceId).push(id);
+    });
+    return [...instances.values()];
+  }
+
+  /**
+   * Replace every placed instance of a composite with a fresh expansion of
+   * its current definition (after the definition was edited). Each new
+   * instance keeps the old entry port's position and rotation and its
+   * incoming link; links leaving the old instance now leave the new exit
+   * port. Per-instance changes to member settings are not carried over.
+   * Instances of composites that contain this one (at any depth) are
+   * replaced as well, since their flattened members changed too.
+   *
+   * @param {string} key - compositeKey
+   * @returns {number} number of replaced instances
+   */
+  replaceCompositeInstances(key) {
+    const def = componentRegistry[key];
+    if (!def || !def.isComposite) return 0;
+
+    const instances = [];
+    const keys = new Set([key]);
+    this.components.forEach(component => {
+      if (component.isCompositeInstance && compositeDependsOn(component.compositeKey, key)) {
+        keys.add(component.compositeKey);
+      }
+    });
+    keys.forEach(instanceKey => {
+      this.getCompositeInstances(instanceKey).forEach(memberIds => instances.push({ instanceKey, memberIds }));
+    });
+
+    let replaced = 0;
+    instances.forEach(({ instanceKey, memberIds }) => {
+      const members = new Set(memberIds);
+      const oldEntry = memberIds.map(id => this.components.get(id)).find(c => c.isEntryPort) ||
+        this.components.get(memberIds[0]);
+      const externalParentId = oldEntry.parent !== null && !members.has(oldEntry.parent) ? oldEntry.parent : null;
+
+      const newIds = this._expandComposite(componentRegistry[instanceKey], { x: oldEntry.x, y: oldEntry.y }, externalParentId, {
+        entryRotation: oldEntry.rotation,
+        select: false
+      });
+      if (newIds.length === 0) return; // Keep the old instance if the definition cannot be expanded
+      const newEntryId = newIds.find(id => this.components.get(id).isEntryPort);
+      const newEntry = this.components.get(newEntryId);
+      const newExitId = newIds.find(id => this.components.get(id).isExitPort);
+      const newExit = this.components.get(newExitId);
+      if (externalParentId !== null) newEntry.parentPort = oldEntry.parentPort;
+      oldEntry.extraLinks.forEach(link => {
+        if (members.has(link.parent)) return;
+        newEntry.addExtraLink(link.parent, link.parentPort, link);
+        this.components.get(link.parent)?.children.push(newEntryId);
+      });
+
+      // Move links leaving the old instance onto the new exit port
+      const outgoing = new Set();
+      memberIds.forEach(id => {
+        this.components.get(id).children.forEach(childId => {
+          if (!members.has(childId)) outgoing.add(childId);
+        });
+      });
+      outgoing.forEach(childId => {
+        const child = this.components.get(childId);
+        if (!child) return;
+        if (members.has(child.parent)) {
+          child.parent = newExitId;
+          if (!newExit.outputPorts || !newExit.outputPorts[child.parentPort]) child.parentPort = null;
+        }
+        child.extraLinks.forEach(link => {
+          if (!members.has(link.parent)) return;
+          link.parent = newExitId;
+          if (!newExit.outputPorts || !newExit.outputPorts[link.parentPort]) link.parentPort = null;
+        });
+        if (!newExit.children.includes(childId)) newExit.children.push(childId);
+      });
+
+      memberIds.forEach(id => this.deleteComponent(id));
+      replaced++;
+    });
+
+    if (replaced > 0) {
+      this.currentId = null;
+      this.selectedIds.clear();
+      updateRays();
+      refreshDebugLayer();
+    }
+    console.log(`ComponentManager: Replaced ${replaced} instance(s) of composite "${key}"`);
+    return replaced;
   }
 
   /**
@@ -1157,30 +1401,122 @@ export class ComponentManager {
   wouldCreateCycle(childId, newParentId) {
     if (childId === newParentId) return true;
     
-    // Traverse up the parent chain from newParentId
-    let currentId = newParentId;
+    // Links form a DAG: walk every ancestor of newParentId (all incoming links)
+    const pending = [newParentId];
     const visited = new Set();
     
-    while (currentId !== null) {
+    while (pending.length > 0) {
+      const currentId = pending.pop();
+
       // Check for cycle
       if (currentId === childId) return true;
       
-      // Check for infinite loop in existing parent chain (shouldn't happen but safety check)
-      if (visited.has(currentId)) {
-        console.warn(`Detected existing cycle in parent chain at component ${currentId}`);
-        return true;
-      }
+      if (visited.has(currentId)) continue;
       visited.add(currentId);
       
       const component = this.components.get(currentId);
-      if (!component) break;
+      if (!component) continue;
       
-      currentId = component.parent;
+      pending.push(...component.getParentIds());
     }
     
     return false;
   }
 
+  /**
+   * Links leaving a component, one per child: the child itself when this is
+   * its primary parent, otherwise the child's extra link from this component.
+   * Each has the ray fields of that link (rayShape, colors, aperture, …).
+   * @param {Component} component
+   * @returns {Array<Component|object>}
+   */
+  getOutgoingLinks(component) {
+    const links = [];
+    component.children.forEach(childId => {
+      const child = this.components.get(childId);
+      if (!child) return;
+      if (this.components.get(child.parent) === component) {
+        links.push(child);
+        return;
+      }
+      const link = child.extraLinks.find(l => this.components.get(l.parent) === component);
+      if (link) links.push(link);
+    });
+    return links;
+  }
+
+  /**
+   * Add another incoming link to a component (beam combining). The link
+   * leaves from the parent's output port facing the child and starts with the
+   * child's ray settings (colors from the parent when inheriting).
+   * @param {number} childId
+   * @param {number} parentId
+   * @returns {boolean} - Success status
+   */
+  addExtraParent(childId, parentId) {
+    const child = this.components.get(childId);
+    const parent = this.components.get(parentId);
+    if (!child || !parent) return false;
+
+    if (child.parent === null) {
+      console.log(`Component ${childId} has no parent yet: use changeParent instead`);
+      return false;
+    }
+    if (child.getParentIds().includes(parentId)) {
+      console.log(`Component ${childId} is already linked from ${parentId}`);
+      return false;
+    }
+    if (this.wouldCreateCycle(childId, parentId)) {
+      console.log(`Cannot add parent: would create circular dependency`);
+      return false;
+    }
+
+    const rayParent = this.getCompositeExitPort(parent);
+    const parentCenter = rayParent.getCenterPointWorld();
+    const childCenter = child.getCenterPointWorld();
+    const port = rayParent.getPortForDirection({
+      x: childCenter.x - parentCenter.x,
+      y: childCenter.y - parentCenter.y
+    });
+
+    const settings = child.rayColorInheritFromParent ? {
+      rayPolygonColor: parent.rayPolygonColor,
+      rayPolygonOpacity: parent.rayPolygonOpacity,
+      rayGradientEnabled: parent.rayGradientEnabled,
+      rayPolygonColor2: parent.rayPolygonColor2
+    } : {};
+    child.addExtraLink(parentId, port, settings);
+    parent.children.push(childId);
+
+    console.log(`Added link: Component ${childId} is now also a child of ${parentId}`);
+    updateToolbarButtons();
+    return true;
+  }
+
+  /**
+   * Remove one incoming link of a component. Removing the primary link
+   * promotes the next extra link, if any.
+   * @param {number} childId
+   * @param {number} parentId
+   * @returns {boolean} - Success status
+   */
+  removeIncomingLink(childId, parentId) {
+    const child = this.components.get(childId);
+    if (!child) return false;
+    if (child.parent === parentId) return this.cutParentLink(childId);
+
+    if (!child.removeExtraLink(parentId)) return false;
+    const parent = this.components.get(parentId);
+    if (parent) {
+      const index = parent.children.indexOf(childId);
+      if (index > -1) parent.children.splice(index, 1);
+    }
+
+    console.log(`Removed link: Component ${childId} is no longer a child of ${parentId}`);
+    updateToolbarButtons();
+    return true;
+  }
+
   /**
    * Remove parent relationship from a component
    * @param {number} id - Component ID to cut parent link from
@@ -1209,8 +1545,10 @@ export class ComponentManager {
       }
     }
     
-    // Clear parent reference
+    // Clear parent reference; the next incoming link (if any) becomes the primary one
     component.parent = null;
+    component.parentPort = null;
+    component.promoteExtraLink();
     
     console.log(`Cut parent link: Component ${id} is no longer child of ${parentId}`);
     updateToolbarButtons(); // Update toolbar since parent status changed
@@ -1243,6 +1581,12 @@ export class ComponentManager {
       return false;
     }
     
+    // An extra link from the new parent becomes the primary link
+    if (childComponent.removeExtraLink(newParentId)) {
+      const index = newParentComponent.children.indexOf(childId);
+      if (index > -1) newParentComponent.children.splice(index, 1);
+    }
+
     // Remove from old parent's children array
     const oldParentId = childComponent.parent;
     if (oldParentId !== null) {
@@ -1255,8 +1599,15 @@ export class ComponentManager {
       }
     }
     
-    // Set new parent relationship
+    // Set new parent relationship; the output port is the one facing the child
     childComponent.parent = newParentId;
+    const rayParent = this.getCompositeExitPort(newParentComponent);
+    const parentCenter = rayParent.getCenterPointWorld();
+    const childCenter = childComponent.getCenterPointWorld();
+    childComponent.parentPort = rayParent.getPortForDirection({
+      x: childCenter.x - parentCenter.x,
+      y: childCenter.y - parentCenter.y
+    });
     
     // Add to new parent's children array if not already there
     if (!newParentComponent.children.includes(childId)) {
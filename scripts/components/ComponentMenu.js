@@ -1,6 +1,7 @@
 import { components } from './ComponentLibrary.js';
 import { generateSnapshot } from './ComponentSnapshot.js';
 import { deleteUserComponent } from './UserComponentStore.js';
+import { startCompositeEdit } from './CompositeEditSession.js';
 
 // Module-level flag so the 'user-components-changed' listener is only added once.
 let menuListenerAdded = false;
@@ -87,6 +88,21 @@ export function refreshSidebarMenu() {
         btn.appendChild(delBtn);
       }
 
+      // ── Edit button (user composites only) ───────────────────────────────
+      if (def.isBuiltIn === false && def.isComposite) {
+        const editBtn = document.createElement('button');
+        editBtn.className = 'component-edit-btn';
+        editBtn.setAttribute('data-component-key', type);
+        editBtn.setAttribute('title', `Edit definition of "${label}"`);
+        editBtn.textContent = '✎';
+        editBtn.addEventListener('click', (e) => {
+          e.stopPropagation();
+          startCompositeEdit(type);
+        });
+        editBtn.addEventListener('mousedown', (e) => e.stopPropagation());
+        btn.appendChild(editBtn);
+      }
+
       content.appendChild(btn);
     }
 
@@ -10,6 +10,9 @@
  */
 
 import { components as componentLibrary } from './ComponentLibrary.js';
+import { buildDiffractionPorts } from './Component.js';
+import { flattenComposite } from './CompositeNesting.js';
+import { getRayColors } from '../rays/Spectrum.js';
 
 const SVG_NS = 'http://www.w3.org/2000/svg';
 
@@ -120,20 +123,29 @@ function _renderComposite(def, width, height) {
         return _makeEmptySvg(width, height);
     }
 
+    // Nested composites are drawn with their own members
+    let members;
+    try {
+        members = flattenComposite(def).members;
+    } catch (err) {
+        console.error(`[ComponentSnapshot] Cannot draw composite "${def.key}": ${err.message}`);
+        return _makeEmptySvg(width, height);
+    }
+
     // ── 1. Render ray polygons first (so they appear behind components) ──────
 
     const rayGroup = document.createElementNS(SVG_NS, 'g');
     rayGroup.setAttribute('class', 'snapshot-rays');
 
-    def.members.forEach((member) => {
+    members.forEach((member) => {
         if (member.internalParentIndex === null || member.internalParentIndex === undefined) {
             return; // root member — no ray polygon
         }
 
         const parentIdx = member.internalParentIndex;
-        if (parentIdx < 0 || parentIdx >= def.members.length) return;
+        if (parentIdx < 0 || parentIdx >= members.length) return;
 
-        const parentMember = def.members[parentIdx];
+        const parentMember = members[parentIdx];
 
         // Inline aperture-point geometry (mirrors Component._getAperturePoints +
         // Component._localToWorld at identity rotation, scale=1, no flip):
@@ -147,11 +159,23 @@ function _renderComposite(def, width, height) {
         const memberDef = componentLibrary[member.type];
         const parentDef = componentLibrary[parentMember.type];
 
+        // A link bound to an output port starts from that port's aperture.
+        // Diffraction orders are generated from the member's saved settings.
+        const diffraction = parentDef && parentDef.diffraction
+            ? parentMember.diffraction || parentDef.diffraction
+            : null;
+        const parentPorts = diffraction
+            ? buildDiffractionPorts(diffraction)
+            : parentDef && parentDef.outputPorts;
+        const parentPort = (parentPorts && member.parentPort)
+            ? parentPorts[member.parentPort] || {}
+            : {};
+
         const mUp = (memberDef  && memberDef.upVector)  || { x: 0, y: -1 };
-        const pUp = (parentDef && parentDef.upVector) || { x: 0, y: -1 };
+        const pUp = parentPort.upVector || (parentDef && parentDef.upVector) || { x: 0, y: -1 };
 
         const mAC = (memberDef  && memberDef.apertureCenter)  || { x: 0, y: 0 };
-        const pAC = (parentDef && parentDef.apertureCenter) || { x: 0, y: 0 };
+        const pAC = parentPort.apertureCenter || (parentDef && parentDef.apertureCenter) || { x: 0, y: 0 };
 
         // centerPoint offset — _localToWorld subtracts this before placing at (relX,relY)
         const mCP = (memberDef  && memberDef.centerPoint)  || { x: 0, y: 0 };
@@ -199,7 +223,7 @@ function _renderComposite(def, width, height) {
             y: parentMember.relY + pLoLx * pSin + pLoLy * pCos
         };
 
-        const color   = member.rayPolygonColor || '#00ffff';
+        const color   = getRayColors(member).color;
         const opacity = 0.2;
 
         const polygon = document.createElementNS(SVG_NS, 'polygon');
@@ -219,7 +243,7 @@ function _renderComposite(def, width, height) {
 
     let bMinX = Infinity, bMinY = Infinity, bMaxX = -Infinity, bMaxY = -Infinity;
 
-    def.members.forEach((member) => {
+    members.forEach((member) => {
         const memberDef = componentLibrary[member.type];
         if (!memberDef) {
             console.warn(`[ComponentSnapshot] Unknown member type "${member.type}" — skipping.`);
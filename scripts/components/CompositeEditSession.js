@@ -0,0 +1,184 @@
+import { componentManager } from './ComponentManager.js';
+import { components as componentRegistry } from './ComponentLibrary.js';
+import { flattenComposite, compositeDependsOn } from './CompositeNesting.js';
+import { openSaveCompositeDialog } from './SaveCompositeDialog.js';
+import { captureSceneSnapshot, restoreSceneSnapshot, refreshSelectionUi } from '../history/HistorySnapshots.js';
+import { actionHistory } from '../history/ActionHistory.js';
+import { canvas } from '../Canvas.js';
+
+/**
+ * Editing a saved user composite on the canvas.
+ *
+ * startCompositeEdit() sets the current scene and its undo history aside and
+ * spawns the composite's members as plain, ungrouped components on an empty
+ * canvas, so layout, links, ports and ray settings can be changed with the
+ * normal tools (with their own undo history). Nested composites are spawned
+ * as placed instances of their own definition, so they are saved back as
+ * references rather than copies of their members. The banner over the canvas
+ * saves the definition through SaveCompositeDialog — same key, next version —
+ * or discards the changes. Either way the original scene and history come
+ * back; after saving, the placed instances of the composite can be replaced
+ * by the new version as one undoable action.
+ */
+
+const EMPTY_SCENE = {
+  idCounter: 0,
+  compositeInstanceCounter: 0,
+  currentId: null,
+  selectedIds: [],
+  nextPosition: { x: 0, y: 0 },
+  components: []
+};
+
+let session = null;
+
+export function isCompositeEditActive() {
+  return session !== null;
+}
+
+/**
+ * Open a user composite for editing.
+ * @param {string} key - registry key of a user composite
+ * @returns {boolean} false if it cannot be edited or another edit is open
+ */
+export function startCompositeEdit(key) {
+  if (session) {
+    alert('Finish editing the current composite first.');
+    return false;
+  }
+  const def = componentRegistry[key];
+  if (!def || !def.isComposite || def.isBuiltIn !== false) {
+    console.error(`[CompositeEditSession] "${key}" is not a user composite`);
+    return false;
+  }
+
+  session = {
+    key,
+    scene: captureSceneSnapshot(),
+    viewBox: canvas.getCurrentViewBox(),
+    history: actionHistory.suspend(),
+    entryId: null,
+    exitId: null
+  };
+
+  restoreSceneSnapshot(EMPTY_SCENE);
+  const ids = componentManager._expandComposite(def, { x: 0, y: 0 }, null);
+  if (ids.length === 0) {
+    alert(`"${def.label ?? key}" cannot be opened: see the console for details.`);
+    _finish(false);
+    return false;
+  }
+  session.entryId = ids.find(id => componentManager.getComponent(id).isEntryPort);
+  session.exitId = ids.find(id => componentManager.getComponent(id).isExitPort);
+  ids.forEach(id => {
+    const component = componentManager.getComponent(id);
+    component.isCompositeInstance = false;
+    component.compositeKey = null;
+    component.compositeInstanceId = null;
+    component.compositePath = [];
+    component.isEntryPort = false;
+    component.isExitPort = false;
+    component.rayLocked = false;
+    component.clearGroup();
+  });
+  const flat = flattenComposite(def);
+  flat.nested.forEach(nested => _regroupNested(nested, ids, flat.members));
+
+  componentManager.deselectComponent();
+  componentManager.currentId = null;
+  refreshSelectionUi();
+  _showBanner(def.label ?? key);
+  console.log(`[CompositeEditSession] Editing composite "${key}"`);
+  return true;
+}
+
+/**
+ * Save the edited members as the new version of the composite (opens the
+ * save dialog with the previous name, entry and exit preselected).
+ */
+export function saveCompositeEdit() {
+  if (!session) return;
+  const def = componentRegistry[session.key];
+  const { key, scene } = session;
+
+  // Placed instances live in the scene that was set aside; composites that
+  // contain this one are updated with it
+  const instanceIds = new Set((scene.components || [])
+    .filter(saved => saved.isCompositeInstance &&
+      (saved.compositeKey === key || compositeDependsOn(saved.compositeKey, key)))
+    .map(saved => saved.compositeInstanceId));
+
+  openSaveCompositeDialog(componentManager, {
+    memberIds: [...componentManager.components.keys()],
+    editKey: key,
+    label: def?.label ?? '',
+    entryId: componentManager.components.has(session.entryId) ? session.entryId : null,
+    exitId: componentManager.components.has(session.exitId) ? session.exitId : null,
+    instanceCount: instanceIds.size,
+    onSaved: ({ updateInstances }) => _finish(updateInstances)
+  });
+}
+
+/** Turn the members of a nested composite back into one placed instance of it. */
+function _regroupNested(nested, ids, flatMembers) {
+  const memberIds = nested.indices.map(index => ids[index]);
+  const instanceId = ++componentManager.compositeInstanceCounter;
+  nested.indices.forEach(index => {
+    const id = ids[index];
+    const component = componentManager.getComponent(id);
+    component.isCompositeInstance = true;
+    component.compositeKey = nested.key;
+    component.compositeInstanceId = instanceId;
+    component.compositePath = flatMembers[index].compositePath.slice(1);
+    component.isEntryPort = id === ids[nested.entryIndex];
+    component.isExitPort = id === ids[nested.exitIndex];
+    component.setGroupMembers(memberIds.filter(otherId => otherId !== id));
+  });
+}
+
+/** Leave the edit without saving. */
+export function discardCompositeEdit() {
+  if (!session) return;
+  _finish(false);
+}
+
+function _finish(updateInstances) {
+  const { key, scene, viewBox, history } = session;
+  session = null;
+  _hideBanner();
+
+  restoreSceneSnapshot(scene);
+  canvas.setViewBox(viewBox);
+  actionHistory.resume(history);
+
+  if (updateInstances) {
+    actionHistory.run('Update composite instances', 'update-composite-instances', () => {
+      componentManager.replaceCompositeInstances(key);
+    });
+    refreshSelectionUi();
+  }
+  console.log(`[CompositeEditSession] Finished editing composite "${key}"`);
+}
+
+// ─── Banner ─────────────────────────────────────────────────────────────────
+
+function _showBanner(label) {
+  const banner = document.getElementById('composite-edit-banner');
+  if (!banner) return;
+  const labelEl = document.getElementById('composite-edit-label');
+  if (labelEl) labelEl.textContent = label;
+  banner.style.display = '';
+}
+
+function _hideBanner() {
+  const banner = document.getElementById('composite-edit-banner');
+  if (banner) banner.style.display = 'none';
+}
+
+/** Call once during app init. */
+export function setupCompositeEditBanner() {
+  document.getElementById('composite-edit-save-btn')?.addEventListener('click', saveCompositeEdit);
+  document.getElementById('composite-edit-discard-btn')?.addEventListener('click', () => {
+    if (confirm('Discard the changes to this composite?')) discardCompositeEdit();
+  });
+}
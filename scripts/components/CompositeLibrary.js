@@ -6,7 +6,8 @@
  *
  * A composite component is a named group of basic components with fixed
  * relative positions, rotations, and optical parameters.  The registry key
- * of each member must correspond to a key in ComponentLibrary.js.
+ * of each member must correspond to a key in ComponentLibrary.js, or to
+ * another composite (see CompositeNesting.js).
  *
  * Import this module once (e.g. in App.js or index.js) for the side-effect
  * of populating `components` with the entries below.  No function call is
@@ -25,6 +26,8 @@ const compositeDefinitions = {
      * 4F Relay — Inherit Color
      * ────────────────────────
      * Two symmetric lenses with a point (focal plane) in the middle.
+     * Lens focal length 100 = half the lens spacing, so the paraxial
+     * ray-tracing mode converges exactly on the point.
      * All members have rayColorInheritFromParent = true, so changing
      * the entry lens color propagates through the whole relay.
      *
@@ -50,6 +53,7 @@ const compositeDefinitions = {
                 relY: 0,
                 rotation: 0,
                 scale: 1,
+                focalLength: 100,
                 apertureRadius: 20,
                 coneAngle: 0,
                 rayShape: 'collimated',
@@ -80,6 +84,7 @@ const compositeDefinitions = {
                 relY: 0,
                 rotation: 0,
                 scale: 1,
+                focalLength: 100,
                 apertureRadius: 20,
                 coneAngle: 0,
                 rayShape: 'divergent',
@@ -121,6 +126,7 @@ const compositeDefinitions = {
                 relY: 0,
                 rotation: 0,
                 scale: 1,
+                focalLength: 100,
                 apertureRadius: 20,
                 coneAngle: 0,
                 rayShape: 'manual',
@@ -151,6 +157,7 @@ const compositeDefinitions = {
                 relY: 0,
                 rotation: 0,
                 scale: 1,
+                focalLength: 100,
                 apertureRadius: 20,
                 coneAngle: 0,
                 rayShape: 'divergent',
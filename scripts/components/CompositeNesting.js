@@ -0,0 +1,202 @@
+import { components as componentRegistry } from './ComponentLibrary.js';
+
+/**
+ * Composites inside composites.
+ *
+ * A member of a composite definition may name another composite in `type`
+ * instead of a basic component. Such a member only carries placement and
+ * wiring: relX / relY / rotation put the nested composite's entry port,
+ * scale / flipX / flipY apply to the whole nested composite (layout scaled
+ * about the entry port, every member's scale multiplied and flips toggled),
+ * internalParentIndex / parentPort link that entry port, and members that
+ * name it as internal parent are linked to its exit port. Extra incoming
+ * links (`extraLinks`, each { parentIndex, parentPort, ...ray settings })
+ * are wired the same way. Its own member
+ * settings come from its definition.
+ *
+ * flattenComposite() resolves the nesting into one list of basic members,
+ * which ComponentManager._expandComposite() places as a single instance
+ * (one compositeInstanceId, one group), so a placed composite stays one unit
+ * however deep it is nested. Each flattened member records in compositePath
+ * the nested composites it comes from (outermost first), which is kept on
+ * the placed component and in snapshots. A definition that contains itself,
+ * directly or through other composites, cannot be expanded.
+ */
+
+function _isCompositeType(type, lookup) {
+  return !!(lookup[type] && lookup[type].isComposite);
+}
+
+/**
+ * Chain of composite keys that leads from a definition back to itself.
+ * @param {object} def - composite definition
+ * @param {object} [lookup] - definitions by key (the registry by default)
+ * @returns {string[]|null} e.g. ['a', 'b', 'a'], or null without a cycle
+ */
+export function findCompositeCycle(def, lookup = componentRegistry) {
+  const path = [];
+  const done = new Set();
+
+  const visit = (current) => {
+    const loopStart = path.indexOf(current.key);
+    if (loopStart >= 0) return [...path.slice(loopStart), current.key];
+    if (done.has(current.key)) return null;
+    path.push(current.key);
+    for (const member of current.members || []) {
+      if (!_isCompositeType(member.type, lookup)) continue;
+      // Look the definition being checked up by key too, it may not be registered yet
+      const nested = member.type === def.key ? def : lookup[member.type];
+      const cycle = visit(nested);
+      if (cycle) return cycle;
+    }
+    path.pop();
+    done.add(current.key);
+    return null;
+  };
+
+  return visit(def);
+}
+
+/**
+ * Keys of all composites a definition uses, at any depth, and of referenced
+ * types that are missing from the lookup.
+ * @param {object} def - composite definition
+ * @param {object} [lookup]
+ * @returns {{ nested: Set<string>, missing: Set<string> }}
+ */
+export function getNestedCompositeKeys(def, lookup = componentRegistry) {
+  const nested = new Set();
+  const missing = new Set();
+
+  const visit = (current) => {
+    for (const member of current.members || []) {
+      if (!lookup[member.type]) {
+        missing.add(member.type);
+      } else if (lookup[member.type].isComposite && !nested.has(member.type)) {
+        nested.add(member.type);
+        visit(lookup[member.type]);
+      }
+    }
+  };
+
+  visit(def);
+  return { nested, missing };
+}
+
+/**
+ * Whether a composite uses another one, at any depth.
+ * @param {string} key - composite that may contain the other
+ * @param {string} dependencyKey
+ * @returns {boolean}
+ */
+export function compositeDependsOn(key, dependencyKey) {
+  const def = componentRegistry[key];
+  if (!def || !def.isComposite) return false;
+  return getNestedCompositeKeys(def).nested.has(dependencyKey);
+}
+
+/**
+ * Resolve nested composites into basic members.
+ *
+ * Nested members are replaced by their (recursively flattened) members,
+ * moved and rotated so their entry port lands on the nested member's
+ * position and rotation, then scaled and flipped as the nested member says. Internal links are renumbered: a link into a
+ * nested composite ends at its entry port, a link out of it starts at its
+ * exit port.
+ *
+ * @param {object} def - composite definition
+ * @returns {{
+ *   members: object[],
+ *   entryMemberIndex: number,
+ *   exitMemberIndex: number,
+ *   nested: { memberIndex: number, key: string, indices: number[], entryIndex: number, exitIndex: number }[]
+ * }} nested lists the direct nested composites, by index into the flat members
+ * @throws {Error} on recursive definitions and unknown member types
+ */
+export function flattenComposite(def) {
+  const cycle = findCompositeCycle(def);
+  if (cycle) {
+    throw new Error(`Composite "${def.key}" contains itself (${cycle.join(' → ')}).`);
+  }
+  return _flatten(def);
+}
+
+function _flatten(def) {
+  const members = [];
+  const nested = [];
+  const entryOf = [];   // flat index of each definition member's entry port
+  const exitOf = [];    // ... and of its exit port
+
+  // --- Pass 1: copy basic members, splice in flattened nested composites ---
+  def.members.forEach((member, index) => {
+    const nestedDef = componentRegistry[member.type];
+    if (!nestedDef) {
+      throw new Error(`Composite "${def.key}" uses unknown component type "${member.type}".`);
+    }
+    if (!nestedDef.isComposite) {
+      entryOf[index] = exitOf[index] = members.length;
+      // Its extra links are renumbered with the rest of the wiring in pass 2
+      members.push({ ...member, compositePath: [], extraLinks: [] });
+      return;
+    }
+
+    const inner = _flatten(nestedDef);
+    const innerEntry = inner.members[inner.entryMemberIndex];
+    const deltaAngle = (member.rotation ?? 0) - (innerEntry.rotation ?? 0);
+    const deltaRad = deltaAngle * Math.PI / 180;
+    const cosDelta = Math.cos(deltaRad);
+    const sinDelta = Math.sin(deltaRad);
+    const scale = member.scale ?? 1;
+    const base = members.length;
+
+    inner.members.forEach(innerMember => {
+      const dx = ((innerMember.relX ?? 0) - (innerEntry.relX ?? 0)) * scale;
+      const dy = ((innerMember.relY ?? 0) - (innerEntry.relY ?? 0)) * scale;
+      members.push({
+        ...innerMember,
+        relX: (member.relX ?? 0) + dx * cosDelta - dy * sinDelta,
+        relY: (member.relY ?? 0) + dx * sinDelta + dy * cosDelta,
+        rotation: (innerMember.rotation ?? 0) + deltaAngle,
+        // Flips are cosmetic (see Component._getFlipMatrix) and leave the layout as is
+        scale: (innerMember.scale ?? 1) * scale,
+        flipX: !!innerMember.flipX !== !!member.flipX,
+        flipY: !!innerMember.flipY !== !!member.flipY,
+        compositePath: [member.type, ...(innerMember.compositePath || [])],
+        internalParentIndex: innerMember.internalParentIndex != null
+          ? base + innerMember.internalParentIndex
+          : null,
+        extraLinks: (innerMember.extraLinks || []).map(link => ({ ...link, parentIndex: base + link.parentIndex }))
+      });
+    });
+
+    entryOf[index] = base + inner.entryMemberIndex;
+    exitOf[index] = base + inner.exitMemberIndex;
+    nested.push({
+      memberIndex: index,
+      key: member.type,
+      indices: inner.members.map((_, i) => base + i),
+      entryIndex: entryOf[index],
+      exitIndex: exitOf[index]
+    });
+  });
+
+  // --- Pass 2: links between definition members go exit port → entry port ---
+  def.members.forEach((member, index) => {
+    const target = members[entryOf[index]];
+    const parentIndex = member.internalParentIndex;
+    const linked = parentIndex != null && exitOf[parentIndex] !== undefined;
+    target.internalParentIndex = linked ? exitOf[parentIndex] : null;
+    target.parentPort = linked ? member.parentPort ?? null : null;
+    (member.extraLinks || []).forEach(link => {
+      if (exitOf[link.parentIndex] === undefined) return;
+      target.extraLinks.push({ ...link, parentIndex: exitOf[link.parentIndex] });
+    });
+  });
+
+  return {
+    members,
+    entryMemberIndex: entryOf[def.entryMemberIndex] ?? 0,
+    exitMemberIndex: exitOf[def.exitMemberIndex] ?? members.length - 1,
+    nested
+  };
+}
@@ -0,0 +1,219 @@
+/**
+ * LayersPanel.js - Outline of all components in the right panel
+ * Renders into #layers-body as a tree following the primary parent links
+ * (a child reached through several inputs is listed under its first parent).
+ * Siblings and roots are listed front to back, so the list reads like the
+ * stacking on the canvas.
+ *
+ * Per row: show/hide, lock, select (Shift/Ctrl-click adds to the selection),
+ * double-click to rename, and drag onto another row to restack in front of
+ * it (upper half) or behind it (lower half). Every change is one undoable
+ * action; visibility, locks, names and z-order are part of the snapshot and
+ * so of the schematic JSON.
+ */
+
+import { componentManager } from './ComponentManager.js';
+import { refreshSelectionUi } from '../history/HistorySnapshots.js';
+import { actionHistory } from '../history/ActionHistory.js';
+
+let body = null;
+let draggedId = null;
+
+// ─── Tree ───────────────────────────────────────────────────────────────────
+
+/** Rows in display order: { id, component, depth }. */
+function buildRows() {
+  const zIndex = new Map(componentManager.getZOrder().map((id, index) => [id, index]));
+  const frontToBack = ids => ids.sort((a, b) => (zIndex.get(b) ?? 0) - (zIndex.get(a) ?? 0));
+
+  const childrenOf = new Map();
+  const roots = [];
+  componentManager.components.forEach((component, id) => {
+    const parent = component.parent !== null ? componentManager.getComponent(component.parent) : null;
+    if (!parent) {
+      roots.push(id);
+      return;
+    }
+    if (!childrenOf.has(component.parent)) childrenOf.set(component.parent, []);
+    childrenOf.get(component.parent).push(id);
+  });
+
+  const rows = [];
+  const visit = (id, depth) => {
+    rows.push({ id, component: componentManager.getComponent(id), depth });
+    frontToBack(childrenOf.get(id) || []).forEach(childId => visit(childId, depth + 1));
+  };
+  frontToBack(roots).forEach(id => visit(id, 0));
+  return rows;
+}
+
+// ─── Rendering ──────────────────────────────────────────────────────────────
+
+function render() {
+  if (!body) return;
+  body.replaceChildren();
+
+  const rows = buildRows();
+  if (rows.length === 0) {
+    const empty = document.createElement('div');
+    empty.className = 'rp-empty';
+    empty.innerHTML = '<p>No components yet</p>';
+    body.appendChild(empty);
+    return;
+  }
+
+  const list = document.createElement('ul');
+  list.className = 'layers-list';
+  rows.forEach(row => list.appendChild(buildRow(row)));
+  body.appendChild(list);
+}
+
+function buildRow({ id, component, depth }) {
+  const item = document.createElement('li');
+  item.className = 'layers-row';
+  item.classList.toggle('selected', componentManager.selectedIds.has(id));
+  item.classList.toggle('hidden-component', !component.visible);
+  item.classList.toggle('locked', component.locked);
+  item.style.paddingLeft = `${6 + depth * 12}px`;
+  item.dataset.id = id;
+  item.draggable = true;
+  item.title = `${component.type} [ID: ${id}]`;
+
+  const visibilityBtn = iconButton(component.visible ? 'visibility' : 'visibility_off',
+    component.visible ? 'Hide' : 'Show');
+  visibilityBtn.addEventListener('click', e => {
+    e.stopPropagation();
+    const show = !component.visible;
+    actionHistory.run(show ? 'Show component' : 'Hide component', show ? 'show-components' : 'hide-components', () => {
+      if (show) {
+        componentManager.showComponent(id);
+      } else {
+        componentManager.hideComponent(id);
+      }
+    });
+  });
+
+  const lockBtn = iconButton(component.locked ? 'lock' : 'lock_open',
+    component.locked ? 'Unlock' : 'Lock (no selecting or dragging on the canvas)');
+  lockBtn.addEventListener('click', e => {
+    e.stopPropagation();
+    const lock = !component.locked;
+    actionHistory.run(lock ? 'Lock component' : 'Unlock component', 'lock-components', () => {
+      componentManager.setComponentLocked(id, lock);
+    });
+    refreshSelectionUi();
+  });
+
+  const name = document.createElement('span');
+  name.className = 'layers-name';
+  name.textContent = component.name;
+  name.addEventListener('dblclick', e => {
+    e.stopPropagation();
+    startRename(name, id);
+  });
+
+  item.append(visibilityBtn, lockBtn, name);
+
+  item.addEventListener('click', e => {
+    if (component.locked) return;
+    if (e.shiftKey || e.ctrlKey || e.metaKey) {
+      componentManager.selectMultiple([...componentManager.selectedIds, id]);
+    } else {
+      componentManager.selectComponent(id);
+    }
+    refreshSelectionUi();
+  });
+
+  // Drag to restack
+  item.addEventListener('dragstart', e => {
+    draggedId = id;
+    e.dataTransfer.effectAllowed = 'move';
+    e.dataTransfer.setData('text/plain', String(id));
+  });
+  item.addEventListener('dragover', e => {
+    if (draggedId === null || draggedId === id) return;
+    e.preventDefault();
+    const inFront = isUpperHalf(item, e);
+    item.classList.toggle('drop-front', inFront);
+    item.classList.toggle('drop-behind', !inFront);
+  });
+  item.addEventListener('dragleave', () => item.classList.remove('drop-front', 'drop-behind'));
+  item.addEventListener('drop', e => {
+    e.preventDefault();
+    item.classList.remove('drop-front', 'drop-behind');
+    if (draggedId === null || draggedId === id) return;
+    const movedId = draggedId;
+    const inFront = isUpperHalf(item, e);
+    actionHistory.run('Change stacking order', 'reorder-components', () => {
+      componentManager.moveInZOrder(movedId, id, inFront);
+    });
+    render();
+  });
+  item.addEventListener('dragend', () => {
+    draggedId = null;
+  });
+
+  return item;
+}
+
+function startRename(nameEl, id) {
+  const input = document.createElement('input');
+  input.type = 'text';
+  input.className = 'rp-number layers-rename';
+  input.value = componentManager.getComponent(id).name;
+  nameEl.replaceWith(input);
+  input.focus();
+  input.select();
+
+  let done = false;
+  const finish = (commit) => {
+    if (done) return;
+    done = true;
+    const value = input.value.trim();
+    if (commit && value && value !== componentManager.getComponent(id)?.name) {
+      actionHistory.run('Rename component', 'rename-component', () => {
+        componentManager.updateComponentName(id, value);
+      });
+    }
+    render();
+  };
+  input.addEventListener('keydown', e => {
+    e.stopPropagation(); // Keep Delete / Backspace from deleting the component
+    if (e.key === 'Enter') finish(true);
+    if (e.key === 'Escape') finish(false);
+  });
+  input.addEventListener('blur', () => finish(true));
+  input.addEventListener('click', e => e.stopPropagation());
+}
+
+function iconButton(icon, title) {
+  const button = document.createElement('button');
+  button.type = 'button';
+  button.className = 'layers-icon-btn';
+  button.title = title;
+  const symbol = document.createElement('span');
+  symbol.className = 'material-symbols-outlined';
+  symbol.textContent = icon;
+  button.appendChild(symbol);
+  return button;
+}
+
+function isUpperHalf(element, e) {
+  const rect = element.getBoundingClientRect();
+  return e.clientY < rect.top + rect.height / 2;
+}
+
+// ─── Public API ─────────────────────────────────────────────────────────────
+
+/**
+ * Call once during app init. Re-renders on selection changes and after
+ * every recorded action (add, delete, rename, undo/redo, file import).
+ */
+export function setupLayersPanel() {
+  body = document.getElementById('layers-body');
+  if (!body) return;
+
+  render();
+  document.addEventListener('ray:selectionChanged', render);
+  actionHistory.subscribe(render);
+}
@@ -0,0 +1,368 @@
+/**
+ * PropertyInspector.js - Right-panel numeric editing of component transforms
+ * Renders into #inspector-body above the ray configuration. Rebuilds when the
+ * selection changes ('ray:selectionChanged') and re-syncs its values after
+ * every recorded action (drag, rotate, scale, undo/redo).
+ *
+ * A single selection edits the component directly; a multi-selection edits
+ * the group as a whole through the ComponentManager group methods, so
+ * rotation and scale are entered as relative amounts ("rotate by", "scale by").
+ * Positions are shown in the schematic's physical units.
+ *
+ * When an annotation is selected instead, the panel edits its text and style.
+ */
+
+import { componentManager } from './ComponentManager.js';
+import { updateRays } from '../rays/DrawRays.js';
+import { refreshSelectionUi } from '../history/HistorySnapshots.js';
+import { actionHistory } from '../history/ActionHistory.js';
+import { units } from '../Units.js';
+import { annotationManager } from '../annotations/AnnotationManager.js';
+import { ROTATION_SNAP_INCREMENT, SCALE_SNAP_INCREMENT, MIN_SCALE, MAX_SCALE, ANNOTATION_FONT_FAMILIES } from '../config.js';
+
+// Unit and sorted selected ids the panel was last built for
+let renderedKey = null;
+
+// ─── HTML template ──────────────────────────────────────────────────────────
+
+const EMPTY_HTML = `
+  <div class="rp-empty">
+    <p>Select a component<br>to edit its properties</p>
+  </div>
+`;
+
+function buildPanelHTML(isGroup, count) {
+  return `
+    <div class="rp-section">
+      ${isGroup ? `
+      <div class="rp-section-title">${count} components</div>` : `
+      <div class="rp-field">
+        <label class="rp-label" for="pi-name">Name</label>
+        <input type="text" id="pi-name" class="rp-number pi-text">
+      </div>`}
+
+      <div class="pi-row">
+        <div class="rp-field">
+          <label class="rp-label" for="pi-x">${isGroup ? 'Center X' : 'X'} <span class="rp-value">${units.unit}</span></label>
+          <input type="number" id="pi-x" class="rp-number" step="any">
+        </div>
+        <div class="rp-field">
+          <label class="rp-label" for="pi-y">${isGroup ? 'Center Y' : 'Y'} <span class="rp-value">${units.unit}</span></label>
+          <input type="number" id="pi-y" class="rp-number" step="any">
+        </div>
+      </div>
+
+      <div class="pi-row">
+        <div class="rp-field">
+          <label class="rp-label" for="pi-rotation">${isGroup ? 'Rotate by' : 'Rotation'} <span class="rp-value">&#176;</span></label>
+          <input type="number" id="pi-rotation" class="rp-number" step="${ROTATION_SNAP_INCREMENT}">
+        </div>
+        <div class="rp-field">
+          <label class="rp-label" for="pi-scale">${isGroup ? 'Scale by' : 'Scale'} <span class="rp-value">&#215;</span></label>
+          <input type="number" id="pi-scale" class="rp-number" step="${SCALE_SNAP_INCREMENT}"${isGroup ? '' : ` min="${MIN_SCALE}" max="${MAX_SCALE}"`}>
+        </div>
+      </div>
+
+      <div class="rp-field rp-field-checkbox rp-checkbox-row">
+        <label class="rp-checkbox-label" for="pi-flip-x"><input type="checkbox" id="pi-flip-x"> Flip X</label>
+        <label class="rp-checkbox-label" for="pi-flip-y"><input type="checkbox" id="pi-flip-y"> Flip Y</label>
+        <label class="rp-checkbox-label" for="pi-visible"><input type="checkbox" id="pi-visible"> Visible</label>
+      </div>
+    </div>
+  `;
+}
+
+const ANNOTATION_TITLES = { text: 'Text label', leader: 'Leader label', dimension: 'Dimension arrow' };
+
+function buildAnnotationHTML(annotation) {
+  const fontOptions = ANNOTATION_FONT_FAMILIES
+    .map(family => `<option value="${family}">${family.split(',')[0]}</option>`)
+    .join('');
+  return `
+    <div class="rp-section">
+      <div class="rp-section-title">${ANNOTATION_TITLES[annotation.type] || 'Annotation'}</div>
+      <div class="rp-field">
+        <label class="rp-label" for="pi-text">Text</label>
+        <textarea id="pi-text" class="rp-number pi-text" rows="2"${annotation.type === 'dimension' ? ' placeholder="Measured length"' : ''}></textarea>
+      </div>
+
+      <div class="rp-field">
+        <label class="rp-label" for="pi-font">Font</label>
+        <select id="pi-font" class="rp-number pi-text">${fontOptions}</select>
+      </div>
+
+      <div class="pi-row">
+        <div class="rp-field">
+          <label class="rp-label" for="pi-font-size">Size <span class="rp-value">px</span></label>
+          <input type="number" id="pi-font-size" class="rp-number" min="4" max="200" step="1">
+        </div>
+        <div class="rp-field">
+          <label class="rp-label" for="pi-color">Color</label>
+          <input type="color" id="pi-color" class="rp-number pi-color">
+        </div>
+      </div>
+    </div>
+  `;
+}
+
+// ─── Values ─────────────────────────────────────────────────────────────────
+
+function _selectedIds() {
+  return Array.from(componentManager.selectedIds).filter(id => componentManager.components.has(id));
+}
+
+function _format(value, digits = 2) {
+  return String(Number(value.toFixed(digits)));
+}
+
+/**
+ * Write current component state into the inputs. The focused input is left
+ * alone (the user may be typing in it) unless `includeFocused` is set.
+ */
+function syncValues(body, includeFocused = false) {
+  const ids = _selectedIds();
+  if (ids.length === 0) return;
+
+  const set = (id, apply) => {
+    const input = body.querySelector('#' + id);
+    if (input && (includeFocused || input !== document.activeElement)) apply(input);
+  };
+
+  if (ids.length === 1) {
+    const comp = componentManager.getComponent(ids[0]);
+    set('pi-name',     el => { el.value = comp.name; });
+    set('pi-x',        el => { el.value = _format(units.toUnits(comp.x)); });
+    set('pi-y',        el => { el.value = _format(units.toUnits(comp.y)); });
+    set('pi-rotation', el => { el.value = _format(comp.rotation); });
+    set('pi-scale',    el => { el.value = _format(comp.scale); });
+    set('pi-flip-x',   el => { el.checked = comp.flipX; el.indeterminate = false; });
+    set('pi-flip-y',   el => { el.checked = comp.flipY; el.indeterminate = false; });
+    set('pi-visible',  el => { el.checked = comp.visible; el.indeterminate = false; });
+    return;
+  }
+
+  const centroid = componentManager.getGroupCentroid(ids);
+  // Checked when every member has the flag, indeterminate when only some do
+  const setMixed = (id, flag) => {
+    const count = ids.filter(memberId => componentManager.getComponent(memberId)[flag]).length;
+    set(id, el => {
+      el.checked = count === ids.length;
+      el.indeterminate = count > 0 && count < ids.length;
+    });
+  };
+  set('pi-x',        el => { el.value = _format(units.toUnits(centroid.x)); });
+  set('pi-y',        el => { el.value = _format(units.toUnits(centroid.y)); });
+  set('pi-rotation', el => { el.value = '0'; });
+  set('pi-scale',    el => { el.value = '1'; });
+  setMixed('pi-flip-x', 'flipX');
+  setMixed('pi-flip-y', 'flipY');
+  setMixed('pi-visible', 'visible');
+}
+
+function syncAnnotationValues(body, includeFocused = false) {
+  const annotation = annotationManager.get(annotationManager.selectedId);
+  if (!annotation) return;
+
+  const set = (id, apply) => {
+    const input = body.querySelector('#' + id);
+    if (input && (includeFocused || input !== document.activeElement)) apply(input);
+  };
+
+  set('pi-text',      el => { el.value = annotation.text; });
+  set('pi-font',      el => { el.value = annotation.fontFamily; });
+  set('pi-font-size', el => { el.value = String(annotation.fontSize); });
+  set('pi-color',     el => { el.value = annotation.color; });
+}
+
+// ─── Wire events ────────────────────────────────────────────────────────────
+
+function wireAnnotationEvents(body) {
+  const get = id => body.querySelector('#' + id);
+
+  const edit = props => {
+    const id = annotationManager.selectedId;
+    actionHistory.run('Edit annotation', 'edit-annotation', () => {
+      annotationManager.update(id, props);
+    });
+    annotationManager.render();
+    syncAnnotationValues(body, true);
+  };
+
+  get('pi-text').addEventListener('change', e => edit({ text: e.target.value }));
+  get('pi-font').addEventListener('change', e => edit({ fontFamily: e.target.value }));
+  get('pi-color').addEventListener('change', e => edit({ color: e.target.value }));
+  get('pi-font-size').addEventListener('change', e => {
+    const size = parseFloat(e.target.value);
+    if (!Number.isFinite(size) || size <= 0) {
+      syncAnnotationValues(body, true);
+      return;
+    }
+    edit({ fontSize: Math.max(4, Math.min(200, size)) });
+  });
+}
+
+function wireEvents(body) {
+  const get = id => body.querySelector('#' + id);
+
+  // Record one undoable action, then redraw rays, handles and this panel
+  const edit = (label, type, fn) => {
+    actionHistory.run(label, type, () => {
+      const ids = _selectedIds();
+      if (ids.length > 0) fn(ids);
+    });
+    if (componentManager.currentId !== null) {
+      componentManager.updateNextPositionFromComponent(componentManager.currentId);
+    }
+    updateRays();
+    refreshSelectionUi();
+    syncValues(body, true);
+  };
+
+  const readNumber = input => {
+    const value = parseFloat(input.value);
+    if (!Number.isFinite(value)) {
+      syncValues(body, true);
+      return null;
+    }
+    return value;
+  };
+
+  get('pi-name')?.addEventListener('change', e => {
+    edit('Rename component', 'rename-component', ([id]) => {
+      componentManager.updateComponentName(id, e.target.value.trim());
+    });
+  });
+
+  const onPositionChange = () => {
+    const x = readNumber(get('pi-x'));
+    const y = readNumber(get('pi-y'));
+    if (x === null || y === null) return;
+
+    edit('Move selection', 'move-components', ids => {
+      if (ids.length === 1) {
+        componentManager.updateComponentPosition(ids[0], units.toPx(x), units.toPx(y));
+        return;
+      }
+      const centroid = componentManager.getGroupCentroid(ids);
+      componentManager.updateGroupPositions(ids, units.toPx(x) - centroid.x, units.toPx(y) - centroid.y);
+    });
+  };
+  get('pi-x').addEventListener('change', onPositionChange);
+  get('pi-y').addEventListener('change', onPositionChange);
+
+  get('pi-rotation').addEventListener('change', e => {
+    const angle = readNumber(e.target);
+    if (angle === null) return;
+
+    edit('Rotate selection', 'rotate-components', ids => {
+      if (ids.length === 1) {
+        componentManager.updateComponentRotation(ids[0], angle);
+        return;
+      }
+      const centroid = componentManager.getGroupCentroid(ids);
+      const initialStates = componentManager.getGroupInitialStates(ids);
+      componentManager.updateGroupRotation(ids, centroid, angle, initialStates);
+    });
+  });
+
+  get('pi-scale').addEventListener('change', e => {
+    const value = readNumber(e.target);
+    if (value === null) return;
+
+    edit('Scale selection', 'scale-components', ids => {
+      if (ids.length === 1) {
+        componentManager.updateComponentScale(ids[0], Math.max(MIN_SCALE, Math.min(MAX_SCALE, value)));
+        return;
+      }
+      // Same limits as the group scale handle: no member may leave MIN_SCALE..MAX_SCALE
+      const initialStates = componentManager.getGroupInitialStates(ids);
+      let factor = value;
+      initialStates.forEach(state => {
+        factor = Math.min(factor, MAX_SCALE / state.scale);
+        factor = Math.max(factor, MIN_SCALE / state.scale);
+      });
+      const centroid = componentManager.getGroupCentroid(ids);
+      componentManager.updateGroupScale(ids, centroid, factor, initialStates);
+    });
+  });
+
+  // Each member is flipped in place like the toolbar buttons do; members
+  // already in the requested state are left alone
+  get('pi-flip-x').addEventListener('change', e => {
+    edit('Flip horizontal', 'flip-horizontal', ids => {
+      ids.forEach(id => {
+        if (componentManager.getComponent(id).flipX !== e.target.checked) {
+          componentManager.flipComponentHorizontal(id);
+        }
+      });
+    });
+  });
+
+  get('pi-flip-y').addEventListener('change', e => {
+    edit('Flip vertical', 'flip-vertical', ids => {
+      ids.forEach(id => {
+        if (componentManager.getComponent(id).flipY !== e.target.checked) {
+          componentManager.flipComponentVertical(id);
+        }
+      });
+    });
+  });
+
+  get('pi-visible').addEventListener('change', e => {
+    if (e.target.checked) {
+      edit('Show selection', 'show-components', () => componentManager.showComponent());
+    } else {
+      edit('Hide selection', 'hide-components', () => componentManager.hideComponent());
+    }
+  });
+}
+
+function renderInspector(body) {
+  if (annotationManager.selectedId !== null) {
+    const key = `annotation:${annotationManager.selectedId}`;
+    if (key === renderedKey) {
+      syncAnnotationValues(body);
+      return;
+    }
+    renderedKey = key;
+    body.innerHTML = buildAnnotationHTML(annotationManager.get(annotationManager.selectedId));
+    wireAnnotationEvents(body);
+    syncAnnotationValues(body);
+    return;
+  }
+
+  const ids = _selectedIds();
+  // The unit is part of the key so field labels follow Units & Scale changes
+  const key = `${units.unit}:${ids.slice().sort((a, b) => a - b).join(',')}`;
+
+  if (key === renderedKey) {
+    syncValues(body);
+    return;
+  }
+  renderedKey = key;
+
+  if (ids.length === 0) {
+    body.innerHTML = EMPTY_HTML;
+    return;
+  }
+  body.innerHTML = buildPanelHTML(ids.length > 1, ids.length);
+  wireEvents(body);
+  syncValues(body);
+}
+
+// ─── Public API ─────────────────────────────────────────────────────────────
+
+/**
+ * Call once during app init. Renders blank state and registers the
+ * selection and history hooks.
+ */
+export function setupPropertyInspector() {
+  const body = document.getElementById('inspector-body');
+  if (!body) return;
+
+  renderInspector(body);
+  document.addEventListener('ray:selectionChanged', () => renderInspector(body));
+  document.addEventListener('units-changed', () => renderInspector(body));
+  document.addEventListener('annotation:selectionChanged', () => renderInspector(body));
+  actionHistory.subscribe(() => renderInspector(body));
+}
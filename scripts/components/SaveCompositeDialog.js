@@ -13,10 +13,22 @@
  * left/right and identify components spatially.
  *
  * Category is always "User Components" — no selector needed.
+ *
+ * A placed composite instance that is selected as a whole is saved as one
+ * nested member referencing its definition (see CompositeNesting.js), with
+ * the scale and flips applied to the whole instance; the rest of the
+ * selection, and instances whose members were scaled or flipped one by one,
+ * are saved member by member.
+ *
+ * When a saved composite is being edited (CompositeEditSession.js) the dialog
+ * writes back to the same key as a new version, starts with the previous
+ * name, entry and exit, and offers to update the placed instances.
  */
 
 import { components as componentRegistry } from './ComponentLibrary.js';
 import { saveUserComponent } from './UserComponentStore.js';
+import { findCompositeCycle, flattenComposite } from './CompositeNesting.js';
+import { LINK_RAY_FIELDS } from './Component.js';
 import { COMPOSITE_DIALOG } from '../config.js';
 import { getPolygonsForConnection, createRayGradientForSvg } from '../rays/ApertureRays.js';
 
@@ -36,6 +48,10 @@ const state = {
     entryId: null,   // component id chosen as entry port
     exitId: null,    // component id chosen as exit port
     memberIds: [],   // ordered array of selected component ids
+    editKey: null,   // key of the composite being edited, null for a new one
+    instanceCount: 0,          // placed instances of the edited composite
+    updateInstances: true,     // replace those instances after saving
+    onSaved: null,             // callback({ key, updateInstances }) after a successful save
 };
 
 /** Reference to the componentManager passed in at open time. */
@@ -50,21 +66,33 @@ const SVG_NS = 'http://www.w3.org/2000/svg';
 /**
  * Open the save-composite dialog for the current multi-selection.
  * @param {import('./ComponentManager.js').ComponentManager} componentManager
+ * @param {object} [options]  Used when saving an edited composite
+ * @param {number[]} [options.memberIds]     components to save instead of the selection
+ * @param {string} [options.editKey]         key to overwrite
+ * @param {string} [options.label]           initial name
+ * @param {number|null} [options.entryId]    initial entry port
+ * @param {number|null} [options.exitId]     initial exit port
+ * @param {number} [options.instanceCount]   placed instances that can be updated
+ * @param {function} [options.onSaved]       called with { key, updateInstances }
  */
-export function openSaveCompositeDialog(componentManager) {
+export function openSaveCompositeDialog(componentManager, options = {}) {
     _cm = componentManager;
 
-    const ids = Array.from(_cm.selectedIds);
+    const ids = options.memberIds ? [...options.memberIds] : Array.from(_cm.selectedIds);
     if (ids.length < 2) {
         alert('Please select 2 or more components to save as a composite.');
         return;
     }
 
     // Reset state
-    state.label    = '';
-    state.entryId  = null;
-    state.exitId   = null;
+    state.label    = options.label ?? '';
+    state.entryId  = ids.includes(options.entryId) ? options.entryId : null;
+    state.exitId   = ids.includes(options.exitId) ? options.exitId : null;
     state.memberIds = ids;
+    state.editKey  = options.editKey ?? null;
+    state.instanceCount = options.instanceCount ?? 0;
+    state.updateInstances = true;
+    state.onSaved  = options.onSaved ?? null;
     phase = 0;
 
     // Lazily grab the dialog element
@@ -104,7 +132,7 @@ function _renderPhaseA() {
 
     // ── Header row ──────────────────────────────────────────────────────────
     const header = _el('div', { className: 'scd-header-row' });
-    const title = _el('h3', { className: 'scd-title', textContent: 'Save Composite' });
+    const title = _el('h3', { className: 'scd-title', textContent: state.editKey ? 'Update Composite' : 'Save Composite' });
     const stepBadge = _el('span', { className: 'scd-step-badge', textContent: '1 / 3' });
     header.appendChild(title);
     header.appendChild(stepBadge);
@@ -245,6 +273,18 @@ function _renderPhaseC() {
     previewContainer.appendChild(svgPreview);
     wrap.appendChild(previewContainer);
 
+    // Placed instances of an edited composite
+    if (state.editKey && state.instanceCount > 0) {
+        const updateRow = _el('label', { className: 'scd-update-row' });
+        const updateCheckbox = _el('input', { type: 'checkbox' });
+        updateCheckbox.checked = state.updateInstances;
+        updateCheckbox.addEventListener('change', () => { state.updateInstances = updateCheckbox.checked; });
+        updateRow.appendChild(updateCheckbox);
+        updateRow.appendChild(document.createTextNode(
+            ` Update the ${state.instanceCount} placed instance${state.instanceCount === 1 ? '' : 's'} on the canvas`));
+        wrap.appendChild(updateRow);
+    }
+
     // Warning area
     const warningEl = _el('div', { className: 'scd-warning' });
     warningEl.style.display = 'none';
@@ -611,8 +651,11 @@ function _buildSpatialPreview(opts = {}) {
 
 function _buildAndSaveComposite() {
     const ids = state.memberIds;
+    const units = _getMemberUnits(ids);
 
-    const idToIndex = new Map(ids.map((id, i) => [id, i]));
+    // Every component id maps to the member it is saved in
+    const idToIndex = new Map();
+    units.forEach((unit, i) => unit.ids.forEach(id => idToIndex.set(id, i)));
 
     // Compute group centroid
     let sumX = 0, sumY = 0;
@@ -624,14 +667,32 @@ function _buildAndSaveComposite() {
     const centroidY = sumY / ids.length;
 
     // Build members array
-    const members = ids.map(id => {
-        const comp = _cm.getComponent(id);
+    const members = units.map((unit, index) => {
+        const comp = _cm.getComponent(unit.anchorId);
         const relX = comp.x - centroidX;
         const relY = comp.y - centroidY;
 
         let internalParentIndex = null;
-        if (comp.parent !== null && idToIndex.has(comp.parent)) {
+        let parentPort = null;
+        if (comp.parent !== null && idToIndex.has(comp.parent) && idToIndex.get(comp.parent) !== index) {
             internalParentIndex = idToIndex.get(comp.parent);
+            parentPort = comp.parentPort ?? null;
+        }
+
+        if (unit.compositeKey) {
+            // Nested composite: placed by its entry port, settings come from its definition
+            return {
+                type:     unit.compositeKey,
+                relX,
+                relY,
+                rotation: comp.rotation ?? 0,
+                scale:    unit.transform.scale,
+                flipX:    unit.transform.flipX,
+                flipY:    unit.transform.flipY,
+                internalParentIndex,
+                parentPort,
+                extraLinks: _getMemberExtraLinks(comp, idToIndex, index)
+            };
         }
 
         return {
@@ -640,11 +701,18 @@ function _buildAndSaveComposite() {
             relY,
             rotation:            comp.rotation            ?? 0,
             scale:               comp.scale               ?? 1,
+            flipX:               !!comp.flipX,
+            flipY:               !!comp.flipY,
             // Full aperture/ray state — enough to reproduce identical ray drawing
             rayShape:            comp.rayShape            || 'collimated',
             apertureRadius:      comp.apertureRadius      ?? 15,
             apertureCenterOffset: comp.apertureCenterOffset ?? 0,
             coneAngle:           comp.coneAngle           ?? 0,
+            focalLength:         comp.focalLength         ?? null,
+            wavelength:          comp.wavelength          ?? null,
+            wavelengthBandwidth: comp.wavelengthBandwidth ?? 0,
+            spectralFilter:      comp.spectralFilter ? { ...comp.spectralFilter } : null,
+            diffraction:         comp.diffraction ? { ...comp.diffraction } : null,
             upVector:            { x: comp.upVector.x, y: comp.upVector.y },
             arraySegments:       comp.arraySegments       ?? 5,
             arraySizeRatio:      comp.arraySizeRatio      ?? 0.8,
@@ -655,13 +723,15 @@ function _buildAndSaveComposite() {
             rayPolygonColor2:            comp.rayPolygonColor2            || comp.rayPolygonColor || '#00ffff',
             rayGradientEnabled:          comp.rayGradientEnabled          ?? false,
             visible:                     comp.visible                     ?? true,
-            internalParentIndex
+            internalParentIndex,
+            parentPort,
+            extraLinks:                  _getMemberExtraLinks(comp, idToIndex, index)
         };
     });
 
-    // Derive a stable key
+    // Derive a stable key (an edited composite keeps its key)
     const keyBase = state.label.toLowerCase().replace(/\s+/g, '_').replace(/[^a-z0-9_]/g, '');
-    const key = `user_${keyBase}_${Date.now()}`;
+    const key = state.editKey || `user_${keyBase}_${Date.now()}`;
 
     // Capture a clean SVG snapshot from the live components
     const snapshotSvg = _buildSnapshotSvg(ids);
@@ -674,9 +744,17 @@ function _buildAndSaveComposite() {
         isBuiltIn:       false,
         members,
         entryMemberIndex: idToIndex.get(state.entryId) ?? 0,
-        exitMemberIndex:  idToIndex.get(state.exitId)  ?? (ids.length - 1),
+        exitMemberIndex:  idToIndex.get(state.exitId)  ?? (units.length - 1),
         snapshotSvg
     };
+    if (state.editKey) def.version = (componentRegistry[state.editKey]?.version ?? 1) + 1;
+
+    const cycle = findCompositeCycle(def);
+    if (cycle) {
+        console.error(`[SaveCompositeDialog] Recursive composite: ${cycle.join(' → ')}`);
+        alert(`A composite cannot contain itself (${cycle.join(' → ')}).`);
+        return;
+    }
 
     try {
         saveUserComponent(def);
@@ -688,6 +766,113 @@ function _buildAndSaveComposite() {
     }
 
     _close();
+    if (state.onSaved) state.onSaved({ key, updateInstances: state.updateInstances });
+}
+
+/**
+ * Split the saved components into definition members: each placed composite
+ * instance that is completely included becomes one unit (anchored at its
+ * entry port), every other component is a unit of its own.
+ *
+ * @param {number[]} ids
+ * @returns {{ ids: number[], anchorId: number, compositeKey: string|null }[]}
+ */
+function _getMemberUnits(ids) {
+    const included = new Set(ids);
+    const units = [];
+    const instanceUnits = new Map();   // compositeInstanceId → unit
+
+    ids.forEach(id => {
+        const comp = _cm.getComponent(id);
+        const key = comp.isCompositeInstance ? comp.compositeKey : null;
+        const complete = key && componentRegistry[key]?.isComposite &&
+            [..._cm.getCompositeSiblingIds(id)].every(siblingId => included.has(siblingId));
+        if (!complete) {
+            units.push({ ids: [id], anchorId: id, compositeKey: null });
+            return;
+        }
+        let unit = instanceUnits.get(comp.compositeInstanceId);
+        if (!unit) {
+            unit = { ids: [], anchorId: id, compositeKey: key };
+            instanceUnits.set(comp.compositeInstanceId, unit);
+            units.push(unit);
+        }
+        unit.ids.push(id);
+        if (comp.isEntryPort) unit.anchorId = id;
+    });
+
+    // A nested member can only scale or flip its composite as a whole
+    return units.flatMap(unit => {
+        if (!unit.compositeKey) return [unit];
+        unit.transform = _getInstanceTransform(unit.compositeKey, unit.ids);
+        if (unit.transform) return [unit];
+        return unit.ids.map(id => ({ ids: [id], anchorId: id, compositeKey: null }));
+    });
+}
+
+/**
+ * Extra incoming links (beam combining) of a member that come from other
+ * members, by member index, with their own ray settings. Links from outside
+ * the selection are left out, like an outside primary parent.
+ *
+ * @param {Component} comp
+ * @param {Map<number, number>} idToIndex - component id → member index
+ * @param {number} index - index of the member itself
+ * @returns {object[]} { parentIndex, parentPort, upVector, ...LINK_RAY_FIELDS }
+ */
+function _getMemberExtraLinks(comp, idToIndex, index) {
+    return comp.extraLinks
+        .filter(link => idToIndex.has(link.parent) && idToIndex.get(link.parent) !== index)
+        .map(link => {
+            const saved = {
+                parentIndex: idToIndex.get(link.parent),
+                parentPort:  link.parentPort ?? null,
+                upVector:    { x: link.upVector.x, y: link.upVector.y }
+            };
+            LINK_RAY_FIELDS.forEach(field => { saved[field] = link[field]; });
+            return saved;
+        });
+}
+
+/**
+ * Scale and flips applied to a whole placed composite instance: each
+ * member's scale and flips compared with its flattened definition member
+ * (ids are handed out in flattened order when the instance is placed).
+ *
+ * @param {string} key - composite key of the instance
+ * @param {number[]} ids - all members of the instance
+ * @returns {{scale: number, flipX: boolean, flipY: boolean}|null} null when
+ *   the members were changed one by one
+ */
+function _getInstanceTransform(key, ids) {
+    let flat;
+    try {
+        flat = flattenComposite(componentRegistry[key]);
+    } catch {
+        return null;
+    }
+    const sortedIds = [...ids].sort((a, b) => a - b);
+    if (flat.members.length !== sortedIds.length) return null;
+
+    let transform = null;
+    for (let i = 0; i < sortedIds.length; i++) {
+        const comp = _cm.getComponent(sortedIds[i]);
+        const member = flat.members[i];
+        if (comp.type !== member.type) return null;
+        const memberTransform = {
+            scale: (comp.scale ?? 1) / (member.scale ?? 1),
+            flipX: !!comp.flipX !== !!member.flipX,
+            flipY: !!comp.flipY !== !!member.flipY
+        };
+        if (!transform) {
+            transform = memberTransform;
+        } else if (Math.abs(memberTransform.scale - transform.scale) > 1e-6 ||
+            memberTransform.flipX !== transform.flipX ||
+            memberTransform.flipY !== transform.flipY) {
+            return null;
+        }
+    }
+    return transform;
 }
 
 /**
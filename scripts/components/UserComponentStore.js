@@ -1,13 +1,19 @@
 /**
  * UserComponentStore.js
  * ----------------------
- * Persistence layer for user-created composite component definitions.
+ * Persistence layer for user-created component definitions.
  *
- * User composites are stored as a JSON array in localStorage under the key
- * 'userCompositeComponents'.  Each definition follows the same schema as the
- * built-in composites in CompositeLibrary.js, with:
- *   isBuiltIn  : false
- *   isComposite: true
+ * User definitions are stored as a JSON array in localStorage under the key
+ * 'userCompositeComponents'.  Two kinds are stored, both with isBuiltIn: false:
+ *
+ *   Composites (isComposite: true) follow the same schema as the built-in
+ *   composites in CompositeLibrary.js.
+ *
+ *   Basic components (isComposite: false) drawn in ComponentEditorDialog.js
+ *   follow the schema of ComponentLibrary.js, except that the artwork is kept
+ *   as an SVG markup string in `artwork` instead of a `draw` function.  The
+ *   `draw` function is rebuilt from the markup when the definition enters the
+ *   registry and is never written to storage.
  *
  * The module also merges loaded definitions into the shared `components`
  * registry (imported from ComponentLibrary.js) so they are immediately
@@ -21,8 +27,41 @@
  */
 
 import { components } from './ComponentLibrary.js';
+import { findCompositeCycle } from './CompositeNesting.js';
 
 const STORAGE_KEY = 'userCompositeComponents';
+const SVG_NS = 'http://www.w3.org/2000/svg';
+
+/**
+ * What user artwork may contain: shapes, text and paint servers. Anything
+ * else (scripts, links, animation, <style>, images, foreign content) is
+ * dropped with its contents.
+ */
+const ARTWORK_ELEMENTS = new Set([
+    'g', 'path', 'rect', 'circle', 'ellipse', 'line', 'polyline', 'polygon', 'text', 'tspan',
+    'defs', 'linearGradient', 'radialGradient', 'stop', 'clipPath', 'use'
+]);
+
+/** Geometry and presentation attributes (also the properties kept in `style`). */
+const ARTWORK_ATTRIBUTES = new Set([
+    'id', 'x', 'y', 'x1', 'y1', 'x2', 'y2', 'cx', 'cy', 'r', 'rx', 'ry', 'fx', 'fy', 'fr',
+    'width', 'height', 'd', 'points', 'dx', 'dy', 'rotate', 'transform', 'pathLength',
+    'fill', 'fill-opacity', 'fill-rule', 'stroke', 'stroke-width', 'stroke-opacity',
+    'stroke-linecap', 'stroke-linejoin', 'stroke-miterlimit', 'stroke-dasharray', 'stroke-dashoffset',
+    'opacity', 'color', 'visibility', 'display', 'clip-path', 'clip-rule', 'vector-effect', 'paint-order',
+    'font-family', 'font-size', 'font-weight', 'font-style', 'text-anchor', 'dominant-baseline',
+    'letter-spacing', 'offset', 'stop-color', 'stop-opacity',
+    'gradientUnits', 'gradientTransform', 'spreadMethod', 'clipPathUnits'
+]);
+
+/** Elements whose href may point at another element of the same artwork. */
+const LINKING_ELEMENTS = new Set(['use', 'linearGradient', 'radialGradient']);
+
+/**
+ * Artwork ids get this prefix (references follow), so they cannot take over
+ * the ids of the app's own elements (#canvas, #schematics, …).
+ */
+const ARTWORK_ID_PREFIX = 'artwork-';
 
 // ---------------------------------------------------------------------------
 // Internal helpers
@@ -59,12 +98,149 @@ function _notify() {
     document.dispatchEvent(new CustomEvent('user-components-changed'));
 }
 
+/**
+ * True for a basic (non-composite) definition carrying artwork markup.
+ * @param {Object} def
+ * @returns {boolean}
+ */
+function _isBasicDef(def) {
+    return def.isComposite === false && typeof def.artwork === 'string';
+}
+
+/**
+ * Registry form of a stored definition: basic definitions get a `draw`
+ * function built from their artwork markup.
+ * @param {Object} def
+ * @returns {Object}
+ */
+function _hydrate(def) {
+    if (!_isBasicDef(def)) return def;
+    return { ...def, draw: (ns) => parseArtwork(def.artwork, ns) };
+}
+
+/**
+ * Storage form of a definition: everything except the `draw` function.
+ * @param {Object} def
+ * @returns {Object}
+ */
+function _dehydrate(def) {
+    const { draw, ...stored } = def;
+    return stored;
+}
+
 // ---------------------------------------------------------------------------
 // Public API
 // ---------------------------------------------------------------------------
 
 /**
- * Load all user composites from localStorage and merge them into the shared
+ * Build a <g> element from user artwork markup (one or more SVG elements).
+ * The markup is rebuilt element by element from ARTWORK_ELEMENTS and
+ * ARTWORK_ATTRIBUTES; links must point inside the artwork (`#id`, url(#id)),
+ * so markup from imported files is safe to put on the canvas.
+ *
+ * @param {string} markup
+ * @param {string} [ns]  SVG namespace (the `draw(ns)` argument)
+ * @returns {SVGGElement}  empty group if the markup does not parse
+ */
+export function parseArtwork(markup, ns = SVG_NS) {
+    const g = document.createElementNS(ns, 'g');
+    if (!markup) return g;
+
+    const doc = new DOMParser().parseFromString(`<svg xmlns="${SVG_NS}">${markup}</svg>`, 'image/svg+xml');
+    if (doc.querySelector('parsererror')) {
+        console.warn('[UserComponentStore] Could not parse component artwork.');
+        return g;
+    }
+
+    Array.from(doc.documentElement.children).forEach(source => {
+        const el = _copyArtworkElement(source, ns);
+        if (el) g.appendChild(el);
+    });
+    return g;
+}
+
+/**
+ * Allowed copy of a parsed artwork element and its allowed descendants.
+ * @param {Element} source
+ * @param {string} ns
+ * @returns {Element|null}  null if the element is not allowed
+ */
+function _copyArtworkElement(source, ns) {
+    if (source.namespaceURI !== SVG_NS || !ARTWORK_ELEMENTS.has(source.localName)) return null;
+
+    const el = document.createElementNS(ns, source.localName);
+    Array.from(source.attributes).forEach(attr => {
+        const name = attr.localName;
+        if (name === 'href') {
+            const ref = attr.value.trim();
+            if (LINKING_ELEMENTS.has(source.localName) && /^#[\w.:-]+$/.test(ref)) {
+                el.setAttribute('href', `#${_artworkId(ref.slice(1))}`);
+            }
+        } else if (name === 'style') {
+            const style = _sanitizeStyle(attr.value);
+            if (style) el.setAttribute('style', style);
+        } else if (name === 'id') {
+            el.setAttribute('id', _artworkId(attr.value));
+        } else if (!attr.namespaceURI && ARTWORK_ATTRIBUTES.has(name)) {
+            const value = _sanitizeValue(attr.value);
+            if (value !== null) el.setAttribute(name, value);
+        }
+    });
+
+    const hasText = source.localName === 'text' || source.localName === 'tspan';
+    Array.from(source.childNodes).forEach(node => {
+        if (node.nodeType === Node.TEXT_NODE) {
+            if (hasText) el.appendChild(document.createTextNode(node.data));
+        } else if (node.nodeType === Node.ELEMENT_NODE) {
+            const child = _copyArtworkElement(node, ns);
+            if (child) el.appendChild(child);
+        }
+    });
+    return el;
+}
+
+function _artworkId(id) {
+    return id.startsWith(ARTWORK_ID_PREFIX) ? id : ARTWORK_ID_PREFIX + id;
+}
+
+/**
+ * Attribute or style value with url(#id) references renamed like the ids;
+ * null if it refers to anything outside the artwork.
+ * @param {string} value
+ * @returns {string|null}
+ */
+function _sanitizeValue(value) {
+    let safe = true;
+    const renamed = value.replace(/url\(\s*(['"]?)([^)]*?)\1\s*\)/gi, (_match, _quote, ref) => {
+        if (!/^#[\w.:-]+$/.test(ref)) safe = false;
+        return `url(#${_artworkId(ref.slice(1))})`;
+    });
+    if (!safe) return null;
+    // A CSS escape could spell another url( that the pattern above missed
+    const rest = renamed.replace(/url\(#[\w.:-]+\)/g, '');
+    return /\\|url\(|expression\(/i.test(rest) ? null : renamed;
+}
+
+/**
+ * Keep only allowed presentation properties of a style attribute.
+ * @param {string} style
+ * @returns {string}
+ */
+function _sanitizeStyle(style) {
+    return style.split(';')
+        .map(declaration => {
+            const colon = declaration.indexOf(':');
+            if (colon < 0) return null;
+            const property = declaration.slice(0, colon).trim().toLowerCase();
+            const value = _sanitizeValue(declaration.slice(colon + 1).trim());
+            return ARTWORK_ATTRIBUTES.has(property) && value ? `${property}:${value}` : null;
+        })
+        .filter(Boolean)
+        .join(';');
+}
+
+/**
+ * Load all user definitions from localStorage and merge them into the shared
  * `components` registry.  Call this once during app initialisation (before
  * the sidebar menu is built).
  *
@@ -74,20 +250,20 @@ function _notify() {
 export function loadUserComponents() {
     const defs = _readStore();
     for (const def of defs) {
-        components[def.key] = def;
+        components[def.key] = _hydrate(def);
     }
 }
 
 /**
- * Persist a new (or updated) composite definition.
+ * Persist a new (or updated) user definition.
  *
- * - Enforces `isBuiltIn: false` and `isComposite: true` regardless of what
- *   the caller supplies.
+ * - Enforces `isBuiltIn: false` regardless of what the caller supplies, and
+ *   `isComposite: true` unless it is a basic definition with `artwork`.
  * - Replaces any existing entry with the same `def.key`.
  * - Merges the definition into the live `components` registry.
  * - Fires 'user-components-changed'.
  *
- * @param {Object} def  Composite definition object; must have a `key` field.
+ * @param {Object} def  Composite or basic definition object; must have a `key` field.
  */
 export function saveUserComponent(def) {
     if (!def || typeof def.key !== 'string' || !def.key) {
@@ -95,7 +271,7 @@ export function saveUserComponent(def) {
     }
 
     // Enforce user-component flags
-    const sanitised = { ...def, isBuiltIn: false, isComposite: true };
+    const sanitised = _dehydrate({ ...def, isBuiltIn: false, isComposite: !_isBasicDef(def) });
 
     // Update persistent store
     const defs = _readStore();
@@ -108,27 +284,29 @@ export function saveUserComponent(def) {
     _writeStore(defs);
 
     // Merge into live registry
-    components[sanitised.key] = sanitised;
+    components[sanitised.key] = _hydrate(sanitised);
 
     _notify();
 }
 
 /**
- * Return all local user composite definitions for file export.
+ * Return all local user definitions for file export.
  * The returned objects are detached copies so callers can safely format them.
  *
  * @returns {Object[]}
  */
 export function exportUserComponents() {
-    return _readStore().map(def => ({ ...def, isBuiltIn: false, isComposite: true }));
+    return _readStore().map(def => ({ ...def, isBuiltIn: false, isComposite: !_isBasicDef(def) }));
 }
 
 /**
- * Bulk-import user composite definitions.
+ * Bulk-import user definitions.
  *
  * Imported entries are merged into the current local store by key. Existing
  * entries with matching keys are overwritten; unrelated local entries remain.
- * Every imported entry is forced to be a user composite.
+ * Every imported entry must be a composite or a basic definition with
+ * artwork markup, and is marked as a user definition.  Composites that would
+ * contain themselves (through nested composites) are rejected.
  *
  * @param {Object[]} defs
  * @returns {number} Number of imported definitions.
@@ -142,23 +320,32 @@ export function importUserComponents(defs) {
         if (!def || typeof def !== 'object') {
             throw new Error(`User component at index ${index} must be an object.`);
         }
-        if (def.isComposite !== true) {
+        if (def.isComposite !== true && !_isBasicDef(def)) {
             const label = def.key !== undefined && def.key !== null ? def.key : index;
-            throw new Error(`User component "${label}" must have isComposite: true.`);
+            throw new Error(`User component "${label}" must have isComposite: true or an artwork string.`);
         }
         if (typeof def.key !== 'string' || !def.key.trim()) {
             throw new Error(`User component at index ${index} must have a non-empty string key.`);
         }
 
-        return {
+        return _dehydrate({
             ...def,
             key: def.key.trim(),
             category: def.category || 'User Components',
             isBuiltIn: false,
-            isComposite: true
-        };
+            isComposite: def.isComposite === true
+        });
     });
 
+    const lookup = { ...components };
+    sanitisedDefs.forEach(def => { lookup[def.key] = def; });
+    for (const def of sanitisedDefs) {
+        const cycle = def.isComposite ? findCompositeCycle(def, lookup) : null;
+        if (cycle) {
+            throw new Error(`User component "${def.key}" contains itself (${cycle.join(' → ')}).`);
+        }
+    }
+
     const merged = _readStore();
     for (const def of sanitisedDefs) {
         const idx = merged.findIndex(existing => existing.key === def.key);
@@ -167,7 +354,7 @@ export function importUserComponents(defs) {
         } else {
             merged.push(def);
         }
-        components[def.key] = def;
+        components[def.key] = _hydrate(def);
     }
 
     _writeStore(merged);
@@ -176,12 +363,12 @@ export function importUserComponents(defs) {
 }
 
 /**
- * Delete a user composite by key.
+ * Delete a user definition by key.
  *
  * Removes the entry from localStorage and from the live `components` registry.
  * Fires 'user-components-changed'.
  *
- * @param {string} key  The registry key of the composite to delete.
+ * @param {string} key  The registry key of the definition to delete.
  */
 export function deleteUserComponent(key) {
     if (typeof key !== 'string' || !key) {
@@ -202,7 +389,7 @@ export function deleteUserComponent(key) {
 }
 
 /**
- * Return a copy of all user composite definitions currently in localStorage.
+ * Return a copy of all user definitions currently in localStorage.
  * Does not modify the registry.
  *
  * @returns {Object[]}
@@ -15,11 +15,41 @@ export const MIN_VIEWBOX_HEIGHT = 75;
 export const MAX_VIEWBOX_WIDTH = 4000;
 export const MAX_VIEWBOX_HEIGHT = 3000;
 export const INITIAL_ZOOM = 0.25; 
+export const ZOOM_ANIMATION_MS = 250;               // Zoom to fit / selection / 100 % transitions
+export const ZOOM_BUTTON_FACTOR = 1.25;             // Zoom in / out buttons and keys
+
+// ===== Minimap =====
+export const MINIMAP_MARGIN = 0.1;                  // Space around the scene, as a fraction of its size
 
 // ===== Grid configuration =====
 export const GRID_SIZE = 50;
 export const GRID_EXTEND_FACTOR = 5;
 
+// ===== Physical units =====
+export const UNIT_SYSTEMS = { mm: 1, cm: 10, 'µm': 0.001 }; // Size of each unit in millimetres
+export const DEFAULT_UNIT = 'mm';
+export const DEFAULT_PX_PER_UNIT = 1;          // Canvas px per DEFAULT_UNIT (1 px = 1 mm)
+export const GRID_LABEL_COLOR = '#b0b0b0';
+export const GRID_LABEL_FONT_RATIO = 0.0125;   // Label font size as a fraction of the viewBox width
+export const GRID_LABEL_MIN_SPACING = 6;       // Minimum label spacing, in label font sizes
+
+// ===== Scale bar =====
+export const DEFAULT_SCALE_BAR_VISIBLE = false;
+export const SCALE_BAR_TARGET_LENGTH = 150;    // Bar length (px) is a 1-2-5 physical value close to this
+export const SCALE_BAR_COLOR = '#333';
+export const SCALE_BAR_STROKE_WIDTH = 2;
+export const SCALE_BAR_TICK_SIZE = 5;
+export const SCALE_BAR_FONT_SIZE = 12;
+
+// ===== Image / PDF export =====
+export const EXPORT_DPI_OPTIONS = [300, 600, 1200];
+export const DEFAULT_EXPORT_DPI = 300;
+export const CSS_PX_PER_INCH = 96;             // Canvas px are CSS px when sizing exports
+export const MAX_RASTER_DIMENSION = 16384;     // Largest canvas side browsers reliably allocate
+export const MAX_RASTER_AREA = 268435456;      // Canvas pixel limit of desktop browsers (16384²)
+export const MAX_RASTER_AREA_IOS = 16777216;   // Safari on iPhone / iPad (4096²)
+export const JPEG_EXPORT_QUALITY = 0.95;
+
 // ===== Arrow/positioning handle configuration =====
 export const ARROW_LENGTH = 150;
 export const ARROW_COLOR = '#2196F3';
@@ -29,6 +59,9 @@ export const ARROW_TIP_SNAP_SIZE = 1;
 
 // ===== Component positioning =====
 export const DRAGGING_SNAP_INCREMENT = 1;
+export const PASTE_OFFSET = 40;                   // Offset of each successive paste / duplicate from the original
+export const NUDGE_STEP = 1;                       // Arrow key move, in canvas px
+export const NUDGE_STEP_LARGE = 10;                // Shift+arrow key move
 
 // ===== Component rotation handle =====
 export const ROTATION_SNAP_INCREMENT = 2.5;
@@ -44,6 +77,11 @@ export const SCALE_SNAP_INCREMENT = 0.1;
 export const MIN_SCALE = 0.8;
 export const MAX_SCALE = 2.0;
 
+// ===== Touch and pen =====
+export const TOUCH_SLOP = 8;                        // Screen px a finger may wander before a press becomes a drag
+export const LONG_PRESS_MS = 500;                   // Long-press: toggle a component in the selection, or pan on blank canvas
+export const TOUCH_HANDLE_HIT_RADIUS = 22;          // Minimum handle hit radius on touch screens, in screen px
+
 // ===== Value display =====
 export const VALUE_DISPLAY_DISTANCE = 50;
 
@@ -54,6 +92,12 @@ export const LINK_HOVER_BOX_COLOR = '#ffba0c';
 // ===== Component defaults =====
 export const DEFAULT_APERTURE_RADIUS = 18;  // Default aperture radius for components
 export const DEFAULT_CONE_ANGLE = 0;        // Default cone angle in degrees (0 = collimated)
+export const LASER_BEAM_RADIUS = 5;         // Output beam radius of the laser source
+export const LED_CONE_ANGLE = 30;           // Emission half-angle of the LED (degrees)
+export const FIBER_CONE_ANGLE = 7;          // Emission half-angle of a fiber tip (degrees, NA ≈ 0.12)
+export const FIBER_CORE_RADIUS = 2;         // Aperture radius of a fiber tip
+export const IRIS_APERTURE_RADIUS = 12;     // Open radius of the iris diaphragm
+export const PINHOLE_APERTURE_RADIUS = 5;   // Open radius of the fixed aperture / slit
 export const DEFAULT_APERTURE_CENTER_OFFSET = 0;  // Signed offset along upVector (manual/array)
 export const DEFAULT_ARRAY_SEGMENTS = 3;    // Default number of segments for array ray shape
 export const DEFAULT_ARRAY_SIZE_RATIO = 1.0;     // Default size ratio for array segments (0–2; >1 means segments overlap/extend beyond aperture)
@@ -74,6 +118,40 @@ export const DEFAULT_RAY_POLYGON_OPACITY = 0.2;
 export const DEFAULT_RAY_GRADIENT_ENABLED = false;
 export const DEFAULT_RAY_GRADIENT_COLOR2 = '#0095ff'; // Defaults to same as color1; user drags knob2 to differentiate
 
+// ===== Diffraction orders (gratings, DOEs) =====
+export const FREE_ORDER_LENGTH = 80;              // Length of the stub drawn for an order with no downstream component
+export const FREE_ORDER_OPACITY_FACTOR = 0.5;     // Stub opacity relative to the incoming ray
+export const MAX_DIFFRACTION_ORDER = 5;           // Highest order offered by the ray panel
+
+// ===== Wavelengths =====
+export const LASER_LINES = [405, 488, 561, 640];  // Common laser lines offered by the ray panel (nm)
+export const DEFAULT_WAVELENGTH = 488;            // Wavelength picked by "Custom" when none is set (nm)
+export const MIN_WAVELENGTH = 380;                // Visible range shown in color (nm); outside renders grey
+export const MAX_WAVELENGTH = 780;
+export const OUT_OF_RANGE_WAVELENGTH_COLOR = '#999999';
+
+// ===== Paraxial ray tracing =====
+export const DEFAULT_RAY_TRACING_MODE = 'illustrative'; // 'illustrative' (shape rules) | 'paraxial' (ABCD matrices)
+export const DEFAULT_LENS_FOCAL_LENGTH = 100;           // Focal length of a convex lens (canvas units)
+export const DEFAULT_OBJECTIVE_FOCAL_LENGTH = 40;       // Focal length of an objective (canvas units)
+export const DEFAULT_TUBE_LENS_FOCAL_LENGTH = 200;      // Focal length of a tube lens (canvas units)
+export const PARAXIAL_POINT_SOURCE_HALF_ANGLE = 10;     // Emission half-angle (deg) of a point-like root with coneAngle 0
+
+// ===== Annotations (text labels, leader labels, dimension arrows) =====
+export const ANNOTATION_FONT_FAMILIES = ['Arial, sans-serif', 'Times New Roman, serif', 'Courier New, monospace'];
+export const DEFAULT_ANNOTATION_FONT_FAMILY = 'Arial, sans-serif';
+export const DEFAULT_ANNOTATION_FONT_SIZE = 16;
+export const DEFAULT_ANNOTATION_COLOR = '#222222';
+export const DEFAULT_ANNOTATION_TEXT = 'Label';
+export const ANNOTATION_LINE_WIDTH = 1.5;
+export const ANNOTATION_ARROWHEAD_SIZE = 8;
+export const ANNOTATION_LEADER_DOT_RADIUS = 2.5;
+export const ANNOTATION_LEADER_GAP = 4;          // Gap between a label's text and its leader line
+export const ANNOTATION_HIT_WIDTH = 10;          // Stroke width of the invisible line hit area
+export const ANNOTATION_HANDLE_RADIUS = 4;
+export const ANNOTATION_SELECTION_COLOR = '#2196F3';
+export const DEFAULT_DIMENSION_LENGTH = 150;     // Length (px) of a new unattached dimension arrow
+
 // ===== Component visibility =====
 export const HIDDEN_COMPONENT_OPACITY = 0;
 export const VISIBLE_COMPONENT_OPACITY = 1.0;
@@ -97,6 +175,14 @@ export const COMPOSITE_BBOX_STROKE = '#555';
 export const COMPOSITE_BBOX_STROKE_WIDTH = 2;
 export const COMPOSITE_BBOX_STROKE_DASHARRAY = '6,4';
 
+// ===== Snap guides (component dragging) =====
+export const SNAP_GUIDE_DISTANCE = 8;             // Snap range, in screen pixels
+export const SNAP_SPACING_BAND = 100;             // Max. cross-axis offset of neighbors used for equal spacing
+export const SNAP_GUIDE_OVERHANG = 30;            // Guide line extent past the snapped points
+export const SNAP_GUIDE_STROKE = '#e91e63';
+export const SNAP_GUIDE_STROKE_WIDTH = 1.5;
+export const SNAP_GUIDE_STROKE_DASHARRAY = '6,4';
+
 // ===== Hover box configuration =====
 export const HOVER_BOX_FILL = 'none';
 export const HOVER_BOX_STROKE = '#555';
@@ -142,6 +228,19 @@ export const COMPONENT_TYPES = {
   PRISM: 'wedge-prism',
   MASK: 'mask',
   CUBE: 'cube',
+  DICHROIC: 'dichroic',
+  BANDPASS_FILTER: 'bandpass-filter',
+  CYLINDRICAL_LENS: 'cylindrical-lens',
+  TUBE_LENS: 'tube-lens',
+  GALVO_MIRROR: 'galvo-mirror',
+  IRIS: 'iris',
+  WAVEPLATE: 'waveplate',
+  POLARIZER: 'polarizer',
+  LASER: 'laser',
+  LED: 'led',
+  FIBER: 'fiber',
+  FIBER_COUPLER: 'fiber-coupler',
+  SAMPLE: 'sample',
   // Add more as needed
 };
 
@@ -162,3 +261,22 @@ export const COMPOSITE_DIALOG = {
 };
 
 
+
+// ===== Component editor (new basic components) =====
+export const COMPONENT_EDITOR = {
+  MIN_WIDTH: 640,
+  MAX_WIDTH: 780,
+  VIEW_SIZE: 200,          // Side of the square drawing area in local units, centered on (0, 0)
+  GRID_STEP: 10,           // Grid line spacing in local units
+  SNAP_STEP: 5,            // Pointer positions snap to multiples of this (Alt = no snap)
+  IMPORT_FIT_SIZE: 120,    // Imported SVG files are scaled down to fit this size
+  PREVIEW_DISTANCE: 120    // Distance of the preview source / target from the new component
+};
+
+// ===== Autosave / crash recovery =====
+export const AUTOSAVE = {
+  INTERVAL_MS: 30000,      // Save unsaved changes this often
+  MAX_ENTRIES: 5,          // Recent autosaves kept (one per browser session)
+  MAX_STORAGE_CHARS: 1000000, // All entries together, well below the ~5M-character localStorage quota
+  THUMBNAIL_SIZE: 160      // Longer side of the preview image in pixels
+};
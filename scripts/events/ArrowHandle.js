@@ -3,10 +3,13 @@ import {
   ARROW_COLOR, 
   ARROW_STROKE_WIDTH, 
   ARROW_HANDLE_RADIUS,
-  ARROW_TIP_SNAP_SIZE
+  ARROW_TIP_SNAP_SIZE,
+  VALUE_DISPLAY_DISTANCE
 } from '../config.js';
 import { ensureArrowheadMarker } from '../utils/svgUtils.js';
+import { showDistanceDisplay, hideValueDisplay } from './ValueDisplay.js';
 import { actionHistory } from '../history/ActionHistory.js';
+import { trackPointer, getHandleHitRadius } from './PointerTracking.js';
 
 /**
  * Shows an arrow for the specified component
@@ -52,6 +55,15 @@ export function showArrowHandle(componentId) {
   line.setAttribute('pointer-events', 'none');
   arrowGroup.appendChild(line);
 
+  // Invisible hit area, larger than the handle on touch screens
+  const hitArea = document.createElementNS('http://www.w3.org/2000/svg', 'circle');
+  hitArea.setAttribute('cx', targetX);
+  hitArea.setAttribute('cy', targetY);
+  hitArea.setAttribute('r', getHandleHitRadius(ARROW_HANDLE_RADIUS));
+  hitArea.setAttribute('fill', 'transparent');
+  hitArea.setAttribute('cursor', 'pointer');
+  arrowGroup.appendChild(hitArea);
+
   // Draggable handle at arrow endpoint
   const handle = document.createElementNS('http://www.w3.org/2000/svg', 'circle');
   handle.setAttribute('cx', targetX);
@@ -68,7 +80,7 @@ export function showArrowHandle(componentId) {
   svg.appendChild(arrowGroup);
 
   // Setup dragging
-  setupArrowDragging(handle, line, componentId, centerX, centerY);
+  setupArrowDragging(arrowGroup, [hitArea, handle], line, componentId);
 
   // console.log(`Arrow handle shown for component [ID: ${componentId}]`);
 }
@@ -87,20 +99,8 @@ export function removeArrowHandle() {
 /**
  * Sets up dragging functionality for the arrow handle
  */
-function setupArrowDragging(handle, line, componentId, centerX, centerY) {
-  let isDragging = false;
-
-  handle.addEventListener('mousedown', (e) => {
-    actionHistory.begin('Move spawn arrow', 'move-arrow');
-    isDragging = true;
-    componentManager.ignoreNextCanvasClick = true;
-    e.stopPropagation(); // Prevent component dragging
-    e.preventDefault();
-  });
-
-  document.addEventListener('mousemove', (e) => {
-    if (!isDragging) return;
-
+function setupArrowDragging(arrowGroup, circles, line, componentId) {
+  function handleDrag(e) {
     const svg = document.getElementById('canvas');
     const pt = svg.createSVGPoint();
     pt.x = e.clientX;
@@ -117,27 +117,40 @@ function setupArrowDragging(handle, line, componentId, centerX, centerY) {
     line.setAttribute('y2', snappedY);
 
     // Update handle position
-    handle.setAttribute('cx', snappedX);
-    handle.setAttribute('cy', snappedY);
+    circles.forEach(circle => {
+      circle.setAttribute('cx', snappedX);
+      circle.setAttribute('cy', snappedY);
+    });
 
     // Update component's arrow vector (relative to optical center in world space)
     const component = componentManager.getComponent(componentId);
     if (component) {
       const oc = component.getCenterPointWorld();
       component.setArrowVector(snappedX - oc.x, snappedY - oc.y);
+
+      // Spawn distance for the next component, in physical units
+      const length = Math.hypot(snappedX - oc.x, snappedY - oc.y);
+      showDistanceDisplay(snappedX, snappedY - VALUE_DISPLAY_DISTANCE / 2, length);
     }
 
     e.preventDefault();
-  });
+  }
 
-  document.addEventListener('mouseup', () => {
-    if (isDragging) {
-      isDragging = false;
-      componentManager.ignoreNextCanvasClick = true;
-      // Update nextPosition to the arrow tip after dragging
-      componentManager.updateNextPositionFromComponent(componentId);
-      actionHistory.commit();
-      console.log(`Arrow handle dragging completed for component [ID: ${componentId}]`);
-    }
+  function handleEnd() {
+    componentManager.ignoreNextCanvasClick = true;
+    hideValueDisplay();
+    // Update nextPosition to the arrow tip after dragging
+    componentManager.updateNextPositionFromComponent(componentId);
+    actionHistory.commit();
+    console.log(`Arrow handle dragging completed for component [ID: ${componentId}]`);
+  }
+
+  arrowGroup.addEventListener('pointerdown', (e) => {
+    if (!circles.includes(e.target)) return;
+    actionHistory.begin('Move spawn arrow', 'move-arrow');
+    componentManager.ignoreNextCanvasClick = true;
+    e.stopPropagation(); // Prevent component dragging
+    e.preventDefault();
+    trackPointer(e, handleDrag, handleEnd);
   });
 }
@@ -7,13 +7,18 @@ import { removeScaleHandle } from './ScaleHandle.js';
 import { removeArrowHandle } from './ArrowHandle.js';
 import { removeUnifiedBoundingBox } from './InteractionHandlers.js';
 import { canvas } from '../Canvas.js';
+import { openUnitsDialog } from '../UnitsDialog.js';
+import { openExportImageDialog } from '../ExportImageDialog.js';
 import { updateRays } from '../rays/DrawRays.js';
-import { toggleApertureRays } from '../rays/ApertureRays.js';
+import { toggleApertureRays, toggleRayTracingMode } from '../rays/ApertureRays.js';
 import { toggleTraceLines } from '../rays/TraceLines.js';
 import { showRelinkHoverBoxes, removeRelinkHoverBoxes, removeHoverBox, clearSelectionHoverBoxes } from './HoverHandlers.js';
-import { LINK_ARROW_COLOR } from '../config.js';
+import { LINK_ARROW_COLOR, ZOOM_BUTTON_FACTOR } from '../config.js';
 import { actionHistory } from '../history/ActionHistory.js';
-import { restoreSceneSnapshot } from '../history/HistorySnapshots.js';
+import { restoreSceneSnapshot, refreshSelectionUi } from '../history/HistorySnapshots.js';
+import { getArrangeUnits, alignSelection, alignToOpticalAxis, distributeSelection } from '../components/ComponentAlignment.js';
+import { copySelection, getClipboard, serializeClipboard, parseClipboard, pasteComponents, duplicateSelection } from '../history/Clipboard.js';
+import { insertAnnotation, deleteSelectedAnnotation, selectAnnotation } from '../annotations/AnnotationInteractions.js';
 
 /**
  * Update toolbar button visibility based on selection mode
@@ -39,21 +44,21 @@ export function updateToolbarButtons() {
   let hasOuterGroup = false;   // any selected item is in an outer group
   let allOuterGrouped = true;  // every selected item belongs to an outer group
   let canGroup = false;
-  let hasCompositeInstance = false;
   let canSaveAsComposite = false;
   
   if (hasSelection) {
-    // Collect all composite member IDs within the selection so we can
-    // distinguish internal vs. external group relationships.
+    // Count the selected items: a composite instance is one item
     const selectedArray = Array.from(componentManager.selectedIds);
-    const compositeIdsInSelection = new Set();
+    const compositeInstancesInSelection = new Set();
+    let plainCount = 0;
     selectedArray.forEach(id => {
       const comp = componentManager.getComponent(id);
       if (comp && comp.isCompositeInstance) {
-        compositeIdsInSelection.add(id);
+        compositeInstancesInSelection.add(comp.compositeInstanceId);
+      } else if (comp) {
+        plainCount++;
       }
     });
-    hasCompositeInstance = compositeIdsInSelection.size > 0;
 
     selectedArray.forEach(id => {
       const component = componentManager.getComponent(id);
@@ -94,8 +99,9 @@ export function updateToolbarButtons() {
     // outer group.  Composites that are only internally grouped count as
     // "ungrouped" for this purpose.
     canGroup = selectedCount >= 2 && !allOuterGrouped;
-    // Can save as composite only if 2+ selected and none is already a composite
-    canSaveAsComposite = selectedCount >= 2 && !hasCompositeInstance;
+    // Can save as composite if the selection is more than one item; a placed
+    // composite counts as one item (it is saved as a nested composite)
+    canSaveAsComposite = plainCount + compositeInstancesInSelection.size >= 2;
   }
   
   // Check if focused component has a parent (for cut-link).
@@ -113,6 +119,23 @@ export function updateToolbarButtons() {
     }
   }
   
+  // Align / distribute work on units (a group or composite moves as one)
+  const unitCount = selectedCount > 1 ? getArrangeUnits().length : selectedCount;
+  const canAlign = unitCount >= 2;
+  const canAlignAxis = canAlign && hasFocus;
+  const canDistribute = unitCount >= 3;
+  setButtonVisibility(document.getElementById('arrange-separator'), canAlign);
+  ['left', 'center', 'right', 'top', 'middle', 'bottom'].forEach(mode => {
+    setButtonVisibility(document.getElementById(`align-${mode}-btn`), canAlign);
+  });
+  setButtonVisibility(document.getElementById('align-axis-btn'), canAlignAxis);
+  ['horizontal', 'vertical', 'path'].forEach(mode => {
+    setButtonVisibility(document.getElementById(`distribute-${mode}-btn`), canDistribute);
+  });
+
+  const zoomSelectionBtn = document.getElementById('zoom-selection-btn');
+  if (zoomSelectionBtn) zoomSelectionBtn.disabled = !hasSelection;
+
   // Get all button elements
   const buttons = {
     delete: document.getElementById('delete-btn'),
@@ -200,6 +223,19 @@ function setButtonVisibility(button, visible) {
   }
 }
 
+/**
+ * Whether a button can be used right now: present, enabled and not hidden
+ * (itself or a container, e.g. the composite edit banner). Used by the
+ * command palette and keyboard shortcuts, which click buttons.
+ */
+export function isButtonAvailable(button) {
+  if (!button || button.disabled) return false;
+  for (let el = button; el; el = el.parentElement) {
+    if (el.style && el.style.display === 'none') return false;
+  }
+  return true;
+}
+
 function updateHistoryButtons() {
   const undoBtn = document.getElementById('undo-btn');
   const redoBtn = document.getElementById('redo-btn');
@@ -207,7 +243,13 @@ function updateHistoryButtons() {
   if (redoBtn) redoBtn.disabled = !actionHistory.canRedo();
 }
 
-function isTypingTarget(target) {
+/** Show the zoom level (100 % = one canvas unit per screen pixel) on the reset button. */
+function updateZoomIndicator() {
+  const zoomResetBtn = document.getElementById('zoom-reset-btn');
+  if (zoomResetBtn) zoomResetBtn.textContent = `${Math.round(canvas.getZoomLevel() * 100)}%`;
+}
+
+export function isTypingTarget(target) {
   const el = target instanceof Element ? target : document.activeElement;
   if (!el) return false;
   const tag = el.tagName;
@@ -231,9 +273,9 @@ function isTypingTarget(target) {
   ].includes(inputType);
 }
 
-function isSaveCompositeDialogOpen() {
-  const dialog = document.getElementById('save-composite-dialog');
-  return !!dialog && dialog.open;
+/** True while a modal dialog (save composite, component editor, ...) is open. */
+export function isModalDialogOpen() {
+  return !!document.querySelector('dialog[open]');
 }
 
 export function setupComponentButtons() {
@@ -244,15 +286,25 @@ export function setupComponentButtons() {
   sidebar.addEventListener('click', (e) => {
     const button = e.target.closest('button[data-component]');
     if (button) {
-      const type = button.dataset.component;
-      actionHistory.run(`Add ${type}`, 'add-component', () => addComponent(type));
+      spawnComponent(button.dataset.component);
     }
   });
 
   console.log('Component buttons initialized');
 }
 
-function performDelete() {
+/**
+ * Add a component of the given type as one undoable action, like a click on
+ * its sidebar button (also used by the command palette).
+ */
+export function spawnComponent(type) {
+  actionHistory.run(`Add ${type}`, 'add-component', () => addComponent(type));
+}
+
+export function performDelete() {
+  // A selected annotation excludes a component selection
+  if (deleteSelectedAnnotation()) return;
+
   if (componentManager.selectedIds.size > 0) {
     actionHistory.run('Delete selection', 'delete-components', () => {
       const idsToDelete = Array.from(componentManager.selectedIds);
@@ -268,6 +320,115 @@ function performDelete() {
   }
 }
 
+// Set by Ctrl+Shift+V, read by the paste event that follows it
+let pasteAttachRequested = false;
+
+function performCopy() {
+  const data = copySelection();
+  if (!data) return null;
+  console.log(`Copied ${data.components.length} component(s)`);
+  return data;
+}
+
+/**
+ * Paste clipboard data (or the in-memory copy). With attach, the pasted
+ * chain is linked to the current component like a newly spawned one.
+ */
+function performPaste(data, attach = false) {
+  if (!data) return;
+  const attachToId = attach && componentManager.components.has(componentManager.currentId)
+    ? componentManager.currentId
+    : null;
+  try {
+    actionHistory.run(attachToId !== null ? 'Paste attached' : 'Paste', 'paste-components', () => {
+      pasteComponents(data, { attachToId });
+      updateToolbarButtons();
+    });
+  } catch (error) {
+    console.error('[ButtonHandlers] Paste failed:', error);
+    alert(`Cannot paste: ${error.message}`);
+  }
+}
+
+export function performDuplicate() {
+  if (componentManager.selectedIds.size === 0) return;
+  actionHistory.run('Duplicate selection', 'duplicate-components', () => {
+    duplicateSelection();
+    updateToolbarButtons();
+  });
+}
+
+// Menu buttons go through the async clipboard API; it may be unavailable or
+// refused, in which case only this tab's copy is used
+function copyFromMenu() {
+  const data = performCopy();
+  if (data && navigator.clipboard) {
+    navigator.clipboard.writeText(serializeClipboard(data)).catch(() => {});
+  }
+}
+
+function pasteFromMenu(attach) {
+  if (!navigator.clipboard || !navigator.clipboard.readText) {
+    performPaste(getClipboard(), attach);
+    return;
+  }
+  navigator.clipboard.readText()
+    .then(text => performPaste(text ? parseClipboard(text) : getClipboard(), attach))
+    .catch(() => performPaste(getClipboard(), attach));
+}
+
+/**
+ * Move the selection by a fixed step (arrow keys). No history entry of its
+ * own: the keymap wraps held keys into one undoable move.
+ * @returns {boolean} false without a selection
+ */
+export function nudgeSelection(deltaX, deltaY) {
+  const ids = Array.from(componentManager.selectedIds).filter(id => componentManager.components.has(id));
+  if (ids.length === 0) return false;
+  componentManager.updateGroupPositions(ids, deltaX, deltaY);
+  if (componentManager.currentId !== null) {
+    componentManager.updateNextPositionFromComponent(componentManager.currentId);
+  }
+  updateRays();
+  refreshSelectionUi();
+  return true;
+}
+
+/**
+ * Turn the selection by an angle in degrees, a multi-selection about its
+ * centroid like the group rotation handle.
+ * @returns {boolean} false without a selection
+ */
+export function rotateSelection(deltaAngle) {
+  const ids = Array.from(componentManager.selectedIds).filter(id => componentManager.components.has(id));
+  if (ids.length === 0) return false;
+  if (ids.length === 1) {
+    const component = componentManager.getComponent(ids[0]);
+    componentManager.updateComponentRotation(ids[0], component.getRotation() + deltaAngle);
+  } else {
+    const centroid = componentManager.getGroupCentroid(ids);
+    componentManager.updateGroupRotation(ids, centroid, deltaAngle, componentManager.getGroupInitialStates(ids));
+  }
+  if (componentManager.currentId !== null) {
+    componentManager.updateNextPositionFromComponent(componentManager.currentId);
+  }
+  updateRays();
+  refreshSelectionUi();
+  return true;
+}
+
+/** Escape: leave re-link mode, or else clear the component and annotation selection. */
+export function clearSelection() {
+  if (relinkMode.active) {
+    exitRelinkMode();
+    return;
+  }
+  selectAnnotation(null);
+  componentManager.currentId = null;
+  componentManager.deselectComponent();
+  refreshSelectionUi();
+}
+
 function performResetCanvas() {
   actionHistory.run('Reset canvas', 'reset-canvas', () => {
     if (relinkMode.active) {
@@ -323,41 +484,65 @@ export function setupActionButtons() {
     deleteBtn.addEventListener('click', performDelete);
   }
 
-  // Keyboard Delete / Backspace
+  // Other shortcuts are dispatched by Keymap.js; Ctrl+C / Ctrl+V are the
+  // copy / paste events below, which only need to know about Shift
   document.addEventListener('keydown', (e) => {
-    const key = e.key.toLowerCase();
-    const mod = e.ctrlKey || e.metaKey;
-
-    if (mod && isSaveCompositeDialogOpen() && !isTypingTarget(e.target)) {
-      if (key === 'z' || key === 'y') {
-        e.preventDefault();
-        return;
-      }
+    if ((e.ctrlKey || e.metaKey) && e.key.toLowerCase() === 'v' && !isTypingTarget(e.target)) {
+      pasteAttachRequested = e.shiftKey;
     }
+  });
 
-    if (mod && !isTypingTarget(e.target)) {
-      if (key === 'z') {
-        e.preventDefault();
-        if (e.shiftKey) {
-          actionHistory.redo();
-        } else {
-          actionHistory.undo();
-        }
-        return;
-      }
-      if (key === 'y') {
-        e.preventDefault();
-        actionHistory.redo();
-        return;
-      }
-    }
+  // Clipboard: the copy / paste events carry the system clipboard, so a copy
+  // can be pasted into another tab
+  document.addEventListener('copy', (e) => {
+    if (isTypingTarget(e.target) || isModalDialogOpen()) return;
+    const data = performCopy();
+    if (!data) return;
+    e.clipboardData.setData('text/plain', serializeClipboard(data));
+    e.preventDefault();
+  });
 
-    if (e.key === 'Delete' || e.key === 'Backspace') {
-      // Skip if focus is inside a text input to avoid interfering with typing
-      const tag = document.activeElement && document.activeElement.tagName;
-      if (tag === 'INPUT' || tag === 'TEXTAREA') return;
-      performDelete();
-    }
+  document.addEventListener('paste', (e) => {
+    if (isTypingTarget(e.target) || isModalDialogOpen()) return;
+    const attach = pasteAttachRequested;
+    pasteAttachRequested = false;
+    // Text from another program is left alone; fall back to this tab's copy
+    // only when the system clipboard is empty
+    const text = e.clipboardData.getData('text/plain');
+    const data = text ? parseClipboard(text) : getClipboard();
+    if (!data) return;
+    e.preventDefault();
+    performPaste(data, attach);
+  });
+
+  [
+    ['copy-btn', copyFromMenu],
+    ['paste-btn', () => pasteFromMenu(false)],
+    ['paste-attached-btn', () => pasteFromMenu(true)],
+    ['duplicate-btn', performDuplicate]
+  ].forEach(([buttonId, handler]) => {
+    const button = document.getElementById(buttonId);
+    if (button) button.addEventListener('click', handler);
+  });
+
+  // Align / distribute buttons: one undoable action each
+  const arrangeActions = [
+    ...['left', 'center', 'right', 'top', 'middle', 'bottom'].map(mode =>
+      [`align-${mode}-btn`, `Align ${mode}`, 'align-components', () => alignSelection(mode)]),
+    ['align-axis-btn', 'Align on optical axis', 'align-components', alignToOpticalAxis],
+    ...['horizontal', 'vertical', 'path'].map(mode =>
+      [`distribute-${mode}-btn`, `Distribute ${mode}`, 'distribute-components', () => distributeSelection(mode)])
+  ];
+  arrangeActions.forEach(([buttonId, label, type, arrange]) => {
+    const button = document.getElementById(buttonId);
+    if (!button) return;
+    button.addEventListener('click', () => {
+      actionHistory.run(label, type, () => {
+        if (!arrange()) return;
+        updateRays();
+        refreshSelectionUi();
+      });
+    });
   });
 
   // Flip horizontal button
@@ -450,6 +635,43 @@ export function setupActionButtons() {
     });
   }
 
+  // Zoom controls (right end of the toolbar)
+  [
+    ['zoom-in-btn', () => canvas.zoom(ZOOM_BUTTON_FACTOR)],
+    ['zoom-out-btn', () => canvas.zoom(1 / ZOOM_BUTTON_FACTOR)],
+    ['zoom-reset-btn', () => canvas.resetZoom(true)],
+    ['zoom-fit-btn', () => canvas.fitToComponents(true)],
+    ['zoom-selection-btn', () => canvas.zoomToSelection(true)]
+  ].forEach(([buttonId, handler]) => {
+    document.getElementById(buttonId)?.addEventListener('click', handler);
+  });
+  document.addEventListener('view-changed', updateZoomIndicator);
+  updateZoomIndicator();
+
+  // Export image / PDF dialog button (File menu)
+  const exportImageBtn = document.getElementById('export-image-btn');
+  if (exportImageBtn) {
+    exportImageBtn.addEventListener('click', openExportImageDialog);
+  }
+
+  // Insert menu: annotations
+  [
+    ['insert-text-btn', 'text'],
+    ['insert-leader-btn', 'leader'],
+    ['insert-dimension-btn', 'dimension']
+  ].forEach(([buttonId, type]) => {
+    const button = document.getElementById(buttonId);
+    if (button) {
+      button.addEventListener('click', () => insertAnnotation(type));
+    }
+  });
+
+  // Units & scale dialog button
+  const unitsBtn = document.getElementById('units-btn');
+  if (unitsBtn) {
+    unitsBtn.addEventListener('click', openUnitsDialog);
+  }
+
   // Toggle trace lines button
   const traceBtn = document.getElementById('trace-btn');
   if (traceBtn) {
@@ -466,6 +688,17 @@ export function setupActionButtons() {
     });
   }
 
+  // Toggle illustrative / paraxial ray tracing button
+  const rayTracingModeBtn = document.getElementById('ray-tracing-mode-btn');
+  if (rayTracingModeBtn) {
+    rayTracingModeBtn.addEventListener('click', () => {
+      actionHistory.run('Toggle ray tracing mode', 'ray-tracing-mode', () => {
+        toggleRayTracingMode();
+        updateRays();
+      });
+    });
+  }
+
   // Cut link button
   const cutLinkBtn = document.getElementById('cut-link-btn');
   if (cutLinkBtn) {
@@ -639,7 +872,9 @@ function drawRelinkIndicator(childComponent, parentComponent) {
   text.setAttribute('fill', LINK_ARROW_COLOR);
   text.setAttribute('font-size', '14');
   text.setAttribute('font-weight', 'bold');
-  text.textContent = 'Click component to link';
+  text.textContent = childComponent.parent !== null
+    ? 'Click component to link (Shift+click: add input)'
+    : 'Click component to link';
   
   // Find the uppermost world-space point of the component using localBounds corners
   const lb = parentComponent.localBounds;
@@ -742,9 +977,28 @@ function handleRelinkClick(event) {
   
   // Prevent event from propagating
   event.stopPropagation();
-  
-  // Get clicked element
-  const target = event.target;
+
+  completeRelink(event.target, event.shiftKey);
+}
+
+/**
+ * Long-press during re-link mode (touch / pen): same as Shift+click on the
+ * pressed component.
+ * @returns {boolean} false if re-link mode is not active
+ */
+export function handleRelinkLongPress(target) {
+  if (!relinkMode.active) return false;
+  completeRelink(target, true);
+  return true;
+}
+
+/**
+ * Link the re-linked component to the component under target, or cancel
+ * re-link mode if target is blank canvas.
+ * @param {Element} target
+ * @param {boolean} addIncoming - keep the existing parent and add another incoming beam
+ */
+function completeRelink(target, addIncoming) {
   const componentGroup = target.closest('g[data-id]');
   
   if (componentGroup) {
@@ -757,13 +1011,23 @@ function handleRelinkClick(event) {
       return;
     }
     
-    // Try to change parent
-    actionHistory.run('Re-link component', 'relink-component', () => {
-      if (componentManager.changeParent(relinkMode.childId, newParentId)) {
-        updateRays();
-        console.log(`Successfully re-linked component ${relinkMode.childId} to parent ${newParentId}`);
-      }
-    });
+    const childComponent = componentManager.getComponent(relinkMode.childId);
+    if (addIncoming && childComponent && childComponent.parent !== null) {
+      // Shift+click keeps the existing parent and adds another incoming beam
+      actionHistory.run('Add incoming link', 'add-link', () => {
+        if (componentManager.addExtraParent(relinkMode.childId, newParentId)) {
+          updateRays();
+        }
+      });
+    } else {
+      // Try to change parent
+      actionHistory.run('Re-link component', 'relink-component', () => {
+        if (componentManager.changeParent(relinkMode.childId, newParentId)) {
+          updateRays();
+          console.log(`Successfully re-linked component ${relinkMode.childId} to parent ${newParentId}`);
+        }
+      });
+    }
   } else {
     // Clicked on canvas - just cancel
     console.log('Re-link cancelled');
@@ -0,0 +1,264 @@
+import { components as componentRegistry } from '../components/ComponentLibrary.js';
+import { spawnComponent, isButtonAvailable } from './ButtonHandlers.js';
+import { getShortcutLabel } from './Keymap.js';
+
+/**
+ * Command palette (Ctrl+K by default / Edit → Command Palette…).
+ *
+ * Lists every editor action with a fuzzy search: menu and toolbar actions,
+ * which run by clicking their button so they behave exactly as from the UI,
+ * and one "Add …" command per component type, built-in or user. Toolbar
+ * actions only appear while their button is shown, i.e. while they apply to
+ * the current selection.
+ */
+
+/**
+ * Actions backed by a button in index.html. Without a label the button's
+ * current text is used (the view toggles name their next state). `action`
+ * names the Keymap.js action whose current key is shown as the hint.
+ */
+const BUTTON_COMMANDS = [
+  // File
+  { buttonId: 'import-schematic-btn', label: 'Import JSON', group: 'File', keywords: 'open load schematic' },
+  { buttonId: 'export-schematic-btn', label: 'Export JSON', group: 'File', keywords: 'save download schematic' },
+  { buttonId: 'export-schematic-bundle-btn', label: 'Export JSON with Components', group: 'File', keywords: 'save embed user' },
+  { buttonId: 'autosaves-btn', label: 'Recent Autosaves…', group: 'File', keywords: 'restore recover' },
+  { buttonId: 'import-user-components-btn', label: 'Import User Components', group: 'File', keywords: 'library' },
+  { buttonId: 'export-user-components-btn', label: 'Export User Components', group: 'File', keywords: 'library' },
+  { buttonId: 'new-user-component-btn', label: 'New Component…', group: 'File', keywords: 'draw editor artwork' },
+  { buttonId: 'export-svg-btn', label: 'Export SVG', group: 'File', keywords: 'vector' },
+  { buttonId: 'export-image-btn', label: 'Export Image / PDF…', group: 'File', keywords: 'png jpeg raster print' },
+  // Edit
+  { buttonId: 'undo-btn', label: 'Undo', group: 'Edit', action: 'undo' },
+  { buttonId: 'redo-btn', label: 'Redo', group: 'Edit', action: 'redo' },
+  { buttonId: 'copy-btn', label: 'Copy', group: 'Edit', shortcut: 'Ctrl+C' },
+  { buttonId: 'paste-btn', label: 'Paste', group: 'Edit', shortcut: 'Ctrl+V' },
+  { buttonId: 'paste-attached-btn', label: 'Paste Attached', group: 'Edit', shortcut: 'Ctrl+Shift+V' },
+  { buttonId: 'duplicate-btn', label: 'Duplicate', group: 'Edit', action: 'duplicate' },
+  { buttonId: 'delete-btn', label: 'Delete Selection', group: 'Edit', action: 'delete', keywords: 'remove' },
+  { buttonId: 'reset-canvas-btn', label: 'Reset Canvas', group: 'Edit', keywords: 'clear new' },
+  // Selection (toolbar)
+  { buttonId: 'hide-component-btn', label: 'Hide Selection', group: 'Selection', action: 'hide', keywords: 'visibility' },
+  { buttonId: 'show-component-btn', label: 'Show Selection', group: 'Selection', action: 'show', keywords: 'visibility unhide' },
+  { buttonId: 'show-all-components-btn', label: 'Show All Components', group: 'Selection', action: 'show-all', keywords: 'visibility unhide' },
+  { buttonId: 'flip-horizontal-btn', label: 'Flip Horizontal', group: 'Selection', action: 'flip-horizontal', keywords: 'mirror' },
+  { buttonId: 'flip-vertical-btn', label: 'Flip Vertical', group: 'Selection', action: 'flip-vertical', keywords: 'mirror' },
+  { buttonId: 'group-btn', label: 'Group', group: 'Selection', action: 'group' },
+  { buttonId: 'ungroup-btn', label: 'Ungroup', group: 'Selection', action: 'ungroup' },
+  { buttonId: 'cut-link-btn', label: 'Cut Link', group: 'Selection', keywords: 'unlink parent' },
+  { buttonId: 're-link-btn', label: 'Re-link', group: 'Selection', keywords: 'relink parent connect' },
+  { buttonId: 'save-as-composite-btn', label: 'Save as Composite…', group: 'Selection', keywords: 'user component' },
+  // Arrange (toolbar)
+  { buttonId: 'align-left-btn', label: 'Align Left', group: 'Arrange' },
+  { buttonId: 'align-center-btn', label: 'Align Centers Horizontally', group: 'Arrange' },
+  { buttonId: 'align-right-btn', label: 'Align Right', group: 'Arrange' },
+  { buttonId: 'align-top-btn', label: 'Align Top', group: 'Arrange' },
+  { buttonId: 'align-middle-btn', label: 'Align Centers Vertically', group: 'Arrange' },
+  { buttonId: 'align-bottom-btn', label: 'Align Bottom', group: 'Arrange' },
+  { buttonId: 'align-axis-btn', label: 'Align on Optical Axis', group: 'Arrange' },
+  { buttonId: 'distribute-horizontal-btn', label: 'Distribute Horizontally', group: 'Arrange', keywords: 'space' },
+  { buttonId: 'distribute-vertical-btn', label: 'Distribute Vertically', group: 'Arrange', keywords: 'space' },
+  { buttonId: 'distribute-path-btn', label: 'Distribute Along the Beam Path', group: 'Arrange', keywords: 'space' },
+  // View
+  { buttonId: 'toggle-grid-btn', group: 'View', action: 'toggle-grid', keywords: 'grid toggle' },
+  { buttonId: 'trace-btn', group: 'View', action: 'toggle-trace', keywords: 'trace lines toggle' },
+  { buttonId: 'rays-toggle-btn', group: 'View', action: 'toggle-rays', keywords: 'rays aperture toggle' },
+  { buttonId: 'ray-tracing-mode-btn', group: 'View', action: 'toggle-ray-mode', keywords: 'ray mode paraxial illustrative toggle' },
+  { buttonId: 'zoom-in-btn', label: 'Zoom In', group: 'View', action: 'zoom-in', keywords: 'magnify' },
+  { buttonId: 'zoom-out-btn', label: 'Zoom Out', group: 'View', action: 'zoom-out' },
+  { buttonId: 'zoom-reset-btn', label: 'Zoom to 100 %', group: 'View', action: 'zoom-reset', keywords: 'reset actual size' },
+  { buttonId: 'zoom-fit-btn', label: 'Zoom to Fit', group: 'View', action: 'zoom-fit', keywords: 'all extents' },
+  { buttonId: 'zoom-selection-btn', label: 'Zoom to Selection', group: 'View', action: 'zoom-selection', keywords: 'focus' },
+  { buttonId: 'minimap-toggle-btn', label: 'Show / Hide Minimap', group: 'View', action: 'toggle-minimap', keywords: 'overview navigator' },
+  { buttonId: 'units-btn', label: 'Units & Scale…', group: 'View', keywords: 'scale bar mm' },
+  { buttonId: 'shortcuts-btn', label: 'Keyboard Shortcuts…', group: 'View', action: 'shortcuts', keywords: 'keymap bindings help' },
+  // Insert
+  { buttonId: 'insert-text-btn', label: 'Insert Text Label', group: 'Insert', keywords: 'annotation' },
+  { buttonId: 'insert-leader-btn', label: 'Insert Leader Label', group: 'Insert', keywords: 'annotation' },
+  { buttonId: 'insert-dimension-btn', label: 'Insert Dimension Arrow', group: 'Insert', keywords: 'annotation measure' },
+  // Composite editing (banner)
+  { buttonId: 'composite-edit-save-btn', label: 'Save Composite Definition…', group: 'Composite' },
+  { buttonId: 'composite-edit-discard-btn', label: 'Discard Composite Changes', group: 'Composite' }
+];
+
+const MAX_RESULTS = 60;
+
+/** @type {HTMLDialogElement|null} */
+let dialog = null;
+let input = null;
+let list = null;
+let results = [];
+let activeIndex = 0;
+
+// ─── Commands ───────────────────────────────────────────────────────────────
+
+/** Commands that can run right now, in menu order, components last. */
+function collectCommands() {
+  const commands = [];
+  BUTTON_COMMANDS.forEach(({ buttonId, label, group, keywords = '', shortcut = '', action = null }) => {
+    const button = document.getElementById(buttonId);
+    if (!isButtonAvailable(button)) return;
+    commands.push({
+      label: label ?? button.textContent.trim(),
+      group,
+      keywords,
+      shortcut: action ? getShortcutLabel(action) : shortcut,
+      run: () => button.click()
+    });
+  });
+
+  for (const [type, def] of Object.entries(componentRegistry)) {
+    commands.push({
+      label: `Add ${def.label ?? type}`,
+      group: def.isBuiltIn === false ? 'User Components' : (def.category ?? 'Components'),
+      keywords: `${type} component`,
+      shortcut: '',
+      run: () => spawnComponent(type)
+    });
+  }
+  return commands;
+}
+
+/**
+ * Subsequence match of the query in the text (spaces in the query ignored).
+ * Consecutive letters and word starts score higher.
+ * @returns {number|null} null if the text does not contain the query
+ */
+function fuzzyScore(query, text) {
+  const target = text.toLowerCase();
+  let score = 0;
+  let from = 0;
+  let previous = -2;
+  for (const char of query.toLowerCase()) {
+    if (char === ' ') continue;
+    const found = target.indexOf(char, from);
+    if (found < 0) return null;
+    score += 1;
+    if (found === previous + 1) score += 2;
+    if (found === 0 || /[\s\-_/(]/.test(target[found - 1])) score += 3;
+    previous = found;
+    from = found + 1;
+  }
+  // Prefer shorter labels among equal matches
+  return score - target.length * 0.01;
+}
+
+function search(query) {
+  const commands = collectCommands();
+  if (!query.trim()) return commands.slice(0, MAX_RESULTS);
+
+  const scored = [];
+  commands.forEach((command, order) => {
+    const labelScore = fuzzyScore(query, command.label);
+    const fullScore = fuzzyScore(query, `${command.label} ${command.group} ${command.keywords}`);
+    if (labelScore === null && fullScore === null) return;
+    // A hit in the label beats one that needs the group or keywords
+    const score = Math.max(labelScore ?? -Infinity, (fullScore ?? -Infinity) - 1);
+    scored.push({ command, score, order });
+  });
+  scored.sort((a, b) => b.score - a.score || a.order - b.order);
+  return scored.slice(0, MAX_RESULTS).map(entry => entry.command);
+}
+
+// ─── Dialog ─────────────────────────────────────────────────────────────────
+
+function render() {
+  results = search(input.value);
+  activeIndex = Math.min(activeIndex, Math.max(results.length - 1, 0));
+  list.innerHTML = '';
+
+  if (results.length === 0) {
+    const empty = document.createElement('li');
+    empty.className = 'cp-empty';
+    empty.textContent = 'No matching command';
+    list.appendChild(empty);
+    return;
+  }
+
+  results.forEach((command, index) => {
+    const item = document.createElement('li');
+    item.className = 'cp-item' + (index === activeIndex ? ' cp-active' : '');
+    item.setAttribute('role', 'option');
+
+    const label = document.createElement('span');
+    label.className = 'cp-label';
+    label.textContent = command.label;
+    item.appendChild(label);
+
+    const meta = document.createElement('span');
+    meta.className = 'cp-meta';
+    meta.textContent = command.shortcut ? `${command.group} · ${command.shortcut}` : command.group;
+    item.appendChild(meta);
+
+    item.addEventListener('mousemove', () => setActive(index));
+    item.addEventListener('click', () => runCommand(index));
+    list.appendChild(item);
+  });
+}
+
+function setActive(index) {
+  if (index === activeIndex || results.length === 0) return;
+  const items = list.querySelectorAll('.cp-item');
+  items[activeIndex]?.classList.remove('cp-active');
+  activeIndex = (index + results.length) % results.length;
+  items[activeIndex]?.classList.add('cp-active');
+  items[activeIndex]?.scrollIntoView({ block: 'nearest' });
+}
+
+function runCommand(index) {
+  const command = results[index];
+  if (!command) return;
+  // Close first: several actions open their own dialog or ignore input while one is open
+  dialog.close();
+  try {
+    command.run();
+  } catch (error) {
+    console.error(`[CommandPalette] "${command.label}" failed:`, error);
+  }
+}
+
+export function openCommandPalette() {
+  if (!dialog) {
+    console.error('[CommandPalette] #command-palette not found in DOM');
+    return;
+  }
+  if (dialog.open || document.querySelector('dialog[open]')) return;
+  input.value = '';
+  activeIndex = 0;
+  render();
+  dialog.showModal();
+  input.focus();
+}
+
+/** Call once during app init. */
+export function setupCommandPalette() {
+  dialog = document.getElementById('command-palette');
+  input = document.getElementById('command-palette-input');
+  list = document.getElementById('command-palette-list');
+  if (!dialog || !input || !list) {
+    console.error('[CommandPalette] #command-palette markup not found in DOM');
+    dialog = null;
+    return;
+  }
+
+  input.addEventListener('input', () => {
+    activeIndex = 0;
+    render();
+  });
+  input.addEventListener('keydown', (e) => {
+    if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+      e.preventDefault();
+      setActive(activeIndex + (e.key === 'ArrowDown' ? 1 : -1));
+    } else if (e.key === 'Enter') {
+      e.preventDefault();
+      runCommand(activeIndex);
+    }
+  });
+  // Click on the backdrop closes
+  dialog.addEventListener('click', (e) => {
+    if (e.target === dialog) dialog.close();
+  });
+
+  // Ctrl+K is bound in Keymap.js
+  document.getElementById('command-palette-btn')?.addEventListener('click', openCommandPalette);
+}
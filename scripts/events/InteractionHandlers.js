@@ -4,7 +4,10 @@ import { showRotationHandle, removeRotationHandle, showGroupRotationHandle } fro
 import { showScaleHandle, removeScaleHandle, showGroupScaleHandle } from './ScaleHandle.js';
 import { showArrowHandle, removeArrowHandle } from './ArrowHandle.js';
 import { showHoverBox, removeHoverBox, clearSelectionHoverBoxes, setupHoverListeners, createComponentHoverBox, addSelectionHoverBox, removeSelectionHoverBox, hasSelectionHoverBox, forEachSelectionHoverBox } from './HoverHandlers.js';
-import { updateToolbarButtons } from './ButtonHandlers.js';
+import { updateToolbarButtons, handleRelinkLongPress } from './ButtonHandlers.js';
+import { trackPointer, detectLongPress, exceedsTouchSlop } from './PointerTracking.js';
+import { showPositionDisplay, showDistanceDisplay, hideValueDisplay } from './ValueDisplay.js';
+import { snapDragPosition, removeSnapGuides } from './SnapGuides.js';
 import { 
   SELECTION_BOX_FILL,
   SELECTION_BOX_STROKE,
@@ -19,10 +22,12 @@ import {
   COMPOSITE_BBOX_STROKE,
   COMPOSITE_BBOX_STROKE_WIDTH,
   COMPOSITE_BBOX_STROKE_DASHARRAY,
-  DRAGGING_SNAP_INCREMENT
+  DRAGGING_SNAP_INCREMENT,
+  VALUE_DISPLAY_DISTANCE
 } from '../config.js';
 import { updateRays } from '../rays/DrawRays.js';
 import { actionHistory } from '../history/ActionHistory.js';
+import { refreshSelectionUi } from '../history/HistorySnapshots.js';
 
 let selectionBox = null;
 let isSelectionBoxActive = false;
@@ -180,6 +185,28 @@ function isPointInUnifiedBbox(x, y) {
          y >= bounds.y && y <= bounds.y + bounds.height;
 }
 
+/**
+ * Long-press on a component: add it (with its group) to the selection that
+ * was there before the press, or take it out if it was in it. One component
+ * left is focused; several have no focus (like a selection box).
+ */
+function toggleInSelection(id, previousIds) {
+  const component = componentManager.getComponent(id);
+  if (!component) return;
+
+  const members = component.isGrouped ? [id, ...component.groupMembers] : [id];
+  const ids = new Set(previousIds);
+  if (previousIds.has(id)) {
+    members.forEach(memberId => ids.delete(memberId));
+  } else {
+    members.forEach(memberId => ids.add(memberId));
+  }
+
+  componentManager.currentId = ids.size === 1 ? ids.values().next().value : null;
+  componentManager.selectMultiple([...ids]);
+  refreshSelectionUi();
+}
+
 export function setupComponentSelection() {
   const canvas = document.getElementById('canvas');
   if (!canvas) return;
@@ -275,15 +302,19 @@ export function setupComponentDragging() {
   let startY = 0;
   let initialPositions = new Map(); // Store initial positions for multi-selection
   let isGroupDrag = false; // Track if dragging multiple components
+  let groupStartCentroid = null; // Group center before the drag, for snap guides
 
-  // Handle mousedown on components (individual component drag)
-  schematics.addEventListener('mousedown', (e) => {
-    // Only handle left click (button 0)
+  // Handle pointerdown on components (individual component drag)
+  schematics.addEventListener('pointerdown', (e) => {
+    // Only handle left click, finger or pen tip (button 0)
     if (e.button !== 0) return;
     
     const componentElement = e.target.closest('[data-id]');
     if (!componentElement) return;
 
+    // Selection before this press, for the long-press toggle below
+    const previousSelection = new Set(componentManager.selectedIds);
+
     isDragging = true;
     hasMoved = false;
     draggedId = parseInt(componentElement.getAttribute('data-id'));
@@ -339,11 +370,23 @@ export function setupComponentDragging() {
     startX = e.clientX;
     startY = e.clientY;
 
+    const stopDrag = trackPointer(e, onDragMove, endDrag);
+
+    // Touch / pen: a long press stands in for Shift+click (re-link mode) or
+    // adds the component to the selection / takes it out
+    const pressedId = draggedId;
+    detectLongPress(e, () => {
+      stopDrag();
+      if (!handleRelinkLongPress(componentElement)) {
+        toggleInSelection(pressedId, previousSelection);
+      }
+    });
+
     e.preventDefault();
   });
 
-  // Handle mousedown in unified bbox area (group drag)
-  canvas.addEventListener('mousedown', (e) => {
+  // Handle pointerdown in unified bbox area (group drag)
+  canvas.addEventListener('pointerdown', (e) => {
     // Only handle left click (button 0)
     if (e.button !== 0) return;
     
@@ -410,12 +453,16 @@ export function setupComponentDragging() {
     startX = e.clientX;
     startY = e.clientY;
 
+    trackPointer(e, onDragMove, endDrag);
+
     canvas.style.cursor = 'move';
     e.preventDefault();
   });
 
-  document.addEventListener('mousemove', (e) => {
+  function onDragMove(e) {
     if (!isDragging) return;
+    // A finger or pen wobbles a little before it means to drag
+    if (!hasMoved && !exceedsTouchSlop(e, startX, startY)) return;
 
     hasMoved = true;
 
@@ -436,8 +483,23 @@ export function setupComponentDragging() {
     if (isGroupDrag) {
       // Group drag: snap the centroid delta, then apply to all components
       // This keeps relative positions exact while snapping the group as a whole
-      const snappedDeltaX = Math.round(deltaX / DRAGGING_SNAP_INCREMENT) * DRAGGING_SNAP_INCREMENT;
-      const snappedDeltaY = Math.round(deltaY / DRAGGING_SNAP_INCREMENT) * DRAGGING_SNAP_INCREMENT;
+      let snappedDeltaX = Math.round(deltaX / DRAGGING_SNAP_INCREMENT) * DRAGGING_SNAP_INCREMENT;
+      let snappedDeltaY = Math.round(deltaY / DRAGGING_SNAP_INCREMENT) * DRAGGING_SNAP_INCREMENT;
+
+      // Snap guides act on the group's center; Alt bypasses them
+      if (groupStartCentroid === null) {
+        groupStartCentroid = componentManager.getGroupCentroid(componentManager.selectedIds);
+      }
+      if (e.altKey) {
+        removeSnapGuides();
+      } else {
+        const snapped = snapDragPosition(
+          { x: groupStartCentroid.x + snappedDeltaX, y: groupStartCentroid.y + snappedDeltaY },
+          { movingIds: componentManager.selectedIds }
+        );
+        snappedDeltaX = snapped.x - groupStartCentroid.x;
+        snappedDeltaY = snapped.y - groupStartCentroid.y;
+      }
       
       componentManager.selectedIds.forEach(id => {
         const initialState = initialPositions.get(id);
@@ -451,6 +513,16 @@ export function setupComponentDragging() {
 
       // Update unified bounding box
       showUnifiedBoundingBox();
+
+      // Distance moved so far, below the group
+      const groupBounds = getUnifiedBoundingBoxBounds();
+      if (groupBounds) {
+        showDistanceDisplay(
+          groupBounds.x + groupBounds.width / 2,
+          groupBounds.y + groupBounds.height + VALUE_DISPLAY_DISTANCE / 2,
+          Math.hypot(snappedDeltaX, snappedDeltaY)
+        );
+      }
       
       // Update rotation and scale handles to follow the group
       showGroupRotationHandle();
@@ -484,8 +556,20 @@ export function setupComponentDragging() {
       if (initialState) {
         const newX = initialState.x + deltaX;
         const newY = initialState.y + deltaY;
-        const snappedX = Math.round(newX / DRAGGING_SNAP_INCREMENT) * DRAGGING_SNAP_INCREMENT;
-        const snappedY = Math.round(newY / DRAGGING_SNAP_INCREMENT) * DRAGGING_SNAP_INCREMENT;
+        let snappedX = Math.round(newX / DRAGGING_SNAP_INCREMENT) * DRAGGING_SNAP_INCREMENT;
+        let snappedY = Math.round(newY / DRAGGING_SNAP_INCREMENT) * DRAGGING_SNAP_INCREMENT;
+
+        // Snap guides (parent axis, other components, spacing, grid); Alt bypasses them
+        if (e.altKey) {
+          removeSnapGuides();
+        } else {
+          const snapped = snapDragPosition(
+            { x: snappedX, y: snappedY },
+            { movingIds: [draggedId], childId: draggedId }
+          );
+          snappedX = snapped.x;
+          snappedY = snapped.y;
+        }
 
         componentManager.updateComponentPosition(
           draggedId,
@@ -505,12 +589,16 @@ export function setupComponentDragging() {
         
         // Update hover box during drag
         showHoverBox(draggedId);
+
+        // Position readout below the component
+        const bbox = componentManager.getComponent(draggedId).getBoundingBox();
+        showPositionDisplay(snappedX, bbox.maxY + VALUE_DISPLAY_DISTANCE / 2, snappedX, snappedY);
       }
     }
     updateRays();
-  });
+  }
 
-  document.addEventListener('mouseup', () => {
+  function endDrag() {
     if (isDragging) {
       // Clear hover boxes after drag
       if (isGroupDrag) {
@@ -525,6 +613,8 @@ export function setupComponentDragging() {
       // Reset cursor
       const canvas = document.getElementById('canvas');
       if (canvas) canvas.style.cursor = '';
+      hideValueDisplay();
+      removeSnapGuides();
 
       if (hasMoved) {
         actionHistory.commit();
@@ -536,34 +626,28 @@ export function setupComponentDragging() {
       hasMoved = false;
       draggedId = null;
       isGroupDrag = false;
+      groupStartCentroid = null;
       initialPositions.clear();
     }
-  });
+  }
 
   console.log('Component dragging initialized');
 }
 
-export function setupCanvasPanning() {
+/**
+ * Pan the canvas with a pointer until it is released: the right mouse
+ * button, or a long press on blank canvas with a finger or pen.
+ */
+function startPointerPan(downEvent) {
   const canvas = document.getElementById('canvas');
   if (!canvas) return;
 
-  let startX = 0;
-  let startY = 0;
-
-  canvas.addEventListener('mousedown', (e) => {
-    // Right mouse button (button === 2)
-    if (e.button === 2) {
-      isPanning = true;
-      startX = e.clientX;
-      startY = e.clientY;
-      canvas.style.cursor = 'grabbing';
-      e.preventDefault();
-    }
-  });
-
-  document.addEventListener('mousemove', (e) => {
-    if (!isPanning) return;
+  let startX = downEvent.clientX;
+  let startY = downEvent.clientY;
+  isPanning = true;
+  canvas.style.cursor = 'grabbing';
 
+  trackPointer(downEvent, (e) => {
     // Maintain grabbing cursor during panning
     canvas.style.cursor = 'grabbing';
 
@@ -571,8 +655,7 @@ export function setupCanvasPanning() {
     const deltaScreenY = e.clientY - startY;
 
     // Convert screen space delta to SVG space
-    const svg = document.getElementById('canvas');
-    const CTM = svg.getScreenCTM();
+    const CTM = canvas.getScreenCTM();
     const scale = CTM.a; // Get the scale factor from the CTM
     
     // Calculate delta in SVG coordinates
@@ -586,12 +669,21 @@ export function setupCanvasPanning() {
 
     startX = e.clientX;
     startY = e.clientY;
+  }, () => {
+    isPanning = false;
+    canvas.style.cursor = 'default';
   });
+}
+
+export function setupCanvasPanning() {
+  const canvas = document.getElementById('canvas');
+  if (!canvas) return;
 
-  document.addEventListener('mouseup', (e) => {
-    if (e.button === 2 && isPanning) {
-      isPanning = false;
-      canvas.style.cursor = 'default';
+  canvas.addEventListener('pointerdown', (e) => {
+    // Right mouse button or pen barrel button (button === 2)
+    if (e.button === 2) {
+      startPointerPan(e);
+      e.preventDefault();
     }
   });
 
@@ -613,6 +705,11 @@ export function setupCanvasZoom() {
   // Track if a gesture is in progress (Mac only)
   let isGesturing = false;
 
+  // Fingers on the canvas (pointerId → client position) and the two-finger
+  // gesture state at the last move
+  const touches = new Map();
+  let pinch = null;
+
   // Handle mouse wheel and trackpad zoom/pan
   canvas.addEventListener('wheel', (e) => {
     // Prevent default scrolling behavior
@@ -660,6 +757,63 @@ export function setupCanvasZoom() {
     });
   }, { passive: false });
 
+  // Touch: two fingers pinch to zoom around their midpoint and pan as they move
+  const measurePinch = () => {
+    const [a, b] = touches.values();
+    return {
+      distance: Math.max(1, Math.hypot(a.x - b.x, a.y - b.y)),
+      midX: (a.x + b.x) / 2,
+      midY: (a.y + b.y) / 2
+    };
+  };
+
+  // Capture phase: the second finger must not reach components or handles
+  canvas.addEventListener('pointerdown', (e) => {
+    if (e.pointerType !== 'touch') return;
+    touches.set(e.pointerId, { x: e.clientX, y: e.clientY });
+    if (touches.size < 2) return;
+
+    e.stopImmediatePropagation();
+    e.preventDefault();
+    if (!pinch) {
+      // Ends drags, selection boxes and long presses of the first finger
+      document.dispatchEvent(new CustomEvent('touch-gesture-start'));
+    }
+    pinch = measurePinch();
+  }, true);
+
+  document.addEventListener('pointermove', (e) => {
+    if (!touches.has(e.pointerId)) return;
+    touches.set(e.pointerId, { x: e.clientX, y: e.clientY });
+    if (!pinch || touches.size < 2) return;
+
+    const next = measurePinch();
+    const svg = document.getElementById('canvas');
+    const scale = svg.getScreenCTM().a;
+
+    // Pan by the midpoint movement, then zoom around the new midpoint
+    const deltaX = -(next.midX - pinch.midX) / scale;
+    const deltaY = -(next.midY - pinch.midY) / scale;
+    const pt = svg.createSVGPoint();
+    pt.x = next.midX;
+    pt.y = next.midY;
+    const svgPoint = pt.matrixTransform(svg.getScreenCTM().inverse());
+    const zoomFactor = next.distance / pinch.distance;
+    pinch = next;
+
+    import('../Canvas.js').then(module => {
+      module.canvas.pan(deltaX, deltaY);
+      module.canvas.zoom(zoomFactor, { x: svgPoint.x + deltaX, y: svgPoint.y + deltaY });
+    });
+  });
+
+  const releaseTouch = (e) => {
+    if (!touches.delete(e.pointerId)) return;
+    if (touches.size < 2) pinch = null;
+  };
+  document.addEventListener('pointerup', releaseTouch);
+  document.addEventListener('pointercancel', releaseTouch);
+
   // Add Safari-specific gesture events for Mac (more reliable for trackpad pinch)
   if (isMac) {
     let lastScale = 1;
@@ -672,6 +826,8 @@ export function setupCanvasZoom() {
 
     canvas.addEventListener('gesturechange', (e) => {
       e.preventDefault();
+      // iPad Safari reports a Mac platform; its touch pinch is handled above
+      if (touches.size >= 2) return;
       
       // Get mouse position in SVG coordinates
       const svg = document.getElementById('canvas');
@@ -707,8 +863,8 @@ export function setupSelectionBox() {
   let startX = 0;
   let startY = 0;
 
-  canvas.addEventListener('mousedown', (e) => {
-    // Only start selection box on left click on blank canvas
+  canvas.addEventListener('pointerdown', (e) => {
+    // Only start selection box on left click / touch on blank canvas
     if (e.button !== 0 || e.target !== canvas) return;
 
     // Get mouse position in SVG coordinates
@@ -744,10 +900,20 @@ export function setupSelectionBox() {
 
     canvas.appendChild(selectionBox);
 
+    const stopSelection = trackPointer(e, updateSelectionBox, endSelectionBox);
+
+    // Touch / pen: a long press on blank canvas pans instead, like the right button
+    detectLongPress(e, () => {
+      stopSelection();
+      // Releasing without panning must not deselect
+      componentManager.ignoreNextCanvasClick = true;
+      startPointerPan(e);
+    });
+
     e.preventDefault();
   });
 
-  document.addEventListener('mousemove', (e) => {
+  function updateSelectionBox(e) {
     if (!isSelectionBoxActive || !selectionBox) return;
 
     // Get current mouse position in SVG coordinates
@@ -833,10 +999,15 @@ export function setupSelectionBox() {
         }
       }
     });
-  });
+  }
 
-  document.addEventListener('mouseup', (e) => {
+  function endSelectionBox(cancelled, e) {
     if (!isSelectionBoxActive || !selectionBox) return;
+    if (cancelled) {
+      // A long press or a second finger took over: select nothing
+      removeSelectionBox();
+      return;
+    }
 
     // Get final mouse position in SVG coordinates
     const svg = document.getElementById('canvas');
@@ -860,8 +1031,8 @@ export function setupSelectionBox() {
     const selectedIds = [];
 
     componentManager.components.forEach((component, id) => {
-      // Check if component is fully enclosed
-      if (isComponentFullyEnclosed(component, selectionBounds)) {
+      // Check if component is fully enclosed (locked components are skipped)
+      if (!component.locked && isComponentFullyEnclosed(component, selectionBounds)) {
         selectedIds.push(id);
       }
     });
@@ -961,22 +1132,25 @@ export function setupSelectionBox() {
       // Note: deselectComponent() already calls updateToolbarButtons()
     }
 
-    // Clear selection box
-    if (selectionBox) {
-      selectionBox.remove();
-      selectionBox = null;
-    }
-    clearSelectionHoverBoxes();
-    isSelectionBoxActive = false;
-    selectionStartPoint = null;
+    removeSelectionBox();
     
     // Set flag to prevent immediate deselection from canvas click event
     selectionBoxJustCompleted = true;
-  });
+  }
 
   console.log('Selection box initialized');
 }
 
+function removeSelectionBox() {
+  if (selectionBox) {
+    selectionBox.remove();
+    selectionBox = null;
+  }
+  clearSelectionHoverBoxes();
+  isSelectionBoxActive = false;
+  selectionStartPoint = null;
+}
+
 // Helper function to check if a component is fully enclosed by selection bounds
 function isComponentFullyEnclosed(component, selectionBounds) {
   const { x, y } = component.getPosition();
@@ -0,0 +1,289 @@
+import { actionHistory } from '../history/ActionHistory.js';
+import {
+  performDelete,
+  performDuplicate,
+  nudgeSelection,
+  rotateSelection,
+  clearSelection,
+  isButtonAvailable,
+  isTypingTarget,
+  isModalDialogOpen
+} from './ButtonHandlers.js';
+import { openCommandPalette } from './CommandPalette.js';
+import { openShortcutsDialog } from '../ShortcutsDialog.js';
+import { NUDGE_STEP, NUDGE_STEP_LARGE, ROTATION_SNAP_INCREMENT } from '../config.js';
+
+/**
+ * Keyboard shortcuts.
+ *
+ * KEYMAP_ACTIONS is the one list of keyboard actions with their default
+ * keys; a single keydown listener looks the pressed combination up and runs
+ * the action. Toolbar actions click their button, so they only act when the
+ * button is shown for the current selection. An action's run() returns false
+ * when it had nothing to act on; the key then keeps its browser default
+ * (arrow keys scroll, letters reach the page). The user can rebind any action
+ * in the shortcuts overlay ("?"); changed bindings are kept in localStorage.
+ *
+ * Combinations are written "Ctrl+Alt+Shift+Key" in that order. Ctrl also
+ * stands for ⌘ on macOS. Letters and digits are taken from the physical key,
+ * so Alt combinations work on every layout; for other printed characters
+ * ("?", "[") the character already includes Shift.
+ *
+ * Copy / paste (Ctrl+C / Ctrl+V / Ctrl+Shift+V) go through the clipboard
+ * events in ButtonHandlers.js and are not rebindable.
+ */
+
+const STORAGE_KEY = 'keyboardShortcuts';
+const MODIFIER_KEYS = new Set(['Control', 'Shift', 'Alt', 'Meta', 'AltGraph', 'CapsLock']);
+
+function clickButton(buttonId) {
+  const button = document.getElementById(buttonId);
+  if (!isButtonAvailable(button)) return false;
+  button.click();
+  return true;
+}
+
+// Held arrow / rotate keys repeat; the whole hold is one undoable step
+let heldAction = false;
+
+function holdAction(label, type, apply) {
+  if (!heldAction) {
+    actionHistory.begin(label, type);
+    heldAction = true;
+  }
+  return apply();
+}
+
+function releaseHeldAction() {
+  if (!heldAction) return;
+  heldAction = false;
+  actionHistory.commit();
+}
+
+const nudge = (dx, dy) => () => holdAction('Nudge selection', 'move-components', () => nudgeSelection(dx, dy));
+const rotate = angle => () => holdAction('Rotate selection', 'rotate-components', () => rotateSelection(angle));
+
+export const KEYMAP_ACTIONS = [
+  // Edit
+  { id: 'undo', label: 'Undo', group: 'Edit', keys: ['Ctrl+Z'], run: () => actionHistory.undo() },
+  { id: 'redo', label: 'Redo', group: 'Edit', keys: ['Ctrl+Y', 'Ctrl+Shift+Z'], run: () => actionHistory.redo() },
+  { id: 'duplicate', label: 'Duplicate', group: 'Edit', keys: ['Ctrl+D'], run: performDuplicate },
+  { id: 'delete', label: 'Delete selection', group: 'Edit', keys: ['Delete', 'Backspace'], run: performDelete },
+  { id: 'command-palette', label: 'Command palette', group: 'Edit', keys: ['Ctrl+K'], run: () => openCommandPalette() },
+  { id: 'shortcuts', label: 'Keyboard shortcuts', group: 'Edit', keys: ['?'], run: () => openShortcuts() },
+  // Selection
+  { id: 'deselect', label: 'Deselect / cancel re-link', group: 'Selection', keys: ['Escape'], run: clearSelection },
+  { id: 'nudge-left', label: `Move left ${NUDGE_STEP} px`, group: 'Selection', keys: ['ArrowLeft'], run: nudge(-NUDGE_STEP, 0) },
+  { id: 'nudge-right', label: `Move right ${NUDGE_STEP} px`, group: 'Selection', keys: ['ArrowRight'], run: nudge(NUDGE_STEP, 0) },
+  { id: 'nudge-up', label: `Move up ${NUDGE_STEP} px`, group: 'Selection', keys: ['ArrowUp'], run: nudge(0, -NUDGE_STEP) },
+  { id: 'nudge-down', label: `Move down ${NUDGE_STEP} px`, group: 'Selection', keys: ['ArrowDown'], run: nudge(0, NUDGE_STEP) },
+  { id: 'nudge-left-large', label: `Move left ${NUDGE_STEP_LARGE} px`, group: 'Selection', keys: ['Shift+ArrowLeft'], run: nudge(-NUDGE_STEP_LARGE, 0) },
+  { id: 'nudge-right-large', label: `Move right ${NUDGE_STEP_LARGE} px`, group: 'Selection', keys: ['Shift+ArrowRight'], run: nudge(NUDGE_STEP_LARGE, 0) },
+  { id: 'nudge-up-large', label: `Move up ${NUDGE_STEP_LARGE} px`, group: 'Selection', keys: ['Shift+ArrowUp'], run: nudge(0, -NUDGE_STEP_LARGE) },
+  { id: 'nudge-down-large', label: `Move down ${NUDGE_STEP_LARGE} px`, group: 'Selection', keys: ['Shift+ArrowDown'], run: nudge(0, NUDGE_STEP_LARGE) },
+  { id: 'rotate-ccw', label: `Rotate ${ROTATION_SNAP_INCREMENT}° counter-clockwise`, group: 'Selection', keys: ['['], run: rotate(-ROTATION_SNAP_INCREMENT) },
+  { id: 'rotate-cw', label: `Rotate ${ROTATION_SNAP_INCREMENT}° clockwise`, group: 'Selection', keys: [']'], run: rotate(ROTATION_SNAP_INCREMENT) },
+  { id: 'flip-horizontal', label: 'Flip horizontal', group: 'Selection', keys: ['Shift+H'], run: () => clickButton('flip-horizontal-btn') },
+  { id: 'flip-vertical', label: 'Flip vertical', group: 'Selection', keys: ['Shift+V'], run: () => clickButton('flip-vertical-btn') },
+  { id: 'group', label: 'Group', group: 'Selection', keys: ['Ctrl+G'], run: () => clickButton('group-btn') },
+  { id: 'ungroup', label: 'Ungroup', group: 'Selection', keys: ['Ctrl+Shift+G'], run: () => clickButton('ungroup-btn') },
+  { id: 'hide', label: 'Hide selection', group: 'Selection', keys: ['Alt+H'], run: () => clickButton('hide-component-btn') },
+  { id: 'show', label: 'Show selection', group: 'Selection', keys: ['Alt+Shift+H'], run: () => clickButton('show-component-btn') },
+  { id: 'show-all', label: 'Show all components', group: 'Selection', keys: ['Alt+Shift+A'], run: () => clickButton('show-all-components-btn') },
+  // View
+  { id: 'toggle-grid', label: 'Toggle grid', group: 'View', keys: ['G'], run: () => clickButton('toggle-grid-btn') },
+  { id: 'toggle-trace', label: 'Toggle trace lines', group: 'View', keys: ['T'], run: () => clickButton('trace-btn') },
+  { id: 'toggle-rays', label: 'Toggle rays', group: 'View', keys: ['R'], run: () => clickButton('rays-toggle-btn') },
+  { id: 'toggle-ray-mode', label: 'Illustrative / paraxial rays', group: 'View', keys: ['M'], run: () => clickButton('ray-tracing-mode-btn') },
+  { id: 'zoom-in', label: 'Zoom in', group: 'View', keys: ['+', '='], run: () => clickButton('zoom-in-btn') },
+  { id: 'zoom-out', label: 'Zoom out', group: 'View', keys: ['-'], run: () => clickButton('zoom-out-btn') },
+  { id: 'zoom-reset', label: 'Zoom to 100 %', group: 'View', keys: ['Shift+0'], run: () => clickButton('zoom-reset-btn') },
+  { id: 'zoom-fit', label: 'Zoom to fit', group: 'View', keys: ['Shift+1'], run: () => clickButton('zoom-fit-btn') },
+  { id: 'zoom-selection', label: 'Zoom to selection', group: 'View', keys: ['Shift+2'], run: () => clickButton('zoom-selection-btn') },
+  { id: 'toggle-minimap', label: 'Show / hide the minimap', group: 'View', keys: ['Shift+M'], run: () => clickButton('minimap-toggle-btn') }
+];
+
+/** Changed bindings only: action id → keys. */
+let overrides = {};
+
+// ─── Bindings ───────────────────────────────────────────────────────────────
+
+function getKeys(action) {
+  return overrides[action.id] ?? action.keys;
+}
+
+function findAction(combo) {
+  return KEYMAP_ACTIONS.find(action => getKeys(action).includes(combo)) || null;
+}
+
+function loadOverrides() {
+  try {
+    const stored = JSON.parse(localStorage.getItem(STORAGE_KEY) || '{}');
+    overrides = {};
+    KEYMAP_ACTIONS.forEach(({ id }) => {
+      const keys = stored[id];
+      if (Array.isArray(keys) && keys.every(key => typeof key === 'string')) overrides[id] = keys;
+    });
+  } catch (error) {
+    console.error('[Keymap] Could not read saved shortcuts:', error);
+    overrides = {};
+  }
+}
+
+function saveOverrides() {
+  try {
+    if (Object.keys(overrides).length === 0) localStorage.removeItem(STORAGE_KEY);
+    else localStorage.setItem(STORAGE_KEY, JSON.stringify(overrides));
+  } catch (error) {
+    console.error('[Keymap] Could not save shortcuts:', error);
+  }
+}
+
+function setKeys(action, keys) {
+  const sameAsDefault = keys.length === action.keys.length && keys.every((key, i) => key === action.keys[i]);
+  if (sameAsDefault) delete overrides[action.id];
+  else overrides[action.id] = keys;
+}
+
+/**
+ * Bind keys to an action. A combination can only run one action, so it is
+ * taken away from any other action that had it.
+ * @param {string} id - action id
+ * @param {string[]} keys
+ * @returns {string[]} labels of the actions that lost a combination
+ */
+export function setActionKeys(id, keys) {
+  const action = KEYMAP_ACTIONS.find(candidate => candidate.id === id);
+  if (!action) return [];
+  const unique = [...new Set(keys)];
+  const displaced = [];
+  KEYMAP_ACTIONS.forEach(other => {
+    if (other === action) return;
+    const otherKeys = getKeys(other);
+    const kept = otherKeys.filter(key => !unique.includes(key));
+    if (kept.length !== otherKeys.length) {
+      setKeys(other, kept);
+      displaced.push(other.label);
+    }
+  });
+  setKeys(action, unique);
+  saveOverrides();
+  return displaced;
+}
+
+/**
+ * Restore default keys.
+ * @param {string|null} [id] - one action, or all when omitted
+ */
+export function resetActionKeys(id = null) {
+  if (id === null) {
+    overrides = {};
+  } else {
+    delete overrides[id];
+    // Its defaults win over other actions that were given the same keys
+    const action = KEYMAP_ACTIONS.find(candidate => candidate.id === id);
+    if (action) {
+      KEYMAP_ACTIONS.forEach(other => {
+        if (other !== action && overrides[other.id]) {
+          setKeys(other, overrides[other.id].filter(key => !action.keys.includes(key)));
+        }
+      });
+    }
+  }
+  saveOverrides();
+}
+
+/**
+ * Key combination of a keydown event, e.g. "Ctrl+Shift+Z", or null for a
+ * lone modifier.
+ */
+export function comboFromEvent(e) {
+  if (MODIFIER_KEYS.has(e.key)) return null;
+  let key;
+  let physical = false;
+  if (/^Key[A-Z]$/.test(e.code)) {
+    key = e.code.slice(3);
+    physical = true;
+  } else if (/^Digit\d$/.test(e.code)) {
+    key = e.code.slice(5);
+    physical = true;
+  } else if (e.key === ' ') {
+    key = 'Space';
+  } else {
+    key = e.key.length === 1 ? e.key.toUpperCase() : e.key;
+  }
+
+  const parts = [];
+  if (e.ctrlKey || e.metaKey) parts.push('Ctrl');
+  if (e.altKey) parts.push('Alt');
+  if (e.shiftKey && (physical || key.length > 1)) parts.push('Shift');
+  parts.push(key);
+  return parts.join('+');
+}
+
+const KEY_NAMES = { ArrowLeft: '←', ArrowRight: '→', ArrowUp: '↑', ArrowDown: '↓', Escape: 'Esc', Delete: 'Del' };
+
+/** Display form of a combination ("Shift+ArrowLeft" → "Shift+←"). */
+export function formatCombo(combo) {
+  return combo.split('+').map(part => KEY_NAMES[part] ?? part).join('+');
+}
+
+/** First key of an action for menus and hints, '' if unbound. */
+export function getShortcutLabel(id) {
+  const action = KEYMAP_ACTIONS.find(candidate => candidate.id === id);
+  const keys = action ? getKeys(action) : [];
+  return keys.length > 0 ? formatCombo(keys[0]) : '';
+}
+
+// ─── Dispatch ───────────────────────────────────────────────────────────────
+
+// Text fields and sliders use the keys themselves
+function ownsKeys(target) {
+  return isTypingTarget(target) || (target instanceof HTMLInputElement && target.type === 'range');
+}
+
+function onKeyDown(e) {
+  const combo = comboFromEvent(e);
+  if (!combo) return;
+  const action = findAction(combo);
+  if (!action || ownsKeys(e.target)) return;
+
+  // An open dialog keeps the keyboard; don't let editor shortcuts act behind it
+  if (isModalDialogOpen()) {
+    if (combo.startsWith('Ctrl+')) e.preventDefault();
+    return;
+  }
+
+  let ran = true;
+  try {
+    ran = action.run() !== false;
+  } catch (error) {
+    console.error(`[Keymap] "${action.label}" failed:`, error);
+  }
+  if (ran) e.preventDefault();
+}
+
+function openShortcuts() {
+  openShortcutsDialog({
+    getEntries: () => KEYMAP_ACTIONS.map(action => ({
+      id: action.id,
+      label: action.label,
+      group: action.group,
+      keys: getKeys(action),
+      isDefault: !overrides[action.id]
+    })),
+    setKeys: setActionKeys,
+    reset: resetActionKeys,
+    comboFromEvent,
+    formatCombo
+  });
+}
+
+/** Call once during app init. */
+export function setupKeymap() {
+  loadOverrides();
+  document.addEventListener('keydown', onKeyDown);
+  document.addEventListener('keyup', releaseHeldAction);
+  window.addEventListener('blur', releaseHeldAction);
+  document.getElementById('shortcuts-btn')?.addEventListener('click', openShortcuts);
+}
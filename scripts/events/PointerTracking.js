@@ -0,0 +1,95 @@
+import { TOUCH_SLOP, LONG_PRESS_MS, TOUCH_HANDLE_HIT_RADIUS } from '../config.js';
+
+/**
+ * Pointer helpers shared by the canvas interactions, so mouse, pen and touch
+ * go through the same handlers.
+ *
+ * A drag follows one pointer (by pointerId) from its pointerdown to its
+ * pointerup. A second finger on the canvas starts a two-finger gesture
+ * (pinch / pan, see setupCanvasZoom), which dispatches "touch-gesture-start"
+ * on document; that ends every drag in progress.
+ */
+
+// Touch screens get larger handle hit areas
+const coarsePointer = window.matchMedia('(any-pointer: coarse)');
+
+/**
+ * Follow a pointer until it is released.
+ *
+ * @param {PointerEvent} downEvent - the pointerdown that starts the drag
+ * @param {(e: PointerEvent) => void} onMove - moves of this pointer only
+ * @param {(cancelled: boolean, e: PointerEvent|null) => void} [onEnd] - called
+ *   once, with the pointerup event; cancelled is true (and e null) for
+ *   pointercancel, a two-finger gesture or stop()
+ * @returns {() => void} stop: ends the drag now, as cancelled
+ */
+export function trackPointer(downEvent, onMove, onEnd = () => {}) {
+  const { pointerId } = downEvent;
+  let done = false;
+
+  const move = (e) => {
+    if (e.pointerId === pointerId) onMove(e);
+  };
+  const up = (e) => {
+    if (e.pointerId === pointerId) finish(false, e);
+  };
+  const cancel = (e) => {
+    // touch-gesture-start has no pointerId and ends every drag
+    if (e.pointerId === undefined || e.pointerId === pointerId) finish(true, null);
+  };
+
+  function finish(cancelled, e) {
+    if (done) return;
+    done = true;
+    document.removeEventListener('pointermove', move);
+    document.removeEventListener('pointerup', up);
+    document.removeEventListener('pointercancel', cancel);
+    document.removeEventListener('touch-gesture-start', cancel);
+    onEnd(cancelled, e);
+  }
+
+  document.addEventListener('pointermove', move);
+  document.addEventListener('pointerup', up);
+  document.addEventListener('pointercancel', cancel);
+  document.addEventListener('touch-gesture-start', cancel);
+  return () => finish(true, null);
+}
+
+/**
+ * Call onLongPress if a touch or pen pointer stays down, within TOUCH_SLOP
+ * screen px, for LONG_PRESS_MS. The mouse has Shift and the right button
+ * instead, so mouse presses are ignored.
+ *
+ * @param {PointerEvent} downEvent
+ * @param {() => void} onLongPress
+ */
+export function detectLongPress(downEvent, onLongPress) {
+  if (downEvent.pointerType === 'mouse') return;
+
+  const timer = setTimeout(() => {
+    stop();
+    onLongPress();
+  }, LONG_PRESS_MS);
+  const stop = trackPointer(downEvent, (e) => {
+    if (exceedsTouchSlop(e, downEvent.clientX, downEvent.clientY)) stop();
+  }, () => clearTimeout(timer));
+}
+
+/**
+ * Whether a touch or pen pointer moved far enough from (startX, startY) to
+ * count as a drag. Mouse moves always count.
+ */
+export function exceedsTouchSlop(e, startX, startY) {
+  return e.pointerType === 'mouse' || Math.hypot(e.clientX - startX, e.clientY - startY) > TOUCH_SLOP;
+}
+
+/**
+ * Hit radius for a handle drawn with the given radius (canvas units): at
+ * least TOUCH_HANDLE_HIT_RADIUS screen px when a touch screen is present.
+ */
+export function getHandleHitRadius(radius) {
+  if (!coarsePointer.matches) return radius;
+  const ctm = document.getElementById('canvas')?.getScreenCTM();
+  const scale = ctm && ctm.a > 0 ? ctm.a : 1;
+  return Math.max(radius, TOUCH_HANDLE_HIT_RADIUS / scale);
+}
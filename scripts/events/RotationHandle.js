@@ -18,6 +18,7 @@ import {
 import { showUnifiedBoundingBox, removeUnifiedBoundingBox, getUnifiedBoundingBoxBounds } from './InteractionHandlers.js';
 import { updateRays } from '../rays/DrawRays.js';
 import { actionHistory } from '../history/ActionHistory.js';
+import { trackPointer, getHandleHitRadius } from './PointerTracking.js';
 
 export function showRotationHandle(componentId) {
   removeRotationHandle();
@@ -47,7 +48,7 @@ export function showRotationHandle(componentId) {
   const bgCircle = document.createElementNS('http://www.w3.org/2000/svg', 'circle');
   bgCircle.setAttribute('cx', handleX);
   bgCircle.setAttribute('cy', handleY);
-  bgCircle.setAttribute('r', ROTATION_HANDLE_RADIUS);
+  bgCircle.setAttribute('r', getHandleHitRadius(ROTATION_HANDLE_RADIUS));
   bgCircle.setAttribute('fill', '#ffffff');
   bgCircle.setAttribute('opacity', 0);
   bgCircle.setAttribute('filter', 'drop-shadow(0 2px 4px rgba(0,0,0,0.2))');
@@ -106,7 +107,7 @@ export function showGroupRotationHandle() {
   const bgCircle = document.createElementNS('http://www.w3.org/2000/svg', 'circle');
   bgCircle.setAttribute('cx', handleX);
   bgCircle.setAttribute('cy', handleY);
-  bgCircle.setAttribute('r', ROTATION_HANDLE_RADIUS);
+  bgCircle.setAttribute('r', getHandleHitRadius(ROTATION_HANDLE_RADIUS));
   bgCircle.setAttribute('fill', '#ffffff');
   bgCircle.setAttribute('opacity', 0);
   bgCircle.setAttribute('filter', 'drop-shadow(0 2px 4px rgba(0,0,0,0.2))');
@@ -134,7 +135,7 @@ function setupGroupRotationHandleDrag(handle, centroid) {
   let initialAngle = 0;
   let initialDistance = 0;
 
-  handle.addEventListener('mousedown', (e) => {
+  handle.addEventListener('pointerdown', (e) => {
     e.stopPropagation();
     actionHistory.begin('Rotate selection', 'rotate-components');
     isDragging = true;
@@ -177,8 +178,7 @@ function setupGroupRotationHandleDrag(handle, centroid) {
     const svgPt = pt.matrixTransform(svg2.getScreenCTM().inverse());
     initialAngle = Math.atan2(svgPt.y - centroid.y, svgPt.x - centroid.x);
 
-    document.addEventListener('mousemove', handleDrag);
-    document.addEventListener('mouseup', handleEnd);
+    trackPointer(e, handleDrag, handleEnd);
   });
 
   function handleDrag(e) {
@@ -286,9 +286,6 @@ function setupGroupRotationHandleDrag(handle, centroid) {
     });
     
     hideValueDisplay();
-    
-    document.removeEventListener('mousemove', handleDrag);
-    document.removeEventListener('mouseup', handleEnd);
 
     actionHistory.commit();
     
@@ -303,7 +300,7 @@ function setupGroupRotationHandleDrag(handle, centroid) {
 function setupRotationHandleDrag(handle, componentId, centerX, centerY) {
   let isDragging = false;
 
-  handle.addEventListener('mousedown', (e) => {
+  handle.addEventListener('pointerdown', (e) => {
     e.stopPropagation();
     actionHistory.begin('Rotate component', 'rotate-component');
     isDragging = true;
@@ -328,8 +325,7 @@ function setupRotationHandleDrag(handle, componentId, centerX, centerY) {
       icon.setAttribute('font-size', 1.5 * 5 * ROTATION_HANDLE_RADIUS);
     }
 
-    document.addEventListener('mousemove', handleDrag);
-    document.addEventListener('mouseup', handleEnd);
+    trackPointer(e, handleDrag, handleEnd);
   });
 
   function handleDrag(e) {
@@ -397,9 +393,6 @@ function setupRotationHandleDrag(handle, componentId, centerX, centerY) {
     });
     
     hideValueDisplay();
-    
-    document.removeEventListener('mousemove', handleDrag);
-    document.removeEventListener('mouseup', handleEnd);
 
     actionHistory.commit();
     
@@ -19,6 +19,7 @@ import {
 import { showUnifiedBoundingBox, removeUnifiedBoundingBox, getUnifiedBoundingBoxBounds } from './InteractionHandlers.js';
 import { updateRays } from '../rays/DrawRays.js';
 import { actionHistory } from '../history/ActionHistory.js';
+import { trackPointer, getHandleHitRadius } from './PointerTracking.js';
 
 export function showScaleHandle(componentId) {
   removeScaleHandle();
@@ -47,7 +48,7 @@ export function showScaleHandle(componentId) {
   const bgCircle = document.createElementNS('http://www.w3.org/2000/svg', 'circle');
   bgCircle.setAttribute('cx', handleX);
   bgCircle.setAttribute('cy', handleY);
-  bgCircle.setAttribute('r', SCALE_HANDLE_RADIUS);
+  bgCircle.setAttribute('r', getHandleHitRadius(SCALE_HANDLE_RADIUS));
   bgCircle.setAttribute('fill', '#ffffff');
   bgCircle.setAttribute('opacity', 0);
   bgCircle.setAttribute('filter', 'drop-shadow(0 2px 4px rgba(0,0,0,0.2))');
@@ -85,7 +86,7 @@ function setupScaleHandleDrag(handle, componentId, centerX, centerY, initialHand
   let initialDistance = 0;
   let initialScale = 1;
 
-  handle.addEventListener('mousedown', (e) => {
+  handle.addEventListener('pointerdown', (e) => {
     e.stopPropagation();
     actionHistory.begin('Scale component', 'scale-component');
     isDragging = true;
@@ -131,8 +132,7 @@ function setupScaleHandleDrag(handle, componentId, centerX, centerY, initialHand
         icon.setAttribute('font-size', 1.5 * 5 * SCALE_HANDLE_RADIUS );
     }
 
-    document.addEventListener('mousemove', handleDrag);
-    document.addEventListener('mouseup', handleEnd);
+    trackPointer(e, handleDrag, handleEnd);
   });
 
   function handleDrag(e) {
@@ -202,9 +202,6 @@ function setupScaleHandleDrag(handle, componentId, centerX, centerY, initialHand
     });
     
     hideValueDisplay();
-    
-    document.removeEventListener('mousemove', handleDrag);
-    document.removeEventListener('mouseup', handleEnd);
 
     actionHistory.commit();
 
@@ -241,7 +238,7 @@ export function showGroupScaleHandle() {
   const bgCircle = document.createElementNS('http://www.w3.org/2000/svg', 'circle');
   bgCircle.setAttribute('cx', handleX);
   bgCircle.setAttribute('cy', handleY);
-  bgCircle.setAttribute('r', SCALE_HANDLE_RADIUS);
+  bgCircle.setAttribute('r', getHandleHitRadius(SCALE_HANDLE_RADIUS));
   bgCircle.setAttribute('fill', '#ffffff');
   bgCircle.setAttribute('opacity', 0);
   bgCircle.setAttribute('filter', 'drop-shadow(0 2px 4px rgba(0,0,0,0.2))');
@@ -268,7 +265,7 @@ function setupGroupScaleHandleDrag(handle, centroid) {
   let initialStates = null;
   let initialDistance = 0;
 
-  handle.addEventListener('mousedown', (e) => {
+  handle.addEventListener('pointerdown', (e) => {
     e.stopPropagation();
     actionHistory.begin('Scale selection', 'scale-components');
     isDragging = true;
@@ -308,8 +305,7 @@ function setupGroupScaleHandleDrag(handle, centroid) {
     const dy = svgPt.y - centroid.y;
     initialDistance = Math.sqrt(dx * dx + dy * dy);
 
-    document.addEventListener('mousemove', handleDrag);
-    document.addEventListener('mouseup', handleEnd);
+    trackPointer(e, handleDrag, handleEnd);
   });
 
   function handleDrag(e) {
@@ -438,8 +434,6 @@ function setupGroupScaleHandleDrag(handle, centroid) {
     hideValueDisplay();
     clearSelectionHoverBoxes();
     
-    document.removeEventListener('mousemove', handleDrag);
-    document.removeEventListener('mouseup', handleEnd);
 
     actionHistory.commit();
 
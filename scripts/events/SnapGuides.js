@@ -0,0 +1,205 @@
+import { componentManager } from '../components/index.js';
+import { canvas } from '../Canvas.js';
+import {
+  GRID_SIZE,
+  SNAP_GUIDE_DISTANCE,
+  SNAP_SPACING_BAND,
+  SNAP_GUIDE_OVERHANG,
+  SNAP_GUIDE_STROKE,
+  SNAP_GUIDE_STROKE_WIDTH,
+  SNAP_GUIDE_STROKE_DASHARRAY
+} from '../config.js';
+
+/**
+ * Magnetic guides while dragging components.
+ *
+ * The dragged point (a component's center, or a group's bounding-box
+ * center) snaps, in order of preference:
+ *   1. onto the forward axis of the dragged component's parent (the beam
+ *      line leaving the parent's output port),
+ *   2. per axis, onto vertical / horizontal lines through other components'
+ *      centers, or to equal spacing with the neighbors in the same row /
+ *      column — whichever is closer,
+ *   3. per axis, to the grid when it is shown.
+ * Snapping reaches SNAP_GUIDE_DISTANCE screen pixels, whatever the zoom.
+ * Matched guides are drawn in #snap-guides until removeSnapGuides().
+ */
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+
+/**
+ * Snap a dragged point and show the guides that caught it.
+ * @param {{x: number, y: number}} point - proposed world position
+ * @param {object} options
+ * @param {Iterable<number>} options.movingIds - components being dragged (never targets)
+ * @param {number|null} [options.childId] - single dragged component, enables
+ *   snapping onto its parent's forward axis
+ * @returns {{x: number, y: number}} snapped point (unchanged if nothing is in range)
+ */
+export function snapDragPosition(point, { movingIds, childId = null }) {
+  const moving = new Set(movingIds);
+  const threshold = SNAP_GUIDE_DISTANCE / _getScreenScale();
+  const guides = [];
+
+  const axisSnap = childId !== null ? _snapToParentAxis(point, childId, moving, threshold) : null;
+  if (axisSnap) {
+    guides.push(axisSnap.guide);
+    _drawGuides(guides);
+    return axisSnap.point;
+  }
+
+  const targets = [];
+  componentManager.components.forEach((component, id) => {
+    if (moving.has(id) || !component.visible) return;
+    targets.push(component.getCenterPointWorld());
+  });
+
+  const result = { x: point.x, y: point.y };
+  const snappedX = _snapAxis('x', point, targets, threshold);
+  const snappedY = _snapAxis('y', point, targets, threshold);
+  if (snappedX) result.x = snappedX.value;
+  if (snappedY) result.y = snappedY.value;
+  [snappedX, snappedY].forEach(snapped => {
+    if (snapped && snapped.guides) guides.push(...snapped.guides(result));
+  });
+
+  _drawGuides(guides);
+  return result;
+}
+
+export function removeSnapGuides() {
+  const existing = document.getElementById('snap-guides');
+  if (existing) existing.remove();
+}
+
+// ─── Snap targets ───────────────────────────────────────────────────────────
+
+/** Project onto the beam line leaving the parent's output port, if close enough. */
+function _snapToParentAxis(point, childId, moving, threshold) {
+  const child = componentManager.getComponent(childId);
+  if (!child || child.parent === null || moving.has(child.parent)) return null;
+  const parent = componentManager.getComponent(child.parent);
+  if (!parent) return null;
+
+  const port = componentManager.getCompositeExitPort(parent).getOutputPort(child.parentPort);
+  const center = port.apertureCenter;
+  const origin = port.localToWorld(center.x, center.y);
+  const ahead = port.localToWorld(center.x + port.forwardVector.x, center.y + port.forwardVector.y);
+  const length = Math.hypot(ahead.x - origin.x, ahead.y - origin.y);
+  if (length < 1e-9) return null;
+  const dir = { x: (ahead.x - origin.x) / length, y: (ahead.y - origin.y) / length };
+
+  const along = (point.x - origin.x) * dir.x + (point.y - origin.y) * dir.y;
+  const offset = (point.x - origin.x) * dir.y - (point.y - origin.y) * dir.x;
+  if (along <= 0 || Math.abs(offset) > threshold) return null;
+
+  const snapped = { x: origin.x + dir.x * along, y: origin.y + dir.y * along };
+  return {
+    point: snapped,
+    guide: {
+      from: origin,
+      to: { x: snapped.x + dir.x * SNAP_GUIDE_OVERHANG, y: snapped.y + dir.y * SNAP_GUIDE_OVERHANG }
+    }
+  };
+}
+
+/**
+ * Best snap along one axis. Returns { value, guides(finalPoint) } or null.
+ * Alignment and equal spacing compete on distance; the grid is a fallback.
+ */
+function _snapAxis(key, point, targets, threshold) {
+  const cross = key === 'x' ? 'y' : 'x';
+  let best = null;
+  const consider = (value, guides) => {
+    const dist = Math.abs(value - point[key]);
+    if (dist <= threshold && (!best || dist < best.dist)) best = { value, dist, guides };
+  };
+
+  // Line through another component's center
+  targets.forEach(target => {
+    consider(target[key], final => [_axisLine(key, target, final)]);
+  });
+
+  // Equal spacing with the neighbors in the same row (key 'x') / column (key 'y')
+  const row = targets.filter(t => Math.abs(t[cross] - point[cross]) <= SNAP_SPACING_BAND);
+  const before = row.filter(t => t[key] < point[key]).sort((a, b) => b[key] - a[key]);
+  const after = row.filter(t => t[key] > point[key]).sort((a, b) => a[key] - b[key]);
+  if (before.length >= 2) {
+    const [near, far] = before;
+    consider(2 * near[key] - far[key], final => _spacingGuides(key, final, [far[key], near[key], final[key]]));
+  }
+  if (after.length >= 2) {
+    const [near, far] = after;
+    consider(2 * near[key] - far[key], final => _spacingGuides(key, final, [final[key], near[key], far[key]]));
+  }
+  if (before.length >= 1 && after.length >= 1) {
+    consider((before[0][key] + after[0][key]) / 2,
+      final => _spacingGuides(key, final, [before[0][key], final[key], after[0][key]]));
+  }
+
+  if (!best && canvas.gridVisible) {
+    const gridValue = Math.round(point[key] / GRID_SIZE) * GRID_SIZE;
+    if (Math.abs(gridValue - point[key]) <= threshold) best = { value: gridValue, dist: 0, guides: null };
+  }
+
+  return best;
+}
+
+// ─── Guide geometry ─────────────────────────────────────────────────────────
+
+/** Line along the snapped coordinate, from the target to the dragged point. */
+function _axisLine(key, target, final) {
+  const cross = key === 'x' ? 'y' : 'x';
+  const lo = Math.min(target[cross], final[cross]) - SNAP_GUIDE_OVERHANG;
+  const hi = Math.max(target[cross], final[cross]) + SNAP_GUIDE_OVERHANG;
+  return key === 'x'
+    ? { from: { x: final.x, y: lo }, to: { x: final.x, y: hi } }
+    : { from: { x: lo, y: final.y }, to: { x: hi, y: final.y } };
+}
+
+/** Equal-length segments between consecutive positions, at the dragged point's level. */
+function _spacingGuides(key, final, positions) {
+  const guides = [];
+  for (let i = 0; i < positions.length - 1; i++) {
+    guides.push(key === 'x'
+      ? { from: { x: positions[i], y: final.y }, to: { x: positions[i + 1], y: final.y }, spacing: true }
+      : { from: { x: final.x, y: positions[i] }, to: { x: final.x, y: positions[i + 1] }, spacing: true });
+  }
+  return guides;
+}
+
+// ─── Rendering ──────────────────────────────────────────────────────────────
+
+function _drawGuides(guides) {
+  removeSnapGuides();
+  if (guides.length === 0) return;
+
+  const svg = document.getElementById('canvas');
+  if (!svg) return;
+
+  const group = document.createElementNS(SVG_NS, 'g');
+  group.setAttribute('id', 'snap-guides');
+  group.setAttribute('pointer-events', 'none');
+
+  guides.forEach(guide => {
+    const line = document.createElementNS(SVG_NS, 'line');
+    line.setAttribute('x1', guide.from.x);
+    line.setAttribute('y1', guide.from.y);
+    line.setAttribute('x2', guide.to.x);
+    line.setAttribute('y2', guide.to.y);
+    line.setAttribute('stroke', SNAP_GUIDE_STROKE);
+    line.setAttribute('stroke-width', SNAP_GUIDE_STROKE_WIDTH);
+    // Spacing segments are solid, alignment lines dashed
+    if (!guide.spacing) line.setAttribute('stroke-dasharray', SNAP_GUIDE_STROKE_DASHARRAY);
+    group.appendChild(line);
+  });
+
+  svg.appendChild(group);
+}
+
+/** Screen pixels per world unit at the current zoom. */
+function _getScreenScale() {
+  const svg = document.getElementById('canvas');
+  const ctm = svg && svg.getScreenCTM();
+  return ctm && ctm.a > 0 ? ctm.a : 1;
+}
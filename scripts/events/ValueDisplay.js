@@ -1,3 +1,5 @@
+import { units } from '../Units.js';
+
 export function showValueDisplay(x, y, value, unit = '°') {
   const svg = document.getElementById('canvas');
   if (!svg) return;
@@ -31,6 +33,60 @@ export function showValueDisplay(x, y, value, unit = '°') {
   svg.appendChild(display);
 }
 
+/**
+ * Shows a position readout ("x, y unit") in the schematic's physical units
+ */
+export function showPositionDisplay(x, y, posX, posY) {
+  const valueX = units.toUnits(posX).toFixed(1);
+  const valueY = units.toUnits(posY).toFixed(1);
+  showTextDisplay(x, y, `${valueX}, ${valueY} ${units.unit}`);
+}
+
+/**
+ * Shows a distance readout (canvas px converted to physical units)
+ */
+export function showDistanceDisplay(x, y, distance) {
+  showTextDisplay(x, y, units.format(distance));
+}
+
+// Readouts are wider than the round angle/scale display, so use a pill
+function showTextDisplay(x, y, label) {
+  const svg = document.getElementById('canvas');
+  if (!svg) return;
+
+  hideValueDisplay();
+
+  const display = document.createElementNS('http://www.w3.org/2000/svg', 'g');
+  display.setAttribute('id', 'value-display');
+
+  // Approximate text width for a 14px bold sans-serif font
+  const width = label.length * 8.5 + 20;
+  const bg = document.createElementNS('http://www.w3.org/2000/svg', 'rect');
+  bg.setAttribute('x', x - width / 2);
+  bg.setAttribute('y', y - 15);
+  bg.setAttribute('width', width);
+  bg.setAttribute('height', '30');
+  bg.setAttribute('rx', '15');
+  bg.setAttribute('fill', 'rgba(0, 0, 0, 0.8)');
+  bg.setAttribute('stroke', '#fbc02d');
+  bg.setAttribute('stroke-width', '2');
+  display.appendChild(bg);
+
+  const text = document.createElementNS('http://www.w3.org/2000/svg', 'text');
+  text.setAttribute('x', x);
+  text.setAttribute('y', y + 2);
+  text.setAttribute('text-anchor', 'middle');
+  text.setAttribute('dominant-baseline', 'middle');
+  text.setAttribute('font-family', 'Arial, sans-serif');
+  text.setAttribute('font-size', '14');
+  text.setAttribute('font-weight', 'bold');
+  text.setAttribute('fill', 'white');
+  text.textContent = label;
+  display.appendChild(text);
+
+  svg.appendChild(display);
+}
+
 export function hideValueDisplay() {
   const svg = document.getElementById('canvas');
   if (!svg) return;
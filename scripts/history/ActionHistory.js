@@ -64,7 +64,25 @@ class ActionHistory {
     this.undoStack = [];
     this.redoStack = [];
     this.activeAction = null;
-    this._notify();
+    this._notify('clear');
+  }
+
+  // Set the undo / redo stacks aside and start from an empty history, e.g.
+  // while a composite definition is edited on the canvas. resume() puts them back.
+  suspend() {
+    const saved = { undoStack: this.undoStack, redoStack: this.redoStack };
+    this.undoStack = [];
+    this.redoStack = [];
+    this.activeAction = null;
+    this._notify('suspend');
+    return saved;
+  }
+
+  resume(saved) {
+    this.undoStack = saved.undoStack;
+    this.redoStack = saved.redoStack;
+    this.activeAction = null;
+    this._notify('resume');
   }
 
   undo() {
@@ -72,7 +90,7 @@ class ActionHistory {
     const action = this.undoStack.pop();
     this._apply(action.before);
     this.redoStack.push(action);
-    this._notify();
+    this._notify('undo');
     return true;
   }
 
@@ -81,13 +99,16 @@ class ActionHistory {
     const action = this.redoStack.pop();
     this._apply(action.after);
     this.undoStack.push(action);
-    this._notify();
+    this._notify('redo');
     return true;
   }
 
+  // listener(history, reason) runs now (reason 'subscribe') and after every
+  // change to the stacks: 'push', 'undo', 'redo', 'clear', 'suspend', 'resume'.
+  // Only the first three change the scene.
   subscribe(listener) {
     this.listeners.add(listener);
-    listener(this);
+    listener(this, 'subscribe');
     return () => this.listeners.delete(listener);
   }
 
@@ -106,7 +127,7 @@ class ActionHistory {
     }
 
     this.redoStack = [];
-    this._notify();
+    this._notify('push');
     return true;
   }
 
@@ -120,8 +141,8 @@ class ActionHistory {
     }
   }
 
-  _notify() {
-    this.listeners.forEach(listener => listener(this));
+  _notify(reason) {
+    this.listeners.forEach(listener => listener(this, reason));
   }
 }
 
@@ -0,0 +1,223 @@
+import { componentManager } from '../components/ComponentManager.js';
+import { components as componentRegistry } from '../components/ComponentLibrary.js';
+import { captureComponent, restoreComponent, refreshSelectionUi } from './HistorySnapshots.js';
+import { updateRays } from '../rays/DrawRays.js';
+import { refreshDebugLayer } from '../utils/DebugLayer.js';
+import { PASTE_OFFSET } from '../config.js';
+
+/**
+ * Copy / paste / duplicate of components, using the same per-component
+ * format as the undo snapshots. Links and groups between copied components
+ * are kept; links to components outside the copy are dropped.
+ *
+ * The last copy is kept in memory and, when copied with Ctrl+C, also put on
+ * the system clipboard as JSON so it can be pasted into another tab.
+ */
+
+const CLIPBOARD_FORMAT = 'optical-schematic-components';
+const CLIPBOARD_VERSION = 1;
+
+let clipboard = null;
+let pasteCount = 0;
+
+/**
+ * Capture the selected components (groups expanded, as in the selection).
+ * The copy becomes the in-memory clipboard. Returns null if nothing is selected.
+ */
+export function copySelection() {
+  const ids = [...componentManager.selectedIds]
+    .filter(id => componentManager.components.has(id))
+    .sort((a, b) => a - b);
+  if (ids.length === 0) return null;
+
+  clipboard = {
+    format: CLIPBOARD_FORMAT,
+    version: CLIPBOARD_VERSION,
+    currentId: ids.includes(componentManager.currentId) ? componentManager.currentId : null,
+    components: ids.map(id => captureComponent(id, componentManager.getComponent(id)))
+  };
+  pasteCount = 0;
+  return clipboard;
+}
+
+export function getClipboard() {
+  return clipboard;
+}
+
+export function serializeClipboard(data) {
+  return JSON.stringify(data);
+}
+
+/**
+ * Parse clipboard text copied from this app (this tab or another one).
+ * Returns null for anything else, e.g. plain text from another program.
+ */
+export function parseClipboard(text) {
+  if (!text) return null;
+  try {
+    const data = JSON.parse(text);
+    if (data && data.format === CLIPBOARD_FORMAT && Array.isArray(data.components) &&
+        data.components.every(saved => saved && typeof saved === 'object' && typeof saved.type === 'string')) {
+      return data;
+    }
+  } catch {
+    // Not ours
+  }
+  return null;
+}
+
+/**
+ * Component and composite keys the copy uses that this tab does not know,
+ * e.g. user components created in another tab and not imported here.
+ * @returns {string[]}
+ */
+function getUnknownTypes(data) {
+  const unknown = new Set();
+  data.components.forEach(saved => {
+    const keys = [saved.type, saved.compositeKey, ...(saved.compositePath || [])];
+    keys.forEach(key => {
+      if (key !== null && key !== undefined && !componentRegistry[key]) unknown.add(key);
+    });
+  });
+  return [...unknown].sort();
+}
+
+/**
+ * Create copies of the clipboard components with new ids and select them.
+ * Successive pastes of the same copy are offset further each time.
+ *
+ * @param {object} data - clipboard data from copySelection() / parseClipboard()
+ * @param {object} [options]
+ * @param {number|null} [options.attachToId] - link the pasted chain's root to
+ *   this component: the root is moved to its arrow tip and the chain turned
+ *   to follow the arrow, like spawning a component.
+ * @returns {number[]} ids of the pasted components
+ * @throws {Error} if the copy uses component types this tab does not know
+ *   (nothing is pasted)
+ */
+export function pasteComponents(data, { attachToId = null } = {}) {
+  if (!data || !data.components || data.components.length === 0) return [];
+
+  const unknownTypes = getUnknownTypes(data);
+  if (unknownTypes.length > 0) {
+    throw new Error(`Unknown component type(s): ${unknownTypes.join(', ')}. Import the user components they need in this tab first.`);
+  }
+
+  const schematics = document.getElementById('schematics');
+  if (!schematics) return [];
+
+  if (data !== clipboard) {
+    clipboard = data;
+    pasteCount = 0;
+  }
+  pasteCount++;
+
+  // New map ids and composite instance ids for everything in the copy
+  const idMap = new Map();
+  const instanceMap = new Map();
+  data.components.forEach(saved => {
+    idMap.set(saved.mapId, componentManager.idCounter++);
+    if (saved.compositeInstanceId !== null && saved.compositeInstanceId !== undefined &&
+        !instanceMap.has(saved.compositeInstanceId)) {
+      instanceMap.set(saved.compositeInstanceId, ++componentManager.compositeInstanceCounter);
+    }
+  });
+  const mapId = id => idMap.has(id) ? idMap.get(id) : null;
+
+  // Root of the pasted chain: the first component with no incoming link from
+  // inside the copy (the entry port of a composite, if any)
+  const roots = data.components.filter(saved => mapId(saved.parent) === null &&
+    !(saved.extraLinks || []).some(link => mapId(link.parent) !== null));
+  const root = roots.find(saved => saved.isEntryPort) || roots[0] || data.components[0];
+
+  const target = attachToId !== null ? componentManager.getComponent(attachToId) : null;
+  let delta = { x: pasteCount * PASTE_OFFSET, y: pasteCount * PASTE_OFFSET };
+  let deltaAngle = 0;
+  if (target) {
+    const arrow = target.getArrowVector();
+    const tip = target.getArrowEndpoint();
+    deltaAngle = Math.atan2(arrow.y, arrow.x) * 180 / Math.PI - (root.rotation ?? 0);
+    delta = { x: tip.x - root.x, y: tip.y - root.y };
+  }
+  const rad = deltaAngle * Math.PI / 180;
+  const cos = Math.cos(rad);
+  const sin = Math.sin(rad);
+
+  const pastedIds = [];
+  data.components.forEach(saved => {
+    const id = mapId(saved.mapId);
+
+    // Turn around the root, then move the root onto its new position
+    const dx = saved.x - root.x;
+    const dy = saved.y - root.y;
+    const arrow = saved.arrowVector;
+    const component = restoreComponent({
+      ...saved,
+      componentId: null,
+      x: root.x + dx * cos - dy * sin + delta.x,
+      y: root.y + dx * sin + dy * cos + delta.y,
+      rotation: (saved.rotation ?? 0) + deltaAngle,
+      arrowVector: arrow ? { x: arrow.x * cos - arrow.y * sin, y: arrow.x * sin + arrow.y * cos } : null,
+      parent: mapId(saved.parent),
+      parentPort: mapId(saved.parent) !== null ? saved.parentPort : null,
+      children: (saved.children || []).map(mapId).filter(childId => childId !== null),
+      extraLinks: (saved.extraLinks || [])
+        .filter(link => mapId(link.parent) !== null)
+        .map(link => ({ ...link, parent: mapId(link.parent) })),
+      groupMembers: (saved.groupMembers || []).map(mapId).filter(memberId => memberId !== null),
+      compositeInstanceId: instanceMap.get(saved.compositeInstanceId) ?? null
+    });
+    if (component.isGrouped && component.groupMembers.size === 0) component.clearGroup();
+
+    // A link dropped from the copy leaves the component without a primary parent
+    if (component.parent === null && component.extraLinks.length > 0) {
+      component.promoteExtraLink();
+    }
+
+    const element = component.render();
+    element.setAttribute('data-id', id);
+    schematics.appendChild(element);
+    componentManager.components.set(id, component);
+    pastedIds.push(id);
+  });
+
+  if (target) {
+    const rootId = mapId(root.mapId);
+    const rootComponent = componentManager.getComponent(rootId);
+    rootComponent.parent = attachToId;
+    rootComponent.parentPort = componentManager.getCompositeExitPort(target)
+      .getPortForDirection(target.getArrowVector());
+    target.children.push(rootId);
+
+    if (rootComponent.rayColorInheritFromParent ?? true) {
+      rootComponent.rayPolygonColor    = target.rayPolygonColor;
+      rootComponent.rayPolygonOpacity  = target.rayPolygonOpacity;
+      rootComponent.rayGradientEnabled = target.rayGradientEnabled;
+      rootComponent.rayPolygonColor2   = target.rayPolygonColor2;
+    }
+  }
+
+  componentManager.selectMultiple(pastedIds);
+  componentManager.currentId = mapId(data.currentId) ?? pastedIds[pastedIds.length - 1];
+  componentManager.updateNextPositionFromComponent(componentManager.currentId);
+
+  updateRays();
+  refreshDebugLayer();
+  refreshSelectionUi();
+
+  console.log(`Clipboard: pasted ${pastedIds.length} component(s) [${pastedIds.join(', ')}]`);
+  return pastedIds;
+}
+
+/**
+ * Copy the selection and paste it straight back, offset from the original.
+ * Leaves the clipboard unchanged.
+ */
+export function duplicateSelection() {
+  const saved = { clipboard, pasteCount };
+  const data = copySelection();
+  const ids = data ? pasteComponents(data) : [];
+  clipboard = saved.clipboard;
+  pasteCount = saved.pasteCount;
+  return ids;
+}
@@ -1,17 +1,20 @@
-import { Component } from '../components/Component.js';
+import { Component, LINK_RAY_FIELDS } from '../components/Component.js';
 import { componentManager, ComponentManager } from '../components/ComponentManager.js';
 import { updateRays } from '../rays/DrawRays.js';
+import { rayTracingMode, setRayTracingMode } from '../rays/ApertureRays.js';
 import { showRotationHandle, removeRotationHandle, showGroupRotationHandle } from '../events/RotationHandle.js';
 import { showScaleHandle, removeScaleHandle, showGroupScaleHandle } from '../events/ScaleHandle.js';
 import { showArrowHandle, removeArrowHandle } from '../events/ArrowHandle.js';
 import { showUnifiedBoundingBox, removeUnifiedBoundingBox } from '../events/InteractionHandlers.js';
 import { refreshDebugLayer } from '../utils/DebugLayer.js';
+import { annotationManager } from '../annotations/AnnotationManager.js';
+import { getScaleBarPosition, setScaleBarPosition } from '../ScaleBar.js';
 
 function clonePoint(point) {
   return point ? { x: point.x, y: point.y } : null;
 }
 
-function captureComponent(id, component) {
+export function captureComponent(id, component) {
   return {
     mapId: id,
     componentId: component.id,
@@ -22,12 +25,15 @@ function captureComponent(id, component) {
     rotation: component.rotation,
     scale: component.scale,
     visible: component.visible,
+    locked: component.locked,
     compositeDefinedVisible: component.compositeDefinedVisible,
     flipX: component.flipX,
     flipY: component.flipY,
     arrowVector: clonePoint(component.arrowVector),
     upVector: clonePoint(component.upVector),
     parent: component.parent,
+    parentPort: component.parentPort,
+    extraLinks: component.extraLinks.map(captureExtraLink),
     children: [...component.children],
     isGrouped: component.isGrouped,
     groupMembers: [...component.groupMembers],
@@ -43,15 +49,33 @@ function captureComponent(id, component) {
     arraySizeRatio: component.arraySizeRatio,
     arrayPositionRatio: component.arrayPositionRatio,
     coneAngle: component.coneAngle,
+    focalLength: component.focalLength,
+    wavelength: component.wavelength,
+    wavelengthBandwidth: component.wavelengthBandwidth,
+    spectralFilter: component.spectralFilter ? { ...component.spectralFilter } : null,
+    diffraction: component.diffraction ? { ...component.diffraction } : null,
     isCompositeInstance: component.isCompositeInstance,
     compositeKey: component.compositeKey,
     compositeInstanceId: component.compositeInstanceId,
+    compositePath: [...(component.compositePath || [])],
     isExitPort: component.isExitPort,
     isEntryPort: component.isEntryPort,
     rayLocked: component.rayLocked
   };
 }
 
+function captureExtraLink(link) {
+  const captured = {
+    parent: link.parent,
+    parentPort: link.parentPort,
+    upVector: clonePoint(link.upVector)
+  };
+  LINK_RAY_FIELDS.forEach(field => {
+    captured[field] = link[field];
+  });
+  return captured;
+}
+
 export function captureSceneSnapshot() {
   const components = [...componentManager.components.entries()]
     .sort(([a], [b]) => a - b)
@@ -63,11 +87,15 @@ export function captureSceneSnapshot() {
     currentId: componentManager.currentId,
     selectedIds: [...componentManager.selectedIds].sort((a, b) => a - b),
     nextPosition: clonePoint(componentManager.nextPosition),
-    components
+    components,
+    zOrder: componentManager.getZOrder(),
+    annotations: annotationManager.toJSON(),
+    rayTracingMode,
+    scaleBarPosition: getScaleBarPosition()
   };
 }
 
-function restoreComponent(snapshot) {
+export function restoreComponent(snapshot) {
   const component = new Component(snapshot.type);
 
   component.id = snapshot.componentId || component.id;
@@ -75,6 +103,7 @@ function restoreComponent(snapshot) {
   component.isCompositeInstance = !!snapshot.isCompositeInstance;
   component.compositeKey = snapshot.compositeKey ?? null;
   component.compositeInstanceId = snapshot.compositeInstanceId ?? null;
+  component.compositePath = Array.isArray(snapshot.compositePath) ? [...snapshot.compositePath] : [];
   component.isExitPort = !!snapshot.isExitPort;
   component.isEntryPort = !!snapshot.isEntryPort;
   component.rayLocked = !!snapshot.rayLocked;
@@ -90,6 +119,13 @@ function restoreComponent(snapshot) {
   component.rayGradientEnabled = snapshot.rayGradientEnabled ?? component.rayGradientEnabled;
   component.rayPolygonColor2 = snapshot.rayPolygonColor2 || component.rayPolygonColor2;
   component.coneAngle = snapshot.coneAngle ?? 0;
+  if (snapshot.focalLength !== undefined) component.setFocalLength(snapshot.focalLength);
+  component.wavelength = snapshot.wavelength ?? null;
+  component.wavelengthBandwidth = snapshot.wavelengthBandwidth ?? 0;
+  if (snapshot.spectralFilter !== undefined) {
+    component.spectralFilter = snapshot.spectralFilter ? { ...snapshot.spectralFilter } : null;
+  }
+  if (snapshot.diffraction) component.setDiffraction(snapshot.diffraction);
   component.setArraySegments(snapshot.arraySegments ?? component.arraySegments);
   component.setArraySizeRatio(snapshot.arraySizeRatio ?? component.arraySizeRatio);
   component.setArrayPositionRatio(snapshot.arrayPositionRatio ?? component.arrayPositionRatio);
@@ -100,9 +136,15 @@ function restoreComponent(snapshot) {
   component.setRotation(snapshot.rotation);
   component.setScale(snapshot.scale);
   component.visible = snapshot.visible ?? true;
+  component.locked = !!snapshot.locked;
 
   component.parent = snapshot.parent;
+  component.parentPort = snapshot.parentPort ?? null;
   component.children = [...(snapshot.children || [])];
+  (snapshot.extraLinks || []).forEach(saved => {
+    const link = component.addExtraLink(saved.parent, saved.parentPort ?? null, saved);
+    if (saved.upVector) link.upVector = clonePoint(saved.upVector);
+  });
   if (snapshot.isGrouped) {
     component.setGroupMembers(snapshot.groupMembers || []);
   } else {
@@ -112,7 +154,7 @@ function restoreComponent(snapshot) {
   return component;
 }
 
-function refreshSelectionUi() {
+export function refreshSelectionUi() {
   removeRotationHandle();
   removeScaleHandle();
   removeArrowHandle();
@@ -175,10 +217,18 @@ export function restoreSceneSnapshot(snapshot) {
     componentManager.components.set(componentSnapshot.mapId, component);
   });
 
+  if (snapshot.zOrder) componentManager.setZOrder(snapshot.zOrder);
+
   if (componentManager.currentId !== null && !componentManager.components.has(componentManager.currentId)) {
     componentManager.currentId = null;
   }
 
+  annotationManager.fromJSON(snapshot.annotations);
+  // Snapshots from older files have no mode: keep the one their rays section set
+  if (snapshot.rayTracingMode) setRayTracingMode(snapshot.rayTracingMode);
+  // Before the bar is first shown it has no position: leave the current one
+  if (snapshot.scaleBarPosition) setScaleBarPosition(snapshot.scaleBarPosition);
+
   updateRays();
   refreshDebugLayer();
   refreshSelectionUi();
@@ -3,16 +3,27 @@
  * 
  * Draws SVG polygons connecting parent-child component apertures based on ray shapes.
  * Supports all combinations: collimated, divergent, convergent, manual, and array modes.
+ *
+ * In 'paraxial' tracing mode the polygons are instead computed from ray-transfer
+ * matrices and component focal lengths (see ParaxialTrace.js); array links keep
+ * the illustrative shape rules.
  */
 
 import { componentManager } from '../components/ComponentManager.js';
-import { DEFAULT_SOLID_RAY_COLOR, DEFAULT_RAY_POLYGON_OPACITY } from '../config.js';
+import { DEFAULT_RAY_POLYGON_OPACITY, DEFAULT_RAY_TRACING_MODE,
+         FREE_ORDER_LENGTH, FREE_ORDER_OPACITY_FACTOR } from '../config.js';
 import { calculateProjections } from './ApertureScaling.js';
+import { createParaxialTracer } from './ParaxialTrace.js';
 import { hexToRgb, rgbToHsl } from '../utils/colorUtils.js';
+import { getRayColors } from './Spectrum.js';
 
 // Ray visibility settings
 export let showApertureRays = true;
 export let rayDisplayMode = 'solid'; // 'solid' | 'both' | 'none'
+export let rayTracingMode = DEFAULT_RAY_TRACING_MODE; // 'illustrative' | 'paraxial'
+
+// Tracer shared by all connections of one drawApertureRays() pass (memoises the beam per component)
+let _activeParaxialTracer = null;
 
 /**
  * Draw aperture rays connecting all parent-child component relationships.
@@ -40,40 +51,30 @@ export function drawApertureRays() {
     
     if (rayDisplayMode === 'none') return;
 
-    // Iterate through all components with parents
+    _activeParaxialTracer = rayTracingMode === 'paraxial'
+        ? createParaxialTracer(_getRayParent)
+        : null;
+
+    // Iterate through all components with parents; extra incoming links
+    // (beam combining) are drawn like children with their own ray settings
     componentManager.components.forEach((child, childKey) => {
         if (child.parent === null) return;
         
-        const rawParent = componentManager.getComponent(child.parent);
-        if (!rawParent) return;
-        // Remap to the composite exit port only when the parent is a composite member
-        // from a DIFFERENT instance than the child. Within the same composite, the
-        // internal parent pointer must be used as-is (entry → exit wiring is internal).
-        const sameCompositeInstance = child.isCompositeInstance &&
-            rawParent.isCompositeInstance &&
-            child.compositeInstanceId === rawParent.compositeInstanceId;
-        const parent = sameCompositeInstance
-            ? rawParent
-            : componentManager.getCompositeExitPort(rawParent);
-        if (!parent) return;
-
-        // Create SVG gradient def if gradient mode is on; returns gradient ID or null
-        const gradientId = child.rayGradientEnabled
-            ? _createGradientDef(defs, parent, child)
-            : null;
-        
-        // Dispatch to appropriate rendering function based on child's ray shape
-        // and parent's ray shape (for array mode decision)
-        const polygons = getPolygonsForConnection(parent, child, gradientId);
-        
-        polygons.forEach(polygon => {
-            polygon.dataset.childId = childKey; // Map key (integer) matches selectedIds/children
+        _drawConnection(rayGroup, defs, child, childKey);
+        child.extraLinks.forEach(link => _drawConnection(rayGroup, defs, link, childKey));
+    });
+
+    // Diffraction orders that have no downstream component yet
+    componentManager.components.forEach(component => {
+        getFreeOrderPolygons(component).forEach(polygon => {
             rayGroup.appendChild(polygon);
             if (rayDisplayMode === 'both') {
                 _createEdgeLinesFromPolygon(polygon).forEach(line => rayGroup.appendChild(line));
             }
         });
     });
+
+    _activeParaxialTracer = null;
     
     // Insert aperture rays before trace-lines-group (or schematics) so traces appear on top of rays
     const traceLinesGroup = document.getElementById("trace-lines-group");
@@ -86,17 +87,77 @@ export function drawApertureRays() {
     }
 }
 
+/**
+ * Draw the polygon(s) of one incoming link of the component stored under childKey.
+ * `child` is the component itself or one of its extra links.
+ */
+function _drawConnection(rayGroup, defs, child, childKey) {
+    // Wavelength rejected by the parent's spectral filter: no light on this link
+    if (child.spectrumBlocked) return;
+
+    const parent = _getRayParent(child);
+    if (!parent) return;
+
+    // Create SVG gradient def if gradient mode is on; returns gradient ID or null
+    const gradientId = getRayColors(child).gradient
+        ? _createGradientDef(defs, parent, child)
+        : null;
+    
+    // Dispatch to appropriate rendering function based on child's ray shape
+    // and parent's ray shape (for array mode decision)
+    const polygons = getPolygonsForConnection(parent, child, gradientId);
+    
+    polygons.forEach(polygon => {
+        polygon.dataset.childId = childKey; // Map key (integer) matches selectedIds/children
+        rayGroup.appendChild(polygon);
+        if (rayDisplayMode === 'both') {
+            _createEdgeLinesFromPolygon(polygon).forEach(line => rayGroup.appendChild(line));
+        }
+    });
+}
+
+/**
+ * Resolve the component a child's rays actually come from.
+ * Remaps to the composite exit port only when the parent is a composite member
+ * from a DIFFERENT instance than the child. Within the same composite, the
+ * internal parent pointer must be used as-is (entry → exit wiring is internal).
+ * When the link is bound to an output port, the port's view is returned
+ * (see Component.getOutputPort).
+ */
+function _getRayParent(child) {
+    const rawParent = componentManager.getComponent(child.parent);
+    if (!rawParent) return null;
+    const sameCompositeInstance = child.isCompositeInstance &&
+        rawParent.isCompositeInstance &&
+        child.compositeInstanceId === rawParent.compositeInstanceId;
+    const rayParent = sameCompositeInstance
+        ? rawParent
+        : componentManager.getCompositeExitPort(rawParent);
+    return rayParent ? rayParent.getOutputPort(child.parentPort) : null;
+}
+
 /**
  * Determine which polygon(s) to draw for a parent-child connection.
  * Returns an array of SVG polygon elements.
  * 
  * Dispatches based on child.rayShape with special handling for array mode
- * depending on whether parent is also array mode.
+ * depending on whether parent is also array mode. In paraxial mode, non-array
+ * links are traced instead.
  *
  * Exported so the composite preview dialog can reuse identical ray geometry.
  */
 export function getPolygonsForConnection(parent, child, gradientId = null) {
     const polygons = [];
+    parent = parent.getOutputPort(child.parentPort);
+
+    if (rayTracingMode === 'paraxial' && child.rayShape !== 'array' && parent.rayShape !== 'array') {
+        const paraxial = _createParaxialPolygon(parent, child, gradientId);
+        if (paraxial) {
+            polygons.push(paraxial);
+            return polygons;
+        }
+        // Degenerate geometry (coincident apertures) — fall back to the shape rules
+    }
     
     switch (child.rayShape) {
         case 'collimated':
@@ -131,6 +192,58 @@ export function getPolygonsForConnection(parent, child, gradientId = null) {
     return polygons;
 }
 
+/**
+ * Short stubs for the diffraction orders of a lit grating / DOE that no link
+ * is bound to, so every order is visible before it is attached to a chain.
+ * Links on the main aperture count as order 0. Stubs use the color of the
+ * ray arriving at the component, at reduced opacity.
+ */
+export function getFreeOrderPolygons(component) {
+    if (!component.diffraction || component.parent === null || component.spectrumBlocked) return [];
+
+    const usedPorts = new Set(componentManager.getOutgoingLinks(component)
+        .map(link => component.outputPorts[link.parentPort] ? link.parentPort : 'order0'));
+    const style = {
+        rayShape: 'collimated',
+        rayPolygonColor: getRayColors(component).color,
+        rayPolygonOpacity: (component.rayPolygonOpacity ?? DEFAULT_RAY_POLYGON_OPACITY) * FREE_ORDER_OPACITY_FACTOR
+    };
+
+    const polygons = [];
+    component.getOutputPortNames().forEach(name => {
+        if (usedPorts.has(name)) return;
+
+        const port = component.getOutputPort(name);
+        const pts = port.getAperturePointsWorld();
+        if (!pts || pts.length < 2) return;
+
+        // World-space forward direction of the order. Like the port rays of
+        // bound links it follows rotation only: flips and scale are cosmetic
+        // (see localToWorld), and a flip of the symmetric orders only swaps ±m.
+        const center = port.apertureCenter;
+        const from = component.localToWorld(center.x, center.y);
+        const to = component.localToWorld(center.x + port.forwardVector.x, center.y + port.forwardVector.y);
+        const len = Math.hypot(to.x - from.x, to.y - from.y);
+        if (len < 1e-9) return;
+        const dx = (to.x - from.x) / len * FREE_ORDER_LENGTH;
+        const dy = (to.y - from.y) / len * FREE_ORDER_LENGTH;
+
+        const upper = pts[0];
+        const lower = pts[pts.length - 1];
+        const polygon = _createPolygonElement([
+            upper,
+            { x: upper.x + dx, y: upper.y + dy },
+            { x: lower.x + dx, y: lower.y + dy },
+            lower
+        ], style);
+        if (polygon) {
+            polygon.classList.add('free-order-ray');
+            polygons.push(polygon);
+        }
+    });
+    return polygons;
+}
+
 // ─── Polygon creation functions ─────────────────────────────────────────────
 
 /**
@@ -336,6 +449,23 @@ function _createArrayToArrayPolygons(parent, child, polygons, gradientId = null)
     }
 }
 
+/**
+ * Paraxial: 4-vertex polygon [upperStart, upperEnd, lowerEnd, lowerStart] built from
+ * the two traced marginal rays. When the rays cross between the apertures (a focus),
+ * the polygon self-intersects into a bow-tie whose waist is the focal point.
+ */
+function _createParaxialPolygon(parent, child, gradientId = null) {
+    const tracer = _activeParaxialTracer ?? createParaxialTracer(_getRayParent);
+    const segment = tracer.traceConnection(parent, child);
+    if (!segment) return null;
+
+    return _createPolygonElement(
+        [segment.upper.start, segment.upper.end, segment.lower.end, segment.lower.start],
+        child,
+        gradientId
+    );
+}
+
 // ─── Gradient helpers ────────────────────────────────────────────────────────
 
 /**
@@ -407,8 +537,9 @@ function _createGradientDef(defs, parent, child) {
     gradient.setAttribute("y2", y2);
 
     // Parse colors and compute averaged saturation/lightness for the 5-stop hue interpolation
-    const hsl1 = _colorToHSL(child.rayPolygonColor  || DEFAULT_SOLID_RAY_COLOR);
-    const hsl2 = _colorToHSL(child.rayPolygonColor2 || child.rayPolygonColor || DEFAULT_SOLID_RAY_COLOR);
+    const { color, color2 } = getRayColors(child);
+    const hsl1 = _colorToHSL(color);
+    const hsl2 = _colorToHSL(color2);
     const avgS = (hsl1.s + hsl2.s) / 2;
     const avgL = (hsl1.l + hsl2.l) / 2;
     const opacity = child.rayPolygonOpacity ?? DEFAULT_RAY_POLYGON_OPACITY;
@@ -434,7 +565,7 @@ function _createGradientDef(defs, parent, child) {
  * Used by external SVG builders (e.g. composite save dialog preview/snapshot).
  */
 export function createRayGradientForSvg(svgEl, parent, child) {
-    if (!child.rayGradientEnabled) return null;
+    if (!getRayColors(child).gradient) return null;
     let defs = svgEl.querySelector('defs');
     if (!defs) {
         defs = document.createElementNS("http://www.w3.org/2000/svg", "defs");
@@ -467,7 +598,7 @@ function _createPolygonElement(vertices, child, gradientId = null) {
         polygon.setAttribute("fill", `url(#${gradientId})`);
         polygon.setAttribute("fill-opacity", "1");
     } else {
-        polygon.setAttribute("fill", child.rayPolygonColor || DEFAULT_SOLID_RAY_COLOR);
+        polygon.setAttribute("fill", getRayColors(child).color);
         polygon.setAttribute("fill-opacity", child.rayPolygonOpacity ?? DEFAULT_RAY_POLYGON_OPACITY);
     }
     polygon.setAttribute("stroke", "none");
@@ -520,6 +651,24 @@ export function hideApertureRays() {
     }
 }
 
+/**
+ * Switch between illustrative (shape-rule) and paraxial (focal-length) ray tracing.
+ * Callers redraw via updateRays() so the selection highlight follows the new polygons.
+ * @param {'illustrative'|'paraxial'} mode
+ */
+export function setRayTracingMode(mode) {
+    rayTracingMode = mode === 'paraxial' ? 'paraxial' : 'illustrative';
+    const btn = document.getElementById('ray-tracing-mode-btn');
+    if (btn) btn.textContent = rayTracingMode === 'paraxial' ? 'Paraxial Rays' : 'Illustrative Rays';
+}
+
+/**
+ * Toggle between illustrative and paraxial ray tracing.
+ */
+export function toggleRayTracingMode() {
+    setRayTracingMode(rayTracingMode === 'paraxial' ? 'illustrative' : 'paraxial');
+}
+
 /**
  * Toggle aperture rays visibility.
  */
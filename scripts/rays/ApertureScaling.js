@@ -155,6 +155,9 @@ function flipUpVector(comp) {
 export function applyApertureScaling(child, parent) {
     if (!parent) return;
 
+    // Links bound to an output port (beamsplitter faces) scale against that port's aperture
+    parent = parent.getOutputPort(child.parentPort);
+
     // Composite members have their ray geometry frozen against *external* cascades
     // (e.g. a component outside the composite rescaling into it).
     // However, intra-composite cascades — where the parent is a sibling in the same
@@ -214,6 +217,9 @@ export function applyApertureScaling(child, parent) {
  * Call this after any component is moved, rotated, or scaled so that the
  * entire sub-tree stays visually coherent.
  *
+ * A child reached through an extra incoming link only has that link rescaled;
+ * its own sub-tree follows its primary parent.
+ *
  * @param {Component} root          The component whose children should be updated.
  * @param {Function}  getComponent  (id) => Component | undefined — resolver for child lookups.
  */
@@ -224,27 +230,43 @@ export function recursivelyUpdateChildrenApertures(root, getComponent) {
         const child = getComponent(childId);
         if (!child) continue;
 
-        const rawParent = getComponent(child.parent);
-        // Remap to the composite exit port only when the parent is a non-exit composite
-        // member from a DIFFERENT instance than the child.
-        // Within the same composite, intra-composite parent pointers must be used as-is
-        // (same logic as drawApertureRays) — remapping them to the exit port would make
-        // applyApertureScaling/checkLinesCross use wrong geometry and flip upVectors.
-        const sameCompositeInstance = child.isCompositeInstance &&
-            rawParent?.isCompositeInstance &&
-            child.compositeInstanceId === rawParent.compositeInstanceId;
-        const parent = (!sameCompositeInstance && rawParent && rawParent.isCompositeInstance && !rawParent.isExitPort)
-            ? (() => {
-                for (const mId of (rawParent.groupMembers || [])) {
-                    const m = getComponent(mId);
-                    if (m && m.isExitPort && m.compositeInstanceId === rawParent.compositeInstanceId) return m;
-                }
-                return rawParent;
-              })()
-            : rawParent;
+        if (getComponent(child.parent) !== root) {
+            (child.extraLinks || [])
+                .filter(link => getComponent(link.parent) === root)
+                .forEach(link => applyApertureScaling(link, resolveScalingParent(link, getComponent)));
+            continue;
+        }
+
+        const parent = resolveScalingParent(child, getComponent);
         if (!parent) continue;
 
         applyApertureScaling(child, parent);
         recursivelyUpdateChildrenApertures(child, getComponent);
     }
 }
+
+/**
+ * Resolve the component a child (or extra link) scales against.
+ *
+ * @param {Component} child
+ * @param {Function}  getComponent
+ * @returns {Component|undefined}
+ */
+export function resolveScalingParent(child, getComponent) {
+    const rawParent = getComponent(child.parent);
+    // Remap to the composite exit port only when the parent is a non-exit composite
+    // member from a DIFFERENT instance than the child.
+    // Within the same composite, intra-composite parent pointers must be used as-is
+    // (same logic as drawApertureRays) — remapping them to the exit port would make
+    // applyApertureScaling/checkLinesCross use wrong geometry and flip upVectors.
+    const sameCompositeInstance = child.isCompositeInstance &&
+        rawParent?.isCompositeInstance &&
+        child.compositeInstanceId === rawParent.compositeInstanceId;
+    if (!sameCompositeInstance && rawParent && rawParent.isCompositeInstance && !rawParent.isExitPort) {
+        for (const mId of (rawParent.groupMembers || [])) {
+            const m = getComponent(mId);
+            if (m && m.isExitPort && m.compositeInstanceId === rawParent.compositeInstanceId) return m;
+        }
+    }
+    return rawParent;
+}
@@ -1,7 +1,9 @@
 import { drawTraceLines } from './TraceLines.js';
 import { drawApertureRays, showApertureRays } from './ApertureRays.js';
-import { applyApertureScaling, recursivelyUpdateChildrenApertures } from './ApertureScaling.js';
+import { applyApertureScaling, recursivelyUpdateChildrenApertures, resolveScalingParent } from './ApertureScaling.js';
+import { propagateWavelengths } from './Spectrum.js';
 import { componentManager } from '../components/ComponentManager.js';
+import { annotationManager } from '../annotations/AnnotationManager.js';
 
 document.addEventListener('ray:selectionChanged', applyRayHighlight);
 
@@ -12,6 +14,9 @@ document.addEventListener('ray:selectionChanged', applyRayHighlight);
  * @param {string|null} sourceId - Optional ID of the component that triggered the update
  */
 export function updateRays(sourceId = null) {
+    // 0. Carry wavelengths down the inherit-color chain (through spectral filters)
+    propagateWavelengths(componentManager);
+
     // 1. Recalculate aperture sizes for the whole tree
     updateApertureScaling(sourceId);
 
@@ -25,6 +30,9 @@ export function updateRays(sourceId = null) {
 
     // 4. Overlay dashed highlight on affected rays
     applyRayHighlight();
+
+    // 5. Redraw annotations (leader ends and dimensions follow components)
+    annotationManager.render();
 }
 
 /**
@@ -168,7 +176,10 @@ function updateApertureScaling(sourceId = null) {
             const parent = sameInst ? rawParent : componentManager.getCompositeExitPort(rawParent);
             applyApertureScaling(source, parent);
         }
-        if (source) recursivelyUpdateChildrenApertures(source, getComponent);
+        if (source) {
+            source.extraLinks.forEach(link => applyApertureScaling(link, resolveScalingParent(link, getComponent)));
+            recursivelyUpdateChildrenApertures(source, getComponent);
+        }
         return;
     }
 
@@ -0,0 +1,199 @@
+/**
+ * ParaxialTrace.js
+ *
+ * Paraxial (ABCD ray-transfer matrix) propagation of a beam's two marginal
+ * rays through the parent → child component tree. Used by ApertureRays.js
+ * when rayTracingMode === 'paraxial'.
+ *
+ * Every link is free-space propagation over the distance d between the two
+ * aperture centres, and every component with a finite focalLength is a thin
+ * lens at its aperture:
+ *
+ *     propagation  [ 1  d ]        thin lens  [   1    0 ]
+ *                  [ 0  1 ]                   [ -1/f   1 ]
+ *
+ * Heights are measured perpendicular to the link axis (parent → child).
+ * Mirrors and beam-splitter folds are handled in the unfolded path: a fold
+ * flips the sign of the ray slope, and a curved mirror adds power exactly
+ * like a lens of the same focal length.
+ *
+ * Pure functions — no top-level imports from ComponentManager (same rule as
+ * ApertureScaling.js). Callers pass a resolver that returns the component a
+ * ray actually comes from (composite exit-port remapping lives there).
+ */
+
+import { PARAXIAL_POINT_SOURCE_HALF_ANGLE } from '../config.js';
+
+// Links whose axis turns by less than ~25° count as straight-through (not a fold)
+const STRAIGHT_THROUGH_COS = 0.9;
+
+/**
+ * Create a tracer that memoises the beam arriving at each component, so a
+ * full redraw traces every link once.
+ *
+ * @param {(component: Component) => Component|null} getRayParent
+ * @returns {{ traceConnection: (parent: Component, child: Component) =>
+ *             { upper: {start, end}, lower: {start, end} } | null }}
+ */
+export function createParaxialTracer(getRayParent) {
+    // component → incoming beam ({ axis, rays }) or null for roots / failures
+    const incoming = new Map();
+    const visiting = new Set();
+
+    function getIncomingBeam(component) {
+        if (incoming.has(component)) return incoming.get(component);
+
+        const parent = component.parent !== null ? getRayParent(component) : null;
+        if (!parent || visiting.has(component)) return null;
+
+        visiting.add(component);
+        const beam = _propagate(parent, component, getIncomingBeam(parent));
+        visiting.delete(component);
+
+        incoming.set(component, beam);
+        return beam;
+    }
+
+    return {
+        traceConnection(parent, child) {
+            const beam = getIncomingBeam(child);
+            if (beam) return beam.segment;
+            // Cache misses only happen when child's resolved parent differs from
+            // the one requested (e.g. preview dialogs); trace this link directly.
+            const direct = _propagate(parent, child, getIncomingBeam(parent));
+            return direct ? direct.segment : null;
+        }
+    };
+}
+
+// ─── Propagation ────────────────────────────────────────────────────────────
+
+/**
+ * Trace both marginal rays from `parent` to `child`.
+ *
+ * @param {Component} parent
+ * @param {Component} child
+ * @param {{ axis, rays }|null} parentBeam - beam arriving at parent (null → parent is a source)
+ * @returns {{ axis, rays, segment }|null}
+ */
+function _propagate(parent, child, parentBeam) {
+    const pc = parent.getApertureCenterWorld();
+    const cc = child.getApertureCenterWorld();
+    const dx = cc.x - pc.x;
+    const dy = cc.y - pc.y;
+    const d = Math.sqrt(dx * dx + dy * dy);
+    if (d < 1e-6) return null;
+
+    // Outgoing link frame: t along the axis, n its 90° CCW perpendicular
+    const t = { x: dx / d, y: dy / d };
+    const n = { x: -t.y, y: t.x };
+
+    const parentUp = _apertureDirectionWorld(parent);
+    const sourceRays = parentBeam
+        ? _refractRays(parentBeam, parentUp, t, n)
+        : _emitSourceRays(parent, pc, parentUp, n);
+
+    // Thin-lens kick at the parent aperture: u' = u - h / f
+    const f = parent.focalLength;
+    const power = (Number.isFinite(f) && f !== 0) ? 1 / f : 0;
+
+    const childUp = _apertureDirectionWorld(child);
+    const rays = sourceRays.map(({ point, slope }) => {
+        const h = (point.x - pc.x) * n.x + (point.y - pc.y) * n.y;
+        const u = slope - h * power;
+        const dir = _normalize({ x: t.x + u * n.x, y: t.y + u * n.y });
+        const end = _intersectAperture(point, dir, cc, childUp)
+            ?? { x: point.x + dir.x * d / (dir.x * t.x + dir.y * t.y),
+                 y: point.y + dir.y * d / (dir.x * t.x + dir.y * t.y) };
+        return { start: point, end, slope: u };
+    });
+
+    return {
+        axis: { t, n },
+        rays: rays.map(r => ({ point: r.end, slope: r.slope })),
+        segment: {
+            upper: { start: rays[0].start, end: rays[0].end },
+            lower: { start: rays[1].start, end: rays[1].end }
+        }
+    };
+}
+
+/**
+ * Rays leaving a root component. A point-like source (divergent / convergent
+ * ray shape, or a non-zero cone angle) emits from its aperture centre at
+ * ±coneAngle; everything else launches a collimated beam of ±apertureRadius.
+ */
+function _emitSourceRays(source, center, up, n) {
+    const isPointSource = source.coneAngle > 0 ||
+        source.rayShape === 'divergent' || source.rayShape === 'convergent';
+
+    if (isPointSource) {
+        const halfAngle = source.coneAngle > 0 ? source.coneAngle : PARAXIAL_POINT_SOURCE_HALF_ANGLE;
+        const u = Math.tan(halfAngle * Math.PI / 180);
+        // Keep "upper" on the side of the source's upVector
+        const sign = (up.x * n.x + up.y * n.y) >= 0 ? 1 : -1;
+        return [
+            { point: center, slope:  sign * u },
+            { point: center, slope: -sign * u }
+        ];
+    }
+
+    const r = source.apertureRadius;
+    return [
+        { point: { x: center.x + up.x * r, y: center.y + up.y * r }, slope: 0 },
+        { point: { x: center.x - up.x * r, y: center.y - up.y * r }, slope: 0 }
+    ];
+}
+
+/**
+ * Re-express the rays arriving at a component in its outgoing link frame.
+ * A fold (the aperture flips sides between the incoming and outgoing
+ * perpendicular) reverses the slope, as for a plane mirror.
+ */
+function _refractRays(beam, up, t, n) {
+    const { t: tIn, n: nIn } = beam.axis;
+    const sideIn  = up.x * nIn.x + up.y * nIn.y;
+    const sideOut = up.x * n.x + up.y * n.y;
+    const flip = (Math.abs(sideIn) > 1e-3 && Math.abs(sideOut) > 1e-3 && Math.sign(sideIn) !== Math.sign(sideOut))
+        ? -1 : 1;
+    // Slopes are relative to the incoming axis. For a (nearly) straight-through
+    // link, re-reference the small misalignment between the two axes so the beam
+    // keeps its world direction; folds are treated as ideal (axis → axis).
+    const along = tIn.x * t.x + tIn.y * t.y;
+    const tilt = (flip === 1 && along > STRAIGHT_THROUGH_COS)
+        ? (tIn.x * n.x + tIn.y * n.y) / along
+        : 0;
+    return beam.rays.map(({ point, slope }) => ({ point, slope: flip * slope + tilt }));
+}
+
+// ─── Geometry helpers ───────────────────────────────────────────────────────
+
+/** World-space unit vector along the component's aperture (rotated upVector). */
+function _apertureDirectionWorld(component) {
+    const rad = component.rotation * Math.PI / 180;
+    const cos = Math.cos(rad);
+    const sin = Math.sin(rad);
+    return _normalize({
+        x: component.upVector.x * cos - component.upVector.y * sin,
+        y: component.upVector.x * sin + component.upVector.y * cos
+    });
+}
+
+/**
+ * Intersect the ray `origin + s·dir` (s > 0) with the aperture line through
+ * `center` along `up`. Returns null when the two are (nearly) parallel.
+ */
+function _intersectAperture(origin, dir, center, up) {
+    const denom = dir.x * up.y - dir.y * up.x;
+    if (Math.abs(denom) < 1e-6) return null;
+    const wx = center.x - origin.x;
+    const wy = center.y - origin.y;
+    const s = (wx * up.y - wy * up.x) / denom;
+    if (s <= 0) return null;
+    return { x: origin.x + dir.x * s, y: origin.y + dir.y * s };
+}
+
+function _normalize(v) {
+    const len = Math.sqrt(v.x * v.x + v.y * v.y);
+    return len > 1e-12 ? { x: v.x / len, y: v.y / len } : { x: 1, y: 0 };
+}
@@ -5,11 +5,14 @@
  */
 
 import { ComponentManager, componentManager } from '../components/ComponentManager.js';
+import { components as componentRegistry } from '../components/ComponentLibrary.js';
 import { updateRays } from './DrawRays.js';
 import { rebuildDebugForComponent } from '../utils/DebugLayer.js';
 import { APERTURE_RADIUS_STEP, APERTURE_OFFSET_STEP, ARRAY_SIZE_RATIO_STEP, ARRAY_POSITION_RATIO_STEP,
-         DEFAULT_SOLID_RAY_COLOR, DEFAULT_RAY_POLYGON_OPACITY } from '../config.js';
+         DEFAULT_SOLID_RAY_COLOR, DEFAULT_RAY_POLYGON_OPACITY,
+         LASER_LINES, DEFAULT_WAVELENGTH, MAX_DIFFRACTION_ORDER } from '../config.js';
 import { actionHistory } from '../history/ActionHistory.js';
+import { trackPointer } from '../events/PointerTracking.js';
 
 /** Extract the 0-359 hue from either an HSL or 6-digit hex color string. */
 function _colorToHue(color) {
@@ -34,6 +37,7 @@ function _hueToRayColor(hue) {
   return `hsl(${hue}, 70%, 50%)`;
 }
 
+// The component being edited, or one of its extra incoming links (see Component.addExtraLink)
 let currentComponent = null;
 
 // â”€â”€â”€ HTML template â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€
@@ -57,6 +61,20 @@ function buildPanelHTML(comp) {
   const positionRatio = comp.arrayPositionRatio ?? 1.0;
   const inheritColor = comp.rayColorInheritFromParent ?? true;
   const gradientEnabled = comp.rayGradientEnabled ?? false;
+  // Focal length is only offered for types whose definition declares one (lens, objective, mirror);
+  // it belongs to the component, not to one of its incoming links
+  const hasFocalLength = !comp.isExtraLink && componentRegistry[comp.type]?.focalLength !== undefined;
+  const focalLength = comp.focalLength ?? '';
+  // Wavelength: a laser line, a custom line/band, or none (plain hue color)
+  const wavelength = comp.wavelength ?? null;
+  const bandwidth  = comp.wavelengthBandwidth ?? 0;
+  const hasWavelength = wavelength !== null;
+  const wavelengthLine = !hasWavelength ? ''
+    : (bandwidth === 0 && LASER_LINES.includes(wavelength) ? String(wavelength) : 'custom');
+  // Dichroics / filters: wavelength selectivity belongs to the component, not to a link
+  const filter = comp.isExtraLink ? null : comp.spectralFilter;
+  // Gratings / DOEs: the order fan-out also belongs to the component
+  const diffraction = comp.isExtraLink ? null : comp.diffraction;
   // Non-entry composite members have all ray controls locked in the UI;
   // only the entry port may be edited. Ray propagation still flows normally.
   const compLocked = comp.isCompositeInstance && !comp.isEntryPort;
@@ -71,8 +89,29 @@ function buildPanelHTML(comp) {
   const divergentParentControlled = shape === 'divergent' && parentComp && parentComp.coneAngle;
   const radiusDisabled = compLocked || (!!parentComp && (shape === 'collimated' || divergentParentControlled));
 
+  // Beamsplitter-like parents: which output port this link leaves from
+  const rayParent = parentComp ? componentManager.getCompositeExitPort(parentComp) : null;
+  const portNames = rayParent ? rayParent.getOutputPortNames() : [];
+  const port = comp.parentPort ?? '';
+
+  // Components fed by several parents: pick which incoming link the controls edit
+  const owner = comp.owner ?? comp;
+  const parentName = id => componentManager.getComponent(id)?.name ?? `#${id}`;
+
   return `
     ${compLocked ? '<div class="rp-locked-notice">Locked — edit via entry port</div>' : ''}
+    ${owner.extraLinks.length > 0 ? `
+    <div class="rp-section">
+      <div class="rp-field">
+        <label class="rp-label" for="rp-link">Incoming Link</label>
+        <select id="rp-link" class="rp-select">
+          <option value="" ${!comp.isExtraLink ? 'selected' : ''}>From ${parentName(owner.parent)}</option>
+          ${owner.extraLinks.map(link => `
+          <option value="${link.parent}" ${link === comp ? 'selected' : ''}>From ${parentName(link.parent)}</option>`).join('')}
+        </select>
+      </div>
+      ${comp.isExtraLink ? '<button type="button" id="rp-link-remove" class="rp-btn">Remove this input</button>' : ''}
+    </div>` : ''}
     <div class="rp-section">
       <div class="rp-field">
         <label class="rp-label${compLocked ? ' rp-label-disabled' : ''}" for="rp-shape">Ray Shape</label>
@@ -84,6 +123,15 @@ function buildPanelHTML(comp) {
           <option value="array"      ${shape==='array'     ?'selected':''}>Array</option>
         </select>
       </div>
+      ${portNames.length > 0 ? `
+      <div class="rp-field">
+        <label class="rp-label${compLocked ? ' rp-label-disabled' : ''}" for="rp-port">Output Port <span class="rp-value">of parent</span></label>
+        <select id="rp-port" class="rp-select"${compLocked ? ' disabled' : ''}>
+          <option value="" ${port === '' ? 'selected' : ''}>Main aperture</option>
+          ${portNames.map(name => `
+          <option value="${name}" ${port === name ? 'selected' : ''}>${rayParent.outputPorts[name].label || name}</option>`).join('')}
+        </select>
+      </div>` : ''}
     </div>
 
     <div class="rp-section rp-color-section">
@@ -94,13 +142,35 @@ function buildPanelHTML(comp) {
           <input type="checkbox" id="rp-inherit-color" ${inheritColor ? 'checked' : ''}${compLocked ? ' disabled' : ''}>
           Inherit from parent${compLocked ? ' <span class="rp-lock-note">(entry port only)</span>' : ''}
         </label>
-        <label class="rp-gradient-toggle${compLocked ? ' rp-label-disabled' : ''}">
+        <label class="rp-gradient-toggle${compLocked ? ' rp-label-disabled' : ''}"${hasWavelength ? ' style="display:none"' : ''}>
           <input type="checkbox" id="rp-gradient" ${gradientEnabled ? 'checked' : ''}${compLocked ? ' disabled' : ''}>
           Color Gradient
         </label>
       </div>
 
       <div class="rp-field">
+        <label class="rp-label${compLocked ? ' rp-label-disabled' : ''}" for="rp-wavelength-line">Wavelength</label>
+        <select id="rp-wavelength-line" class="rp-select"${compLocked ? ' disabled' : ''}>
+          <option value="" ${wavelengthLine === '' ? 'selected' : ''}>Off (use hue)</option>
+          ${LASER_LINES.map(nm => `
+          <option value="${nm}" ${wavelengthLine === String(nm) ? 'selected' : ''}>${nm} nm</option>`).join('')}
+          <option value="custom" ${wavelengthLine === 'custom' ? 'selected' : ''}>Custom line / band</option>
+        </select>
+      </div>
+
+      ${hasWavelength ? `
+      <div class="rp-field">
+        <label class="rp-label${compLocked ? ' rp-label-disabled' : ''}" for="rp-wavelength">Center <span class="rp-value">nm</span></label>
+        <input type="number" id="rp-wavelength" class="rp-number"
+               min="200" max="2000" step="1" value="${+wavelength.toFixed(1)}"${compLocked ? ' disabled' : ''}>
+      </div>
+      <div class="rp-field">
+        <label class="rp-label${compLocked ? ' rp-label-disabled' : ''}" for="rp-bandwidth">Band Width <span class="rp-value">nm, 0 = line</span></label>
+        <input type="number" id="rp-bandwidth" class="rp-number"
+               min="0" max="1000" step="1" value="${+bandwidth.toFixed(1)}"${compLocked ? ' disabled' : ''}>
+      </div>` : ''}
+
+      <div class="rp-field"${hasWavelength ? ' style="display:none"' : ''}>
         <div class="rp-hue-label-row">
           <label class="rp-label${compLocked ? ' rp-label-disabled' : ''}">Color Hue</label>
           <span class="rp-value" id="rp-hue-val">${gradientEnabled ? hue1 + '&#176; / ' + hue2 + '&#176;' : hue1 + '&#176;'}</span>
@@ -134,6 +204,54 @@ function buildPanelHTML(comp) {
       </div>
     </div>
 
+    ${filter ? `
+    <div class="rp-section">
+      <div class="rp-section-title">Spectral Filter</div>
+      <div class="rp-field">
+        <label class="rp-label${compLocked ? ' rp-label-disabled' : ''}" for="rp-filter-mode">Type</label>
+        <select id="rp-filter-mode" class="rp-select"${compLocked ? ' disabled' : ''}>
+          <option value="longpass"  ${filter.mode === 'longpass'  ? 'selected' : ''}>Longpass (passes long wavelengths)</option>
+          <option value="shortpass" ${filter.mode === 'shortpass' ? 'selected' : ''}>Shortpass (passes short wavelengths)</option>
+          <option value="bandpass"  ${filter.mode === 'bandpass'  ? 'selected' : ''}>Bandpass</option>
+        </select>
+      </div>
+      <div class="rp-field">
+        <label class="rp-label${compLocked ? ' rp-label-disabled' : ''}" for="rp-filter-wavelength">${filter.mode === 'bandpass' ? 'Center' : 'Edge'} <span class="rp-value">nm</span></label>
+        <input type="number" id="rp-filter-wavelength" class="rp-number"
+               min="200" max="2000" step="1" value="${filter.wavelength}"${compLocked ? ' disabled' : ''}>
+      </div>
+      ${filter.mode === 'bandpass' ? `
+      <div class="rp-field">
+        <label class="rp-label${compLocked ? ' rp-label-disabled' : ''}" for="rp-filter-width">Width <span class="rp-value">nm</span></label>
+        <input type="number" id="rp-filter-width" class="rp-number"
+               min="1" max="1000" step="1" value="${filter.width ?? 0}"${compLocked ? ' disabled' : ''}>
+      </div>` : ''}
+    </div>` : ''}
+
+    ${diffraction ? `
+    <div class="rp-section">
+      <div class="rp-section-title">Diffraction Orders</div>
+      <div class="rp-field">
+        <label class="rp-label${compLocked ? ' rp-label-disabled' : ''}" for="rp-diffraction-orders">Highest Order <span class="rp-value">&plusmn;m</span></label>
+        <input type="number" id="rp-diffraction-orders" class="rp-number"
+               min="0" max="${MAX_DIFFRACTION_ORDER}" step="1" value="${diffraction.maxOrder}"${compLocked ? ' disabled' : ''}>
+      </div>
+      <div class="rp-field">
+        <label class="rp-label${compLocked ? ' rp-label-disabled' : ''}" for="rp-diffraction-angle">First-Order Angle <span class="rp-value">&deg;</span></label>
+        <input type="number" id="rp-diffraction-angle" class="rp-number"
+               min="0.1" max="90" step="0.5" value="${diffraction.angle}"${compLocked ? ' disabled' : ''}>
+      </div>
+    </div>` : ''}
+
+    ${hasFocalLength ? `
+    <div class="rp-section">
+      <div class="rp-field">
+        <label class="rp-label${compLocked ? ' rp-label-disabled' : ''}" for="rp-focal-length">Focal Length <span class="rp-value">paraxial mode</span></label>
+        <input type="number" id="rp-focal-length" class="rp-number"
+               step="1" placeholder="&#8734; (flat)" value="${focalLength}"${compLocked ? ' disabled' : ''}>
+      </div>
+    </div>` : ''}
+
     <div class="rp-section rp-array-section" id="rp-array-section" style="display:${arrayDisplay}">
       <div class="rp-section-title">Array Settings</div>
       <div class="rp-field">
@@ -178,9 +296,40 @@ function wireEvents(body) {
   const apply = () => {
     if (!currentComponent) return;
     updateRays();
-    rebuildDebugForComponent(currentComponent);
+    rebuildDebugForComponent(currentComponent.owner ?? currentComponent);
   };
 
+  const linkSelect = get('rp-link');
+  if (linkSelect) {
+    linkSelect.addEventListener('change', e => {
+      if (!currentComponent) return;
+      const owner = currentComponent.owner ?? currentComponent;
+      currentComponent = e.target.value === ''
+        ? owner
+        : owner.getExtraLink(parseInt(e.target.value, 10)) ?? owner;
+      body.innerHTML = buildPanelHTML(currentComponent);
+      wireEvents(body);
+    });
+  }
+
+  const linkRemoveBtn = get('rp-link-remove');
+  if (linkRemoveBtn) {
+    linkRemoveBtn.addEventListener('click', () => {
+      if (!currentComponent?.isExtraLink) return;
+      const owner = currentComponent.owner;
+      const parentId = currentComponent.parent;
+      const ownerId = [...componentManager.components].find(([, c]) => c === owner)?.[0];
+      if (ownerId === undefined) return;
+      actionHistory.run('Remove incoming link', 'remove-link', () => {
+        componentManager.removeIncomingLink(ownerId, parentId);
+        updateRays();
+      });
+      currentComponent = owner;
+      body.innerHTML = buildPanelHTML(owner);
+      wireEvents(body);
+    });
+  }
+
   const beginControlHistory = (label, type) => {
     if (!actionHistory.isApplyingHistory) actionHistory.begin(label, type);
   };
@@ -212,6 +361,17 @@ function wireEvents(body) {
     });
   });
 
+  const portSelect = get('rp-port');
+  if (portSelect) {
+    portSelect.addEventListener('change', e => {
+      actionHistory.run('Change output port', 'ray-port', () => {
+        if (!currentComponent) return;
+        currentComponent.parentPort = e.target.value || null;
+        apply();
+      });
+    });
+  }
+
   get('rp-inherit-color').addEventListener('change', e => {
     actionHistory.run('Toggle color inheritance', 'ray-inherit-color', () => {
       if (!currentComponent) return;
@@ -256,10 +416,9 @@ function wireEvents(body) {
 
   // Propagate color/opacity/gradient down the tree to all descendants that opt-in.
   // Any null argument is skipped (i.e. that property is not changed on descendants).
+  // Extra incoming links of a child inherit too, but have no descendants of their own.
   function propagateColor(comp, color, opacity, gradientEnabled, color2) {
-    for (const childId of comp.children) {
-      const child = componentManager.getComponent(childId);
-      if (!child) continue;
+    for (const child of componentManager.getOutgoingLinks(comp)) {
       if (child.rayColorInheritFromParent ?? true) {
         if (color !== null && color !== undefined)           child.rayPolygonColor    = color;
         if (opacity !== null && opacity !== undefined)       child.rayPolygonOpacity  = opacity;
@@ -270,6 +429,98 @@ function wireEvents(body) {
     }
   }
 
+  // ── Wavelength ────────────────────────────────────────────────────────────
+
+  /** Rebuild the panel (wavelength mode shows different color controls). */
+  function rerender() {
+    body.innerHTML = buildPanelHTML(currentComponent);
+    wireEvents(body);
+  }
+
+  get('rp-wavelength-line').addEventListener('change', e => {
+    actionHistory.run('Change wavelength', 'ray-wavelength', () => {
+      if (!currentComponent) return;
+      untickInherit();
+      const value = e.target.value;
+      if (value === '') {
+        currentComponent.wavelength = null;
+        currentComponent.wavelengthBandwidth = 0;
+      } else if (value === 'custom') {
+        currentComponent.wavelength = currentComponent.wavelength ?? DEFAULT_WAVELENGTH;
+      } else {
+        currentComponent.wavelength = parseInt(value, 10);
+        currentComponent.wavelengthBandwidth = 0;
+      }
+      apply();
+    });
+    rerender();
+  });
+
+  const wavelengthInput = get('rp-wavelength');
+  const bandwidthInput = get('rp-bandwidth');
+  const onWavelengthInput = () => {
+    const center = parseFloat(wavelengthInput.value);
+    const width = parseFloat(bandwidthInput.value);
+    if (!Number.isFinite(center) || center <= 0 || !Number.isFinite(width) || width < 0) return;
+    actionHistory.run('Change wavelength', 'ray-wavelength', () => {
+      if (!currentComponent) return;
+      untickInherit();
+      currentComponent.wavelength = center;
+      currentComponent.wavelengthBandwidth = width;
+      apply();
+    });
+    const lineSelect = get('rp-wavelength-line');
+    if (lineSelect) lineSelect.value = width === 0 && LASER_LINES.includes(center) ? String(center) : 'custom';
+  };
+  if (wavelengthInput) wavelengthInput.addEventListener('change', onWavelengthInput);
+  if (bandwidthInput) bandwidthInput.addEventListener('change', onWavelengthInput);
+
+  const filterMode = get('rp-filter-mode');
+  if (filterMode) {
+    filterMode.addEventListener('change', e => {
+      actionHistory.run('Change spectral filter', 'spectral-filter', () => {
+        if (!currentComponent?.spectralFilter) return;
+        currentComponent.spectralFilter.mode = e.target.value;
+        if (e.target.value === 'bandpass' && !currentComponent.spectralFilter.width) {
+          currentComponent.spectralFilter.width = 50;
+        }
+        apply();
+      });
+      rerender();
+    });
+    ['wavelength', 'width'].forEach(key => {
+      const input = get(`rp-filter-${key}`);
+      if (!input) return;
+      input.addEventListener('change', () => {
+        const v = parseFloat(input.value);
+        if (!Number.isFinite(v) || v <= 0) return;
+        actionHistory.run('Change spectral filter', 'spectral-filter', () => {
+          if (!currentComponent?.spectralFilter) return;
+          currentComponent.spectralFilter[key] = v;
+          apply();
+        });
+      });
+    });
+  }
+
+  // ── Diffraction orders ────────────────────────────────────────────────────
+
+  const ordersInput = get('rp-diffraction-orders');
+  const angleInput = get('rp-diffraction-angle');
+  const onDiffractionInput = () => {
+    const maxOrder = parseInt(ordersInput.value, 10);
+    const angle = parseFloat(angleInput.value);
+    if (!Number.isInteger(maxOrder) || maxOrder < 0 || maxOrder > MAX_DIFFRACTION_ORDER) return;
+    if (!Number.isFinite(angle) || angle <= 0 || angle > 90) return;
+    actionHistory.run('Change diffraction orders', 'diffraction-orders', () => {
+      if (!currentComponent?.diffraction) return;
+      currentComponent.setDiffraction({ maxOrder, angle });
+      apply();
+    });
+  };
+  if (ordersInput) ordersInput.addEventListener('change', onDiffractionInput);
+  if (angleInput) angleInput.addEventListener('change', onDiffractionInput);
+
   function untickInherit() {
     if (!currentComponent || !currentComponent.rayColorInheritFromParent) return;
     currentComponent.rayColorInheritFromParent = false;
@@ -296,7 +547,7 @@ function wireEvents(body) {
 
   /** Attach pointer-drag listeners to a hue knob. */
   function _attachKnobDrag(knobEl, isKnob1) {
-    knobEl.addEventListener('mousedown', e => {
+    knobEl.addEventListener('pointerdown', e => {
       e.preventDefault();
       e.stopPropagation();
       actionHistory.begin(isKnob1 ? 'Change ray color' : 'Change gradient color', 'ray-color');
@@ -333,14 +584,7 @@ function wireEvents(body) {
         apply();
       };
 
-      const onUp = () => {
-        document.removeEventListener('mousemove', onMove);
-        document.removeEventListener('mouseup', onUp);
-        actionHistory.commit();
-      };
-
-      document.addEventListener('mousemove', onMove);
-      document.addEventListener('mouseup', onUp);
+      trackPointer(e, onMove, () => actionHistory.commit());
     });
   }
 
@@ -412,6 +656,20 @@ function wireEvents(body) {
   });
   get('rp-offset').addEventListener('change', commitControlHistory);
 
+  const focalLengthInput = get('rp-focal-length');
+  if (focalLengthInput) {
+    focalLengthInput.addEventListener('change', e => {
+      actionHistory.run('Change focal length', 'focal-length', () => {
+        if (!currentComponent) return;
+        const raw = e.target.value.trim();
+        // Empty (or 0) clears the optical power: flat mirror / pass-through
+        currentComponent.setFocalLength(raw === '' ? null : parseFloat(raw));
+        e.target.value = currentComponent.focalLength ?? '';
+        apply();
+      });
+    });
+  }
+
   get('rp-segments').addEventListener('change', e => {
     actionHistory.run('Change array segments', 'array-segments', () => {
       if (!currentComponent) return;
@@ -0,0 +1,146 @@
+/**
+ * Spectrum.js — Wavelength-aware ray colors and spectral filtering.
+ *
+ * A link (a component, or one of its extra incoming links) may carry a
+ * `wavelength` in nm and a `wavelengthBandwidth` (0 = a single laser line,
+ * >0 = a band, e.g. fluorescence emission). Its rays are drawn in colors
+ * derived from it: a solid color for a line, a gradient across the band
+ * otherwise. The hue colors chosen in the ray panel are left untouched and
+ * come back when the wavelength is cleared.
+ *
+ * Links that inherit their color from the parent also inherit its band, after
+ * the parent's `spectralFilter` for the output port the link leaves from
+ * (dichroic mirrors, bandpass filters). A link whose band is fully rejected
+ * is marked `spectrumBlocked` and draws no ray, and so is every link below
+ * it: no light reaches them.
+ */
+
+import { wavelengthToHex } from '../utils/colorUtils.js';
+import { OUT_OF_RANGE_WAVELENGTH_COLOR, DEFAULT_SOLID_RAY_COLOR } from '../config.js';
+
+/**
+ * Band carried by a link, or null when it has no wavelength.
+ * @returns {{min: number, max: number}|null}
+ */
+export function getBand(link) {
+    if (link.wavelength === null || link.wavelength === undefined) return null;
+    const half = (link.wavelengthBandwidth || 0) / 2;
+    return { min: link.wavelength - half, max: link.wavelength + half };
+}
+
+/**
+ * Part of `band` that leaves a spectral filter through `port`.
+ * The main aperture and the 'transmitted' port get the passband; any other
+ * port (e.g. 'reflected') gets the rejected light. When a bandpass filter
+ * rejects both sides of a band, the wider side is kept.
+ *
+ * @param {{min: number, max: number}} band
+ * @param {{mode: 'longpass'|'shortpass'|'bandpass', wavelength: number, width?: number}|null} filter
+ * @param {string|null} port
+ * @returns {{min: number, max: number}|null} null when nothing gets through
+ */
+export function filterBand(band, filter, port) {
+    if (!filter) return band;
+
+    const transmitted = port === null || port === undefined || port === 'transmitted';
+    const edge = filter.wavelength;
+    let intervals;
+
+    switch (filter.mode) {
+        case 'longpass':
+            intervals = transmitted ? [[edge, Infinity]] : [[-Infinity, edge]];
+            break;
+        case 'shortpass':
+            intervals = transmitted ? [[-Infinity, edge]] : [[edge, Infinity]];
+            break;
+        case 'bandpass': {
+            const lo = edge - (filter.width || 0) / 2;
+            const hi = edge + (filter.width || 0) / 2;
+            intervals = transmitted ? [[lo, hi]] : [[-Infinity, lo], [hi, Infinity]];
+            break;
+        }
+        default:
+            return band;
+    }
+
+    const isLine = band.max === band.min;
+    const pieces = intervals
+        .map(([lo, hi]) => ({ min: Math.max(band.min, lo), max: Math.min(band.max, hi) }))
+        // A band must keep some width; a single line only has to fall inside
+        .filter(piece => isLine ? piece.min <= piece.max : piece.min < piece.max);
+
+    if (pieces.length === 0) return null;
+    return pieces.reduce((widest, piece) =>
+        piece.max - piece.min > widest.max - widest.min ? piece : widest);
+}
+
+/**
+ * Colors a link's rays are drawn with: from its wavelength band when it has
+ * one, else its own `rayPolygonColor` / `rayPolygonColor2` / `rayGradientEnabled`.
+ * @returns {{color: string, color2: string, gradient: boolean}}
+ */
+export function getRayColors(link) {
+    const band = getBand(link);
+    if (!band) {
+        const color = link.rayPolygonColor || DEFAULT_SOLID_RAY_COLOR;
+        return { color, color2: link.rayPolygonColor2 || color, gradient: !!link.rayGradientEnabled };
+    }
+
+    const color = wavelengthToHex(band.min, OUT_OF_RANGE_WAVELENGTH_COLOR);
+    if (band.max > band.min) {
+        return { color, color2: wavelengthToHex(band.max, OUT_OF_RANGE_WAVELENGTH_COLOR), gradient: true };
+    }
+    return { color, color2: color, gradient: false };
+}
+
+/**
+ * Resolve the wavelength and blocked state of every link, parents before
+ * children. Called by updateRays() before anything is drawn.
+ * @param {import('../components/ComponentManager.js').ComponentManager} manager
+ */
+export function propagateWavelengths(manager) {
+    const resolved = new Set();
+
+    const resolve = (component) => {
+        if (resolved.has(component)) return;
+        resolved.add(component);
+        _resolveLink(manager, component, resolve);
+    };
+
+    manager.components.forEach(component => {
+        resolve(component);
+        component.extraLinks.forEach(link => _resolveLink(manager, link, resolve));
+    });
+}
+
+function _resolveLink(manager, link, resolve) {
+    link.spectrumBlocked = false;
+
+    const rawParent = link.parent !== null ? manager.getComponent(link.parent) : null;
+    if (!rawParent) return;
+
+    // Same remapping as the ray drawing: light leaves a composite from its exit port
+    const sameCompositeInstance = link.isCompositeInstance &&
+        rawParent.isCompositeInstance &&
+        link.compositeInstanceId === rawParent.compositeInstanceId;
+    const parent = sameCompositeInstance ? rawParent : manager.getCompositeExitPort(rawParent);
+    resolve(parent);
+
+    // Nothing reaches a link below a blocked one, whatever its own color
+    const parentBlocked = !!parent.spectrumBlocked;
+    link.spectrumBlocked = parentBlocked;
+    if (!(link.rayColorInheritFromParent ?? true)) return;
+
+    const band = getBand(parent);
+    if (!band) {
+        link.wavelength = null;
+        link.wavelengthBandwidth = 0;
+        return;
+    }
+
+    const passed = filterBand(band, parent.spectralFilter, link.parentPort);
+    const out = passed || band;
+    link.wavelength = (out.min + out.max) / 2;
+    link.wavelengthBandwidth = out.max - out.min;
+    link.spectrumBlocked = parentBlocked || !passed;
+}
@@ -30,32 +30,38 @@ export function drawTraceLines() {
     
     if (!showTraceLines) return;
     
-    // Iterate through all components
+    // Iterate through all components (one line per incoming link)
     componentManager.components.forEach((component) => {
         // Skip if this component has no parent
         if (component.parent === null) return;
         
-        const parentComponent = componentManager.getComponent(component.parent);
-        if (!parentComponent) return;
-        
-        // Get aperture centers in world space
-        const childCenter = component.getApertureCenterWorld();
-        const parentCenter = parentComponent.getApertureCenterWorld();
-        
-        // Draw black dotted line between aperture centers
-        const traceLine = document.createElementNS("http://www.w3.org/2000/svg", "line");
-        traceLine.setAttribute("x1", parentCenter.x);
-        traceLine.setAttribute("y1", parentCenter.y);
-        traceLine.setAttribute("x2", childCenter.x);
-        traceLine.setAttribute("y2", childCenter.y);
-        traceLine.setAttribute("stroke", "black");
-        traceLine.setAttribute("stroke-width", "1");
-        traceLine.setAttribute("stroke-dasharray", "5,5");
-        traceLine.setAttribute("pointer-events", "none");
-        traceLinesGroup.appendChild(traceLine);
+        _drawTraceLine(traceLinesGroup, component);
+        component.extraLinks.forEach(link => _drawTraceLine(traceLinesGroup, link));
     });
 }
 
+// Draw the trace line of one incoming link (a component or one of its extra links)
+function _drawTraceLine(traceLinesGroup, component) {
+    const parentComponent = componentManager.getComponent(component.parent);
+    if (!parentComponent) return;
+    
+    // Get aperture centers in world space (from the parent's output port, if bound to one)
+    const childCenter = component.getApertureCenterWorld();
+    const parentCenter = parentComponent.getOutputPort(component.parentPort).getApertureCenterWorld();
+    
+    // Draw black dotted line between aperture centers
+    const traceLine = document.createElementNS("http://www.w3.org/2000/svg", "line");
+    traceLine.setAttribute("x1", parentCenter.x);
+    traceLine.setAttribute("y1", parentCenter.y);
+    traceLine.setAttribute("x2", childCenter.x);
+    traceLine.setAttribute("y2", childCenter.y);
+    traceLine.setAttribute("stroke", "black");
+    traceLine.setAttribute("stroke-width", "1");
+    traceLine.setAttribute("stroke-dasharray", "5,5");
+    traceLine.setAttribute("pointer-events", "none");
+    traceLinesGroup.appendChild(traceLine);
+}
+
 export function hideTraceLines() {
     const traceLinesGroup = document.getElementById("trace-lines-group");
     if (traceLinesGroup) {
@@ -186,3 +186,30 @@ export function mixColors(color1, color2, weight = 0.5) {
 
   return rgbToHex(r, g, b);
 }
+
+/**
+ * Approximate the perceived color of monochromatic light
+ * (piecewise-linear fit of the CIE color matching functions).
+ * @param {number} nm - Wavelength in nanometers
+ * @param {string} [outOfRange='#999999'] - Color returned outside 380–780 nm
+ * @returns {string} Hex color
+ */
+export function wavelengthToHex(nm, outOfRange = '#999999') {
+  if (!Number.isFinite(nm) || nm < 380 || nm > 780) return outOfRange;
+
+  let r, g, b;
+  if (nm < 440)      { r = (440 - nm) / 60; g = 0;               b = 1; }
+  else if (nm < 490) { r = 0;               g = (nm - 440) / 50; b = 1; }
+  else if (nm < 510) { r = 0;               g = 1;               b = (510 - nm) / 20; }
+  else if (nm < 580) { r = (nm - 510) / 70; g = 1;               b = 0; }
+  else if (nm < 645) { r = 1;               g = (645 - nm) / 65; b = 0; }
+  else               { r = 1;               g = 0;               b = 0; }
+
+  // Eye sensitivity falls off towards both ends; keep a floor so UV/IR lines stay visible
+  let intensity = 1;
+  if (nm < 420) intensity = 0.5 + 0.5 * (nm - 380) / 40;
+  else if (nm > 700) intensity = 0.5 + 0.5 * (780 - nm) / 80;
+
+  const channel = c => Math.round(255 * Math.pow(c * intensity, 0.8));
+  return rgbToHex(channel(r), channel(g), channel(b));
+}
@@ -0,0 +1,166 @@
+/**
+ * Raster image utilities
+ * Embeds a print resolution (DPI) into encoded PNG / JPEG data so layout
+ * tools place the image at its intended physical size, and writes TIFF,
+ * which canvas encoders do not offer.
+ */
+
+const INCHES_PER_METER = 39.3701;
+
+// TIFF field types
+const TIFF_SHORT = 3;
+const TIFF_LONG = 4;
+const TIFF_RATIONAL = 5;
+
+/**
+ * Return a copy of `bytes` with its resolution set to `dpi`.
+ * Unknown formats are returned unchanged.
+ * @param {Uint8Array} bytes - Encoded image (from canvas.toBlob)
+ * @param {string} mimeType - 'image/png' | 'image/jpeg'
+ * @param {number} dpi - Dots per inch
+ * @returns {Uint8Array}
+ */
+export function setImageDpi(bytes, mimeType, dpi) {
+  if (mimeType === 'image/png') return setPngDpi(bytes, dpi);
+  if (mimeType === 'image/jpeg') return setJpegDpi(bytes, dpi);
+  return bytes;
+}
+
+/**
+ * Encode canvas pixels as an uncompressed baseline TIFF (little-endian,
+ * 8-bit RGB, one strip) with its resolution set to `dpi`.
+ * @param {Uint8ClampedArray} rgba - ImageData.data, 4 bytes per pixel
+ * @param {number} width
+ * @param {number} height
+ * @param {number} dpi - Dots per inch
+ * @param {{ alpha?: boolean }} [options] - keep the alpha channel
+ *   (stored as unassociated alpha, like ImageData)
+ * @returns {Uint8Array}
+ */
+export function encodeTiff(rgba, width, height, dpi, { alpha = false } = {}) {
+  const samplesPerPixel = alpha ? 4 : 3;
+  const tags = [
+    [256, TIFF_LONG, 1, width],             // ImageWidth
+    [257, TIFF_LONG, 1, height],            // ImageLength
+    [258, TIFF_SHORT, samplesPerPixel, 0],  // BitsPerSample (8 each, stored below)
+    [259, TIFF_SHORT, 1, 1],                // Compression: none
+    [262, TIFF_SHORT, 1, 2],                // PhotometricInterpretation: RGB
+    [273, TIFF_LONG, 1, 0],                 // StripOffsets (set below)
+    [277, TIFF_SHORT, 1, samplesPerPixel],  // SamplesPerPixel
+    [278, TIFF_LONG, 1, height],            // RowsPerStrip: a single strip
+    [279, TIFF_LONG, 1, width * height * samplesPerPixel], // StripByteCounts
+    [282, TIFF_RATIONAL, 1, 0],             // XResolution (stored below)
+    [283, TIFF_RATIONAL, 1, 0],             // YResolution (stored below)
+    [284, TIFF_SHORT, 1, 1],                // PlanarConfiguration: interleaved
+    [296, TIFF_SHORT, 1, 2]                 // ResolutionUnit: inch
+  ];
+  if (alpha) tags.push([338, TIFF_SHORT, 1, 2]); // ExtraSamples: unassociated alpha
+
+  const ifdOffset = 8;
+  const ifdSize = 2 + tags.length * 12 + 4;
+  const bitsOffset = ifdOffset + ifdSize;
+  const xResolutionOffset = bitsOffset + samplesPerPixel * 2;
+  const yResolutionOffset = xResolutionOffset + 8;
+  const pixelOffset = yResolutionOffset + 8;
+  const pixelBytes = width * height * samplesPerPixel;
+
+  const result = new Uint8Array(pixelOffset + pixelBytes);
+  const view = new DataView(result.buffer);
+  result.set([0x49, 0x49, 42, 0]); // 'II', 42: little-endian TIFF
+  view.setUint32(4, ifdOffset, true);
+
+  view.setUint16(ifdOffset, tags.length, true);
+  tags.forEach(([tag, type, count, value], index) => {
+    const entry = ifdOffset + 2 + index * 12;
+    if (tag === 258) value = bitsOffset;
+    if (tag === 273) value = pixelOffset;
+    if (tag === 282) value = xResolutionOffset;
+    if (tag === 283) value = yResolutionOffset;
+    view.setUint16(entry, tag, true);
+    view.setUint16(entry + 2, type, true);
+    view.setUint32(entry + 4, count, true);
+    // Values that fit in 4 bytes are stored in the entry, left-aligned
+    if (type === TIFF_SHORT && count === 1) view.setUint16(entry + 8, value, true);
+    else view.setUint32(entry + 8, value, true);
+  });
+  view.setUint32(ifdOffset + 2 + tags.length * 12, 0, true); // no further IFDs
+
+  for (let i = 0; i < samplesPerPixel; i++) view.setUint16(bitsOffset + i * 2, 8, true);
+  for (const offset of [xResolutionOffset, yResolutionOffset]) {
+    view.setUint32(offset, Math.round(dpi), true);
+    view.setUint32(offset + 4, 1, true);
+  }
+
+  if (alpha) {
+    result.set(rgba.subarray(0, pixelBytes), pixelOffset);
+  } else {
+    for (let source = 0, target = pixelOffset; target < result.length; source += 4, target += 3) {
+      result[target] = rgba[source];
+      result[target + 1] = rgba[source + 1];
+      result[target + 2] = rgba[source + 2];
+    }
+  }
+  return result;
+}
+
+/**
+ * Insert a pHYs chunk right after IHDR (canvas encoders never write one).
+ */
+function setPngDpi(bytes, dpi) {
+  const IHDR_END = 8 + 25; // signature + IHDR (length, type, 13 data bytes, CRC)
+  if (bytes.length < IHDR_END) return bytes;
+
+  const pixelsPerMeter = Math.round(dpi * INCHES_PER_METER);
+  const chunk = new Uint8Array(4 + 4 + 9 + 4);
+  const view = new DataView(chunk.buffer);
+  view.setUint32(0, 9);
+  chunk.set([0x70, 0x48, 0x59, 0x73], 4); // 'pHYs'
+  view.setUint32(8, pixelsPerMeter);
+  view.setUint32(12, pixelsPerMeter);
+  chunk[16] = 1; // unit: metre
+  view.setUint32(17, crc32(chunk.subarray(4, 17)));
+
+  const result = new Uint8Array(bytes.length + chunk.length);
+  result.set(bytes.subarray(0, IHDR_END), 0);
+  result.set(chunk, IHDR_END);
+  result.set(bytes.subarray(IHDR_END), IHDR_END + chunk.length);
+  return result;
+}
+
+/**
+ * Patch the density fields of the JFIF APP0 header.
+ */
+function setJpegDpi(bytes, dpi) {
+  const isJfif = bytes.length > 18 &&
+    bytes[2] === 0xFF && bytes[3] === 0xE0 &&
+    String.fromCharCode(bytes[6], bytes[7], bytes[8], bytes[9]) === 'JFIF';
+  if (!isJfif) return bytes;
+
+  const result = bytes.slice();
+  const view = new DataView(result.buffer);
+  result[13] = 1; // density unit: dots per inch
+  view.setUint16(14, dpi);
+  view.setUint16(16, dpi);
+  return result;
+}
+
+let crcTable = null;
+
+function crc32(data) {
+  if (!crcTable) {
+    crcTable = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+      }
+      crcTable[n] = c >>> 0;
+    }
+  }
+
+  let crc = 0xFFFFFFFF;
+  for (let i = 0; i < data.length; i++) {
+    crc = crcTable[(crc ^ data[i]) & 0xFF] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xFFFFFFFF) >>> 0;
+}
@@ -0,0 +1,178 @@
+/**
+ * FileMigrations.js against the files in examples/ (version 0, the original
+ * format) and against files from a newer version of the app.
+ *
+ * Run with `npm test` (Node 20+, no dependencies).
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readdirSync, readFileSync } from 'node:fs';
+import { fileURLToPath } from 'node:url';
+import {
+  SCHEMATIC_SCHEMA,
+  USER_COMPONENTS_SCHEMA,
+  FILE_VERSION,
+  migrateSchematicPayload,
+  migrateUserComponentsPayload
+} from '../scripts/FileMigrations.js';
+import { components as componentLibrary } from '../scripts/components/ComponentLibrary.js';
+
+const examplesDir = fileURLToPath(new URL('../examples/', import.meta.url));
+const exampleFiles = readdirSync(examplesDir).filter(name => name.endsWith('.json')).sort();
+
+function readExample(name) {
+  return JSON.parse(readFileSync(examplesDir + name, 'utf8'));
+}
+
+/**
+ * What upgrading each example must do: retired types it uses (and their new
+ * type), the scale of the new artwork, and how many components lose extra
+ * ray colors. A new example needs an entry here.
+ */
+const EXPECTED = {
+  'Bai_Lu_et_al_nm2024.json': { count: 25, renamed: {}, scales: {}, multiColor: 8 },
+  'Bohm_et_al_nc2024.json': {
+    count: 28,
+    renamed: { 'objective3': 'objective', 'voice-coil-mirror2': 'galvo-mirror' },
+    scales: { 'objective3': 0.91, 'voice-coil-mirror2': 1.2 },
+    multiColor: 0
+  },
+  'Howe_Carmel_et_al_bioRxiv2025.json': { count: 24, renamed: { 'plate': 'waveplate' }, scales: {}, multiColor: 5 },
+  'Kabuli_Leyla_et_al_sr2025.json': { count: 17, renamed: { 'plate': 'waveplate' }, scales: {}, multiColor: 0 },
+  'Weber_Timothy_et_al_nn2023.json': {
+    count: 27,
+    renamed: { 'plate': 'waveplate', 'photo-diode': 'detector' },
+    scales: { 'photo-diode': 0.5 },
+    multiColor: 0
+  },
+  'Xiao_Sheng_et_al_nm2024.json': { count: 14, renamed: { 'wedge-prism2': 'wedge-prism' }, scales: {}, multiColor: 0 },
+  'Zhao_Yuxuan_et_al_nm2022.json': { count: 14, renamed: {}, scales: {}, multiColor: 2 },
+  'doe_system_aaron.json': { count: 11, renamed: { 'lens3': 'lens', 'lens2': 'lens' }, scales: {}, multiColor: 0 }
+};
+
+const isPoint = point => point !== null && typeof point === 'object' &&
+  Number.isFinite(point.x) && Number.isFinite(point.y);
+
+/** Fields restoreSceneSnapshot() reads from a captureSceneSnapshot() result. */
+function assertSnapshotShape(snapshot) {
+  assert.ok(Number.isInteger(snapshot.idCounter), 'idCounter');
+  assert.ok(Number.isInteger(snapshot.compositeInstanceCounter), 'compositeInstanceCounter');
+  assert.ok(snapshot.currentId === null || Number.isInteger(snapshot.currentId), 'currentId');
+  assert.ok(Array.isArray(snapshot.selectedIds), 'selectedIds');
+  assert.ok(isPoint(snapshot.nextPosition), 'nextPosition');
+  assert.ok(Array.isArray(snapshot.components), 'components');
+
+  const byId = new Map();
+  for (const component of snapshot.components) {
+    assert.ok(Number.isInteger(component.mapId), 'mapId');
+    assert.ok(!byId.has(component.mapId), `duplicate mapId ${component.mapId}`);
+    assert.ok(component.mapId < snapshot.idCounter, 'idCounter above every mapId');
+    byId.set(component.mapId, component);
+
+    assert.ok(componentLibrary[component.type], `unknown type "${component.type}"`);
+    for (const field of ['x', 'y', 'rotation', 'scale', 'apertureRadius', 'coneAngle']) {
+      assert.ok(Number.isFinite(component[field]), `${component.type} ${component.mapId}: ${field}`);
+    }
+    assert.ok(component.arrowVector === null || isPoint(component.arrowVector), 'arrowVector');
+    assert.ok(component.upVector === null || isPoint(component.upVector), 'upVector');
+    assert.ok(Array.isArray(component.children), 'children');
+    assert.ok(Array.isArray(component.extraLinks), 'extraLinks');
+    assert.ok(Array.isArray(component.groupMembers), 'groupMembers');
+    assert.equal(typeof component.rayShape, 'string');
+    assert.equal(typeof component.rayPolygonColor, 'string');
+  }
+
+  // Parent and children lists describe the same links
+  for (const component of snapshot.components) {
+    if (component.parent !== null) {
+      assert.ok(byId.has(component.parent), `parent ${component.parent} of ${component.mapId} exists`);
+      assert.ok(byId.get(component.parent).children.includes(component.mapId),
+        `${component.parent} lists ${component.mapId} as a child`);
+    }
+    for (const childId of component.children) {
+      assert.equal(byId.get(childId)?.parent, component.mapId, `child ${childId} of ${component.mapId}`);
+    }
+  }
+  return byId;
+}
+
+for (const name of exampleFiles) {
+  test(`examples/${name} upgrades to the current version`, () => {
+    const expected = EXPECTED[name];
+    assert.ok(expected, `add examples/${name} to EXPECTED`);
+
+    const raw = readExample(name);
+    const { data, changes, approximated, fromVersion } = migrateSchematicPayload(raw);
+
+    assert.equal(fromVersion, 0);
+    assert.equal(data.schema, SCHEMATIC_SCHEMA);
+    assert.equal(data.version, FILE_VERSION);
+    assert.ok(changes.length > 0, 'the upgrade is reported');
+
+    const byId = assertSnapshotShape(data.snapshot);
+    assert.equal(byId.size, expected.count);
+    assert.equal(raw.components.length, expected.count);
+    for (const legacy of raw.components) {
+      const component = byId.get(legacy.id);
+      assert.equal(component.type, expected.renamed[legacy.type] ?? legacy.type);
+      assert.equal(component.scale, expected.scales[legacy.type] ?? 1);
+      assert.equal(component.x, legacy.posX);
+      assert.equal(component.y, legacy.posY);
+      assert.equal(component.rotation, legacy.rotation);
+      assert.equal(component.visible, legacy.visible);
+      assert.deepEqual(component.arrowVector, { x: legacy.arrowX - legacy.posX, y: legacy.arrowY - legacy.posY });
+      assert.equal(component.apertureRadius, legacy.dimensions.apertureRadius);
+      assert.equal(component.parent, legacy.parentId);
+      assert.deepEqual(component.children, legacy.children);
+
+      // Gratings and DOEs had no orders: every child stays on order 0
+      const diffraction = componentLibrary[component.type].diffraction;
+      assert.deepEqual(component.diffraction, diffraction ? { maxOrder: 0, angle: diffraction.angle } : null);
+      assert.equal(component.parentPort, null);
+    }
+    assert.deepEqual(data.snapshot.nextPosition, raw.nextPosition);
+    assert.equal(data.snapshot.idCounter, Math.max(...raw.components.map(legacy => legacy.id)) + 1);
+
+    // Renames and dropped colors are approximations, reported as such
+    for (const [legacyType, type] of Object.entries(expected.renamed)) {
+      assert.ok(changes.some(change => change.includes(`"${legacyType}" is now "${type}"`)), `${legacyType} rename noted`);
+    }
+    if (expected.multiColor > 0) {
+      assert.ok(changes.some(change => change.startsWith(`${expected.multiColor} component(s) had several ray colors`)));
+    }
+    assert.equal(approximated, Object.keys(expected.renamed).length > 0 || expected.multiColor > 0);
+
+    // The upgraded file is current: loading it again changes nothing
+    const again = migrateSchematicPayload(JSON.parse(JSON.stringify(data)));
+    assert.deepEqual(again.changes, []);
+    assert.equal(again.approximated, false);
+    assert.deepEqual(again.data, data);
+  });
+}
+
+test('schematic files from a newer version are refused', () => {
+  const newer = {
+    schema: SCHEMATIC_SCHEMA,
+    version: FILE_VERSION + 1,
+    snapshot: { components: [] }
+  };
+  assert.throws(() => migrateSchematicPayload(newer), /newer version/);
+});
+
+test('schematic files with another schema or no version are refused', () => {
+  assert.throws(() => migrateSchematicPayload({ schema: 'other', version: 1 }), /Unsupported schematic schema/);
+  assert.throws(() => migrateSchematicPayload({ schema: SCHEMATIC_SCHEMA, snapshot: {} }), /Unsupported schematic version/);
+  assert.throws(() => migrateSchematicPayload([]), /JSON object/);
+});
+
+test('user component files upgrade and refuse newer versions', () => {
+  const { data, fromVersion } = migrateUserComponentsPayload([{ key: 'relay', members: [] }]);
+  assert.equal(fromVersion, 0);
+  assert.equal(data.schema, USER_COMPONENTS_SCHEMA);
+  assert.equal(data.version, FILE_VERSION);
+  assert.equal(data.components[0].isComposite, true);
+
+  const newer = { schema: USER_COMPONENTS_SCHEMA, version: FILE_VERSION + 1, components: [] };
+  assert.throws(() => migrateUserComponentsPayload(newer), /newer version/);
+});
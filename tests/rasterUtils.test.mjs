@@ -0,0 +1,73 @@
+/**
+ * encodeTiff() in utils/rasterUtils.js: the baseline TIFF written by the
+ * image export, read back with a minimal IFD parser.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { encodeTiff } from '../scripts/utils/rasterUtils.js';
+
+/** Tag → { type, count, values } of the first IFD of a little-endian TIFF. */
+function readTags(bytes) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  assert.deepEqual([...bytes.subarray(0, 4)], [0x49, 0x49, 42, 0]);
+  const ifdOffset = view.getUint32(4, true);
+  const count = view.getUint16(ifdOffset, true);
+  const tags = new Map();
+  let previous = 0;
+  for (let index = 0; index < count; index++) {
+    const entry = ifdOffset + 2 + index * 12;
+    const tag = view.getUint16(entry, true);
+    assert.ok(tag > previous, 'tags are sorted');
+    previous = tag;
+    const type = view.getUint16(entry + 2, true);
+    const valueCount = view.getUint32(entry + 4, true);
+    const size = { 3: 2, 4: 4, 5: 8 }[type] * valueCount;
+    const offset = size <= 4 ? entry + 8 : view.getUint32(entry + 8, true);
+    const values = [];
+    for (let i = 0; i < valueCount; i++) {
+      if (type === 3) values.push(view.getUint16(offset + i * 2, true));
+      if (type === 4) values.push(view.getUint32(offset + i * 4, true));
+      if (type === 5) values.push(view.getUint32(offset + i * 8, true) / view.getUint32(offset + i * 8 + 4, true));
+    }
+    tags.set(tag, values);
+  }
+  assert.equal(view.getUint32(ifdOffset + 2 + count * 12, true), 0, 'single IFD');
+  return tags;
+}
+
+// 2 × 1 pixels: opaque red, half-transparent blue
+const rgba = new Uint8ClampedArray([255, 0, 0, 255, 0, 0, 255, 128]);
+
+test('RGB TIFF drops the alpha channel and records the DPI', () => {
+  const bytes = encodeTiff(rgba, 2, 1, 600);
+  const tags = readTags(bytes);
+  assert.deepEqual(tags.get(256), [2]);
+  assert.deepEqual(tags.get(257), [1]);
+  assert.deepEqual(tags.get(258), [8, 8, 8]);
+  assert.deepEqual(tags.get(259), [1]);
+  assert.deepEqual(tags.get(262), [2]);
+  assert.deepEqual(tags.get(277), [3]);
+  assert.deepEqual(tags.get(282), [600]);
+  assert.deepEqual(tags.get(283), [600]);
+  assert.deepEqual(tags.get(296), [2]);
+  assert.equal(tags.has(338), false);
+
+  const [offset] = tags.get(273);
+  assert.deepEqual(tags.get(279), [6]);
+  assert.equal(offset + 6, bytes.length);
+  assert.deepEqual([...bytes.subarray(offset)], [255, 0, 0, 0, 0, 255]);
+});
+
+test('RGBA TIFF keeps unassociated alpha', () => {
+  const bytes = encodeTiff(rgba, 2, 1, 300, { alpha: true });
+  const tags = readTags(bytes);
+  assert.deepEqual(tags.get(258), [8, 8, 8, 8]);
+  assert.deepEqual(tags.get(277), [4]);
+  assert.deepEqual(tags.get(338), [2]);
+  assert.deepEqual(tags.get(282), [300]);
+
+  const [offset] = tags.get(273);
+  assert.deepEqual(tags.get(279), [8]);
+  assert.deepEqual([...bytes.subarray(offset)], [...rgba]);
+});
@@ -0,0 +1,94 @@
+/**
+ * Spectrum.js: spectral filters and how wavelengths and blocked light are
+ * carried down a chain of links.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { filterBand, propagateWavelengths } from '../scripts/rays/Spectrum.js';
+
+/** Plain links and the part of ComponentManager propagateWavelengths() uses. */
+function buildChain(links) {
+  const components = new Map();
+  links.forEach((link, id) => {
+    components.set(id, {
+      parent: id === 0 ? null : id - 1,
+      parentPort: null,
+      extraLinks: [],
+      wavelength: null,
+      wavelengthBandwidth: 0,
+      spectralFilter: null,
+      ...link
+    });
+  });
+  return {
+    components,
+    getComponent: id => components.get(id) || null,
+    getCompositeExitPort: component => component
+  };
+}
+
+const longpass = { mode: 'longpass', wavelength: 500 };
+
+test('filterBand passes, splits and rejects', () => {
+  assert.deepEqual(filterBand({ min: 550, max: 550 }, longpass, null), { min: 550, max: 550 });
+  assert.deepEqual(filterBand({ min: 450, max: 550 }, longpass, 'transmitted'), { min: 500, max: 550 });
+  assert.deepEqual(filterBand({ min: 450, max: 550 }, longpass, 'reflected'), { min: 450, max: 500 });
+  assert.equal(filterBand({ min: 488, max: 488 }, longpass, null), null);
+  assert.deepEqual(filterBand({ min: 488, max: 488 }, null, null), { min: 488, max: 488 });
+});
+
+test('light rejected by a filter stays blocked down the chain', () => {
+  // laser 488 nm → longpass dichroic (transmits nothing) → mirror → lens
+  const manager = buildChain([
+    { wavelength: 488 },
+    { spectralFilter: longpass },
+    {},
+    {}
+  ]);
+  propagateWavelengths(manager);
+  const [laser, dichroic, mirror, lens] = [...manager.components.values()];
+
+  assert.equal(laser.spectrumBlocked, false);
+  assert.equal(dichroic.spectrumBlocked, false);
+  assert.equal(dichroic.wavelength, 488);
+  assert.equal(mirror.spectrumBlocked, true);
+  assert.equal(lens.spectrumBlocked, true);
+});
+
+test('blocked light also stops links with their own color', () => {
+  const manager = buildChain([
+    { wavelength: 488 },
+    { spectralFilter: longpass },
+    {},
+    { rayColorInheritFromParent: false, wavelength: 640 }
+  ]);
+  propagateWavelengths(manager);
+  const lens = manager.components.get(3);
+  assert.equal(lens.spectrumBlocked, true);
+  assert.equal(lens.wavelength, 640);
+});
+
+test('the passband is carried through two levels', () => {
+  const manager = buildChain([
+    { wavelength: 500, wavelengthBandwidth: 100 },
+    { spectralFilter: longpass },
+    {},
+    {}
+  ]);
+  propagateWavelengths(manager);
+  for (const id of [2, 3]) {
+    const link = manager.components.get(id);
+    assert.equal(link.spectrumBlocked, false);
+    assert.equal(link.wavelength, 525);
+    assert.equal(link.wavelengthBandwidth, 50);
+  }
+
+  // Reflected port of the same dichroic: the short side of the band
+  manager.components.get(2).parentPort = 'reflected';
+  propagateWavelengths(manager);
+  const lens = manager.components.get(3);
+  assert.equal(lens.spectrumBlocked, false);
+  assert.equal(lens.wavelength, 475);
+  assert.equal(lens.wavelengthBandwidth, 50);
+});